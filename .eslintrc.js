@@ -7,7 +7,7 @@ module.exports = {
   extends: 'eslint:recommended',
   parserOptions: {
     ecmaVersion: '2018',
-    sourceType: 'module',
+    sourceType: 'module'
   },
   rules: {
     'arrow-parens': ['error', 'as-needed'],
@@ -1,8 +1,25 @@
 const axios = require('axios')
 const CryptoJS = require('crypto-js')
+const http = require('http')
 const https = require('https')
 const uuid = require('uuid-random')
-require('dotenv').config()
+const { BittrexError, BittrexAuthError, BittrexNetworkError, BittrexValidationError, fromAxiosError } = require('./errors')
+const { CredentialStore } = require('./credentials')
+const RateLimiter = require('./rate-limiter')
+const { retryPolicy, isRetryable, retryDelay } = require('./retry')
+const { sleep, mapConcurrent } = require('./utils')
+const { paginate, collect } = require('./paginate')
+const { Big, toPlainString, convertNumbers, presentDecimals, numericMode } = require('./decimal')
+const MarketRules = require('./market-rules')
+const TradingGuard = require('./trading-guard')
+const DeadMansSwitch = require('./dead-mans-switch')
+const { TwapExecution, IcebergExecution, LadderExecution } = require('./execution')
+const Cassette = require('./cassette')
+const { Instrumentation } = require('./instrumentation')
+const { Metrics } = require('./metrics')
+const { candleWindows, stitchCandles, intervalMs } = require('./candles')
+const { valuePortfolio, findRoute, routeRate, tickerRates } = require('./portfolio')
+const { buildLedger, computePnL, candleConverter } = require('./reporting')
 
 class BittrexClient {
 
@@ -10,18 +27,148 @@ class BittrexClient {
    * @constructor
    * @param {String} [options.apiKey=null]
    * @param {String} [options.apiSecret=null]
+   * @param {Object|Function} [options.credentials] - Instead of apiKey/apiSecret: { apiKey, apiSecret }, or a provider such as fromEnv(), fromProfile('ops')
+   * or an async function returning { apiKey, apiSecret, expiresAt }. Resolved on the first authenticated call and cached until expiresAt.
    * @param {Boolean} [options.keepAlive=true]
+   * @param {String} [options.baseURL='https://api.bittrex.com/v3'] - API root. Point it at a MockBittrexServer (or any stand-in) to run without the exchange.
+   * @param {Object|Boolean} [options.retry] - Retry policy: {maxAttempts=3, baseDelay=250, maxDelay=10000, factor=2, jitter=true}. false disables retries.
+   * @param {Object|Boolean} [options.rateLimit] - Client-side token bucket: {requestsPerMinute=60, burst=requestsPerMinute}. false disables it.
+   * @param {String} [options.numeric='raw'] - ['raw'|'string'|'decimal']. 'string' returns amounts as validated plain decimal strings, 'decimal' as Big instances (big.js).
+   * Both send quantity, ceiling and limit as plain decimal strings. 'raw' passes values through untouched.
+   * @param {Object|Boolean} [options.validateOrders=false] - Check sendOrder against cached market rules before sending: true, or {ttl=300000, rounding=['reject'|'round'|'truncate']}.
+   * @param {Object|Cassette} [options.cassette] - Record traffic to, or replay it from, a cassette file: {path, mode=['record'|'replay'], redact}.
+   * @param {Object|Boolean} [options.guard] - Refuse risky requests before they are sent: true, or {readOnly, allowCancelAll, withdrawalAllowlist, maxOrderNotional, markets, maxDailyWithdrawal}.
+   * See TradingGuard.
+   * @param {Object} [options.deadMansSwitch] - Cancel the orders this client placed when heartbeat() is not called in time or on SIGINT/SIGTERM:
+   * {timeout, signals=['SIGINT','SIGTERM'], logger=console}. See DeadMansSwitch.
+   * @param {String} [options.subaccountId] - Act on behalf of this sub-account: sent as Api-Subaccount-Id and included in every signature. See withSubaccount() for a single call.
+   * @param {Object} [options.logger] - Structured logging of every attempt, with Api-Key and Api-Signature redacted: console, pino, or any object with debug/info/warn/error methods.
+   * @param {Boolean|Metrics} [options.metrics=true] - Count requests, errors, retries, rate-limit hits and latency per endpoint. Pass a Metrics instance to share one registry
+   * between clients, or false to disable. See getMetrics().
+   * @param {Object} [options.hooks] - { onRequest, onResponse, onError }, see the methods of the same names.
    */
-  constructor({ apiKey, apiSecret, timeout, keepAlive = true } = {}) {
-    this._apiKey = apiKey
-    this._apiSecret = apiSecret
+  constructor({ apiKey, apiSecret, credentials, timeout, keepAlive = true, baseURL = 'https://api.bittrex.com/v3', retry = {}, rateLimit = {}, numeric = 'raw', validateOrders = false, cassette, guard, deadMansSwitch, subaccountId, logger, metrics = true, hooks } = {}) {
+    this._credentials = new CredentialStore(credentials !== undefined ? credentials : {apiKey,apiSecret})
     this._nonce = new Date().getTime()
-    this._baseURL = 'https://api.bittrex.com/v3'
+    this._baseURL = baseURL.replace(/\/+$/,'')
     this._client = axios.create({
       baseURL: this._baseURL,
+      httpAgent: new http.Agent({ keepAlive }),
       httpsAgent: new https.Agent({ keepAlive }),
       timeout: timeout
     })
+    this._retry = retryPolicy(retry)
+    this._limiter = rateLimit === false ? null : new RateLimiter(rateLimit)
+    this._numeric = numericMode(numeric)
+    this._marketRules = validateOrders ? new MarketRules(this,validateOrders === true ? {} : validateOrders) : null
+    this._cassette = !cassette || cassette instanceof Cassette ? cassette || null : new Cassette(cassette)
+    this._guard = guard ? new TradingGuard(this,guard === true ? {} : guard) : null
+    this._switch = deadMansSwitch ? new DeadMansSwitch(this,deadMansSwitch) : null
+    this._subaccountId = subaccountId || null
+    this._instrumentation = new Instrumentation({logger,hooks,metrics:metrics === true ? new Metrics() : metrics || null})
+  }
+
+  /*-------------------------------------------------------------------------*
+   * Credentials
+   *-------------------------------------------------------------------------*/
+
+  /**
+   * @method setCredentials - Switch to new credentials, e.g. after rotating the API key. Requests already signed are not affected.
+   * @param {Object|Function} credentials - { apiKey, apiSecret } or a provider.
+   */
+  setCredentials(credentials){
+    this._credentials.set(credentials)
+  }
+
+  /**
+   * @method refreshCredentials - Drop the cached credentials and ask the provider again.
+   * @returns {Promise} - { "apiKey": "string" }
+   */
+  async refreshCredentials(){
+    this._credentials.invalidate()
+    const {apiKey} = await this._credentials.get()
+    return {apiKey}
+  }
+
+  /**
+   * @method withSubaccount - A view of this client acting on behalf of a sub-account: its requests carry Api-Subaccount-Id and sign it.
+   * The view shares credentials, rate limiter, guard and connections with this client; the guard's open-notional and daily withdrawal limits
+   * are checked against the sub-account's own orders and withdrawals. Pass null for the master account.
+   * const subBalances = await client.withSubaccount(subaccountId).balance()
+   * @param {String} subaccountId - UUID-formatted string, or null.
+   * @returns {BittrexClient}
+   */
+  withSubaccount(subaccountId){
+    const view = Object.create(this)
+    view._subaccountId = subaccountId || null
+    return view
+  }
+
+  /*-------------------------------------------------------------------------*
+   * Instrumentation
+   *-------------------------------------------------------------------------*/
+
+  /**
+   * @method onRequest - Call a function before every attempt is sent, retries included. It may return a promise; throwing aborts the request with that error.
+   * client.onRequest(({requestId,method,endpoint,attempt,headers,body}) => ...)
+   * @param {Function} hook - Receives { event, requestId, method, endpoint, attempt, headers, body }. Api-Key and Api-Signature are redacted.
+   * @returns {Function} - Removes the hook.
+   */
+  onRequest(hook){
+    return this._instrumentation.on('request',hook)
+  }
+
+  /**
+   * @method onResponse - Call a function after every successful attempt. Errors it throws are logged and otherwise ignored.
+   * @param {Function} hook - Receives { event, requestId, method, endpoint, attempt, status, durationMs, headers, data }.
+   * @returns {Function} - Removes the hook.
+   */
+  onResponse(hook){
+    return this._instrumentation.on('response',hook)
+  }
+
+  /**
+   * @method onError - Call a function after every failed attempt. retry tells whether the request will be repeated. Errors it throws are logged and otherwise ignored.
+   * @param {Function} hook - Receives { event, requestId, method, endpoint, attempt, status, code, message, durationMs, retry, error }.
+   * @returns {Function} - Removes the hook.
+   */
+  onError(hook){
+    return this._instrumentation.on('error',hook)
+  }
+
+  /**
+   * @method getMetrics - The registry this client counts its requests in. metrics.toPrometheus() renders it for a /metrics endpoint.
+   * @returns {Metrics} - null if the client was created with metrics: false.
+   */
+  getMetrics(){
+    return this._instrumentation.metrics()
+  }
+
+  /*-------------------------------------------------------------------------*
+   * Dead man's switch
+   *-------------------------------------------------------------------------*/
+
+  /**
+   * @method heartbeat - Tell the dead man's switch the application is alive. The first call arms it; if the next one does not come
+   * within deadMansSwitch.timeout, every open order this client placed is cancelled.
+   */
+  heartbeat(){
+    this.deadMansSwitch().heartbeat()
+  }
+
+  /**
+   * @method cancelTrackedOrders - Cancel every open order this client placed, e.g. during a graceful shutdown. Orders placed by other clients are left alone.
+   * @returns {Promise} - { "cancelled": [Order], "failed": [{ "order": Order, "error": BittrexError }] }
+   */
+  async cancelTrackedOrders(){
+    return this.deadMansSwitch().cancelTracked()
+  }
+
+  /**
+   * @method stopHeartbeat - Disarm the dead man's switch and remove its signal handlers. Open orders are left alone.
+   */
+  stopHeartbeat(){
+    this.deadMansSwitch().stop()
   }
 
   /*-------------------------------------------------------------------------*
@@ -128,7 +275,7 @@ class BittrexClient {
     }
    */
   async marketSummary(marketSymbol){
-    if (!marketSymbol) throw new Error('marketSymbol is required')
+    if (!marketSymbol) throw new BittrexValidationError('marketSymbol is required',{field:'marketSymbol'})
     const results = await this.request('GET',`/markets/${marketSymbol}/summary`)
     return results
   }
@@ -145,7 +292,7 @@ class BittrexClient {
     }]
    */
   async marketTrades(marketSymbol){
-    if (!marketSymbol) throw new Error('marketSymbol is required')
+    if (!marketSymbol) throw new BittrexValidationError('marketSymbol is required',{field:'marketSymbol'})
     const results = await this.request('GET',`/markets/${marketSymbol}/trades`)
     return results
   }
@@ -170,10 +317,26 @@ class BittrexClient {
   }
    */
   async orderBook(marketSymbol,depth=25){
-    if (!marketSymbol) throw new Error('marketSymbol is required')
+    if (!marketSymbol) throw new BittrexValidationError('marketSymbol is required',{field:'marketSymbol'})
     return this.request('GET',`/markets/${marketSymbol}/orderbook`,{depth})
   }
 
+  /**
+   * @method orderBookSnapshot - Get orderbook for specified market together with its sequence number, for synchronizing with websocket deltas.
+   * @param {String} marketSymbol - Required. Example: 'BTC-USD'
+   * @param {Number} depth=25 - (integer) Optional. Must be: [1|25|500]
+   * @returns {Promise} - {
+    "sequence": "integer (int64)",
+    "bid": [{ "quantity": "number (double)", "rate": "number (double)" }],
+    "ask": [{ "quantity": "number (double)", "rate": "number (double)" }]
+  }
+   */
+  async orderBookSnapshot(marketSymbol,depth=25){
+    if (!marketSymbol) throw new BittrexValidationError('marketSymbol is required',{field:'marketSymbol'})
+    const response = await this.dispatch('GET',`/markets/${marketSymbol}/orderbook`,{depth})
+    return Object.assign({sequence:Number(response.headers.sequence)},response.data)
+  }
+
   /**
    * @method getCandlesRecent - Retrieve most recent candles for specified market. Returns an array of Candle objects.
    * The maximum age of the returned candles depends on the interval as follows: (MINUTE_1: 1 day, MINUTE_5: 1 day, HOUR_1: 31 days, DAY_1: 366 days).
@@ -191,8 +354,8 @@ class BittrexClient {
     }]
    */
   async getCandlesRecent(marketSymbol,candleInterval,candleType='TRADE'){
-    if (!marketSymbol) throw new Error('marketSymbol is required')
-    if (!candleInterval) throw new Error('candleInterval is required')
+    if (!marketSymbol) throw new BittrexValidationError('marketSymbol is required',{field:'marketSymbol'})
+    if (!candleInterval) throw new BittrexValidationError('candleInterval is required',{field:'candleInterval'})
     const results = await this.request('GET',`/markets/${marketSymbol}/candles/${candleType}/${candleInterval}/recent`)
     return results
   }
@@ -217,12 +380,53 @@ class BittrexClient {
     }]
    */
   async getCandlesHistorical(marketSymbol,candleInterval,year,month=1,day=1,candleType='TRADE'){
-    if (!marketSymbol) throw new Error('marketSymbol is required')
-    if (!candleInterval) throw new Error('candleInterval is required')
+    if (!marketSymbol) throw new BittrexValidationError('marketSymbol is required',{field:'marketSymbol'})
+    if (!candleInterval) throw new BittrexValidationError('candleInterval is required',{field:'candleInterval'})
     const results = await this.request('GET',`/markets/${marketSymbol}/candles/${candleType}/${candleInterval}/historical/${year}/${month}/${day}`)
     return results
   }
 
+  /**
+   * @method getCandles - Retrieve every candle in a date range, stitched together from as many historical windows as needed
+   * (one request per UTC day for MINUTE_1/MINUTE_5, per month for HOUR_1, per year for DAY_1). Windows that have not ended yet are served from getCandlesRecent.
+   * Returns Candle objects sorted by startsAt, without duplicates.
+   * @param  {String} marketSymbol - Required. Example: 'BTC-USD'
+   * @param  {String} candleInterval - Required. Must be: ['MINUTE_1'|'MINUTE_5'|'HOUR_1'|'DAY_1']
+   * @param  {Date} from - Required. Date, ISO string or epoch milliseconds. First candle start, inclusive.
+   * @param  {Date} to - Optional. Default now. Last candle start, exclusive.
+   * @param  {String} type='TRADE' - Optional. Either 'TRADE' or 'MIDPOINT'.
+   * @param  {String} gaps='flag' - Optional. ['flag'|'fill'|'none']. 'flag' sets gapBefore (number of missing candles) on the candle after a hole;
+   * 'fill' inserts flat candles at the previous close with zero volume and synthetic: true.
+   * @param  {Number} concurrency=4 - Optional. Maximum number of windows fetched at once.
+   * @returns {Promise} - [{
+    "startsAt": "string (date-time)",
+    "open": "number (double)",
+    "high": "number (double)",
+    "low": "number (double)",
+    "close": "number (double)",
+    "volume": "number (double)",
+    "quoteVolume": "number (double)",
+    "gapBefore": "integer",
+    "synthetic": "boolean"
+    }]
+   */
+  async getCandles(marketSymbol,candleInterval,{from,to=new Date(),type='TRADE',gaps='flag',concurrency=4}={}){
+    if (!marketSymbol) throw new BittrexValidationError('marketSymbol is required',{field:'marketSymbol'})
+    intervalMs(candleInterval)
+    const start = new Date(from).getTime()
+    const end = new Date(to).getTime()
+    if (from === undefined || from === null || isNaN(start)) throw new BittrexValidationError('from must be a valid date',{field:'from'})
+    if (isNaN(end) || end <= start) throw new BittrexValidationError('to must be a valid date after from',{field:'to'})
+    const now = Date.now()
+    const windows = candleWindows(candleInterval,start,end)
+    const fetches = windows.filter(window => window.end <= now)
+      .map(({year,month,day}) => () => this.getCandlesHistorical(marketSymbol,candleInterval,year,month,day,type))
+    if (fetches.length < windows.length) fetches.push(() => this.getCandlesRecent(marketSymbol,candleInterval,type))
+    const pages = await mapConcurrent(fetches,concurrency,fetch => fetch())
+    const zero = convertNumbers({volume:'0'},this._numeric).volume
+    return stitchCandles([].concat(...pages),candleInterval,{from:start,to:end,gaps,zero})
+  }
+
   /*-------------------------------------------------------------------------*
    * Authenticated API Calls
    *-------------------------------------------------------------------------*/
@@ -237,7 +441,7 @@ class BittrexClient {
    * @param  {Number} quantity - (double) Required if type=['LIMIT'|'MARKET']. Excluded if type=['CEILING_LIMIT'|'CEILING_MARKET'].
    * @param  {Number} ceiling - (double) Required if type=['CEILING_LIMIT'|'CEILING_MARKET']. Excluded if type=['LIMIT'|'MARKET'].
    * @param  {Number} limit - (double) Order price. Required if type=['LIMIT'|'CEILING_LIMIT']. Excluded if type=['MARKET'|'CEILING_MARKET']
-   * @param  {String} timeInForce='INSTANT' - Required. Must be: ['GOOD_TIL_CANCELLED'|'IMMEDIATE_OR_CANCEL'|'FILL_OR_KILL'|'POST_ONLY_GOOD_TIL_CANCELLED'|'BUY_NOW'|'INSTANT']
+   * @param  {String} timeInForce='IMMEDIATE_OR_CANCEL' - Optional. Must be: ['GOOD_TIL_CANCELLED'|'IMMEDIATE_OR_CANCEL'|'FILL_OR_KILL'|'POST_ONLY_GOOD_TIL_CANCELLED'|'BUY_NOW'|'INSTANT']
    * @param  {String} clientOrderId - Optional. UUID-formatted string for advanced order tracking. Will be randomly generated by default.
    * @param  {Boolean} useAwards=false - Optional. Set useAwards=true to use Bittrex credits to pay transaction fee.
    * @returns  {Promise} - {
@@ -264,22 +468,61 @@ class BittrexClient {
     }
    */
   async sendOrder(marketSymbol,direction,type,{quantity,ceiling,limit}={},timeInForce='IMMEDIATE_OR_CANCEL',clientOrderId=uuid(),useAwards=false){
-    if (!marketSymbol) throw new Error('marketSymbol is required')
-    if (['BUY','SELL'].indexOf(direction) === -1) throw new Error('direction must be either \'BUY\' or \'SELL\'')
-    if (['LIMIT','MARKET','CEILING_LIMIT','CEILING_MARKET'].indexOf(type) === -1) throw new Error('type must be either: [\'LIMIT\'|\'MARKET\'|\'CEILING_LIMIT\'|\'CEILING_MARKET\']')
-    if (['LIMIT','MARKET'].indexOf(type) >= 0 && !quantity) throw new Error('quantity must be included if type=[\'MARKET\'|\'LIMIT\']')
-    if (['LIMIT','MARKET'].indexOf(type) >= 0 && ceiling) throw new Error('Do not specify ceiling if type=[\'MARKET\'|\'LIMIT\']')
-    if (['CEILING_LIMIT','CEILING_MARKET'].indexOf(type) >=0 && !ceiling) throw new Error('ceiling must be included if type=[\'CEILING_MARKET\'|\'CEILING_LIMIT\']')
-    if (['CEILING_LIMIT','CEILING_MARKET'].indexOf(type) >=0 && quantity) throw new Error('Do not specify quantity if type=[\'CEILING_MARKET\'|\'CEILING_LIMIT\']')
-    if (['CEILING_LIMIT','LIMIT'].indexOf(type) >=0 && !limit) throw new Error('limit must be included if type=[\'LIMIT\'|\'CEILING_LIMIT\']')
-    if (['MARKET','CEILING_MARKET'].indexOf(type) >=0 && limit) throw new Error('Do not specify limit if type=[\'MARKET\'|\'CEILING_MARKET\']')
-    if (['MARKET','CEILING_MARKET'].indexOf(type) === -1 && !timeInForce) timeInForce = 'GOOD_TIL_CANCELLED'
-    const requestBody = {marketSymbol,direction,type,quantity,ceiling,limit,timeInForce,clientOrderId,useAwards}
+    const requestBody = await this.buildOrder({marketSymbol,direction,type,quantity,ceiling,limit,timeInForce,clientOrderId,useAwards})
     const query = ''
-    const results = await this.requestAuth('POST','/orders',query,requestBody)
+    if (this._switch) this._switch.track(clientOrderId,this._subaccountId)
+    let results
+    try{
+      results = await this.requestAuth('POST','/orders',query,requestBody)
+    }
+    catch(error){
+      // without a response the order may still have been placed
+      if (this._switch && !(error instanceof BittrexNetworkError)) this._switch.forget(clientOrderId)
+      throw error
+    }
+    if (this._switch) this._switch.update(results)
     return results
   }
 
+  /**
+   * @method getOrder - Retrieve a single order by its exchange id, whether open or closed. Returns an Order object.
+   * @param  {String} orderId - Required. UUID-formatted exchange order id, as returned in Order.id.
+   * @returns {Promise} - Order object, see sendOrder.
+   */
+  async getOrder(orderId){
+    if (!orderId) throw new BittrexValidationError('orderId is required',{field:'orderId'})
+    const order = await this.requestAuth('GET',`/orders/${orderId}`)
+    if (this._switch) this._switch.update(order)
+    return order
+  }
+
+  /**
+   * @method waitForOrder - Poll an order until it reaches a terminal state. Resolves with the final Order object.
+   * Rejects with code 'WAIT_TIMEOUT' after timeout, 'ABORTED' when the signal is aborted, and, for until='FILLED', 'ORDER_NOT_FILLED' if the order closes before it is completely filled.
+   * @param  {String} orderId - Required. UUID-formatted exchange order id.
+   * @param  {Number} timeout=60000 - Optional. Milliseconds before giving up.
+   * @param  {Number} pollInterval=1000 - Optional. Milliseconds between polls.
+   * @param  {String} until='CLOSED' - Optional. Must be: ['CLOSED'|'FILLED']
+   * @param  {AbortSignal} signal - Optional. Stops waiting when aborted.
+   * @returns {Promise} - Order object, see sendOrder.
+   */
+  async waitForOrder(orderId,{timeout=60000,pollInterval=1000,until='CLOSED',signal}={}){
+    if (!orderId) throw new BittrexValidationError('orderId is required',{field:'orderId'})
+    if (['CLOSED','FILLED'].indexOf(until) === -1) throw new BittrexValidationError('until must be either \'CLOSED\' or \'FILLED\'',{field:'until'})
+    const deadline = Date.now()+timeout
+    for (;;){
+      if (signal && signal.aborted) throw new BittrexError(`stopped waiting for order ${orderId}`,{code:'ABORTED'})
+      const order = await this.getOrder(orderId)
+      if (order.status === 'CLOSED'){
+        if (until === 'FILLED' && !this.isFilled(order)) throw new BittrexError(`order ${orderId} closed before it was filled`,{code:'ORDER_NOT_FILLED',data:order})
+        return order
+      }
+      const remaining = deadline-Date.now()
+      if (remaining <= 0) throw new BittrexError(`order ${orderId} still ${order.status} after ${timeout}ms`,{code:'WAIT_TIMEOUT',data:order})
+      await sleep(Math.min(pollInterval,remaining),signal)
+    }
+  }
+
   /**
    * @method openOrders - List open orders. May be narrowed by specifying either market or clientOrderId. Returns an array of Order objects or a single Order object.
    * @param {String} marketSymbol - Optional. Example: 'BTC-USD'
@@ -345,7 +588,8 @@ class BittrexClient {
    */
   async cancelOrder(clientOrderId='open',marketSymbol){
     const query = {marketSymbol}
-    const results = this.requestAuth('DELETE',`/orders/${clientOrderId}`,query)
+    const results = await this.requestAuth('DELETE',`/orders/${clientOrderId}`,query)
+    if (this._switch && !Array.isArray(results)) this._switch.update(results)
     return results
   }
 
@@ -388,6 +632,277 @@ class BittrexClient {
     return results
   }
 
+  /**
+   * @method iterateOrderHistory - Async iterator over every closed order, newest first, fetching further pages as needed.
+   * @param  {String} marketSymbol - Optional. Example: 'BTC-USD'
+   * @param  {Date} startDate - DateTime. Optional. Stop at orders closed before this date-time.
+   * @param  {Date} endDate - DateTime. Optional. Skip orders closed after this date-time.
+   * @param  {Number} pageSize=200 - Integer. [1-200] Optional. Number of orders fetched per request.
+   * @returns {AsyncIterator} - yields Order objects. Use with `for await`, or drain with collect().
+   */
+  iterateOrderHistory({marketSymbol,startDate,endDate,pageSize}={}){
+    const fetchPage = query => this.getOrderHistory(query.marketSymbol,query.nextPageToken,undefined,query.pageSize,query.startDate,query.endDate)
+    return paginate(fetchPage,{marketSymbol,startDate,endDate,pageSize},order => order.closedAt)
+  }
+
+  /**
+   * @method iterateExecutions - Async iterator over every execution (trade fill) on the account, newest first.
+   * @param  {String} marketSymbol - Optional. Example: 'BTC-USD'
+   * @param  {Date} startDate - DateTime. Optional. Stop at executions before this date-time.
+   * @param  {Date} endDate - DateTime. Optional. Skip executions after this date-time.
+   * @param  {Number} pageSize=200 - Integer. [1-200] Optional. Number of executions fetched per request.
+   * @returns {AsyncIterator} - yields Execution objects.
+   */
+  iterateExecutions({marketSymbol,startDate,endDate,pageSize}={}){
+    const fetchPage = query => this.getExecutions(query.marketSymbol,query)
+    return paginate(fetchPage,{marketSymbol,startDate,endDate,pageSize},execution => execution.executedAt)
+  }
+
+  /**
+   * @method getOrderExecutions - Retrieve the executions (fills) of a single order. Returns an array of Execution objects.
+   * @param  {String} orderId - Required. UUID-formatted exchange order id.
+   * @returns {Promise} - [{
+    "id": "string (uuid)",
+    "marketSymbol": "string",
+    "executedAt": "string (date-time)",
+    "quantity": "number (double)",
+    "rate": "number (double)",
+    "orderId": "string (uuid)",
+    "commission": "number (double)",
+    "isTaker": "boolean"
+    }]
+   */
+  async getOrderExecutions(orderId){
+    if (!orderId) throw new BittrexValidationError('orderId is required',{field:'orderId'})
+    return this.requestAuth('GET',`/orders/${orderId}/executions`)
+  }
+
+  /**
+   * @method getExecutions - Retrieve executions (fills) on the account, newest first. Returns an array of Execution objects.
+   * @param  {String} marketSymbol - Optional. Example: 'BTC-USD'
+   * @param  {String} nextPageToken - Optional. Id of the last execution of the previous page.
+   * @param  {String} previousPageToken - Optional. Id of the first execution of the next page.
+   * @param  {Number} pageSize - Integer. [1-200] Optional. Default 100.
+   * @param  {Date} startDate - DateTime. Optional. Filter out executions before this date-time.
+   * @param  {Date} endDate - DateTime. Optional. Filter out executions after this date-time.
+   * @returns {Promise} - [{
+    "id": "string (uuid)",
+    "marketSymbol": "string",
+    "executedAt": "string (date-time)",
+    "quantity": "number (double)",
+    "rate": "number (double)",
+    "orderId": "string (uuid)",
+    "commission": "number (double)",
+    "isTaker": "boolean"
+    }]
+   */
+  async getExecutions(marketSymbol,{nextPageToken,previousPageToken,pageSize,startDate,endDate}={}){
+    const query = {marketSymbol,nextPageToken,previousPageToken,pageSize,startDate,endDate}
+    return this.requestAuth('GET','/executions',query)
+  }
+
+  /**
+   * @method getExecution - Retrieve a single execution. Returns an Execution object.
+   * @param  {String} executionId - Required. UUID-formatted string.
+   * @returns {Promise} - {
+    "id": "string (uuid)",
+    "marketSymbol": "string",
+    "executedAt": "string (date-time)",
+    "quantity": "number (double)",
+    "rate": "number (double)",
+    "orderId": "string (uuid)",
+    "commission": "number (double)",
+    "isTaker": "boolean"
+    }
+   */
+  async getExecution(executionId){
+    if (!executionId) throw new BittrexValidationError('executionId is required',{field:'executionId'})
+    return this.requestAuth('GET',`/executions/${executionId}`)
+  }
+
+  /**
+   * @method getLastExecutionId - Retrieve the id of the most recent execution on the account, to cheaply check for new fills. Returns an object.
+   * @returns {Promise} - { "lastId": "string (uuid)" }
+   */
+  async getLastExecutionId(){
+    return this.requestAuth('GET','/executions/last-id')
+  }
+
+  /**
+   * @method batch - Place and cancel several orders in a single request. Operations are validated like sendOrder before anything is sent. Returns one result per operation, in order.
+   * @param  {Array} operations - Required. [{ operation: ['POST'|'DELETE'], payload }]. For POST, payload is an order as passed to sendOrder:
+   * { marketSymbol, direction, type, quantity, ceiling, limit, timeInForce, clientOrderId, useAwards }. For DELETE, payload is { id }.
+   * @returns {Promise} - [{
+    "status": "integer (int32)",
+    "payload": "Order object, or error object { code, detail, data }"
+    }]
+   */
+  async batch(operations){
+    if (!Array.isArray(operations) || operations.length === 0) throw new BittrexValidationError('operations must be a non-empty array',{field:'operations'})
+    const requestBody = []
+    for (const {resource='ORDER',operation,payload={}} of operations){
+      if (resource !== 'ORDER') throw new BittrexValidationError('resource must be \'ORDER\'',{field:'resource'})
+      if (operation === 'POST'){
+        const order = Object.assign({timeInForce:'IMMEDIATE_OR_CANCEL',clientOrderId:uuid(),useAwards:false},payload)
+        requestBody.push({resource,operation,payload:await this.buildOrder(order)})
+      }
+      else if (operation === 'DELETE'){
+        if (!payload.id) throw new BittrexValidationError('payload.id is required for DELETE operations',{field:'id'})
+        requestBody.push({resource,operation,payload:{id:payload.id}})
+      }
+      else throw new BittrexValidationError('operation must be either \'POST\' or \'DELETE\'',{field:'operation'})
+    }
+    if (!this._switch) return this.requestAuth('POST','/batch','',requestBody)
+    const clientOrderIds = requestBody.filter(({operation}) => operation === 'POST').map(({payload}) => payload.clientOrderId)
+    clientOrderIds.forEach(clientOrderId => this._switch.track(clientOrderId,this._subaccountId))
+    let results
+    try{
+      results = await this.requestAuth('POST','/batch','',requestBody)
+    }
+    catch(error){
+      if (!(error instanceof BittrexNetworkError)) clientOrderIds.forEach(clientOrderId => this._switch.forget(clientOrderId))
+      throw error
+    }
+    if (Array.isArray(results)) results.forEach(result => this._switch.update(result && result.payload))
+    return results
+  }
+
+  /// Conditional orders:
+
+  /**
+   * @method sendConditionalOrder - Create a conditional order: when the market's price crosses the trigger, orderToCreate is placed and/or orderToCancel is cancelled.
+   * A stop-loss on a long position is operand 'LTE' with a SELL orderToCreate; a take-profit is 'GTE'. Pair both with orderToCancel pointing at each other for OCO. Returns a ConditionalOrder object.
+   * @param  {String} marketSymbol - Required. Example: 'BTC-USD'
+   * @param  {String} operand - Required. Must be: ['LTE'|'GTE']. Trigger when the price is less/greater than or equal to the trigger.
+   * @param  {Number} triggerPrice - (double) Required unless trailingStopPercent is given.
+   * @param  {Number} trailingStopPercent - (double) Required unless triggerPrice is given. Makes the order a trailing stop.
+   * @param  {Object} orderToCreate - Optional. Order to place when triggered, as passed to sendOrder (marketSymbol defaults to this order's market).
+   * @param  {Object} orderToCancel - Optional. { type: ['ORDER'|'CONDITIONAL_ORDER'], id } to cancel when triggered.
+   * @param  {String} clientConditionalOrderId - Optional. UUID-formatted string. Will be randomly generated by default.
+   * @returns {Promise} - {
+    "id": "string (uuid)",
+    "marketSymbol": "string",
+    "operand": "string",
+    "triggerPrice": "number (double)",
+    "trailingStopPercent": "number (double)",
+    "createdOrderId": "string (uuid)",
+    "orderToCreate": "NewOrder object",
+    "orderToCancel": { "type": "string", "id": "string (uuid)" },
+    "clientConditionalOrderId": "string (uuid)",
+    "status": "string",
+    "orderCreationErrorCode": "string",
+    "createdAt": "string (date-time)",
+    "updatedAt": "string (date-time)",
+    "closedAt": "string (date-time)"
+    }
+   */
+  async sendConditionalOrder(marketSymbol,operand,{triggerPrice,trailingStopPercent}={},{orderToCreate,orderToCancel,clientConditionalOrderId=uuid()}={}){
+    if (!marketSymbol) throw new BittrexValidationError('marketSymbol is required',{field:'marketSymbol'})
+    if (['LTE','GTE'].indexOf(operand) === -1) throw new BittrexValidationError('operand must be either \'LTE\' or \'GTE\'',{field:'operand'})
+    if (!triggerPrice && !trailingStopPercent) throw new BittrexValidationError('either triggerPrice or trailingStopPercent must be included',{field:'triggerPrice'})
+    if (triggerPrice && trailingStopPercent) throw new BittrexValidationError('Do not specify both triggerPrice and trailingStopPercent',{field:'trailingStopPercent'})
+    if (!orderToCreate && !orderToCancel) throw new BittrexValidationError('either orderToCreate or orderToCancel must be included',{field:'orderToCreate'})
+    if (orderToCancel && (['ORDER','CONDITIONAL_ORDER'].indexOf(orderToCancel.type) === -1 || !orderToCancel.id)) throw new BittrexValidationError('orderToCancel must be {type:[\'ORDER\'|\'CONDITIONAL_ORDER\'],id}',{field:'orderToCancel'})
+    if (orderToCreate) orderToCreate = await this.buildOrder(Object.assign({marketSymbol,timeInForce:'IMMEDIATE_OR_CANCEL',clientOrderId:uuid(),useAwards:false},orderToCreate))
+    triggerPrice = this.formatDecimal(triggerPrice,'triggerPrice')
+    trailingStopPercent = this.formatDecimal(trailingStopPercent,'trailingStopPercent')
+    const requestBody = {marketSymbol,operand,triggerPrice,trailingStopPercent,orderToCreate,orderToCancel,clientConditionalOrderId}
+    return this.requestAuth('POST','/conditional-orders','',requestBody)
+  }
+
+  /**
+   * @method getConditionalOrder - Retrieve a single conditional order. Returns a ConditionalOrder object.
+   * @param  {String} conditionalOrderId - Required. UUID-formatted string.
+   * @returns {Promise} - ConditionalOrder object, see sendConditionalOrder.
+   */
+  async getConditionalOrder(conditionalOrderId){
+    if (!conditionalOrderId) throw new BittrexValidationError('conditionalOrderId is required',{field:'conditionalOrderId'})
+    return this.requestAuth('GET',`/conditional-orders/${conditionalOrderId}`)
+  }
+
+  /**
+   * @method getOpenConditionalOrders - List open conditional orders. Returns an array of ConditionalOrder objects.
+   * @param  {String} marketSymbol - Optional. Example: 'BTC-USD'
+   * @returns {Promise} - [ConditionalOrder objects, see sendConditionalOrder]
+   */
+  async getOpenConditionalOrders(marketSymbol){
+    return this.requestAuth('GET','/conditional-orders/open',{marketSymbol})
+  }
+
+  /**
+   * @method getClosedConditionalOrders - List closed conditional orders, newest first. Returns an array of ConditionalOrder objects.
+   * @param  {String} marketSymbol - Optional. Example: 'BTC-USD'
+   * @param  {String} nextPageToken - Optional. Id of the last conditional order of the previous page.
+   * @param  {String} previousPageToken - Optional. Id of the first conditional order of the next page.
+   * @param  {Number} pageSize - Integer. [1-200] Optional. Default 100.
+   * @param  {Date} startDate - DateTime. Optional.
+   * @param  {Date} endDate - DateTime. Optional.
+   * @returns {Promise} - [ConditionalOrder objects, see sendConditionalOrder]
+   */
+  async getClosedConditionalOrders(marketSymbol,{nextPageToken,previousPageToken,pageSize,startDate,endDate}={}){
+    const query = {marketSymbol,nextPageToken,previousPageToken,pageSize,startDate,endDate}
+    return this.requestAuth('GET','/conditional-orders/closed',query)
+  }
+
+  /**
+   * @method cancelConditionalOrder - Cancel an open conditional order. Returns a ConditionalOrder object.
+   * @param  {String} conditionalOrderId - Required. UUID-formatted string.
+   * @returns {Promise} - ConditionalOrder object, see sendConditionalOrder.
+   */
+  async cancelConditionalOrder(conditionalOrderId){
+    if (!conditionalOrderId) throw new BittrexValidationError('conditionalOrderId is required',{field:'conditionalOrderId'})
+    return this.requestAuth('DELETE',`/conditional-orders/${conditionalOrderId}`)
+  }
+
+  /// Algorithmic execution:
+
+  /**
+   * @method twap - Execute a quantity in equal slices at even intervals over a duration. Each slice is an IMMEDIATE_OR_CANCEL limit order
+   * at the best opposite price of the order book (never worse than limit); unfilled quantity rolls over to the following slices.
+   * Returns a running Execution: listen for 'order', 'fill', 'progress' and 'done', call cancel() to stop, and await done for the summary.
+   * @param  {String} marketSymbol - Required. Example: 'BTC-USD'
+   * @param  {String} direction - Required. Must be: ['BUY'|'SELL']
+   * @param  {Number} quantity - Required. Total quantity.
+   * @param  {Number} duration - Required. Milliseconds from the first slice to the last.
+   * @param  {Number} slices=10 - Optional. Number of child orders.
+   * @param  {Number} limit - Optional. Worst price a slice may trade at.
+   * @returns {Execution} - summary(), see Execution: { strategy, status, quantity, filledQuantity, remainingQuantity, averagePrice, proceeds, commission, orders, ... }
+   */
+  twap(marketSymbol,direction,quantity,{duration,slices,limit}={}){
+    return new TwapExecution(this,{marketSymbol,direction,quantity,duration,slices,limit,numeric:this._numeric}).start()
+  }
+
+  /**
+   * @method iceberg - Execute a quantity at a limit price showing only visibleQuantity at a time; the next child order is placed when the previous one closes.
+   * Returns a running Execution, see twap.
+   * @param  {String} marketSymbol - Required. Example: 'BTC-USD'
+   * @param  {String} direction - Required. Must be: ['BUY'|'SELL']
+   * @param  {Number} quantity - Required. Total quantity.
+   * @param  {Number} limit - Required. Price of every child order.
+   * @param  {Number} visibleQuantity - Required. Quantity of each child order.
+   * @param  {Number} pollInterval=1000 - Optional. Milliseconds between checks of the resting child.
+   * @returns {Execution}
+   */
+  iceberg(marketSymbol,direction,quantity,{limit,visibleQuantity,pollInterval}={}){
+    return new IcebergExecution(this,{marketSymbol,direction,quantity,limit,visibleQuantity,pollInterval,numeric:this._numeric}).start()
+  }
+
+  /**
+   * @method ladder - Split a quantity into GOOD_TIL_CANCELLED limit orders at prices spread evenly between two prices, rounded to the market's precision.
+   * The execution finishes when every order has closed. Returns a running Execution, see twap.
+   * @param  {String} marketSymbol - Required. Example: 'BTC-USD'
+   * @param  {String} direction - Required. Must be: ['BUY'|'SELL']
+   * @param  {Number} quantity - Required. Total quantity.
+   * @param  {Number} from - Required. Price of the first order.
+   * @param  {Number} to - Required. Price of the last order.
+   * @param  {Number} orders=5 - Optional. Number of orders.
+   * @param  {Number} pollInterval=1000 - Optional. Milliseconds between checks of resting orders.
+   * @returns {Execution}
+   */
+  ladder(marketSymbol,direction,quantity,{from,to,orders,pollInterval}={}){
+    return new LadderExecution(this,{marketSymbol,direction,quantity,from,to,orders,pollInterval,numeric:this._numeric}).start()
+  }
+
 
   /// User/Account:
 
@@ -406,6 +921,50 @@ class BittrexClient {
     return results
   }
 
+  /**
+   * @method portfolio - Value every balance in one quote currency, using ticker prices and routing through intermediate markets (e.g. XYZ-BTC then BTC-USD)
+   * when no direct market exists. Pending deposits and open withdrawals are valued and reported separately; they are not part of total.
+   * Amounts are Big instances in 'decimal' numeric mode, plain decimal strings otherwise.
+   * @param {String} quote='USD' - Optional. Currency to value the portfolio in.
+   * @param {String} price='last' - Optional. Ticker rate used: ['last'|'bid'|'ask'|'mid'].
+   * @param {Number} maxHops=3 - Optional. Longest chain of markets used to reach the quote currency.
+   * @returns {Promise} - {
+    "quote": "string",
+    "total": "number (double)",
+    "available": "number (double)",
+    "reserved": "number (double)",
+    "pendingDeposits": "number (double)",
+    "pendingWithdrawals": "number (double)",
+    "assets": [{
+      "currencySymbol": "string",
+      "total": "number (double)",
+      "available": "number (double)",
+      "reserved": "number (double)",
+      "pendingDeposit": "number (double)",
+      "pendingWithdrawal": "number (double)",
+      "price": "number (double)",
+      "value": "number (double)",
+      "reservedValue": "number (double)",
+      "allocation": "number (double), percent of total",
+      "route": ["string"]
+    }],
+    "unpriced": ["string"],
+    "updatedAt": "string (date-time)"
+    }
+   */
+  async portfolio({quote='USD',price='last',maxHops=3}={}){
+    const [balances,markets,tickers,deposits,withdrawals] = await Promise.all([
+      this.balance(),
+      this.markets(),
+      this.ticker(),
+      this.depositHistory(undefined,true),
+      this.withdrawalHistory(true)
+    ])
+    const result = valuePortfolio({quote,price,maxHops,balances,markets,tickers,deposits,withdrawals})
+    result.updatedAt = new Date().toISOString()
+    return presentDecimals(result,this._numeric)
+  }
+
   /**
    * @method getNewDepositAddress - Request a new deposit address for specified currencySymbol. Returns an address object.
    * @param {String} currencySymbol - Required. Example: 'BTC'
@@ -417,9 +976,8 @@ class BittrexClient {
   }
   */
   async getNewDepositAddress(currencySymbol){
-    if (!currencySymbol) throw new Error('currencySymbol is required')
-    const query = {currencySymbol}
-    return this.requestAuth('POST','/addresses',query)
+    if (!currencySymbol) throw new BittrexValidationError('currencySymbol is required',{field:'currencySymbol'})
+    return this.requestAuth('POST','/addresses',{},{currencySymbol})
   }
 
   /**
@@ -436,13 +994,78 @@ class BittrexClient {
     return this.requestAuth('GET',`/addresses/${currencySymbol}`)
   }
 
+  /**
+   * @method getAccount - Retrieve the account (or, with a sub-account selected, the sub-account) the credentials belong to.
+   * @returns {Promise} - {
+    "subaccountId": "string (uuid)",
+    "accountId": "string (uuid)",
+    "actionsNeeded": ["string"]
+    }
+   */
+  async getAccount(){
+    return this.requestAuth('GET','/account')
+  }
+
+  /**
+   * @method getTradingFees - Retrieve the commission rates that apply to the account, for one market or all of them.
+   * Returns a CommissionRatesWithMarket object or an array of them.
+   * @param {String} marketSymbol - Optional. Example: 'BTC-USD'
+   * @returns {Promise} - [{
+    "marketSymbol": "string",
+    "makerRate": "number (double)",
+    "takerRate": "number (double)"
+    }]
+   */
+  async getTradingFees(marketSymbol){
+    return this.requestAuth('GET',marketSymbol ? `/account/fees/trading/${marketSymbol}` : '/account/fees/trading')
+  }
+
+  /**
+   * @method getVolume - Retrieve the account's trading volume over the last 30 days, which sets its fee tier.
+   * @returns {Promise} - {
+    "updated": "string (date-time)",
+    "volume30days": "number (double)"
+    }
+   */
+  async getVolume(){
+    return this.requestAuth('GET','/account/volume')
+  }
+
+  /**
+   * @method getMarketPermissions - Retrieve what the account may do on one market or all of them.
+   * @param {String} marketSymbol - Optional. Example: 'BTC-USD'
+   * @returns {Promise} - [{
+    "symbol": "string",
+    "view": "boolean",
+    "buy": "boolean",
+    "sell": "boolean"
+    }]
+   */
+  async getMarketPermissions(marketSymbol){
+    return this.requestAuth('GET',marketSymbol ? `/account/permissions/markets/${marketSymbol}` : '/account/permissions/markets')
+  }
+
+  /**
+   * @method getCurrencyPermissions - Retrieve how the account may deposit and withdraw one currency or all of them.
+   * @param {String} currencySymbol - Optional. Example: 'BTC'
+   * @returns {Promise} - [{
+    "symbol": "string",
+    "view": "boolean",
+    "deposit": { "blockchain": "boolean", "creditCard": "boolean", "wireTransfer": "boolean", "ach": "boolean" },
+    "withdraw": { "blockchain": "boolean", "wireTransfer": "boolean", "ach": "boolean" }
+    }]
+   */
+  async getCurrencyPermissions(currencySymbol){
+    return this.requestAuth('GET',currencySymbol ? `/account/permissions/currencies/${currencySymbol}` : '/account/permissions/currencies')
+  }
+
 
   /**
    * @method requestWithdrawal - Start a new withdrawal. Returns a Withdrawal object.
    * @param  {String} currencySymbol - Required. Example: 'BTC'
    * @param  {Number} quantity - (Double) Required.
    * @param  {String} cryptoAddress - Required.
-   * @param  {String} cryptoAdressTag - Optional. Required for certain currencies.
+   * @param  {String} cryptoAddressTag - Optional. Required for certain currencies. The misspelt cryptoAdressTag is still accepted.
    * @param  {String} clientWithdrawalId - Optional. Client-provided UUID-formatted string, needed to cancel withdrawal.
    * @returns {Promise} - {
     "id": "string (uuid)",
@@ -458,11 +1081,12 @@ class BittrexClient {
     "clientWithdrawalId": "string (uuid)"
     }
    */
-  async requestWithdrawal(currencySymbol,quantity,cryptoAddress,{cryptoAdressTag,clientWithdrawalId=uuid()}={}){
-    if (!currencySymbol) throw new Error('currencySymbol is required')
-    if (!quantity) throw new Error('quantity is required')
-    if (!cryptoAddress) throw new Error('address is required')
-    const requestBody = {currencySymbol,quantity,cryptoAddress,cryptoAdressTag,clientWithdrawalId}
+  async requestWithdrawal(currencySymbol,quantity,cryptoAddress,{cryptoAddressTag,cryptoAdressTag,clientWithdrawalId=uuid()}={}){
+    if (!currencySymbol) throw new BittrexValidationError('currencySymbol is required',{field:'currencySymbol'})
+    if (!quantity) throw new BittrexValidationError('quantity is required',{field:'quantity'})
+    if (!cryptoAddress) throw new BittrexValidationError('cryptoAddress is required',{field:'cryptoAddress'})
+    quantity = this.formatDecimal(quantity,'quantity')
+    const requestBody = {currencySymbol,quantity,cryptoAddress,cryptoAddressTag:cryptoAddressTag || cryptoAdressTag,clientWithdrawalId}
     const results = await this.requestAuth('POST','/withdrawals','',requestBody)
     return results
   }
@@ -472,6 +1096,11 @@ class BittrexClient {
    * @param  {Boolean} open=true - Optional. Retrieve open withdrawals if true, or closed withdrawals if false.
    * @param  {String} currencySymbol - Optional. Example: 'BTC'
    * @param  {String} status - Optional. Filter by status: ['REQUESTED'|'AUTHORIZED'|'PENDING'|'ERROR_INVALID_ADDRESS'] for open withdrawals, or ['COMPLETED'|'CANCELLED'] for closed withdrawals.
+   * @param  {String} nextPageToken - Optional. Closed withdrawals only. Id of the last withdrawal of the previous page.
+   * @param  {String} previousPageToken - Optional. Closed withdrawals only. Id of the first withdrawal of the next page.
+   * @param  {Number} pageSize - Integer. [1-200] Optional. Closed withdrawals only. Default 100.
+   * @param  {Date} startDate - DateTime. Optional. Closed withdrawals only.
+   * @param  {Date} endDate - DateTime. Optional. Closed withdrawals only.
    * @returns {Promise} - [{
     "id": "string (uuid)",
     "currencySymbol": "string",
@@ -486,14 +1115,28 @@ class BittrexClient {
     "clientWithdrawalId": "string (uuid)"
     }]
    */
-  async withdrawalHistory(open=true,{currencySymbol,status}={}){
-    const query = {currencySymbol,status}
+  async withdrawalHistory(open=true,{currencySymbol,status,nextPageToken,previousPageToken,pageSize,startDate,endDate}={}){
+    const query = {currencySymbol,status,nextPageToken,previousPageToken,pageSize,startDate,endDate}
     let results
     if (open) results = await this.requestAuth('GET','/withdrawals/open',query)
     else results = await this.requestAuth('GET','/withdrawals/closed',query)
     return results
   }
 
+  /**
+   * @method iterateClosedWithdrawals - Async iterator over every closed withdrawal, newest first.
+   * @param  {String} currencySymbol - Optional. Example: 'BTC'
+   * @param  {String} status - Optional. ['COMPLETED'|'CANCELLED']
+   * @param  {Date} startDate - DateTime. Optional. Stop at withdrawals before this date-time.
+   * @param  {Date} endDate - DateTime. Optional. Skip withdrawals after this date-time.
+   * @param  {Number} pageSize=200 - Integer. [1-200] Optional. Number of withdrawals fetched per request.
+   * @returns {AsyncIterator} - yields Withdrawal objects.
+   */
+  iterateClosedWithdrawals({currencySymbol,status,startDate,endDate,pageSize}={}){
+    const fetchPage = query => this.withdrawalHistory(false,query)
+    return paginate(fetchPage,{currencySymbol,status,startDate,endDate,pageSize},withdrawal => withdrawal.completedAt || withdrawal.createdAt)
+  }
+
   /**
    * @method cancelWithdrawal - Cancel an open withdrawal request. Only works if Withdrawal.status==['REQUESTED'|'AUTHORIZED'|'ERROR_INVALID_ADDRESS']. Returns a Withdrawal object.
    * @param  {String} withdrawalId - Required. UUID-formatted string matching clientWithdrawalId that was provided when requesting withdrawal.
@@ -512,15 +1155,36 @@ class BittrexClient {
     }
    */
   async cancelWithdrawal(withdrawalId){
-    if (!withdrawalId) throw new Error('withdrawalId is required')
+    if (!withdrawalId) throw new BittrexValidationError('withdrawalId is required',{field:'withdrawalId'})
     const results = await this.requestAuth('DELETE',`/withdrawals/${withdrawalId}`)
     return results
   }
 
+  /**
+   * @method getAllowedAddresses - List the addresses on the account's withdrawal whitelist. When the whitelist is enabled, withdrawals may only go to these.
+   * @returns {Promise} - [{
+    "currencySymbol": "string",
+    "createdAt": "string (date-time)",
+    "status": "string",
+    "activeAt": "string (date-time)",
+    "cryptoAddress": "string",
+    "cryptoAddressTag": "string"
+    }]
+   */
+  async getAllowedAddresses(){
+    return this.requestAuth('GET','/withdrawals/allowed-addresses')
+  }
+
   /**
    * @method depositHistory - Retrieve list of deposts. Can filter by pending|completed or by currencySymbol. Returns an array of Deposit objects.
    * @param {String} [currencySymbol] - Optional. Example: 'BTC'
    * @param {Boolean} pending=false - Optional. true will return pending deposits. false will return completed deposits.
+   * @param {String} status - Optional. Filter by status.
+   * @param {String} nextPageToken - Optional. Completed deposits only. Id of the last deposit of the previous page.
+   * @param {String} previousPageToken - Optional. Completed deposits only. Id of the first deposit of the next page.
+   * @param {Number} pageSize - Integer. [1-200] Optional. Completed deposits only. Default 100.
+   * @param {Date} startDate - DateTime. Optional. Completed deposits only.
+   * @param {Date} endDate - DateTime. Optional. Completed deposits only.
    * @returns {Promise} - [{
     "id": "string (uuid)",
     "currencySymbol": "string",
@@ -535,32 +1199,222 @@ class BittrexClient {
     "source": "string"
     }]
    */
-  async depositHistory(currencySymbol,pending=false){
+  async depositHistory(currencySymbol,pending=false,{status,nextPageToken,previousPageToken,pageSize,startDate,endDate}={}){
     let results
-    if (pending) results = await this.requestAuth('GET','/deposits/open',{currencySymbol})
-  else results = await this.requestAuth('GET','/deposits/closed',{currencySymbol})
-  return results
-}
+    if (pending) results = await this.requestAuth('GET','/deposits/open',{currencySymbol,status})
+    else results = await this.requestAuth('GET','/deposits/closed',{currencySymbol,status,nextPageToken,previousPageToken,pageSize,startDate,endDate})
+    return results
+  }
+
+  /**
+   * @method iterateClosedDeposits - Async iterator over every completed deposit, newest first.
+   * @param {String} currencySymbol - Optional. Example: 'BTC'
+   * @param {String} status - Optional. Filter by status.
+   * @param {Date} startDate - DateTime. Optional. Stop at deposits before this date-time.
+   * @param {Date} endDate - DateTime. Optional. Skip deposits after this date-time.
+   * @param {Number} pageSize=200 - Integer. [1-200] Optional. Number of deposits fetched per request.
+   * @returns {AsyncIterator} - yields Deposit objects.
+   */
+  iterateClosedDeposits({currencySymbol,status,startDate,endDate,pageSize}={}){
+    const fetchPage = query => this.depositHistory(query.currencySymbol,false,query)
+    return paginate(fetchPage,{currencySymbol,status,startDate,endDate,pageSize},deposit => deposit.completedAt || deposit.updatedAt)
+  }
+
+  /**
+   * @method sendTransfer - Move funds between the master account and its sub-accounts. Returns a Transfer object.
+   * From the master account, name the receiving sub-account; from a sub-account (see withSubaccount), either another sub-account or toMasterAccount.
+   * @param  {String} currencySymbol - Required. Example: 'BTC'
+   * @param  {Number} amount - (Double) Required.
+   * @param  {String} toSubaccountId - Required unless toMasterAccount. UUID-formatted string.
+   * @param  {Boolean} toMasterAccount=false - Optional.
+   * @param  {String} requestId - Optional. Client-provided UUID-formatted string; the exchange rejects a second transfer with the same one.
+   * @returns {Promise} - {
+    "toSubaccountId": "string (uuid)",
+    "toMasterAccount": "boolean",
+    "id": "string (uuid)",
+    "requestId": "string (uuid)",
+    "currencySymbol": "string",
+    "amount": "number (double)",
+    "executedAt": "string (date-time)"
+    }
+   */
+  async sendTransfer(currencySymbol,amount,{toSubaccountId,toMasterAccount=false,requestId=uuid()}={}){
+    if (!currencySymbol) throw new BittrexValidationError('currencySymbol is required',{field:'currencySymbol'})
+    if (!amount) throw new BittrexValidationError('amount is required',{field:'amount'})
+    if (!toSubaccountId === !toMasterAccount) throw new BittrexValidationError('specify either toSubaccountId or toMasterAccount',{field:'toSubaccountId'})
+    amount = this.formatDecimal(amount,'amount')
+    const requestBody = {toSubaccountId,requestId,currencySymbol,amount,toMasterAccount}
+    return this.requestAuth('POST','/transfers','',requestBody)
+  }
+
+  /**
+   * @method getTransfer - Retrieve a single transfer. Returns a Transfer object, see sendTransfer.
+   * @param  {String} transferId - Required. UUID-formatted string.
+   * @returns {Promise}
+   */
+  async getTransfer(transferId){
+    if (!transferId) throw new BittrexValidationError('transferId is required',{field:'transferId'})
+    return this.requestAuth('GET',`/transfers/${transferId}`)
+  }
+
+  /**
+   * @method transferHistory - List transfers sent or received by the account, newest first. Returns an array of Transfer objects (sent)
+   * or ReceivedTransfer objects: { fromSubaccountId, fromMasterAccount, id, requestId, currencySymbol, amount, executedAt } (received).
+   * @param  {Boolean} sent=true - Optional. Sent transfers if true, received transfers if false.
+   * @param  {String} subaccountId - Optional. Only transfers to (sent) or from (received) this sub-account.
+   * @param  {Boolean} masterAccount - Optional. Only transfers to (sent) or from (received) the master account.
+   * @param  {String} currencySymbol - Optional. Example: 'BTC'
+   * @param  {String} nextPageToken - Optional.
+   * @param  {String} previousPageToken - Optional.
+   * @param  {Number} pageSize - Integer. [1-200] Optional. Default 100.
+   * @param  {Date} startDate - DateTime. Optional.
+   * @param  {Date} endDate - DateTime. Optional.
+   * @returns {Promise}
+   */
+  async transferHistory(sent=true,{subaccountId,masterAccount,currencySymbol,nextPageToken,previousPageToken,pageSize,startDate,endDate}={}){
+    const query = sent ?
+      {toSubaccountId:subaccountId,toMasterAccount:masterAccount,currencySymbol,nextPageToken,previousPageToken,pageSize,startDate,endDate} :
+      {fromSubaccountId:subaccountId,fromMasterAccount:masterAccount,currencySymbol,nextPageToken,previousPageToken,pageSize,startDate,endDate}
+    return this.requestAuth('GET',sent ? '/transfers/sent' : '/transfers/received',query)
+  }
+
+  /**
+   * @method getSubaccounts - List the master account's sub-accounts. Returns an array of Subaccount objects.
+   * @param  {String} nextPageToken - Optional.
+   * @param  {String} previousPageToken - Optional.
+   * @param  {Number} pageSize - Integer. [1-200] Optional. Default 100.
+   * @returns {Promise} - [{
+    "id": "string (uuid)",
+    "createdAt": "string (date-time)"
+    }]
+   */
+  async getSubaccounts({nextPageToken,previousPageToken,pageSize}={}){
+    return this.requestAuth('GET','/subaccounts',{nextPageToken,previousPageToken,pageSize})
+  }
+
+  /**
+   * @method getSubaccount - Retrieve one sub-account. Returns a Subaccount object, see getSubaccounts.
+   * @param  {String} subaccountId - Required. UUID-formatted string.
+   * @returns {Promise}
+   */
+  async getSubaccount(subaccountId){
+    if (!subaccountId) throw new BittrexValidationError('subaccountId is required',{field:'subaccountId'})
+    return this.requestAuth('GET',`/subaccounts/${subaccountId}`)
+  }
+
+  /**
+   * @method createSubaccount - Create a sub-account under the master account. Returns a Subaccount object, see getSubaccounts.
+   * @returns {Promise}
+   */
+  async createSubaccount(){
+    return this.requestAuth('POST','/subaccounts','',{})
+  }
+
+  /**
+   * @method pnlReport - Pull the full account history and compute realized and unrealized P&L per currency in one reporting currency.
+   * Trades on markets quoted in another currency, and deposits, are valued at the daily close (DAY_1 candles) along a route to the reporting currency;
+   * open positions at the last ticker rate. Amounts are Big instances in 'decimal' numeric mode, plain decimal strings otherwise. Export with exportReport().
+   * @param {String} method='FIFO' - Optional. Cost-basis method: ['FIFO'|'LIFO'|'AVERAGE'].
+   * @param {String} quote='USD' - Optional. Reporting currency.
+   * @param {Date} startDate - DateTime. Optional. Report disposals at or after this date-time. Earlier history is still used for cost bases.
+   * @param {Date} endDate - DateTime. Optional. Ignore history after this date-time.
+   * @param {String} depositBasis='market' - Optional. ['market'|'zero'] cost basis of deposited coins.
+   * @param {Function} convert - Optional. (currencySymbol, time) => rate in the reporting currency. Replaces the candle lookup.
+   * @param {Number} maxItems=Infinity - Optional. Most orders, executions, deposits or withdrawals to download; more raise MAX_ITEMS_EXCEEDED.
+   * @returns {Promise} - {
+    "method": "string",
+    "quote": "string",
+    "startDate": "string (date-time)",
+    "endDate": "string (date-time)",
+    "totals": { "proceeds", "costBasis", "realized", "unrealized", "commissions", "fees" },
+    "assets": [{ "currencySymbol", "quantity", "costBasis", "averageCost", "price", "marketValue", "realized", "unrealized", "commissions", "fees" }],
+    "disposals": [{ "type": "TRADE|FEE", "currencySymbol", "quantity", "acquiredAt", "disposedAt", "proceeds", "costBasis", "gain", "reference", "unmatched" }],
+    "transactions": [{ "type": "TRADE|DEPOSIT|WITHDRAWAL", "id", "time", "value", ... }]
+    }
+   */
+  async pnlReport({method='FIFO',quote='USD',startDate,endDate,depositBasis='market',convert,maxItems=Infinity}={}){
+    // reject bad options before downloading the whole history
+    computePnL([],{method,quote,depositBasis})
+    const [orders,executions,deposits,withdrawals,markets,tickers] = await Promise.all([
+      collect(this.iterateOrderHistory({endDate}),{maxItems}),
+      collect(this.iterateExecutions({endDate}),{maxItems}),
+      collect(this.iterateClosedDeposits({status:'COMPLETED',endDate}),{maxItems}),
+      collect(this.iterateClosedWithdrawals({status:'COMPLETED',endDate}),{maxItems}),
+      this.markets(),
+      this.ticker()
+    ])
+    // executions of orders that are still open have no entry in the order history
+    const known = new Set(orders.map(order => order.id))
+    const missing = Array.from(new Set(executions.map(execution => execution.orderId).filter(orderId => !known.has(orderId))))
+    const open = await mapConcurrent(missing,4,orderId => this.getOrder(orderId))
+    const ledger = buildLedger({orders:orders.concat(open),executions,deposits,withdrawals})
+    const routes = {}
+    const currencies = new Set()
+    for (const event of ledger){
+      if (event.type === 'TRADE') [event.baseCurrencySymbol,event.quoteCurrencySymbol].forEach(currency => currencies.add(currency))
+      else currencies.add(event.currencySymbol)
+    }
+    currencies.forEach(currency => { routes[currency] = findRoute(currency,quote,markets) })
+    const rates = tickerRates(tickers,'last')
+    const prices = {}
+    currencies.forEach(currency => {
+      const onlineRoute = findRoute(currency,quote,markets.filter(market => market.status === 'ONLINE' && rates.has(market.symbol)))
+      if (onlineRoute) prices[currency] = routeRate(onlineRoute,marketSymbol => rates.get(marketSymbol))
+    })
+    if (!convert) convert = await this.historicalRates(ledger,routes)
+    return presentDecimals(computePnL(ledger,{method,quote,convert,depositBasis,prices,startDate,endDate}),this._numeric)
+  }
 
   /*-------------------------------------------------------------------------*
    * Private
    *-------------------------------------------------------------------------*/
+  /**
+   * @private
+   * @method historicalRates - Fetch the DAY_1 candles of every market on the given routes, from the day of the first ledger event, and build a converter from them.
+   * @param {Array} ledger - buildLedger() result.
+   * @param {Object} routes - { currencySymbol: findRoute() result }
+   * @returns {Promise} - (currencySymbol, time) => Big
+   */
+  async historicalRates(ledger,routes){
+    const marketSymbols = new Set()
+    Object.keys(routes).forEach(currency => (routes[currency] || []).forEach(step => marketSymbols.add(step.marketSymbol)))
+    const candles = {}
+    if (ledger.length && marketSymbols.size){
+      const first = new Date(ledger[0].time)
+      const from = Date.UTC(first.getUTCFullYear(),first.getUTCMonth(),first.getUTCDate())
+      await mapConcurrent(Array.from(marketSymbols),2,async marketSymbol => {
+        candles[marketSymbol] = await this.getCandles(marketSymbol,'DAY_1',{from,gaps:'none'})
+      })
+    }
+    return candleConverter(routes,candles)
+  }
+
   /**
    * @private
    * @method request - Simple API Request Method
    * @param  {String} method
    * @param  {String} url
+   * @param  {Object} query
    * @returns {Object}
    */
-  async request(method,url){
-    const payload = {method,url}
-    const response = await this._client.request(payload)
+  async request(method,url,query){
+    const response = await this.dispatch(method,url,query)
     return response.data
   }
 
+  /**
+   * @private
+   * @method deadMansSwitch
+   * @returns {DeadMansSwitch}
+   */
+  deadMansSwitch(){
+    if (!this._switch) throw new BittrexValidationError('the deadMansSwitch option is required',{field:'deadMansSwitch'})
+    return this._switch
+  }
+
    /**
    * @private
-   * @method requestAuth - Authenticated API Request Method
+   * @method requestAuth - Authenticated API Request Method. With a guard, the request is checked against its rules first.
    * @param {String} method
    * @param {String} url
    * @param {Object} query
@@ -568,46 +1422,180 @@ class BittrexClient {
    * @returns {Object}
    */
   async requestAuth(method,url,query,requestBody){
-    const apiKey = this._apiKey
-    const timestamp = new Date().getTime()
-    const {params} = this.sanitize(query)
-    const data = this.sanitize(requestBody)
-    let contentHash = CryptoJS.SHA512('').toString(CryptoJS.enc.Hex)
-    if (method==='POST') contentHash = CryptoJS.SHA512(JSON.stringify(data)).toString(CryptoJS.enc.Hex)
-    let path = url
-    if (params) path = `${url}?${params}`
+    const send = () => this.signedRequest(method,url,query,requestBody)
+    return this._guard ? this._guard.run(method,url,requestBody,send,this) : send()
+  }
+
+  /**
+   * @private
+   * @method signedRequest - Sign and send a request. When the exchange rejects the key or signature, the provider is asked again once:
+   * if it hands out different credentials (the key was rotated), the request is repeated with them.
+   * @param {String} method
+   * @param {String} url
+   * @param {Object} query
+   * @param {Object} requestBody
+   * @returns {Object}
+   */
+  async signedRequest(method,url,query,requestBody){
+    if (this._cassette && this._cassette.mode === 'replay') return (await this.dispatch(method,url,query,requestBody,{})).data
+    const credentials = await this.credentialsFor(method,url)
+    try{
+      return (await this.dispatch(method,url,query,requestBody,credentials)).data
+    }
+    catch(error){
+      if (!(error instanceof BittrexAuthError) || ['APIKEY_INVALID','INVALID_SIGNATURE'].indexOf(error.code) === -1) throw error
+      this._credentials.invalidate()
+      const fresh = await this.credentialsFor(method,url)
+      if (fresh.apiKey === credentials.apiKey && fresh.apiSecret === credentials.apiSecret) throw error
+      return (await this.dispatch(method,url,query,requestBody,fresh)).data
+    }
+  }
+
+  /**
+   * @private
+   * @method credentialsFor - Current credentials, with the request that needed them recorded on a MISSING_CREDENTIALS error.
+   * @param {String} method
+   * @param {String} url
+   * @returns {Promise} - { apiKey, apiSecret }
+   */
+  async credentialsFor(method,url){
+    try{
+      return await this._credentials.get()
+    }
+    catch(error){
+      if (error instanceof BittrexError && !error.endpoint) Object.assign(error,{method,endpoint:url})
+      throw error
+    }
+  }
+
+  /**
+   * @private
+   * @method dispatch - Shared request pipeline. The query is serialized into the URL once, and that exact URL is both signed and sent.
+   * With a cassette, the exchange round trip is recorded, or replaced by the recording.
+   * GETs are retried freely; other methods only when the body carries a clientOrderId, clientWithdrawalId, clientConditionalOrderId or requestId that lets the exchange deduplicate them.
+   * @param {String} method
+   * @param {String} url
+   * @param {Object} query
+   * @param {Object} requestBody
+   * @param {Object} [credentials] - { apiKey, apiSecret } to sign with. Unsigned when omitted.
+   * @returns {Object} - The full response, including headers.
+   */
+  async dispatch(method,url,query,requestBody,credentials){
+    const params = this.querystring(query)
+    const path = params ? `${url}?${params}` : url
     const uri = `${this._baseURL}${path}`
-    const preSign = [timestamp,uri,method,contentHash].join('')
-    const signedMessage = CryptoJS.HmacSHA512(preSign,this._apiSecret).toString(CryptoJS.enc.Hex)
+    const data = requestBody ? this.sanitize(requestBody) : undefined
+    const idempotent = method==='GET' || Boolean(data && (data.clientOrderId || data.clientWithdrawalId || data.clientConditionalOrderId || data.requestId))
+    const perform = () => this.send(method,path,() => {
+      const payload = {method,url:uri}
+      if (data) payload.data = data
+      if (credentials) payload.headers = this.sign(method,uri,data ? JSON.stringify(data) : '',credentials,this._subaccountId)
+      return payload
+    },idempotent)
+    const response = this._cassette ? await this._cassette.handle({method,path,body:data},perform) : await perform()
+    response.data = convertNumbers(response.data,this._numeric)
+    return response
+  }
+
+  /**
+   * @private
+   * @method sign - Build the authentication headers for a request. Called again for every attempt so each carries a fresh Api-Timestamp.
+   * @param {String} method
+   * @param {String} uri - Absolute URL, including query string.
+   * @param {String} body - Serialized request body, or '' if none.
+   * @param {Object} credentials - { apiKey, apiSecret }
+   * @param {String} [subaccountId] - Appended to the signed message and sent as Api-Subaccount-Id.
+   * @returns {Object}
+   */
+  sign(method,uri,body,{apiKey,apiSecret},subaccountId){
+    const timestamp = new Date().getTime()
+    const contentHash = CryptoJS.SHA512(body).toString(CryptoJS.enc.Hex)
+    const preSign = [timestamp,uri,method,contentHash,subaccountId || ''].join('')
+    const signedMessage = CryptoJS.HmacSHA512(preSign,apiSecret).toString(CryptoJS.enc.Hex)
     const headers = {
       'Api-Key': apiKey,
       'Api-Timestamp': timestamp,
       'Api-Content-Hash': contentHash,
       'Api-Signature': signedMessage
     }
-    let payload = {method,url,headers,params}
-    let response = {}
-    if (method==='POST'){
-      payload = {method,headers}
-      try{
-        response = await this._client.post(uri,data,payload)
-      }
-      catch(error){
-        throw new Error(error)
-      }
-      return response.data
-    }
-    else{
+    if (subaccountId) headers['Api-Subaccount-Id'] = subaccountId
+    return headers
+  }
+
+  /**
+   * @private
+   * @method send - Dispatch a request through the rate limiter, retrying per the client's retry policy. Every attempt is reported to the instrumentation.
+   * @param {String} method
+   * @param {String} endpoint - Path relative to the base URL, used in errors.
+   * @param {Function} buildPayload - Returns the axios request config for one attempt.
+   * @param {Boolean} idempotent - Whether the request may be repeated after a failure that might have reached the exchange.
+   * @returns {Object} - The axios response.
+   */
+  async send(method,endpoint,buildPayload,idempotent){
+    const requestId = uuid()
+    for (let attempt = 1; ; attempt++){
+      const context = {requestId,method,endpoint,attempt}
+      const delay = this._limiter ? await this._limiter.acquire() : 0
+      if (delay > 0) this._instrumentation.rateLimited(context,delay)
+      const payload = buildPayload()
+      const timestamp = payload.headers ? payload.headers['Api-Timestamp'] : undefined
+      await this._instrumentation.request(Object.assign({headers:payload.headers,body:payload.data},context))
+      const startedAt = Date.now()
+      let response
       try{
         response = await this._client.request(payload)
       }
       catch(error){
-        throw new Error(error)
+        const err = fromAxiosError(error,{method,endpoint,timestamp})
+        err.attempts = attempt
+        if (err.retryAfter !== undefined && this._limiter) this._limiter.pause(err.retryAfter)
+        const retry = attempt < this._retry.maxAttempts && isRetryable(err,idempotent)
+        await this._instrumentation.error(context,err,Date.now()-startedAt,retry)
+        if (!retry) throw err
+        await sleep(retryDelay(this._retry,attempt,err))
+        continue
       }
-    return response.data
+      await this._instrumentation.response(context,response,Date.now()-startedAt)
+      return response
     }
   }
 
+  /**
+   * @private
+   * @method buildOrder - Validate a NewOrder and return the request body for it. Shared by sendOrder, sendConditionalOrder and batch.
+   * @param {Object} order - { marketSymbol, direction, type, quantity, ceiling, limit, timeInForce, clientOrderId, useAwards }
+   * @returns {Promise} - NewOrder request body.
+   */
+  async buildOrder({marketSymbol,direction,type,quantity,ceiling,limit,timeInForce,clientOrderId,useAwards}){
+    if (!marketSymbol) throw new BittrexValidationError('marketSymbol is required',{field:'marketSymbol'})
+    if (['BUY','SELL'].indexOf(direction) === -1) throw new BittrexValidationError('direction must be either \'BUY\' or \'SELL\'',{field:'direction'})
+    if (['LIMIT','MARKET','CEILING_LIMIT','CEILING_MARKET'].indexOf(type) === -1) throw new BittrexValidationError('type must be either: [\'LIMIT\'|\'MARKET\'|\'CEILING_LIMIT\'|\'CEILING_MARKET\']',{field:'type'})
+    if (['LIMIT','MARKET'].indexOf(type) >= 0 && !quantity) throw new BittrexValidationError('quantity must be included if type=[\'MARKET\'|\'LIMIT\']',{field:'quantity'})
+    if (['LIMIT','MARKET'].indexOf(type) >= 0 && ceiling) throw new BittrexValidationError('Do not specify ceiling if type=[\'MARKET\'|\'LIMIT\']',{field:'ceiling'})
+    if (['CEILING_LIMIT','CEILING_MARKET'].indexOf(type) >=0 && !ceiling) throw new BittrexValidationError('ceiling must be included if type=[\'CEILING_MARKET\'|\'CEILING_LIMIT\']',{field:'ceiling'})
+    if (['CEILING_LIMIT','CEILING_MARKET'].indexOf(type) >=0 && quantity) throw new BittrexValidationError('Do not specify quantity if type=[\'CEILING_MARKET\'|\'CEILING_LIMIT\']',{field:'quantity'})
+    if (['CEILING_LIMIT','LIMIT'].indexOf(type) >=0 && !limit) throw new BittrexValidationError('limit must be included if type=[\'LIMIT\'|\'CEILING_LIMIT\']',{field:'limit'})
+    if (['MARKET','CEILING_MARKET'].indexOf(type) >=0 && limit) throw new BittrexValidationError('Do not specify limit if type=[\'MARKET\'|\'CEILING_MARKET\']',{field:'limit'})
+    if (['MARKET','CEILING_MARKET'].indexOf(type) === -1 && !timeInForce) timeInForce = 'GOOD_TIL_CANCELLED'
+    if (this._marketRules) ({quantity,ceiling,limit} = await this._marketRules.prepareOrder({marketSymbol,quantity,ceiling,limit}))
+    quantity = this.formatDecimal(quantity,'quantity')
+    ceiling = this.formatDecimal(ceiling,'ceiling')
+    limit = this.formatDecimal(limit,'limit')
+    return this.sanitize({marketSymbol,direction,type,quantity,ceiling,limit,timeInForce,clientOrderId,useAwards})
+  }
+
+  /**
+   * @private
+   * @method isFilled - Whether a closed order was completely filled. Ceiling orders have no quantity and count as filled once anything was filled.
+   * @param {Object} order
+   * @returns {Boolean}
+   */
+  isFilled(order){
+    if (!order.fillQuantity || new Big(order.fillQuantity).eq(0)) return false
+    if (!order.quantity) return true
+    return new Big(order.fillQuantity).gte(order.quantity)
+  }
+
   /**
    * @private
    * @method sanitize
@@ -615,6 +1603,7 @@ class BittrexClient {
    * @returns {Object}
    */
   sanitize(requestBody = {}) {
+    if (Array.isArray(requestBody)) return requestBody
     const obj = {}
     for (const key of Object.keys(requestBody)) {
       if (requestBody[key] === undefined) continue
@@ -622,6 +1611,35 @@ class BittrexClient {
     }
     return obj
   }
+
+  /**
+   * @private
+   * @method formatDecimal - Outbound amounts are sent as plain decimal strings unless the client is in 'raw' numeric mode.
+   * @param {Number|String|Big} value
+   * @param {String} field
+   * @returns {Number|String}
+   */
+  formatDecimal(value,field){
+    if (this._numeric === 'raw' || value === undefined || value === null) return value
+    return toPlainString(value,field)
+  }
+
+  /**
+   * @private
+   * @method querystring - Serialize query parameters deterministically: keys sorted, undefined/null/'' dropped, Dates as ISO-8601.
+   * @param {Object} query
+   * @returns {String}
+   */
+  querystring(query = {}) {
+    if (!query) return ''
+    return Object.keys(query).sort()
+      .filter(key => query[key] !== undefined && query[key] !== null && query[key] !== '')
+      .map(key => {
+        const value = query[key] instanceof Date ? query[key].toISOString() : String(query[key])
+        return `${encodeURIComponent(key)}=${encodeURIComponent(value)}`
+      })
+      .join('&')
+  }
 }
 
 module.exports = BittrexClient
@@ -0,0 +1,237 @@
+const { Readable } = require('stream')
+const { BittrexValidationError } = require('./errors')
+const { Big } = require('./decimal')
+const { csvValue } = require('./utils')
+
+const INTERVALS = {
+  MINUTE_1: 60*1000,
+  MINUTE_5: 5*60*1000,
+  HOUR_1: 60*60*1000,
+  DAY_1: 24*60*60*1000
+}
+
+const COLUMNS = ['startsAt','open','high','low','close','volume','quoteVolume']
+
+const UNITS = {MINUTE:60*1000,HOUR:60*60*1000,DAY:24*60*60*1000,WEEK:7*24*60*60*1000}
+const SHORT_UNITS = {m:'MINUTE',h:'HOUR',d:'DAY',w:'WEEK'}
+
+// 1970-01-05, the first Monday after the epoch: weekly buckets start on Mondays like the exchange's calendar weeks
+const WEEK_ANCHOR = 4*UNITS.DAY
+
+/**
+ * @method intervalMs - Length of one candle.
+ * @param {String} candleInterval - ['MINUTE_1'|'MINUTE_5'|'HOUR_1'|'DAY_1']
+ * @returns {Number} - Milliseconds.
+ */
+function intervalMs(candleInterval){
+  if (!INTERVALS[candleInterval]) throw new BittrexValidationError('candleInterval must be either: [\'MINUTE_1\'|\'MINUTE_5\'|\'HOUR_1\'|\'DAY_1\']',{field:'candleInterval'})
+  return INTERVALS[candleInterval]
+}
+
+/**
+ * @method parseInterval - Length of an arbitrary bucket: a native interval name, UNIT_n ('MINUTE_15', 'HOUR_4', 'WEEK_1'),
+ * shorthand ('15m', '4h', '1d', '1w') or milliseconds.
+ * @param {String|Number} interval
+ * @returns {Object} - { size, anchor }: bucket length and offset from the epoch, in milliseconds.
+ */
+function parseInterval(interval){
+  let unit
+  let count
+  if (typeof interval === 'number') return {size:interval,anchor:0}
+  const named = /^(MINUTE|HOUR|DAY|WEEK)_(\d+)$/.exec(String(interval))
+  const short = /^(\d+)([mhdw])$/.exec(String(interval))
+  if (named) [unit,count] = [named[1],Number(named[2])]
+  else if (short) [unit,count] = [SHORT_UNITS[short[2]],Number(short[1])]
+  if (!unit || !(count > 0)) throw new BittrexValidationError(`interval must look like 'MINUTE_15', 'HOUR_4', 'WEEK_1', '15m', '4h' or '1w': ${interval}`,{field:'interval'})
+  return {size:count*UNITS[unit],anchor:unit === 'WEEK' ? WEEK_ANCHOR : 0}
+}
+
+/**
+ * @method resampleCandles - Aggregate candles into larger buckets (15m, 4h, weekly, ...). open/close come from the first/last candle of each bucket,
+ * high/low are the extremes and volumes are summed. Amounts keep the representation of the input (Number, decimal string or Big).
+ * @param {Array} candles - Candle objects, e.g. from getCandles.
+ * @param {String|Number} interval - Target bucket, see parseInterval.
+ * @returns {Array} - Candle objects sorted by startsAt.
+ */
+function resampleCandles(candles,interval){
+  const {size,anchor} = parseInterval(interval)
+  const buckets = new Map()
+  const sorted = candles.slice().sort((a,b) => Date.parse(a.startsAt)-Date.parse(b.startsAt))
+  for (const candle of sorted){
+    const start = bucketStart(Date.parse(candle.startsAt),size,anchor)
+    const bucket = buckets.get(start)
+    if (!bucket){
+      buckets.set(start,{startsAt:start,open:candle.open,high:new Big(candle.high),low:new Big(candle.low),close:candle.close,volume:new Big(candle.volume),quoteVolume:new Big(candle.quoteVolume),like:candle.close})
+      continue
+    }
+    if (bucket.high.lt(candle.high)) bucket.high = new Big(candle.high)
+    if (bucket.low.gt(candle.low)) bucket.low = new Big(candle.low)
+    bucket.close = candle.close
+    bucket.volume = bucket.volume.plus(candle.volume)
+    bucket.quoteVolume = bucket.quoteVolume.plus(candle.quoteVolume)
+  }
+  return Array.from(buckets.values()).map(bucket => toCandle(bucket,bucket.like))
+}
+
+/**
+ * @method candlesFromTrades - Build candles from executed trades, e.g. marketTrades(). Buckets without trades are omitted.
+ * Amounts keep the representation of the trades' rate (Number, decimal string or Big).
+ * @param {Array} trades - [{ executedAt, quantity, rate }]
+ * @param {String|Number} interval - Bucket, see parseInterval.
+ * @returns {Array} - Candle objects sorted by startsAt.
+ */
+function candlesFromTrades(trades,interval){
+  const {size,anchor} = parseInterval(interval)
+  const buckets = new Map()
+  const sorted = trades.slice().sort((a,b) => Date.parse(a.executedAt)-Date.parse(b.executedAt))
+  for (const trade of sorted){
+    const start = bucketStart(Date.parse(trade.executedAt),size,anchor)
+    const rate = new Big(trade.rate)
+    const quantity = new Big(trade.quantity)
+    const bucket = buckets.get(start)
+    if (!bucket){
+      buckets.set(start,{startsAt:start,open:rate,high:rate,low:rate,close:rate,volume:quantity,quoteVolume:quantity.times(rate),like:trade.rate})
+      continue
+    }
+    if (bucket.high.lt(rate)) bucket.high = rate
+    if (bucket.low.gt(rate)) bucket.low = rate
+    bucket.close = rate
+    bucket.volume = bucket.volume.plus(quantity)
+    bucket.quoteVolume = bucket.quoteVolume.plus(quantity.times(rate))
+  }
+  return Array.from(buckets.values()).map(bucket => toCandle(bucket,bucket.like))
+}
+
+/**
+ * @method candleWindows - The historical windows covering [from, to): one UTC day per request for MINUTE_1/MINUTE_5, one month for HOUR_1, one year for DAY_1.
+ * @param {String} candleInterval
+ * @param {Number} from - Epoch milliseconds.
+ * @param {Number} to - Epoch milliseconds.
+ * @returns {Array} - [{ year, month, day, start, end }], month and day 1-based, start/end in epoch milliseconds.
+ */
+function candleWindows(candleInterval,from,to){
+  intervalMs(candleInterval)
+  const windows = []
+  const first = new Date(from)
+  let year = first.getUTCFullYear()
+  let month = candleInterval === 'DAY_1' ? 0 : first.getUTCMonth()
+  let day = candleInterval === 'DAY_1' || candleInterval === 'HOUR_1' ? 1 : first.getUTCDate()
+  for (;;){
+    const start = Date.UTC(year,month,day)
+    if (start >= to) return windows
+    let end
+    if (candleInterval === 'DAY_1') end = Date.UTC(year+1,0,1)
+    else if (candleInterval === 'HOUR_1') end = Date.UTC(year,month+1,1)
+    else end = Date.UTC(year,month,day+1)
+    windows.push({year,month:month+1,day,start,end})
+    const next = new Date(end)
+    year = next.getUTCFullYear()
+    month = next.getUTCMonth()
+    day = next.getUTCDate()
+  }
+}
+
+/**
+ * @method stitchCandles - Merge the candles of several windows: drop duplicates and candles outside [from, to), sort by startsAt, and handle missing intervals.
+ * With gaps='fill', each missing interval between two candles is filled with a flat candle at the previous close, zero volume and `synthetic: true`.
+ * With gaps='flag', the candle after a hole gets `gapBefore` set to the number of missing candles.
+ * @param {Array} candles
+ * @param {String} candleInterval
+ * @param {Number} options.from - Epoch milliseconds.
+ * @param {Number} options.to - Epoch milliseconds.
+ * @param {String} [options.gaps='flag'] - ['flag'|'fill'|'none']
+ * @param {*} [options.zero='0'] - Volume of filled candles, in the client's numeric mode.
+ * @returns {Array}
+ */
+function stitchCandles(candles,candleInterval,{from=-Infinity,to=Infinity,gaps='flag',zero='0'}={}){
+  if (['flag','fill','none'].indexOf(gaps) === -1) throw new BittrexValidationError('gaps must be either: [\'flag\'|\'fill\'|\'none\']',{field:'gaps'})
+  const size = intervalMs(candleInterval)
+  const byStart = new Map()
+  for (const candle of candles){
+    const startsAt = Date.parse(candle.startsAt)
+    if (startsAt >= from && startsAt < to) byStart.set(startsAt,candle)
+  }
+  const sorted = Array.from(byStart.keys()).sort((a,b) => a-b)
+  const result = []
+  let previous
+  for (const startsAt of sorted){
+    const candle = byStart.get(startsAt)
+    const missing = previous === undefined ? 0 : Math.round((startsAt-previous)/size)-1
+    if (missing > 0 && gaps === 'fill'){
+      const {close} = result[result.length-1]
+      for (let i = 1; i <= missing; i++){
+        result.push({startsAt:new Date(previous+i*size).toISOString(),open:close,high:close,low:close,close,volume:zero,quoteVolume:zero,synthetic:true})
+      }
+    }
+    result.push(missing > 0 && gaps === 'flag' ? Object.assign({},candle,{gapBefore:missing}) : candle)
+    previous = startsAt
+  }
+  return result
+}
+
+/**
+ * @method exportCandles - Stream candles as CSV (with a header row) or NDJSON (one JSON object per line).
+ * @param {Array|AsyncIterable} candles
+ * @param {String} [format='csv'] - ['csv'|'ndjson']
+ * @param {Array} [columns] - CSV columns. Default: startsAt, open, high, low, close, volume, quoteVolume, plus synthetic/gapBefore when present.
+ * @returns {Readable}
+ */
+function exportCandles(candles,format='csv',columns){
+  if (['csv','ndjson'].indexOf(format) === -1) throw new BittrexValidationError('format must be either \'csv\' or \'ndjson\'',{field:'format'})
+  async function* lines(){
+    let header = format === 'csv' ? columns || (Array.isArray(candles) ? defaultColumns(candles) : null) : null
+    if (header) yield `${header.join(',')}\n`
+    for await (const candle of candles){
+      if (format === 'ndjson'){
+        yield `${JSON.stringify(plain(candle))}\n`
+        continue
+      }
+      if (!header){
+        header = defaultColumns([candle])
+        yield `${header.join(',')}\n`
+      }
+      yield `${header.map(column => csvValue(candle[column])).join(',')}\n`
+    }
+  }
+  const iterator = lines()
+  return new Readable({
+    async read(){
+      try{
+        const {value,done} = await iterator.next()
+        this.push(done ? null : value)
+      }
+      catch(error){
+        this.destroy(error)
+      }
+    }
+  })
+}
+
+function defaultColumns(candles){
+  return COLUMNS.concat(['synthetic','gapBefore'].filter(flag => candles.some(candle => candle[flag] !== undefined)))
+}
+
+function bucketStart(time,size,anchor){
+  return Math.floor((time-anchor)/size)*size+anchor
+}
+
+// Convert a bucket's Big amounts back to the representation of `like`.
+function toCandle(bucket,like){
+  const convert = value => {
+    if (like instanceof Big) return new Big(value)
+    if (typeof like === 'number') return Number(value)
+    return new Big(value).toFixed()
+  }
+  const candle = {startsAt:new Date(bucket.startsAt).toISOString()}
+  for (const field of ['open','high','low','close','volume','quoteVolume']) candle[field] = convert(bucket[field])
+  return candle
+}
+
+// Big#toString switches to exponent notation for small amounts
+function plain(candle){
+  const result = {}
+  for (const key of Object.keys(candle)) result[key] = candle[key] instanceof Big ? candle[key].toFixed() : candle[key]
+  return result
+}
+
+module.exports = { candleWindows, stitchCandles, exportCandles, resampleCandles, candlesFromTrades, parseInterval, intervalMs, INTERVALS }
@@ -0,0 +1,177 @@
+const fs = require('fs')
+const path = require('path')
+const { BittrexError, BittrexValidationError, fromAxiosError } = require('./errors')
+
+const REDACTED = '[REDACTED]'
+
+// Request headers kept in a cassette; the ones holding credentials are redacted.
+const RECORDED_HEADERS = ['Api-Key','Api-Timestamp','Api-Content-Hash','Api-Signature','Api-Subaccount-Id']
+const SECRET_HEADERS = ['Api-Key','Api-Signature']
+
+// Body fields generated per call (uuid defaults) that would never match on replay.
+const GENERATED_FIELDS = ['clientOrderId','clientWithdrawalId','clientConditionalOrderId','requestId']
+
+/**
+ * Records the exchange traffic of a BittrexClient to a JSON file and plays it back. In 'record' mode every request
+ * sent through the client is performed for real and written out with its response (or failure); in 'replay' mode
+ * nothing is sent and each request is answered by the first unplayed recording with the same method, path, query
+ * and body. A request with no recording left throws CASSETTE_MISMATCH.
+ */
+class Cassette {
+
+  /**
+   * @constructor
+   * @param {String} options.path - Required. Cassette file.
+   * @param {String} options.mode - Required. ['record'|'replay']. 'record' starts a new cassette, replacing the file.
+   * @param {Function} [options.redact] - (interaction) => interaction. Applied to every interaction before it is written, after the built-in redaction of API keys, signatures and cookies.
+   */
+  constructor({ path: file, mode, redact = interaction => interaction } = {}) {
+    if (!file) throw new BittrexValidationError('cassette path is required',{field:'path'})
+    if (['record','replay'].indexOf(mode) === -1) throw new BittrexValidationError('cassette mode must be either \'record\' or \'replay\'',{field:'mode'})
+    this.path = file
+    this.mode = mode
+    this._redact = redact
+    this._interactions = mode === 'replay' ? this.load() : []
+    this._played = new Set()
+  }
+
+  /**
+   * @method interactions - Recorded interactions: [{ request: { method, path, headers, body }, response: { status, headers, data }, error, recordedAt }]
+   * @returns {Array}
+   */
+  get interactions(){
+    return this._interactions
+  }
+
+  /**
+   * @method pending - Recorded interactions that have not been replayed yet.
+   * @returns {Array}
+   */
+  pending(){
+    return this._interactions.filter((interaction,index) => !this._played.has(index))
+  }
+
+  /**
+   * @method handle - Answer one request: perform and record it, or replay it.
+   * @param {Object} request - { method, path, body }. path is relative to the base URL and includes the query string.
+   * @param {Function} perform - Sends the request; resolves with the axios response or rejects with a BittrexError.
+   * @returns {Promise} - { status, headers, data }
+   */
+  async handle(request,perform){
+    if (this.mode === 'replay') return this.replay(request)
+    try{
+      const response = await perform()
+      this.record(request,response.config,{status:response.status,headers:response.headers,data:response.data})
+      return response
+    }
+    catch(error){
+      const cause = error.cause || {}
+      if (cause.response) this.record(request,cause.config,{status:cause.response.status,headers:cause.response.headers,data:cause.response.data})
+      else this.record(request,cause.config,undefined,{code:error.code,message:cause.message || error.message})
+      throw error
+    }
+  }
+
+  /*-------------------------------------------------------------------------*
+   * Private
+   *-------------------------------------------------------------------------*/
+
+  /**
+   * @private
+   * @method replay - Serve the first unplayed matching interaction, rethrowing recorded failures as the errors they originally raised.
+   * @param {Object} request
+   * @returns {Object}
+   */
+  replay(request){
+    const key = matchKey(request)
+    const index = this._interactions.findIndex((interaction,index) => !this._played.has(index) && matchKey(interaction.request) === key)
+    if (index === -1){
+      throw new BittrexError(`no recorded interaction left in ${this.path} for ${request.method} ${request.path}`,{
+        code:'CASSETTE_MISMATCH',method:request.method,endpoint:request.path,data:request.body
+      })
+    }
+    this._played.add(index)
+    const {response,error} = this._interactions[index]
+    const context = {method:request.method,endpoint:request.path}
+    if (error) throw fromAxiosError(Object.assign(new Error(error.message),{code:error.code}),context)
+    if (response.status < 200 || response.status >= 300) throw fromAxiosError(Object.assign(new Error(`Request failed with status code ${response.status}`),{response}),context)
+    return {status:response.status,headers:response.headers,data:response.data}
+  }
+
+  /**
+   * @private
+   * @method record - Redact and append one interaction, then rewrite the cassette file.
+   * @param {Object} request - { method, path, body }
+   * @param {Object} config - axios request config of the last attempt, for its headers.
+   * @param {Object} [response] - { status, headers, data }
+   * @param {Object} [error] - { code, message } when no response was received.
+   */
+  record(request,config,response,error){
+    const headers = {}
+    const sent = (config && config.headers) || {}
+    for (const name of RECORDED_HEADERS){
+      if (sent[name] === undefined) continue
+      headers[name] = SECRET_HEADERS.indexOf(name) >= 0 ? REDACTED : String(sent[name])
+    }
+    const interaction = {request:{method:request.method,path:request.path,headers,body:request.body}}
+    if (response) interaction.response = {status:response.status,headers:redactHeaders(response.headers),data:response.data}
+    if (error) interaction.error = error
+    interaction.recordedAt = new Date().toISOString()
+    this._interactions.push(this._redact(interaction))
+    this.save()
+  }
+
+  /**
+   * @private
+   * @method load
+   * @returns {Array}
+   */
+  load(){
+    let cassette
+    try{
+      cassette = JSON.parse(fs.readFileSync(this.path,'utf8'))
+    }
+    catch(error){
+      throw new BittrexError(`cannot read cassette ${this.path}: ${error.message}`,{code:'CASSETTE_NOT_FOUND',cause:error})
+    }
+    return cassette.interactions || []
+  }
+
+  /**
+   * @private
+   * @method save
+   */
+  save(){
+    const directory = path.dirname(this.path)
+    // before Node 10.12, mkdirSync ignores recursive and fails on an existing directory
+    if (!fs.existsSync(directory)) fs.mkdirSync(directory,{recursive:true})
+    fs.writeFileSync(this.path,JSON.stringify({version:1,interactions:this._interactions},null,2))
+  }
+}
+
+function redactHeaders(headers={}){
+  const result = Object.assign({},headers)
+  for (const name of Object.keys(result)){
+    if (['set-cookie','cookie','authorization'].indexOf(name.toLowerCase()) >= 0) result[name] = REDACTED
+  }
+  return result
+}
+
+/**
+ * Identity of a request for replay: method, path with query, and body without generated client ids.
+ */
+function matchKey({method,path,body}){
+  return JSON.stringify([method,path,body === undefined ? null : withoutGenerated(body)])
+}
+
+function withoutGenerated(value){
+  if (!value || typeof value !== 'object') return value
+  if (Array.isArray(value)) return value.map(withoutGenerated)
+  const result = {}
+  for (const key of Object.keys(value).sort()){
+    if (GENERATED_FIELDS.indexOf(key) === -1) result[key] = withoutGenerated(value[key])
+  }
+  return result
+}
+
+module.exports = Cassette
@@ -0,0 +1,326 @@
+/*-------------------------------------------------------------------------*
+ * `bittrex` command-line interface
+ *
+ * A thin layer over BittrexClient: parse arguments, resolve credentials, confirm anything that moves funds,
+ * print the result as a table, JSON or CSV. run() never exits the process; it resolves to the exit code.
+ *-------------------------------------------------------------------------*/
+
+const fs = require('fs')
+const os = require('os')
+const readline = require('readline')
+const BittrexClient = require('./bittrex-client')
+const { BittrexError, BittrexValidationError } = require('./errors')
+const { Big } = require('./decimal')
+const { csvValue } = require('./utils')
+const { readProfiles, defaultCredentialsFile } = require('./credentials')
+
+const USAGE = `Usage: bittrex <command> [arguments] [options]
+
+Commands:
+  markets                                   List markets
+  ticker [MARKET]                           Ticker for one market, or all of them
+  book MARKET [--depth 25]                  Order book (depth 1, 25 or 500)
+  candles MARKET [--interval HOUR_1] [--type TRADE] [--from DATE] [--to DATE]
+                                            Recent candles, or every candle from --from
+  balance [CURRENCY]                        Balances
+  orders open [MARKET]                      Open orders
+  orders history [MARKET] [--page-size 100] Closed orders
+  order buy|sell MARKET QUANTITY [--limit RATE] [--tif TIME_IN_FORCE]
+                                            Place an order: LIMIT when --limit is given, MARKET otherwise
+  cancel ORDER_ID                           Cancel an order
+  cancel all [--market MARKET]              Cancel every open order
+  withdraw CURRENCY QUANTITY ADDRESS [--tag TAG]
+                                            Request a withdrawal (asks twice)
+  deposits [CURRENCY] [--open]              Completed (or pending) deposits
+  withdrawals [CURRENCY] [--open]           Closed (or open) withdrawals
+
+Options:
+  --format table|json|csv   Output format (default table). --json is short for --format json.
+  --profile NAME            Profile in the credentials file (default: $BITTREX_PROFILE or 'default')
+  --credentials-file PATH   Default: $BITTREX_CREDENTIALS_FILE or ~/.bittrex/credentials
+  --base-url URL            API root (default: $BITTREX_BASE_URL or the exchange)
+  -y, --yes                 Do not ask for confirmation
+  -h, --help                Show this help
+
+Credentials come from $BITTREX_API_KEY and $BITTREX_API_SECRET, or else from the credentials file:
+  [default]
+  apiKey = ...
+  apiSecret = ...
+`
+
+const FLAGS = ['yes','help','json','open']
+const ALIASES = {y:'yes',h:'help'}
+const GLOBAL_OPTIONS = ['format','profile','credentials-file','base-url'].concat(FLAGS)
+const FORMATS = ['table','json','csv']
+
+const COLUMNS = {
+  markets:['symbol','baseCurrencySymbol','quoteCurrencySymbol','status','minTradeSize','precision'],
+  ticker:['symbol','lastTradeRate','bidRate','askRate'],
+  book:['bidQuantity','bidRate','askRate','askQuantity'],
+  candles:['startsAt','open','high','low','close','volume'],
+  balance:['currencySymbol','total','available'],
+  orders:['id','marketSymbol','direction','type','quantity','limit','fillQuantity','status','createdAt'],
+  deposits:['id','currencySymbol','quantity','status','txId','completedAt'],
+  withdrawals:['id','currencySymbol','quantity','txCost','status','cryptoAddress','createdAt']
+}
+
+/**
+ * @method run - Run one command.
+ * @param {Array} argv - Arguments after the program name.
+ * @param {Object} [io.env=process.env]
+ * @param {Stream} [io.stdin=process.stdin] - Answers to confirmation prompts, one per line.
+ * @param {Stream} [io.stdout=process.stdout] - Results.
+ * @param {Stream} [io.stderr=process.stderr] - Prompts, warnings and errors.
+ * @param {String} [io.home=os.homedir()] - Where ~/.bittrex/credentials is looked up.
+ * @returns {Promise} - Exit code: 0 on success, 1 when a request failed or was not confirmed, 2 on a usage error.
+ */
+async function run(argv,{env=process.env,stdin=process.stdin,stdout=process.stdout,stderr=process.stderr,home=os.homedir()}={}){
+  const prompt = prompter(stdin,stderr)
+  try{
+    const {args,options} = parseArgs(argv)
+    if (options.help || args.length === 0){
+      stdout.write(USAGE)
+      return 0
+    }
+    const [name,...rest] = args
+    const command = COMMANDS[name]
+    if (!command) throw new BittrexValidationError(`unknown command '${name}'`,{field:'command'})
+    checkOptions(options,command.options || [])
+    const format = options.json ? 'json' : options.format || 'table'
+    if (FORMATS.indexOf(format) === -1) throw new BittrexValidationError('format must be either: [\'table\'|\'json\'|\'csv\']',{field:'format'})
+    const credentials = await loadCredentials({env,home,profile:options.profile,file:options['credentials-file']},stderr)
+    const client = new BittrexClient({
+      apiKey:credentials.apiKey,apiSecret:credentials.apiSecret,baseURL:options['base-url'] || env.BITTREX_BASE_URL || credentials.baseURL,numeric:'string'
+    })
+    const confirm = async (question,expected) => {
+      if (options.yes) return
+      const answer = (await prompt(expected === undefined ? `${question} [y/N] ` : question)).trim()
+      const accepted = expected === undefined ? /^y(es)?$/i.test(answer) : answer === expected
+      if (!accepted) throw new BittrexError('aborted',{code:'ABORTED'})
+    }
+    const result = await command.run(client,rest,options,confirm)
+    stdout.write(render(result,format))
+    return 0
+  }
+  catch(error){
+    const code = error.code && error.code !== 'VALIDATION_ERROR' ? ` (${error.code})` : ''
+    stderr.write(`bittrex: ${error.message}${code}\n`)
+    if (error instanceof BittrexValidationError && ['command','argument','option','format'].indexOf(error.field) !== -1) stderr.write('Run `bittrex --help` for usage.\n')
+    return error instanceof BittrexValidationError ? 2 : 1
+  }
+  finally{
+    prompt.close()
+  }
+}
+
+/*-------------------------------------------------------------------------*
+ * Commands: { options, run(client, args, options, confirm) => { data, rows, columns } }
+ *-------------------------------------------------------------------------*/
+
+const COMMANDS = {
+  markets:{
+    run:async client => table(await client.markets(),COLUMNS.markets)
+  },
+  ticker:{
+    run:async (client,[marketSymbol]) => table(await client.ticker(marketSymbol),COLUMNS.ticker)
+  },
+  book:{
+    options:['depth'],
+    run:async (client,args,options) => {
+      const [marketSymbol] = required(args,['MARKET'])
+      const book = await client.orderBook(marketSymbol,options.depth ? Number(options.depth) : 25)
+      const rows = []
+      for (let i = 0; i < Math.max(book.bid.length,book.ask.length); i++){
+        const bid = book.bid[i] || {}
+        const ask = book.ask[i] || {}
+        rows.push({bidQuantity:bid.quantity,bidRate:bid.rate,askRate:ask.rate,askQuantity:ask.quantity})
+      }
+      return {data:book,rows,columns:COLUMNS.book}
+    }
+  },
+  candles:{
+    options:['interval','type','from','to'],
+    run:async (client,args,{interval='HOUR_1',type='TRADE',from,to}) => {
+      const [marketSymbol] = required(args,['MARKET'])
+      const candles = from
+        ? await client.getCandles(marketSymbol,interval,{from,to:to || new Date(),type})
+        : await client.getCandlesRecent(marketSymbol,interval,type)
+      return table(candles,COLUMNS.candles)
+    }
+  },
+  balance:{
+    run:async (client,[currencySymbol]) => table(await client.balance(currencySymbol),COLUMNS.balance)
+  },
+  orders:{
+    options:['page-size'],
+    run:async (client,args,options) => {
+      const [which,marketSymbol] = required(args,['open|history'])
+      if (which === 'open') return table(await client.getOpenOrders(marketSymbol),COLUMNS.orders)
+      if (which === 'history') return table(await client.getOrderHistory(marketSymbol,undefined,undefined,options['page-size']),COLUMNS.orders)
+      throw new BittrexValidationError(`orders takes 'open' or 'history', not '${which}'`,{field:'argument'})
+    }
+  },
+  order:{
+    options:['limit','tif'],
+    run:async (client,args,options,confirm) => {
+      const [side,marketSymbol,quantity] = required(args,['buy|sell','MARKET','QUANTITY'])
+      const direction = side.toUpperCase()
+      if (['BUY','SELL'].indexOf(direction) === -1) throw new BittrexValidationError(`order takes 'buy' or 'sell', not '${side}'`,{field:'argument'})
+      const type = options.limit ? 'LIMIT' : 'MARKET'
+      const timeInForce = options.tif || (type === 'LIMIT' ? 'GOOD_TIL_CANCELLED' : 'IMMEDIATE_OR_CANCEL')
+      const price = type === 'LIMIT' ? `at ${options.limit}` : 'at market'
+      await confirm(`${direction} ${quantity} on ${marketSymbol} ${price} (${timeInForce})?`)
+      return table(await client.sendOrder(marketSymbol,direction,type,{quantity,limit:options.limit},timeInForce),COLUMNS.orders)
+    }
+  },
+  cancel:{
+    options:['market'],
+    run:async (client,args,options,confirm) => {
+      const [orderId] = required(args,['ORDER_ID|all'])
+      if (orderId === 'all'){
+        await confirm(`Cancel ALL open orders${options.market ? ` on ${options.market}` : ''}?`)
+        const results = await client.cancelOrder('open',options.market)
+        return table(results.map(result => Object.assign({statusCode:result.statusCode},result.result || {id:result.id})),['statusCode'].concat(COLUMNS.orders))
+      }
+      await confirm(`Cancel order ${orderId}?`)
+      return table(await client.cancelOrder(orderId),COLUMNS.orders)
+    }
+  },
+  withdraw:{
+    options:['tag'],
+    run:async (client,args,options,confirm) => {
+      const [currencySymbol,quantity,cryptoAddress] = required(args,['CURRENCY','QUANTITY','ADDRESS'])
+      const tag = options.tag ? ` (tag ${options.tag})` : ''
+      await confirm(`Withdraw ${quantity} ${currencySymbol} to ${cryptoAddress}${tag}? This cannot be undone.`)
+      await confirm(`Type the quantity (${quantity}) again to confirm: `,quantity)
+      return table(await client.requestWithdrawal(currencySymbol,quantity,cryptoAddress,{cryptoAddressTag:options.tag}),COLUMNS.withdrawals)
+    }
+  },
+  deposits:{
+    run:async (client,[currencySymbol],options) => table(await client.depositHistory(currencySymbol,Boolean(options.open)),COLUMNS.deposits)
+  },
+  withdrawals:{
+    run:async (client,[currencySymbol],options) => table(await client.withdrawalHistory(Boolean(options.open),{currencySymbol}),COLUMNS.withdrawals)
+  }
+}
+
+/*-------------------------------------------------------------------------*
+ * Private
+ *-------------------------------------------------------------------------*/
+
+/**
+ * @method parseArgs - Split argv into positional arguments and options. `--name value`, `--name=value`, and boolean flags.
+ * @param {Array} argv
+ * @returns {Object} - { args, options }
+ */
+function parseArgs(argv){
+  const args = []
+  const options = {}
+  for (let i = 0; i < argv.length; i++){
+    const match = /^(?:--([^=]+)(?:=(.*))?|-([a-z]))$/.exec(argv[i])
+    if (!match){
+      args.push(argv[i])
+      continue
+    }
+    const name = match[3] ? ALIASES[match[3]] : match[1]
+    if (!name) throw new BittrexValidationError(`unknown option '${argv[i]}'`,{field:'option'})
+    if (FLAGS.indexOf(name) !== -1) options[name] = true
+    else if (match[2] !== undefined) options[name] = match[2]
+    else if (i+1 < argv.length) options[name] = argv[++i]
+    else throw new BittrexValidationError(`option '--${name}' needs a value`,{field:'option'})
+  }
+  return {args,options}
+}
+
+function checkOptions(options,allowed){
+  for (const name of Object.keys(options)){
+    if (GLOBAL_OPTIONS.indexOf(name) === -1 && allowed.indexOf(name) === -1) throw new BittrexValidationError(`unknown option '--${name}'`,{field:'option'})
+  }
+}
+
+function required(args,names){
+  if (args.length < names.length) throw new BittrexValidationError(`missing argument: ${names.slice(args.length).join(' ')}`,{field:'argument'})
+  return args
+}
+
+function table(data,columns){
+  return {data,rows:Array.isArray(data) ? data : [data],columns}
+}
+
+/**
+ * @method loadCredentials - $BITTREX_API_KEY/$BITTREX_API_SECRET, else a profile of an INI-style credentials file. Missing credentials are not an error:
+ * public commands work without them.
+ * @param {Object} options - { env, home, profile, file }
+ * @param {Stream} stderr - Warned on when the credentials file is readable by other users.
+ * @returns {Promise} - { apiKey, apiSecret, baseURL }
+ */
+async function loadCredentials({env,home,profile,file},stderr){
+  if (env.BITTREX_API_KEY && env.BITTREX_API_SECRET) return {apiKey:env.BITTREX_API_KEY,apiSecret:env.BITTREX_API_SECRET}
+  const filePath = file || env.BITTREX_CREDENTIALS_FILE || defaultCredentialsFile(home)
+  const name = profile || env.BITTREX_PROFILE || 'default'
+  if (!fs.existsSync(filePath)){
+    if (file || profile) throw new BittrexValidationError(`credentials file not found: ${filePath}`,{field:'credentials-file'})
+    return {}
+  }
+  if (process.platform !== 'win32' && fs.statSync(filePath).mode & 0o077) stderr.write(`bittrex: warning: ${filePath} is readable by other users; chmod 600 it\n`)
+  const profiles = await readProfiles(filePath)
+  if (!profiles[name]){
+    if (profile || env.BITTREX_PROFILE) throw new BittrexValidationError(`profile '${name}' not found in ${filePath}`,{field:'profile'})
+    return {}
+  }
+  return {apiKey:profiles[name].apiKey,apiSecret:profiles[name].apiSecret,baseURL:profiles[name].baseURL}
+}
+
+/**
+ * @method prompter - Ask questions on stderr and read the answers from stdin, one line each. Resolves to '' once stdin has ended.
+ * @param {Stream} stdin
+ * @param {Stream} stderr
+ * @returns {Function} - (question) => Promise of the answer, with a close() method.
+ */
+function prompter(stdin,stderr){
+  let lines
+  const answers = []
+  const waiting = []
+  let ended = false
+  const ask = question => {
+    if (!lines){
+      lines = readline.createInterface({input:stdin,terminal:false})
+      lines.on('line',line => waiting.length ? waiting.shift()(line) : answers.push(line))
+      lines.on('close',() => {
+        ended = true
+        waiting.splice(0).forEach(resolve => resolve(''))
+      })
+    }
+    stderr.write(question)
+    if (answers.length) return Promise.resolve(answers.shift())
+    if (ended) return Promise.resolve('')
+    return new Promise(resolve => waiting.push(resolve))
+  }
+  ask.close = () => {
+    if (lines) lines.close()
+  }
+  return ask
+}
+
+/**
+ * @method render - Format a command result.
+ * @param {Object} result - { data, rows, columns }
+ * @param {String} format - ['table'|'json'|'csv']
+ * @returns {String}
+ */
+function render({data,rows,columns},format){
+  if (format === 'json') return `${JSON.stringify(data,(key,value) => value instanceof Big ? value.toFixed() : value,2)}\n`
+  const cells = rows.map(row => columns.map(column => cell(row[column])))
+  if (format === 'csv') return [columns].concat(cells).map(row => `${row.map(csvValue).join(',')}\n`).join('')
+  if (rows.length === 0) return '(none)\n'
+  const widths = columns.map((column,index) => Math.max(column.length,...cells.map(row => row[index].length)))
+  return [columns].concat(cells).map(row => `${row.map((value,index) => value.padEnd(widths[index])).join('  ').trimEnd()}\n`).join('')
+}
+
+function cell(value){
+  if (value === undefined || value === null) return ''
+  if (value instanceof Big) return value.toFixed()
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
+
+module.exports = { run, parseArgs, loadCredentials }
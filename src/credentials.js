@@ -0,0 +1,164 @@
+/*-------------------------------------------------------------------------*
+ * Credential providers
+ *
+ * A provider is a function, sync or async, returning { apiKey, apiSecret } and optionally expiresAt
+ * (Date, ISO-8601 string or epoch milliseconds) after which it is asked again. Nothing here reads
+ * .env files or writes to process.env.
+ *-------------------------------------------------------------------------*/
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { BittrexAuthError } = require('./errors')
+
+/**
+ * @method fromEnv - Read credentials from environment variables each time the provider is called.
+ * @param {String} [options.prefix='BITTREX'] - Reads `${prefix}_API_KEY` and `${prefix}_API_SECRET`.
+ * @param {Object} [options.env=process.env]
+ * @returns {Function} - Provider. Resolves to null when either variable is missing.
+ */
+function fromEnv({prefix='BITTREX',env=process.env}={}){
+  return () => {
+    const apiKey = env[`${prefix}_API_KEY`]
+    const apiSecret = env[`${prefix}_API_SECRET`]
+    return apiKey && apiSecret ? {apiKey,apiSecret} : null
+  }
+}
+
+/**
+ * @method fromProfile - Read one profile of an INI-style credentials file each time the provider is called, so edits to the file are picked up on refresh.
+ * [ops]
+ * apiKey = ...
+ * apiSecret = ...
+ * @param {String} [profile='default']
+ * @param {String} [options.file] - Default: ~/.bittrex/credentials
+ * @returns {Function} - Provider. Rejects when the file or profile does not exist.
+ */
+function fromProfile(profile='default',{file=defaultCredentialsFile()}={}){
+  return async () => {
+    const profiles = await readProfiles(file)
+    if (!profiles[profile]) throw new BittrexAuthError(`profile '${profile}' not found in ${file}`,{code:'MISSING_CREDENTIALS'})
+    const {apiKey,apiSecret} = profiles[profile]
+    return {apiKey,apiSecret}
+  }
+}
+
+/**
+ * @method chain - Try providers in order and use the first that resolves to credentials.
+ * @param {...Function} providers
+ * @returns {Function} - Provider. Resolves to null when none of them has credentials.
+ */
+function chain(...providers){
+  return async () => {
+    for (const provider of providers){
+      const credentials = await provider()
+      if (credentials) return credentials
+    }
+    return null
+  }
+}
+
+/**
+ * @method readProfiles - Parse an INI-style credentials file.
+ * @param {String} file
+ * @returns {Promise} - { profileName: { key: value } }
+ */
+async function readProfiles(file){
+  const text = await new Promise((resolve,reject) => fs.readFile(file,'utf8',(error,data) => {
+    if (error && error.code === 'ENOENT') reject(new BittrexAuthError(`credentials file not found: ${file}`,{code:'MISSING_CREDENTIALS',cause:error}))
+    else if (error) reject(error)
+    else resolve(data)
+  }))
+  const profiles = {}
+  let section
+  for (const raw of text.split(/\r?\n/)){
+    const line = raw.trim()
+    if (!line || line[0] === '#' || line[0] === ';') continue
+    const header = /^\[(.+)\]$/.exec(line)
+    if (header){
+      section = profiles[header[1].trim()] = {}
+      continue
+    }
+    const index = line.indexOf('=')
+    if (section && index > 0) section[line.slice(0,index).trim()] = line.slice(index+1).trim()
+  }
+  return profiles
+}
+
+/**
+ * @method defaultCredentialsFile
+ * @param {String} [home=os.homedir()]
+ * @returns {String} - ~/.bittrex/credentials
+ */
+function defaultCredentialsFile(home=os.homedir()){
+  return path.join(home,'.bittrex','credentials')
+}
+
+/**
+ * @class CredentialStore - The credentials of one client: resolves its provider on first use, caches the result until expiresAt,
+ * and shares one in-flight lookup between concurrent requests.
+ * @param {Object|Function} [source] - { apiKey, apiSecret } or a provider.
+ */
+class CredentialStore {
+  constructor(source){
+    this.set(source)
+  }
+
+  /**
+   * @method configured - Whether a source has been set.
+   * @returns {Boolean}
+   */
+  get configured(){
+    return Boolean(this._provider)
+  }
+
+  /**
+   * @method set - Replace the source and forget cached credentials.
+   * @param {Object|Function} [source]
+   */
+  set(source){
+    if (source && typeof source === 'object'){
+      const {apiKey,apiSecret} = source
+      this._provider = apiKey || apiSecret ? () => ({apiKey,apiSecret}) : null
+    }
+    else this._provider = typeof source === 'function' ? source : null
+    this.invalidate()
+  }
+
+  /**
+   * @method invalidate - Forget cached credentials; the next get() asks the provider again.
+   */
+  invalidate(){
+    this._cached = null
+    this._pending = null
+  }
+
+  /**
+   * @method get - Current credentials.
+   * @returns {Promise} - { apiKey, apiSecret }. Rejects with BittrexAuthError MISSING_CREDENTIALS when there is no source or it has nothing.
+   */
+  async get(){
+    if (this._cached && (this._cached.expiresAt === undefined || this._cached.expiresAt > Date.now())) return this._cached.credentials
+    if (!this._provider) throw missing()
+    if (!this._pending){
+      const pending = this._pending = Promise.resolve().then(() => this._provider()).then(credentials => {
+        if (!credentials || !credentials.apiKey || !credentials.apiSecret) throw missing()
+        const expiresAt = credentials.expiresAt === undefined || credentials.expiresAt === null ? undefined : new Date(credentials.expiresAt).getTime()
+        const resolved = {apiKey:credentials.apiKey,apiSecret:credentials.apiSecret}
+        if (this._pending === pending) this._cached = {credentials:resolved,expiresAt}
+        return resolved
+      })
+      const settled = () => {
+        if (this._pending === pending) this._pending = null
+      }
+      pending.then(settled,settled)
+    }
+    return this._pending
+  }
+}
+
+function missing(){
+  return new BittrexAuthError('apiKey and apiSecret are required for authenticated calls',{code:'MISSING_CREDENTIALS'})
+}
+
+module.exports = { CredentialStore, fromEnv, fromProfile, chain, readProfiles, defaultCredentialsFile }
@@ -0,0 +1,186 @@
+const { BittrexValidationError } = require('./errors')
+
+/**
+ * Cancels the orders one client placed when the application stops sending heartbeats, or when the process receives
+ * SIGINT/SIGTERM. Orders are tracked by clientOrderId from the moment they are sent, so an order whose response was
+ * lost is still found: on trigger, the open orders of each account (master or sub-account) the tracked orders were placed through
+ * are listed and exactly the tracked ones are cancelled. Tracked orders that are no longer open are forgotten.
+ * Bittrex has no server-side switch; this runs in the client's process and cannot help once that process is gone.
+ */
+class DeadMansSwitch {
+
+  /**
+   * @constructor
+   * @param {BittrexClient} client - Required. Used to list and cancel open orders.
+   * @param {Number} options.timeout - Required. Milliseconds allowed between heartbeats.
+   * @param {Array|Boolean} [options.signals=['SIGINT','SIGTERM']] - Process signals that cancel tracked orders before the process exits. false to leave signals alone.
+   * @param {Object} [options.logger=console] - Receives warn() when the switch fires and error() for each order it failed to cancel.
+   */
+  constructor(client,{ timeout, signals = ['SIGINT','SIGTERM'], logger = console } = {}) {
+    if (!(timeout > 0)) throw new BittrexValidationError('timeout must be a positive number of milliseconds',{field:'timeout'})
+    this._client = client
+    this._timeout = timeout
+    this._logger = logger
+    this._tracked = new Map()
+    this._timer = null
+    this._cancelling = null
+    this._signals = signals === false ? [] : signals
+    this._handlers = this._signals.map(signal => {
+      const handler = () => this.shutdown(signal,handler)
+      process.on(signal,handler)
+      return handler
+    })
+  }
+
+  /**
+   * @method heartbeat - Restart the countdown. The first heartbeat arms the switch.
+   */
+  heartbeat(){
+    clearTimeout(this._timer)
+    this._timer = setTimeout(() => {
+      this._timer = null
+      this.cancelTracked(`no heartbeat for ${this._timeout}ms`).catch(() => {})
+    },this._timeout)
+    if (this._timer.unref) this._timer.unref()
+  }
+
+  /**
+   * @method stop - Disarm the countdown and remove the signal handlers. Tracked orders are left alone.
+   */
+  stop(){
+    clearTimeout(this._timer)
+    this._timer = null
+    this._signals.forEach((signal,index) => process.removeListener(signal,this._handlers[index]))
+    this._signals = []
+    this._handlers = []
+  }
+
+  /**
+   * @method track - Remember an order about to be sent.
+   * @param {String} clientOrderId
+   * @param {String} [subaccountId=null] - Sub-account the order is placed for, null for the master account.
+   */
+  track(clientOrderId,subaccountId=null){
+    if (clientOrderId) this._tracked.set(clientOrderId,subaccountId)
+  }
+
+  /**
+   * @method forget - Stop tracking an order, e.g. because the exchange rejected it.
+   * @param {String} clientOrderId
+   */
+  forget(clientOrderId){
+    this._tracked.delete(clientOrderId)
+  }
+
+  /**
+   * @method update - Stop tracking an order the exchange reports as closed.
+   * @param {Object} order - Order object
+   */
+  update(order){
+    if (order && order.status === 'CLOSED') this.forget(order.clientOrderId)
+  }
+
+  /**
+   * @method tracked - clientOrderIds of the orders that would be cancelled.
+   * @returns {Array}
+   */
+  tracked(){
+    return Array.from(this._tracked.keys())
+  }
+
+  /**
+   * @method cancelTracked - Cancel every tracked order still open. Concurrent calls share one run.
+   * @param {String} [reason] - Logged with the outcome.
+   * @returns {Promise} - { cancelled: [Order], failed: [{ order, error }] }. Rejects when the open orders cannot be listed.
+   */
+  cancelTracked(reason='requested'){
+    if (!this._cancelling){
+      const cancelling = this._cancelling = this.cancelOpen(reason)
+      const settled = () => {
+        if (this._cancelling === cancelling) this._cancelling = null
+      }
+      cancelling.then(settled,settled)
+    }
+    return this._cancelling
+  }
+
+  /*-------------------------------------------------------------------------*
+   * Private
+   *-------------------------------------------------------------------------*/
+
+  /**
+   * @private
+   * @method cancelOpen
+   * @param {String} reason
+   * @returns {Promise} - { cancelled, failed }
+   */
+  async cancelOpen(reason){
+    const cancelled = []
+    const failed = []
+    if (!this._tracked.size) return {cancelled,failed}
+    const accounts = []
+    try{
+      for (const [subaccountId,clientOrderIds] of this.trackedByAccount()){
+        const client = this._client.withSubaccount(subaccountId)
+        accounts.push({client,clientOrderIds,open:await client.getOpenOrders()})
+      }
+    }
+    catch(error){
+      this._logger.error(`dead man's switch (${reason}): could not list open orders, ${this._tracked.size} tracked orders may still be open: ${error.message}`)
+      throw error
+    }
+    for (const {client,clientOrderIds,open} of accounts){
+      const openIds = new Set(open.map(order => order.clientOrderId))
+      // filled or cancelled elsewhere since they were placed
+      clientOrderIds.filter(clientOrderId => !openIds.has(clientOrderId)).forEach(clientOrderId => this.forget(clientOrderId))
+      for (const order of open.filter(order => clientOrderIds.indexOf(order.clientOrderId) >= 0)){
+        try{
+          const result = await client.cancelOrder(order.id)
+          this.forget(order.clientOrderId)
+          cancelled.push(result)
+        }
+        catch(error){
+          failed.push({order,error})
+          this._logger.error(`dead man's switch (${reason}): failed to cancel order ${order.id} (clientOrderId ${order.clientOrderId}): ${error.message}`)
+        }
+      }
+    }
+    this._logger.warn(`dead man's switch (${reason}): cancelled ${cancelled.length} of ${cancelled.length+failed.length} open orders placed by this client`)
+    return {cancelled,failed}
+  }
+
+  /**
+   * @private
+   * @method trackedByAccount
+   * @returns {Map} - { subaccountId (null for the master account): [clientOrderId] }
+   */
+  trackedByAccount(){
+    const accounts = new Map()
+    this._tracked.forEach((subaccountId,clientOrderId) => accounts.set(subaccountId,(accounts.get(subaccountId) || []).concat(clientOrderId)))
+    return accounts
+  }
+
+  /**
+   * @private
+   * @method shutdown - Signal handler: cancel tracked orders, then let the signal take its default course unless someone else handles it.
+   * @param {String} signal
+   * @param {Function} handler - The listener that was called.
+   * @returns {Promise}
+   */
+  async shutdown(signal,handler){
+    try{
+      await this.cancelTracked(signal)
+    }
+    catch(error){
+      // already logged
+    }
+    const index = this._handlers.indexOf(handler)
+    if (index === -1) return
+    process.removeListener(signal,handler)
+    this._signals.splice(index,1)
+    this._handlers.splice(index,1)
+    if (process.listenerCount(signal) === 0) process.kill(process.pid,signal)
+  }
+}
+
+module.exports = DeadMansSwitch
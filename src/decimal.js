@@ -0,0 +1,92 @@
+const Big = require('big.js')
+const { BittrexError, BittrexValidationError } = require('./errors')
+
+const MODES = ['raw','string','decimal']
+
+/**
+ * Response fields that carry decimal amounts. Bittrex v3 sends them as strings.
+ */
+const NUMERIC_FIELDS = new Set([
+  'quantity','rate','limit','ceiling','fillQuantity','commission','proceeds','total','available',
+  'txCost','txFee','minTradeSize','lastTradeRate','bidRate','askRate','high','low','open','close',
+  'volume','quoteVolume','percentChange','triggerPrice','trailingStopPercent','amount','makerRate','takerRate','volume30days'
+])
+
+const DECIMAL = /^-?\d+(\.\d+)?$/
+
+/**
+ * @method toPlainString - Format a number, numeric string or Big as a plain decimal string, never in scientific notation.
+ * @param {Number|String|Big} value
+ * @param {String} [field] - Argument name, for the error.
+ * @returns {String}
+ */
+function toPlainString(value,field){
+  if (typeof value === 'number' && !isFinite(value)) throw new BittrexValidationError(`${field || 'value'} must be a finite number`,{field})
+  try{
+    return new Big(value).toFixed()
+  }
+  catch(error){
+    throw new BittrexValidationError(`${field || 'value'} is not a valid decimal: ${value}`,{field})
+  }
+}
+
+/**
+ * @method convertNumbers - Walk a response and convert every decimal field for the chosen numeric mode.
+ * 'string' keeps plain, validated decimal strings; 'decimal' returns Big instances; 'raw' leaves the response untouched.
+ * @param {*} value - Parsed response body.
+ * @param {String} mode - ['raw'|'string'|'decimal']
+ * @returns {*}
+ */
+function convertNumbers(value,mode){
+  if (mode === 'raw' || value === null || typeof value !== 'object') return value
+  if (Array.isArray(value)) return value.map(item => convertNumbers(item,mode))
+  const result = {}
+  for (const key of Object.keys(value)){
+    const field = value[key]
+    if (NUMERIC_FIELDS.has(key) && (typeof field === 'string' || typeof field === 'number')) result[key] = convertDecimal(field,key,mode)
+    else result[key] = convertNumbers(field,mode)
+  }
+  return result
+}
+
+/**
+ * @private
+ * @method convertDecimal
+ * @param {String|Number} value
+ * @param {String} field
+ * @param {String} mode
+ * @returns {String|Big}
+ */
+function convertDecimal(value,field,mode){
+  const text = typeof value === 'number' ? toPlainString(value,field) : value
+  if (!DECIMAL.test(text)) throw new BittrexError(`response field ${field} is not a decimal: ${value}`,{code:'INVALID_DECIMAL',data:value})
+  return mode === 'decimal' ? new Big(text) : text
+}
+
+/**
+ * @method presentDecimals - Walk a locally computed result and present its Big amounts for the chosen numeric mode:
+ * Big instances in 'decimal' mode, plain decimal strings otherwise.
+ * @param {*} value
+ * @param {String} mode - ['raw'|'string'|'decimal']
+ * @returns {*}
+ */
+function presentDecimals(value,mode){
+  if (value instanceof Big) return mode === 'decimal' ? value : value.toFixed()
+  if (value === null || typeof value !== 'object' || value instanceof Date) return value
+  if (Array.isArray(value)) return value.map(item => presentDecimals(item,mode))
+  const result = {}
+  for (const key of Object.keys(value)) result[key] = presentDecimals(value[key],mode)
+  return result
+}
+
+/**
+ * @method numericMode - Validate the `numeric` constructor option.
+ * @param {String} mode
+ * @returns {String}
+ */
+function numericMode(mode){
+  if (MODES.indexOf(mode) === -1) throw new BittrexValidationError('numeric must be either: [\'raw\'|\'string\'|\'decimal\']',{field:'numeric'})
+  return mode
+}
+
+module.exports = { Big, NUMERIC_FIELDS, toPlainString, convertNumbers, presentDecimals, numericMode }
@@ -0,0 +1,150 @@
+/*-------------------------------------------------------------------------*
+ * Error classes raised by BittrexClient
+ *-------------------------------------------------------------------------*/
+
+const { redactHeaders } = require('./instrumentation')
+
+const AUTH_CODES = ['APIKEY_INVALID','INVALID_SIGNATURE','INVALID_TIMESTAMP','INVALID_CONTENT_HASH','UNAUTHORIZED','PERMISSION_DENIED']
+const RATE_LIMIT_CODES = ['THROTTLED','TOO_MANY_REQUESTS']
+
+/**
+ * @class BittrexError - Base class for every error thrown by this package.
+ * @param {String} message
+ * @param {String} [details.code] - Bittrex error code (e.g. 'INSUFFICIENT_FUNDS') or a local code.
+ * @param {Number} [details.status] - HTTP status of the response, if one was received.
+ * @param {String} [details.method] - HTTP method of the failed request.
+ * @param {String} [details.endpoint] - Path of the failed request, relative to the API base URL.
+ * @param {Object} [details.data] - Parsed response body.
+ * @param {Object} [details.headers] - Response headers.
+ * @param {String} [details.correlationId] - Request id reported by the exchange, if any.
+ * @param {Number} [details.timestamp] - Api-Timestamp the request was signed with.
+ * @param {Error} [details.cause] - Underlying error.
+ */
+class BittrexError extends Error {
+  constructor(message,{code,status,method,endpoint,data,headers,correlationId,timestamp,cause}={}){
+    super(message)
+    this.name = this.constructor.name
+    this.code = code
+    this.status = status
+    this.method = method
+    this.endpoint = endpoint
+    this.data = data
+    this.headers = headers
+    this.correlationId = correlationId
+    this.timestamp = timestamp
+    this.cause = cause
+  }
+}
+
+/**
+ * @class BittrexApiError - The exchange answered with a non-2xx status.
+ */
+class BittrexApiError extends BittrexError {}
+
+/**
+ * @class BittrexAuthError - The exchange rejected the credentials or signature (401/403, APIKEY_INVALID, ...).
+ */
+class BittrexAuthError extends BittrexApiError {}
+
+/**
+ * @class BittrexRateLimitError - The exchange throttled the request (429). retryAfter is in milliseconds, if the exchange sent one.
+ */
+class BittrexRateLimitError extends BittrexApiError {
+  constructor(message,details={}){
+    super(message,details)
+    this.retryAfter = details.retryAfter
+  }
+}
+
+/**
+ * @class BittrexNetworkError - No response was received (timeout, socket reset, DNS failure, ...).
+ */
+class BittrexNetworkError extends BittrexError {}
+
+/**
+ * @class BittrexValidationError - Arguments were rejected locally, before any request was sent.
+ * @param {String} message
+ * @param {String} [details.field] - Name of the offending argument.
+ */
+class BittrexValidationError extends BittrexError {
+  constructor(message,details={}){
+    super(message,Object.assign({code:'VALIDATION_ERROR'},details))
+    this.field = details.field
+  }
+}
+
+/**
+ * @class BittrexGuardError - The client's trading guard refused a request before it was sent (read-only mode, withdrawal allowlist, notional or withdrawal limits, ...).
+ * @param {String} message
+ * @param {String} [details.code] - The rule that was hit, e.g. 'READ_ONLY' or 'ORDER_NOTIONAL_LIMIT'.
+ */
+class BittrexGuardError extends BittrexError {}
+
+/**
+ * @method parseRetryAfter - Convert a Retry-After header (seconds or HTTP date) to milliseconds.
+ * @param {String} value
+ * @returns {Number|undefined}
+ */
+function parseRetryAfter(value){
+  if (value === undefined || value === null || value === '') return undefined
+  const seconds = Number(value)
+  if (!isNaN(seconds)) return Math.max(0,seconds*1000)
+  const date = Date.parse(value)
+  if (!isNaN(date)) return Math.max(0,date-Date.now())
+  return undefined
+}
+
+/**
+ * @method fromAxiosError - Translate an axios failure into the matching BittrexError subclass.
+ * @param {Error} error - Error thrown by axios.
+ * @param {String} method
+ * @param {String} endpoint
+ * @param {Number} [timestamp]
+ * @returns {BittrexError}
+ */
+function fromAxiosError(error,{method,endpoint,timestamp}={}){
+  redactCredentials(error)
+  const response = error.response
+  if (!response){
+    return new BittrexNetworkError(`${error.code || 'NETWORK_ERROR'}: ${method} ${endpoint} - ${error.message}`,{
+      code: error.code || 'NETWORK_ERROR',
+      method,endpoint,timestamp,cause:error
+    })
+  }
+  const {status,headers={}} = response
+  const data = response.data
+  const code = (data && data.code) || `HTTP_${status}`
+  const detail = data && data.detail ? ` (${data.detail})` : ''
+  const details = {
+    code,status,method,endpoint,data,headers,timestamp,cause:error,
+    correlationId: headers['x-request-id'] || headers['cf-ray']
+  }
+  const message = `${code}: ${method} ${endpoint} failed with status ${status}${detail}`
+  if (status === 429 || RATE_LIMIT_CODES.indexOf(code) >= 0){
+    return new BittrexRateLimitError(message,Object.assign(details,{retryAfter:parseRetryAfter(headers['retry-after'])}))
+  }
+  if (status === 401 || status === 403 || AUTH_CODES.indexOf(code) >= 0) return new BittrexAuthError(message,details)
+  return new BittrexApiError(message,details)
+}
+
+/**
+ * @method redactCredentials - Redact the signed headers in an axios error, which is kept as `cause`, and drop the raw http request and the agents
+ * (whose sockets hold requests in flight), so that logging the error does not reveal the API key.
+ * @param {Error} error - Error thrown by axios.
+ */
+function redactCredentials(error){
+  if (error.config) error.config = Object.assign({},error.config,{headers:redactHeaders(error.config.headers),httpAgent:undefined,httpsAgent:undefined})
+  if (error.response) error.response = Object.assign({},error.response,{config:error.config,request:undefined})
+  delete error.request
+}
+
+module.exports = {
+  BittrexError,
+  BittrexApiError,
+  BittrexAuthError,
+  BittrexRateLimitError,
+  BittrexNetworkError,
+  BittrexValidationError,
+  BittrexGuardError,
+  fromAxiosError
+}
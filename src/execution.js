@@ -0,0 +1,392 @@
+const EventEmitter = require('events')
+const { Big, toPlainString, presentDecimals } = require('./decimal')
+const { BittrexError, BittrexValidationError } = require('./errors')
+
+const QUANTITY_DECIMALS = 8
+
+/**
+ * Works one parent order as a series of child orders placed with sendOrder. Subclasses decide what to place and when;
+ * this class tracks the children's fills, cancels whatever is still open when the execution stops, and builds the summary.
+ * `done` resolves with the final summary, or rejects with the error that stopped the execution after its open children were cancelled.
+ * That error is also emitted as 'error' when someone listens; a rejected `done` nobody awaits is not reported as unhandled.
+ *
+ * Events: 'order' (Order, each child as placed), 'fill' ({ order, quantity }, newly filled quantity of a child), 'progress' (summary), 'done' (summary),
+ * 'error' (error).
+ */
+class Execution extends EventEmitter {
+
+  /**
+   * @constructor
+   * @param {BittrexClient} client - Required.
+   * @param {String} options.strategy - 'TWAP', 'ICEBERG' or 'LADDER'.
+   * @param {String} options.marketSymbol - Required. Example: 'BTC-USD'
+   * @param {String} options.direction - Required. ['BUY'|'SELL']
+   * @param {Number|String|Big} options.quantity - Required. Total base quantity to execute.
+   * @param {Number} [options.pollInterval=1000] - Milliseconds between checks of resting children.
+   * @param {String} [options.numeric='raw'] - How the summary presents amounts, see BittrexClient.
+   */
+  constructor(client,{ strategy, marketSymbol, direction, quantity, pollInterval = 1000, numeric = 'raw' } = {}) {
+    super()
+    if (!marketSymbol) throw new BittrexValidationError('marketSymbol is required',{field:'marketSymbol'})
+    if (['BUY','SELL'].indexOf(direction) === -1) throw new BittrexValidationError('direction must be either \'BUY\' or \'SELL\'',{field:'direction'})
+    this._client = client
+    this._strategy = strategy
+    this._marketSymbol = marketSymbol
+    this._direction = direction
+    this._quantity = amount(quantity,'quantity')
+    this._pollInterval = pollInterval
+    this._numeric = numeric
+    this._children = new Map()
+    this._status = 'PENDING'
+    this._stopped = false
+    this._wake = null
+    this._startedAt = null
+    this._endedAt = null
+    this.done = null
+  }
+
+  /**
+   * @method start - Begin placing child orders. Called by the client's twap(), iceberg() and ladder().
+   * @returns {Execution} - this
+   */
+  start(){
+    if (this.done) return this
+    this._status = 'RUNNING'
+    this._startedAt = new Date()
+    this.done = this.run()
+    this.done.catch(() => {})
+    return this
+  }
+
+  /**
+   * @method cancel - Stop placing orders and cancel every child still open.
+   * @returns {Promise} - The final summary, with status 'CANCELLED' unless the execution had already finished.
+   */
+  cancel(){
+    this._stopped = true
+    if (this._wake) this._wake()
+    return this.done || Promise.resolve(this.summary())
+  }
+
+  /**
+   * @method summary - Progress so far.
+   * @returns {Object} - {
+    "strategy": "string",
+    "marketSymbol": "string",
+    "direction": "string",
+    "status": "string", ['PENDING'|'RUNNING'|'COMPLETED'|'CANCELLED'|'FAILED']
+    "quantity": "number (double)",
+    "filledQuantity": "number (double)",
+    "remainingQuantity": "number (double)",
+    "averagePrice": "number (double)", null before the first fill
+    "proceeds": "number (double)",
+    "commission": "number (double)",
+    "orders": "integer", child orders placed
+    "openOrders": "integer",
+    "startedAt": "string (date-time)",
+    "endedAt": "string (date-time)"
+    }
+   */
+  summary(){
+    let filled = new Big(0)
+    let proceeds = new Big(0)
+    let commission = new Big(0)
+    for (const order of this._children.values()){
+      filled = filled.plus(order.fillQuantity)
+      proceeds = proceeds.plus(order.proceeds)
+      commission = commission.plus(order.commission)
+    }
+    return presentDecimals({
+      strategy:this._strategy,
+      marketSymbol:this._marketSymbol,
+      direction:this._direction,
+      status:this._status,
+      quantity:this._quantity,
+      filledQuantity:filled,
+      remainingQuantity:this._quantity.minus(filled),
+      averagePrice:filled.gt(0) ? proceeds.div(filled).round(QUANTITY_DECIMALS) : null,
+      proceeds,
+      commission,
+      orders:this._children.size,
+      openOrders:this.openChildren().length,
+      startedAt:this._startedAt && this._startedAt.toISOString(),
+      endedAt:this._endedAt && this._endedAt.toISOString()
+    },this._numeric)
+  }
+
+  /*-------------------------------------------------------------------------*
+   * Private
+   *-------------------------------------------------------------------------*/
+
+  /**
+   * @private
+   * @method run - Run the strategy, then cancel the children it left open.
+   * @returns {Promise} - summary
+   */
+  async run(){
+    let failure = null
+    try{
+      await this.execute()
+    }
+    catch(error){
+      failure = error
+    }
+    try{
+      await this.cancelChildren()
+    }
+    catch(error){
+      failure = failure || error
+    }
+    this._endedAt = new Date()
+    if (failure){
+      this._status = 'FAILED'
+      if (this.listenerCount('error')) this.emit('error',failure)
+      throw failure
+    }
+    this._status = this._stopped ? 'CANCELLED' : 'COMPLETED'
+    const summary = this.summary()
+    this.emit('done',summary)
+    return summary
+  }
+
+  /**
+   * @private
+   * @method execute - Place the strategy's child orders. Implemented by subclasses; returns once the parent order is worked or stopped.
+   * @returns {Promise}
+   */
+  async execute(){
+    throw new BittrexError(`${this._strategy} is not implemented`,{code:'NOT_IMPLEMENTED'})
+  }
+
+  /**
+   * @private
+   * @method place - Send one child order.
+   * @param {Big} quantity
+   * @param {Big} limit
+   * @param {String} timeInForce
+   * @returns {Promise} - Order object
+   */
+  async place(quantity,limit,timeInForce){
+    const order = await this._client.sendOrder(this._marketSymbol,this._direction,'LIMIT',{quantity:quantity.toFixed(),limit:limit.toFixed()},timeInForce)
+    this.track(order,true)
+    return order
+  }
+
+  /**
+   * @private
+   * @method track - Record the latest state of a child order and report new fills.
+   * @param {Object} order - Order object
+   * @param {Boolean} [placed=false] - The order was just sent.
+   */
+  track(order,placed=false){
+    const previous = this._children.get(order.id)
+    const state = {
+      id:order.id,
+      status:order.status,
+      quantity:new Big(order.quantity),
+      fillQuantity:new Big(order.fillQuantity || 0),
+      proceeds:new Big(order.proceeds || 0),
+      commission:new Big(order.commission || 0)
+    }
+    this._children.set(order.id,state)
+    if (placed) this.emit('order',order)
+    const quantity = state.fillQuantity.minus(previous ? previous.fillQuantity : 0)
+    if (quantity.gt(0)){
+      this.emit('fill',presentDecimals({order,quantity},this._numeric))
+      this.emit('progress',this.summary())
+    }
+  }
+
+  /**
+   * @private
+   * @method refresh - Update open children from getOpenOrders; children no longer listed are fetched once more for their final fills.
+   * @returns {Promise}
+   */
+  async refresh(){
+    const open = this.openChildren()
+    if (!open.length) return
+    const listed = new Map((await this._client.getOpenOrders(this._marketSymbol)).map(order => [order.id,order]))
+    for (const child of open){
+      this.track(listed.get(child.id) || await this._client.getOrder(child.id))
+    }
+  }
+
+  /**
+   * @private
+   * @method cancelChildren - Cancel every child still open, recording the fills they had.
+   * @returns {Promise}
+   */
+  async cancelChildren(){
+    for (const child of this.openChildren()){
+      try{
+        this.track(await this._client.cancelOrder(child.id))
+      }
+      catch(error){
+        if (error.code !== 'ORDER_NOT_OPEN') throw error
+        this.track(await this._client.getOrder(child.id))
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @method openChildren
+   * @returns {Array} - Tracked children not yet closed.
+   */
+  openChildren(){
+    return Array.from(this._children.values()).filter(child => child.status !== 'CLOSED')
+  }
+
+  /**
+   * @private
+   * @method working - Quantity filled plus quantity still resting in open children.
+   * @returns {Big}
+   */
+  working(){
+    let total = new Big(0)
+    for (const child of this._children.values()) total = total.plus(child.status === 'CLOSED' ? child.fillQuantity : child.quantity)
+    return total
+  }
+
+  /**
+   * @private
+   * @method wait - Sleep, waking early when the execution is cancelled.
+   * @param {Number} ms
+   * @returns {Promise}
+   */
+  wait(ms){
+    if (this._stopped) return Promise.resolve()
+    return new Promise(resolve => {
+      const timer = setTimeout(() => this._wake(),ms)
+      this._wake = () => {
+        clearTimeout(timer)
+        this._wake = null
+        resolve()
+      }
+    })
+  }
+}
+
+/**
+ * Time-weighted average price: the quantity is split into equal slices sent at even intervals over the duration.
+ * Each slice is an IMMEDIATE_OR_CANCEL limit order at the best opposite price of the order book, never worse than `limit`;
+ * whatever a slice leaves unfilled is spread over the slices after it.
+ */
+class TwapExecution extends Execution {
+
+  /**
+   * @constructor
+   * @param {BittrexClient} client
+   * @param {Number} options.duration - Required. Milliseconds from the first slice to the last.
+   * @param {Number} [options.slices=10]
+   * @param {Number|String|Big} [options.limit] - Worst price a slice may trade at.
+   * Other options: see Execution.
+   */
+  constructor(client,options={}){
+    super(client,Object.assign({},options,{strategy:'TWAP'}))
+    const {duration,slices=10,limit} = options
+    if (!(duration >= 0)) throw new BittrexValidationError('duration must be a number of milliseconds',{field:'duration'})
+    if (!Number.isInteger(slices) || slices < 1) throw new BittrexValidationError('slices must be a positive integer',{field:'slices'})
+    this._duration = duration
+    this._slices = slices
+    this._limit = limit === undefined ? null : amount(limit,'limit')
+  }
+
+  async execute(){
+    const interval = this._slices > 1 ? this._duration/(this._slices-1) : 0
+    for (let slice = 0; slice < this._slices && !this._stopped; slice++){
+      if (slice > 0) await this.wait(interval)
+      if (this._stopped) break
+      const remaining = this._quantity.minus(this.working())
+      const quantity = slice === this._slices-1 ? remaining : remaining.div(this._slices-slice).round(QUANTITY_DECIMALS,Big.roundDown)
+      if (quantity.lte(0)) continue
+      const book = await this._client.orderBook(this._marketSymbol,1)
+      const [best] = this._direction === 'BUY' ? book.ask : book.bid
+      if (!best) continue
+      let rate = new Big(best.rate)
+      if (this._limit && (this._direction === 'BUY' ? rate.gt(this._limit) : rate.lt(this._limit))) rate = this._limit
+      await this.place(quantity,rate,'IMMEDIATE_OR_CANCEL')
+    }
+  }
+}
+
+/**
+ * Iceberg: only `visibleQuantity` rests on the book at a time, as a GOOD_TIL_CANCELLED limit order.
+ * When it is filled (or closed) the next one is placed, until the whole quantity is filled.
+ */
+class IcebergExecution extends Execution {
+
+  /**
+   * @constructor
+   * @param {BittrexClient} client
+   * @param {Number|String|Big} options.limit - Required.
+   * @param {Number|String|Big} options.visibleQuantity - Required. Quantity of each child order.
+   * Other options: see Execution.
+   */
+  constructor(client,options={}){
+    super(client,Object.assign({},options,{strategy:'ICEBERG'}))
+    this._limit = amount(options.limit,'limit')
+    this._visibleQuantity = amount(options.visibleQuantity,'visibleQuantity')
+  }
+
+  async execute(){
+    while (!this._stopped){
+      if (!this.openChildren().length){
+        const remaining = this._quantity.minus(this.working())
+        if (remaining.lte(0)) return
+        await this.place(remaining.lt(this._visibleQuantity) ? remaining : this._visibleQuantity,this._limit,'GOOD_TIL_CANCELLED')
+        continue
+      }
+      await this.wait(this._pollInterval)
+      if (!this._stopped) await this.refresh()
+    }
+  }
+}
+
+/**
+ * Ladder: `orders` GOOD_TIL_CANCELLED limit orders of equal quantity at prices spread evenly from `from` to `to`,
+ * rounded to the market's precision. Finishes when all of them are closed.
+ */
+class LadderExecution extends Execution {
+
+  /**
+   * @constructor
+   * @param {BittrexClient} client
+   * @param {Number|String|Big} options.from - Required. Price of the first order.
+   * @param {Number|String|Big} options.to - Required. Price of the last order.
+   * @param {Number} [options.orders=5] - Number of orders.
+   * Other options: see Execution.
+   */
+  constructor(client,options={}){
+    super(client,Object.assign({},options,{strategy:'LADDER'}))
+    const {orders=5} = options
+    if (!Number.isInteger(orders) || orders < 1) throw new BittrexValidationError('orders must be a positive integer',{field:'orders'})
+    this._from = amount(options.from,'from')
+    this._to = amount(options.to,'to')
+    this._orders = orders
+  }
+
+  async execute(){
+    const market = (await this._client.markets()).find(market => market.symbol === this._marketSymbol)
+    const precision = market && market.precision !== undefined ? Number(market.precision) : QUANTITY_DECIMALS
+    const step = this._orders > 1 ? this._to.minus(this._from).div(this._orders-1) : new Big(0)
+    const size = this._quantity.div(this._orders).round(QUANTITY_DECIMALS,Big.roundDown)
+    for (let index = 0; index < this._orders && !this._stopped; index++){
+      const quantity = index === this._orders-1 ? this._quantity.minus(size.times(this._orders-1)) : size
+      await this.place(quantity,this._from.plus(step.times(index)).round(precision),'GOOD_TIL_CANCELLED')
+    }
+    while (!this._stopped && this.openChildren().length){
+      await this.wait(this._pollInterval)
+      if (!this._stopped) await this.refresh()
+    }
+  }
+}
+
+function amount(value,field){
+  if (value === undefined || value === null) throw new BittrexValidationError(`${field} is required`,{field})
+  const result = new Big(toPlainString(value,field))
+  if (result.lte(0)) throw new BittrexValidationError(`${field} must be positive`,{field})
+  return result
+}
+
+module.exports = { Execution, TwapExecution, IcebergExecution, LadderExecution }
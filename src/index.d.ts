@@ -0,0 +1,983 @@
+/// <reference types="node" />
+
+import { EventEmitter } from 'events'
+import { Readable } from 'stream'
+
+/*-------------------------------------------------------------------------*
+ * Decimals
+ *-------------------------------------------------------------------------*/
+
+export type BigSource = number | string | Big
+
+/**
+ * The subset of big.js used by this package. Amounts are Big instances in 'decimal' numeric mode.
+ */
+export interface Big {
+  plus(n: BigSource): Big
+  minus(n: BigSource): Big
+  times(n: BigSource): Big
+  div(n: BigSource): Big
+  mod(n: BigSource): Big
+  abs(): Big
+  neg(): Big
+  round(dp?: number, rm?: 0 | 1 | 2 | 3): Big
+  cmp(n: BigSource): -1 | 0 | 1
+  eq(n: BigSource): boolean
+  gt(n: BigSource): boolean
+  gte(n: BigSource): boolean
+  lt(n: BigSource): boolean
+  lte(n: BigSource): boolean
+  toFixed(dp?: number): string
+  toNumber(): number
+  toString(): string
+  valueOf(): string
+}
+
+export interface BigConstructor {
+  new (value: BigSource): Big
+  (value: BigSource): Big
+  DP: number
+  RM: number
+  roundDown: 0
+  roundHalfUp: 1
+  roundHalfEven: 2
+  roundUp: 3
+}
+
+export const Big: BigConstructor
+
+/**
+ * How amounts are returned: 'raw' and 'string' as decimal strings (validated in 'string' mode), 'decimal' as Big.
+ */
+export type NumericMode = 'raw' | 'string' | 'decimal'
+
+/** The type of an amount in responses of a client in numeric mode N. */
+export type Decimal<N extends NumericMode = 'raw'> = N extends 'decimal' ? Big : string
+
+/** Amounts accepted by requests. */
+export type Amount = number | string | Big
+
+/** Dates accepted by requests: a Date, an ISO-8601 string or epoch milliseconds. */
+export type DateInput = Date | string | number
+
+/*-------------------------------------------------------------------------*
+ * Enumerations
+ *-------------------------------------------------------------------------*/
+
+export type OrderDirection = 'BUY' | 'SELL'
+export type OrderType = 'LIMIT' | 'MARKET' | 'CEILING_LIMIT' | 'CEILING_MARKET'
+export type TimeInForce = 'GOOD_TIL_CANCELLED' | 'IMMEDIATE_OR_CANCEL' | 'FILL_OR_KILL' | 'POST_ONLY_GOOD_TIL_CANCELLED' | 'BUY_NOW' | 'INSTANT'
+export type OrderStatus = 'OPEN' | 'CLOSED'
+export type CandleInterval = 'MINUTE_1' | 'MINUTE_5' | 'HOUR_1' | 'DAY_1'
+export type CandleType = 'TRADE' | 'MIDPOINT'
+export type OrderBookDepth = 1 | 25 | 500
+export type ConditionalOperand = 'LTE' | 'GTE'
+export type MarketStatus = 'ONLINE' | 'OFFLINE'
+export type CurrencyStatus = 'ONLINE' | 'OFFLINE'
+export type OpenWithdrawalStatus = 'REQUESTED' | 'AUTHORIZED' | 'PENDING' | 'ERROR_INVALID_ADDRESS'
+export type ClosedWithdrawalStatus = 'COMPLETED' | 'CANCELLED'
+export type WithdrawalStatus = OpenWithdrawalStatus | ClosedWithdrawalStatus
+export type DepositStatus = 'PENDING' | 'COMPLETED' | 'ORPHANED' | 'INVALIDATED'
+export type CostBasisMethod = 'FIFO' | 'LIFO' | 'AVERAGE'
+
+/** A native candle interval, or a resampling bucket such as 'MINUTE_15', 'HOUR_4', 'WEEK_1', or a length in milliseconds. */
+export type ResampleInterval = CandleInterval | string | number
+
+/*-------------------------------------------------------------------------*
+ * Response objects
+ *-------------------------------------------------------------------------*/
+
+export interface Market<D = string> {
+  symbol: string
+  baseCurrencySymbol: string
+  quoteCurrencySymbol: string
+  minTradeSize: D
+  precision: number
+  status: MarketStatus
+  createdAt: string
+  notice?: string
+  prohibitedIn: string[]
+  associatedTermsOfService: string[]
+  tags: string[]
+}
+
+export interface Currency<D = string> {
+  symbol: string
+  name: string
+  coinType: string
+  status: CurrencyStatus
+  minConfirmations: number
+  notice?: string
+  txFee: D
+  logoUrl?: string
+  prohibitedIn: string[]
+  baseAddress?: string
+  associatedTermsOfService: string[]
+  tags: string[]
+}
+
+export interface Ticker<D = string> {
+  symbol: string
+  lastTradeRate: D
+  bidRate: D
+  askRate: D
+}
+
+export interface MarketSummary<D = string> {
+  symbol: string
+  high: D
+  low: D
+  volume: D
+  quoteVolume: D
+  percentChange: D
+  updatedAt: string
+}
+
+export interface Trade<D = string> {
+  id: string
+  executedAt: string
+  quantity: D
+  rate: D
+  takerSide: OrderDirection
+}
+
+export interface OrderBookEntry<D = string> {
+  quantity: D
+  rate: D
+}
+
+export interface OrderBook<D = string> {
+  bid: OrderBookEntry<D>[]
+  ask: OrderBookEntry<D>[]
+}
+
+export interface OrderBookSnapshot<D = string> extends OrderBook<D> {
+  sequence: number
+}
+
+export interface Candle<D = string> {
+  startsAt: string
+  open: D
+  high: D
+  low: D
+  close: D
+  volume: D
+  quoteVolume: D
+  /** getCandles with gaps: 'flag': number of missing candles before this one. */
+  gapBefore?: number
+  /** getCandles with gaps: 'fill': a flat candle inserted for a missing interval. */
+  synthetic?: boolean
+}
+
+export interface OrderReference {
+  type: 'ORDER' | 'CONDITIONAL_ORDER'
+  id: string
+}
+
+export interface Order<D = string> {
+  id: string
+  marketSymbol: string
+  direction: OrderDirection
+  type: OrderType
+  quantity?: D
+  limit?: D
+  ceiling?: D
+  timeInForce: TimeInForce
+  clientOrderId?: string
+  fillQuantity: D
+  commission: D
+  proceeds: D
+  status: OrderStatus
+  createdAt: string
+  updatedAt?: string
+  closedAt?: string
+  orderToCancel?: OrderReference
+}
+
+export interface CancelledOrder<D = string> {
+  id: string
+  statusCode: string
+  result?: Order<D>
+}
+
+export interface OrderExecution<D = string> {
+  id: string
+  marketSymbol: string
+  executedAt: string
+  quantity: D
+  rate: D
+  orderId: string
+  commission: D
+  isTaker: boolean
+}
+
+export interface NewOrder {
+  marketSymbol: string
+  direction: OrderDirection
+  type: OrderType
+  quantity?: Amount
+  ceiling?: Amount
+  limit?: Amount
+  timeInForce?: TimeInForce
+  clientOrderId?: string
+  useAwards?: boolean
+}
+
+export type BatchOperation =
+  | { resource?: 'ORDER', operation: 'POST', payload: NewOrder }
+  | { resource?: 'ORDER', operation: 'DELETE', payload: { id: string } }
+
+export interface BatchResult<D = string> {
+  status: number
+  payload: Order<D> | { code: string, detail?: string, data?: unknown }
+}
+
+export interface ConditionalOrder<D = string> {
+  id: string
+  marketSymbol: string
+  operand: ConditionalOperand
+  triggerPrice?: D
+  trailingStopPercent?: D
+  createdOrderId?: string
+  orderToCreate?: NewOrder
+  orderToCancel?: OrderReference
+  clientConditionalOrderId?: string
+  status: 'OPEN' | 'COMPLETED' | 'CANCELLED' | 'FAILED'
+  orderCreationErrorCode?: string
+  createdAt: string
+  updatedAt?: string
+  closedAt?: string
+}
+
+export interface Balance<D = string> {
+  currencySymbol: string
+  total: D
+  available: D
+  updatedAt: string
+}
+
+export interface Address {
+  status: 'REQUESTED' | 'PROVISIONED'
+  currencySymbol: string
+  cryptoAddress: string
+  cryptoAddressTag?: string
+}
+
+export interface AllowedAddress {
+  currencySymbol: string
+  createdAt: string
+  status: string
+  activeAt?: string
+  cryptoAddress: string
+  cryptoAddressTag?: string
+}
+
+export interface Withdrawal<D = string> {
+  id: string
+  currencySymbol: string
+  quantity: D
+  cryptoAddress: string
+  cryptoAddressTag?: string
+  txCost: D
+  txId?: string
+  status: WithdrawalStatus
+  createdAt: string
+  completedAt?: string
+  clientWithdrawalId?: string
+}
+
+export interface Deposit<D = string> {
+  id: string
+  currencySymbol: string
+  quantity: D
+  cryptoAddress: string
+  cryptoAddressTag?: string
+  txId: string
+  confirmations: number
+  updatedAt: string
+  completedAt?: string
+  status: DepositStatus
+  source?: string
+}
+
+export interface Account {
+  subaccountId?: string
+  accountId: string
+  actionsNeeded: string[]
+}
+
+export interface TradingFees<D = string> {
+  marketSymbol: string
+  makerRate: D
+  takerRate: D
+}
+
+export interface AccountVolume<D = string> {
+  updated: string
+  volume30days: D
+}
+
+export interface MarketPolicy {
+  symbol: string
+  view: boolean
+  buy: boolean
+  sell: boolean
+}
+
+export interface CurrencyPolicy {
+  symbol: string
+  view: boolean
+  deposit: { blockchain: boolean, creditCard: boolean, wireTransfer: boolean, ach: boolean }
+  withdraw: { blockchain: boolean, wireTransfer: boolean, ach: boolean }
+}
+
+export interface Transfer<D = string> {
+  id: string
+  requestId?: string
+  currencySymbol: string
+  amount: D
+  executedAt: string
+  toSubaccountId?: string
+  toMasterAccount?: boolean
+}
+
+export interface ReceivedTransfer<D = string> {
+  id: string
+  requestId?: string
+  currencySymbol: string
+  amount: D
+  executedAt: string
+  fromSubaccountId?: string
+  fromMasterAccount?: boolean
+}
+
+export interface Subaccount {
+  id: string
+  createdAt: string
+}
+
+export interface PortfolioAsset<D = string> {
+  currencySymbol: string
+  total: D
+  available: D
+  reserved: D
+  pendingDeposit: D
+  pendingWithdrawal: D
+  price: D | null
+  value: D | null
+  reservedValue: D | null
+  /** Percent of the portfolio's total. */
+  allocation: D | null
+  route: string[] | null
+}
+
+export interface Portfolio<D = string> {
+  quote: string
+  total: D
+  available: D
+  reserved: D
+  pendingDeposits: D
+  pendingWithdrawals: D
+  assets: PortfolioAsset<D>[]
+  unpriced: string[]
+  updatedAt: string
+}
+
+export interface PnLTotals<D = string> {
+  proceeds: D
+  costBasis: D
+  realized: D
+  unrealized: D
+  commissions: D
+  fees: D
+}
+
+export interface PnLAsset<D = string> {
+  currencySymbol: string
+  quantity: D
+  costBasis: D
+  averageCost: D | null
+  price: D | null
+  marketValue: D | null
+  realized: D
+  unrealized: D
+  commissions: D
+  fees: D
+}
+
+export interface Disposal<D = string> {
+  type: 'TRADE' | 'FEE'
+  currencySymbol: string
+  quantity: D
+  acquiredAt: string
+  disposedAt: string
+  proceeds: D
+  costBasis: D
+  gain: D
+  reference: string
+  unmatched?: boolean
+}
+
+export interface PnLReport<D = string> {
+  method: CostBasisMethod
+  quote: string
+  startDate?: string
+  endDate?: string
+  totals: PnLTotals<D>
+  assets: PnLAsset<D>[]
+  disposals: Disposal<D>[]
+  transactions: { type: 'TRADE' | 'DEPOSIT' | 'WITHDRAWAL', id: string, time: string | number, value?: D, [field: string]: unknown }[]
+}
+
+/*-------------------------------------------------------------------------*
+ * Client options
+ *-------------------------------------------------------------------------*/
+
+export interface Credentials {
+  apiKey: string
+  apiSecret: string
+  /** When the provider should be asked again. */
+  expiresAt?: DateInput
+}
+
+/** Resolves to credentials, or null when it has none. */
+export type CredentialProvider = () => Credentials | null | Promise<Credentials | null>
+
+export interface RetryOptions {
+  maxAttempts?: number
+  baseDelay?: number
+  maxDelay?: number
+  factor?: number
+  jitter?: boolean
+}
+
+export interface RateLimitOptions {
+  requestsPerMinute?: number
+  burst?: number
+}
+
+export interface ValidateOrdersOptions {
+  ttl?: number
+  rounding?: 'reject' | 'round' | 'truncate'
+}
+
+export interface CassetteOptions {
+  path: string
+  mode: 'record' | 'replay'
+  redact?: (interaction: CassetteInteraction) => CassetteInteraction
+}
+
+export interface MarketLimits {
+  maxOrderNotional?: Amount
+  maxOpenNotional?: Amount
+}
+
+export interface WithdrawalDestination {
+  currencySymbol?: string
+  cryptoAddress: string
+  cryptoAddressTag?: string
+}
+
+export interface TradingGuardOptions {
+  readOnly?: boolean
+  allowCancelAll?: boolean
+  withdrawalAllowlist?: (string | WithdrawalDestination)[]
+  maxOrderNotional?: { [quoteCurrencySymbol: string]: Amount }
+  markets?: { [marketSymbol: string]: MarketLimits }
+  maxDailyWithdrawal?: { [currencySymbol: string]: Amount }
+}
+
+export interface Logger {
+  debug?(record: object): void
+  info?(record: object): void
+  warn?(record: object): void
+  error?(record: object): void
+}
+
+export interface DeadMansSwitchOptions {
+  timeout: number
+  signals?: NodeJS.Signals[] | false
+  logger?: Pick<Logger, 'warn' | 'error'>
+}
+
+export interface RequestRecord {
+  event: 'request'
+  requestId: string
+  method: string
+  endpoint: string
+  attempt: number
+  /** Api-Key and Api-Signature are redacted. */
+  headers: { [name: string]: string | number }
+  body?: unknown
+}
+
+export interface ResponseRecord {
+  event: 'response'
+  requestId: string
+  method: string
+  endpoint: string
+  attempt: number
+  status: number
+  durationMs: number
+  headers: { [name: string]: string }
+  data: unknown
+}
+
+export interface ErrorRecord {
+  event: 'error'
+  requestId: string
+  method: string
+  endpoint: string
+  attempt: number
+  status?: number
+  code?: string
+  message: string
+  durationMs: number
+  retry: boolean
+  error: BittrexError
+}
+
+export interface Hooks {
+  onRequest?: ((record: RequestRecord) => void | Promise<void>) | ((record: RequestRecord) => void | Promise<void>)[]
+  onResponse?: ((record: ResponseRecord) => void | Promise<void>) | ((record: ResponseRecord) => void | Promise<void>)[]
+  onError?: ((record: ErrorRecord) => void | Promise<void>) | ((record: ErrorRecord) => void | Promise<void>)[]
+}
+
+export interface BittrexClientOptions<N extends NumericMode = 'raw'> {
+  apiKey?: string
+  apiSecret?: string
+  credentials?: Credentials | CredentialProvider
+  timeout?: number
+  keepAlive?: boolean
+  baseURL?: string
+  retry?: RetryOptions | false
+  rateLimit?: RateLimitOptions | false
+  numeric?: N
+  validateOrders?: ValidateOrdersOptions | boolean
+  cassette?: CassetteOptions | Cassette
+  guard?: TradingGuardOptions | boolean
+  deadMansSwitch?: DeadMansSwitchOptions
+  subaccountId?: string
+  logger?: Logger
+  metrics?: Metrics | boolean
+  hooks?: Hooks
+}
+
+export interface PageOptions {
+  nextPageToken?: string
+  previousPageToken?: string
+  pageSize?: number
+  startDate?: DateInput
+  endDate?: DateInput
+}
+
+export interface IterateOptions {
+  startDate?: DateInput
+  endDate?: DateInput
+  pageSize?: number
+}
+
+/*-------------------------------------------------------------------------*
+ * BittrexClient
+ *-------------------------------------------------------------------------*/
+
+export class BittrexClient<N extends NumericMode = 'raw'> {
+  constructor(options?: BittrexClientOptions<N>)
+
+  // Credentials
+  setCredentials(credentials: Credentials | CredentialProvider): void
+  refreshCredentials(): Promise<{ apiKey: string }>
+  withSubaccount(subaccountId: string | null): this
+
+  // Instrumentation
+  onRequest(hook: (record: RequestRecord) => void | Promise<void>): () => void
+  onResponse(hook: (record: ResponseRecord) => void | Promise<void>): () => void
+  onError(hook: (record: ErrorRecord) => void | Promise<void>): () => void
+  getMetrics(): Metrics | null
+
+  // Dead man's switch
+  heartbeat(): void
+  cancelTrackedOrders(): Promise<{ cancelled: Order<Decimal<N>>[], failed: { order: Order<Decimal<N>>, error: BittrexError }[] }>
+  stopHeartbeat(): void
+
+  // Public market data
+  markets(): Promise<Market<Decimal<N>>[]>
+  currencies(): Promise<Currency<Decimal<N>>[]>
+  ticker(): Promise<Ticker<Decimal<N>>[]>
+  ticker(marketSymbol: string): Promise<Ticker<Decimal<N>>>
+  marketSummaries(): Promise<MarketSummary<Decimal<N>>[]>
+  marketSummary(marketSymbol: string): Promise<MarketSummary<Decimal<N>>>
+  marketTrades(marketSymbol: string): Promise<Trade<Decimal<N>>[]>
+  orderBook(marketSymbol: string, depth?: OrderBookDepth): Promise<OrderBook<Decimal<N>>>
+  orderBookSnapshot(marketSymbol: string, depth?: OrderBookDepth): Promise<OrderBookSnapshot<Decimal<N>>>
+  getCandlesRecent(marketSymbol: string, candleInterval: CandleInterval, candleType?: CandleType): Promise<Candle<Decimal<N>>[]>
+  getCandlesHistorical(marketSymbol: string, candleInterval: CandleInterval, year: number, month?: number, day?: number, candleType?: CandleType): Promise<Candle<Decimal<N>>[]>
+  getCandles(marketSymbol: string, candleInterval: CandleInterval, options: { from: DateInput, to?: DateInput, type?: CandleType, gaps?: 'flag' | 'fill' | 'none', concurrency?: number }): Promise<Candle<Decimal<N>>[]>
+
+  // Trading
+  sendOrder(marketSymbol: string, direction: OrderDirection, type: OrderType, amounts: { quantity?: Amount, ceiling?: Amount, limit?: Amount }, timeInForce?: TimeInForce, clientOrderId?: string, useAwards?: boolean): Promise<Order<Decimal<N>>>
+  getOrder(orderId: string): Promise<Order<Decimal<N>>>
+  waitForOrder(orderId: string, options?: { timeout?: number, pollInterval?: number, until?: 'CLOSED' | 'FILLED', signal?: AbortSignalLike }): Promise<Order<Decimal<N>>>
+  getOpenOrders(marketSymbol?: string): Promise<Order<Decimal<N>>[]>
+  getOpenOrders(marketSymbol: string | undefined, clientOrderId: string): Promise<Order<Decimal<N>> | Order<Decimal<N>>[]>
+  cancelOrder(): Promise<CancelledOrder<Decimal<N>>[]>
+  cancelOrder(clientOrderId: 'open', marketSymbol?: string): Promise<CancelledOrder<Decimal<N>>[]>
+  cancelOrder(orderId: string): Promise<Order<Decimal<N>>>
+  getOrderHistory(marketSymbol?: string, nextPageToken?: string, previousPageToken?: string, pageSize?: number, startDate?: DateInput, endDate?: DateInput): Promise<Order<Decimal<N>>[]>
+  iterateOrderHistory(options?: IterateOptions & { marketSymbol?: string }): AsyncIterableIterator<Order<Decimal<N>>>
+  iterateExecutions(options?: IterateOptions & { marketSymbol?: string }): AsyncIterableIterator<OrderExecution<Decimal<N>>>
+  getOrderExecutions(orderId: string): Promise<OrderExecution<Decimal<N>>[]>
+  getExecutions(marketSymbol?: string, options?: PageOptions): Promise<OrderExecution<Decimal<N>>[]>
+  getExecution(executionId: string): Promise<OrderExecution<Decimal<N>>>
+  getLastExecutionId(): Promise<{ lastId: string }>
+  batch(operations: BatchOperation[]): Promise<BatchResult<Decimal<N>>[]>
+
+  // Conditional orders
+  sendConditionalOrder(marketSymbol: string, operand: ConditionalOperand, trigger: { triggerPrice?: Amount, trailingStopPercent?: Amount }, options?: { orderToCreate?: Partial<NewOrder> & Pick<NewOrder, 'direction' | 'type'>, orderToCancel?: OrderReference, clientConditionalOrderId?: string }): Promise<ConditionalOrder<Decimal<N>>>
+  getConditionalOrder(conditionalOrderId: string): Promise<ConditionalOrder<Decimal<N>>>
+  getOpenConditionalOrders(marketSymbol?: string): Promise<ConditionalOrder<Decimal<N>>[]>
+  getClosedConditionalOrders(marketSymbol?: string, options?: PageOptions): Promise<ConditionalOrder<Decimal<N>>[]>
+  cancelConditionalOrder(conditionalOrderId: string): Promise<ConditionalOrder<Decimal<N>>>
+
+  // Algorithmic execution
+  twap(marketSymbol: string, direction: OrderDirection, quantity: Amount, options: { duration: number, slices?: number, limit?: Amount }): Execution<N>
+  iceberg(marketSymbol: string, direction: OrderDirection, quantity: Amount, options: { limit: Amount, visibleQuantity: Amount, pollInterval?: number }): Execution<N>
+  ladder(marketSymbol: string, direction: OrderDirection, quantity: Amount, options: { from: Amount, to: Amount, orders?: number, pollInterval?: number }): Execution<N>
+
+  // Account
+  balance(): Promise<Balance<Decimal<N>>[]>
+  balance(currencySymbol: string): Promise<Balance<Decimal<N>>>
+  portfolio(options?: { quote?: string, price?: 'last' | 'bid' | 'ask' | 'mid', maxHops?: number }): Promise<Portfolio<Decimal<N>>>
+  getNewDepositAddress(currencySymbol: string): Promise<Address>
+  getAddresses(): Promise<Address[]>
+  getAddresses(currencySymbol: string): Promise<Address>
+  getAccount(): Promise<Account>
+  getTradingFees(): Promise<TradingFees<Decimal<N>>[]>
+  getTradingFees(marketSymbol: string): Promise<TradingFees<Decimal<N>>>
+  getVolume(): Promise<AccountVolume<Decimal<N>>>
+  getMarketPermissions(marketSymbol?: string): Promise<MarketPolicy[]>
+  getCurrencyPermissions(currencySymbol?: string): Promise<CurrencyPolicy[]>
+
+  // Withdrawals
+  requestWithdrawal(currencySymbol: string, quantity: Amount, cryptoAddress: string, options?: { cryptoAddressTag?: string, /** @deprecated Use cryptoAddressTag. */ cryptoAdressTag?: string, clientWithdrawalId?: string }): Promise<Withdrawal<Decimal<N>>>
+  withdrawalHistory(open?: true, options?: { currencySymbol?: string, status?: OpenWithdrawalStatus }): Promise<Withdrawal<Decimal<N>>[]>
+  withdrawalHistory(open: false, options?: PageOptions & { currencySymbol?: string, status?: ClosedWithdrawalStatus }): Promise<Withdrawal<Decimal<N>>[]>
+  iterateClosedWithdrawals(options?: IterateOptions & { currencySymbol?: string, status?: ClosedWithdrawalStatus }): AsyncIterableIterator<Withdrawal<Decimal<N>>>
+  cancelWithdrawal(withdrawalId: string): Promise<Withdrawal<Decimal<N>>>
+  getAllowedAddresses(): Promise<AllowedAddress[]>
+
+  // Deposits
+  depositHistory(currencySymbol?: string, pending?: boolean, options?: PageOptions & { status?: DepositStatus }): Promise<Deposit<Decimal<N>>[]>
+  iterateClosedDeposits(options?: IterateOptions & { currencySymbol?: string, status?: DepositStatus }): AsyncIterableIterator<Deposit<Decimal<N>>>
+
+  // Transfers and sub-accounts
+  sendTransfer(currencySymbol: string, amount: Amount, destination: { toSubaccountId: string, toMasterAccount?: false, requestId?: string } | { toSubaccountId?: undefined, toMasterAccount: true, requestId?: string }): Promise<Transfer<Decimal<N>>>
+  getTransfer(transferId: string): Promise<Transfer<Decimal<N>>>
+  transferHistory(sent?: true, options?: PageOptions & { subaccountId?: string, masterAccount?: boolean, currencySymbol?: string }): Promise<Transfer<Decimal<N>>[]>
+  transferHistory(sent: false, options?: PageOptions & { subaccountId?: string, masterAccount?: boolean, currencySymbol?: string }): Promise<ReceivedTransfer<Decimal<N>>[]>
+  getSubaccounts(options?: { nextPageToken?: string, previousPageToken?: string, pageSize?: number }): Promise<Subaccount[]>
+  getSubaccount(subaccountId: string): Promise<Subaccount>
+  createSubaccount(): Promise<Subaccount>
+
+  // Reporting
+  pnlReport(options?: { method?: CostBasisMethod, quote?: string, startDate?: DateInput, endDate?: DateInput, depositBasis?: 'market' | 'zero', convert?: (currencySymbol: string, time: number) => Amount | null, maxItems?: number }): Promise<PnLReport<Decimal<N>>>
+}
+
+/** Anything with the shape of an AbortSignal. */
+export interface AbortSignalLike {
+  readonly aborted: boolean
+  addEventListener(type: 'abort', listener: () => void): void
+  removeEventListener(type: 'abort', listener: () => void): void
+}
+
+/*-------------------------------------------------------------------------*
+ * Paper trading and testing
+ *-------------------------------------------------------------------------*/
+
+export interface SimulatedBittrexClientOptions<N extends NumericMode = 'raw'> extends BittrexClientOptions<N> {
+  balances?: { [currencySymbol: string]: Amount }
+  fees?: { maker?: Amount, taker?: Amount }
+  /** 'live' fetches order books and trades from the exchange, 'recorded' only uses what was fed. */
+  marketData?: 'live' | 'recorded'
+  clock?: () => Date
+}
+
+export class SimulatedBittrexClient<N extends NumericMode = 'raw'> extends BittrexClient<N> {
+  constructor(options?: SimulatedBittrexClientOptions<N>)
+  deposit(currencySymbol: string, amount: Amount): void
+  feedOrderBook(marketSymbol: string, book: OrderBook<Amount>): void
+  feedTrades(marketSymbol: string, trades: { quantity: Amount, rate: Amount, takerSide: OrderDirection, executedAt?: string, id?: string }[]): void
+}
+
+export interface MockFixtures {
+  markets?: Market[]
+  currencies?: Currency[]
+  orderBooks?: { [marketSymbol: string]: OrderBook }
+  trades?: { [marketSymbol: string]: Trade[] }
+  addresses?: Address[]
+  allowedAddresses?: AllowedAddress[]
+  deposits?: Deposit[]
+}
+
+export interface RecordedRequest {
+  method: string
+  path: string
+  query: { [name: string]: string }
+  body?: any
+  headers: { [name: string]: string }
+}
+
+export class MockBittrexServer {
+  constructor(options?: { apiKey?: string, apiSecret?: string, balances?: { [currencySymbol: string]: Amount }, fees?: { maker?: Amount, taker?: Amount }, fixtures?: MockFixtures, timestampTolerance?: number, clock?: () => Date })
+  /** Base URL to pass to BittrexClient, set by listen(). */
+  url: string
+  apiKey: string
+  apiSecret: string
+  timestampTolerance: number
+  accountId: string
+  fixtures: Required<MockFixtures>
+  requests: RecordedRequest[]
+  exchange: SimulatedBittrexClient<'string'>
+  listen(port?: number): Promise<this>
+  close(): Promise<void>
+}
+
+export interface CassetteInteraction {
+  request: { method: string, path: string, headers: { [name: string]: string }, body?: unknown }
+  response?: { status: number, headers: { [name: string]: string }, data: unknown }
+  error?: { code: string, message: string }
+  recordedAt: string
+}
+
+export class Cassette {
+  constructor(options: CassetteOptions)
+  readonly path: string
+  readonly mode: 'record' | 'replay'
+  readonly interactions: CassetteInteraction[]
+  pending(): CassetteInteraction[]
+  handle(request: { method: string, path: string, body?: unknown }, perform: () => Promise<{ status: number, headers: { [name: string]: string }, data: unknown }>): Promise<{ status: number, headers: { [name: string]: string }, data: unknown }>
+}
+
+/*-------------------------------------------------------------------------*
+ * Safety and execution
+ *-------------------------------------------------------------------------*/
+
+export class MarketRules {
+  constructor(client: BittrexClient<NumericMode>, options?: ValidateOrdersOptions)
+  market(marketSymbol: string): Promise<Market<any>>
+  prepareOrder(order: { marketSymbol: string, quantity?: Amount, ceiling?: Amount, limit?: Amount }): Promise<{ quantity?: string, ceiling?: string, limit?: string }>
+  invalidate(): void
+}
+
+export class TradingGuard {
+  constructor(client: BittrexClient<NumericMode>, options?: TradingGuardOptions)
+}
+
+export type ExecutionStatus = 'PENDING' | 'RUNNING' | 'COMPLETED' | 'CANCELLED' | 'FAILED'
+
+export interface ExecutionSummary<D = string> {
+  strategy: 'TWAP' | 'ICEBERG' | 'LADDER'
+  marketSymbol: string
+  direction: OrderDirection
+  status: ExecutionStatus
+  quantity: D
+  filledQuantity: D
+  remainingQuantity: D
+  averagePrice: D | null
+  proceeds: D
+  commission: D
+  orders: number
+  openOrders: number
+  startedAt?: string
+  endedAt?: string
+}
+
+/**
+ * A running twap(), iceberg() or ladder() execution.
+ */
+export class Execution<N extends NumericMode = 'raw'> extends EventEmitter {
+  constructor(client: BittrexClient<NumericMode>, options: { strategy: 'TWAP' | 'ICEBERG' | 'LADDER', marketSymbol: string, direction: OrderDirection, quantity: Amount, pollInterval?: number, numeric?: N })
+  /** Resolves with the final summary, or rejects with the error that stopped the execution. null until start(). */
+  done: Promise<ExecutionSummary<Decimal<N>>> | null
+  start(): this
+  cancel(): Promise<ExecutionSummary<Decimal<N>>>
+  summary(): ExecutionSummary<Decimal<N>>
+  on(event: 'order', listener: (order: Order<Decimal<N>>) => void): this
+  on(event: 'fill', listener: (fill: { order: Order<Decimal<N>>, quantity: Decimal<N> }) => void): this
+  on(event: 'progress' | 'done', listener: (summary: ExecutionSummary<Decimal<N>>) => void): this
+  on(event: 'error', listener: (error: Error) => void): this
+  on(event: string | symbol, listener: (...args: any[]) => void): this
+}
+
+/*-------------------------------------------------------------------------*
+ * Streaming
+ *-------------------------------------------------------------------------*/
+
+export interface SocketClientOptions {
+  apiKey?: string
+  apiSecret?: string
+  credentials?: Credentials | CredentialProvider
+  url?: string
+  hub?: string
+  reconnect?: boolean
+  reconnectDelay?: number
+  maxReconnectDelay?: number
+  timeout?: number
+}
+
+export interface SubscribeResult {
+  Success: boolean
+  ErrorCode?: string
+}
+
+export class BittrexSocketClient extends EventEmitter {
+  static channels: {
+    heartbeat(): string
+    ticker(marketSymbol: string): string
+    tickers(): string
+    trade(marketSymbol: string): string
+    orderBook(marketSymbol: string, depth?: OrderBookDepth): string
+    candle(marketSymbol: string, candleInterval: CandleInterval): string
+    marketSummary(marketSymbol: string): string
+    marketSummaries(): string
+    order(): string
+    conditionalOrder(): string
+    balance(): string
+    execution(): string
+    deposit(): string
+  }
+  constructor(options?: SocketClientOptions)
+  connect(): Promise<void>
+  disconnect(): Promise<void>
+  authenticate(): Promise<void>
+  subscribe(...names: string[]): Promise<SubscribeResult[]>
+  unsubscribe(...names: string[]): Promise<SubscribeResult[]>
+  on(event: 'connected' | 'disconnected', listener: () => void): this
+  on(event: 'reconnecting', listener: (info: { attempt: number, delay: number }) => void): this
+  on(event: 'message', listener: (message: { type: string, data: any }) => void): this
+  on(event: 'error', listener: (error: BittrexError) => void): this
+  on(event: string | symbol, listener: (...args: any[]) => void): this
+}
+
+export interface OrderBookLevel {
+  rate: number
+  quantity: number
+}
+
+export class OrderBookManager extends EventEmitter {
+  constructor(options: { client: BittrexClient<NumericMode>, marketSymbol: string, depth?: OrderBookDepth, socket?: BittrexSocketClient })
+  start(): Promise<void>
+  stop(): Promise<void>
+  applyUpdate(update: { marketSymbol?: string, depth?: number, sequence: number, bidDeltas: OrderBookEntry<Amount>[], askDeltas: OrderBookEntry<Amount>[] }): void
+  resync(): Promise<void>
+  /** Sequence number of the last applied snapshot or delta, null before the first sync. */
+  readonly sequence: number | null
+  levels(side: 'bid' | 'ask', limit?: number): OrderBookLevel[]
+  bestBid(): OrderBookLevel | null
+  bestAsk(): OrderBookLevel | null
+  spread(): number | null
+  depthAt(side: 'bid' | 'ask', rate: number): number
+  cumulativeVolume(side: 'bid' | 'ask', rate: number): number
+  vwap(side: 'bid' | 'ask', quantity: number): number | null
+  on(event: 'synced', listener: (sequence: number) => void): this
+  on(event: 'update', listener: (delta: object) => void): this
+  on(event: 'gap', listener: (gap: { expected: number, received: number }) => void): this
+  on(event: 'error', listener: (error: Error) => void): this
+  on(event: string | symbol, listener: (...args: any[]) => void): this
+}
+
+/*-------------------------------------------------------------------------*
+ * Metrics
+ *-------------------------------------------------------------------------*/
+
+export class Metrics {
+  constructor(options?: { buckets?: number[], prefix?: string })
+  observe(attempt: { method: string, endpoint: string, status?: number, code?: string, durationMs: number, retry?: boolean }): void
+  rateLimited(source: 'exchange' | 'client'): void
+  toPrometheus(): string
+  reset(): void
+}
+
+/*-------------------------------------------------------------------------*
+ * Helpers
+ *-------------------------------------------------------------------------*/
+
+export function collect<T>(iterable: AsyncIterable<T>, options?: { maxItems?: number }): Promise<T[]>
+
+export function exportCandles(candles: Candle<any>[] | AsyncIterable<Candle<any>>, format?: 'csv' | 'ndjson', columns?: string[]): Readable
+export function resampleCandles<D>(candles: Candle<D>[], interval: ResampleInterval): Candle<D>[]
+export function candlesFromTrades(trades: { executedAt: string, quantity: Amount, rate: Amount }[], interval: ResampleInterval): Candle[]
+
+type Series = (Candle<any> | Amount)[]
+
+export const indicators: {
+  sma(values: Series, period: number): (number | null)[]
+  ema(values: Series, period: number): (number | null)[]
+  rsi(values: Series, period?: number): (number | null)[]
+  macd(values: Series, fast?: number, slow?: number, signal?: number): ({ macd: number, signal: number | null, histogram: number | null } | null)[]
+  bollinger(values: Series, period?: number, multiplier?: number): ({ middle: number, upper: number, lower: number } | null)[]
+  atr(candles: Candle<any>[], period?: number): (number | null)[]
+  vwap(candles: Candle<any>[]): (number | null)[]
+}
+
+export const credentials: {
+  fromEnv(options?: { prefix?: string, env?: { [name: string]: string | undefined } }): CredentialProvider
+  fromProfile(profile?: string, options?: { file?: string }): CredentialProvider
+  chain(...providers: CredentialProvider[]): CredentialProvider
+}
+
+export interface LedgerEvent {
+  type: 'TRADE' | 'DEPOSIT' | 'WITHDRAWAL'
+  id: string
+  time: number
+  [field: string]: unknown
+}
+
+export function buildLedger(history: { orders?: Order<any>[], executions?: OrderExecution<any>[], deposits?: Deposit<any>[], withdrawals?: Withdrawal<any>[] }): LedgerEvent[]
+export function computePnL(ledger: LedgerEvent[], options?: { method?: CostBasisMethod, quote?: string, convert?: (currencySymbol: string, time: number) => Amount | null, depositBasis?: 'market' | 'zero', prices?: { [currencySymbol: string]: Amount }, startDate?: DateInput, endDate?: DateInput }): PnLReport<Big>
+export function exportReport(report: PnLReport<any>, format?: 'disposals' | 'summary' | 'form8949' | 'koinly'): Readable
+
+/*-------------------------------------------------------------------------*
+ * Errors
+ *-------------------------------------------------------------------------*/
+
+export interface BittrexErrorDetails {
+  code?: string
+  status?: number
+  method?: string
+  endpoint?: string
+  data?: any
+  headers?: { [name: string]: string }
+  correlationId?: string
+  timestamp?: number
+  cause?: Error
+}
+
+export class BittrexError extends Error {
+  constructor(message: string, details?: BittrexErrorDetails)
+  code?: string
+  status?: number
+  method?: string
+  endpoint?: string
+  data?: any
+  headers?: { [name: string]: string }
+  correlationId?: string
+  timestamp?: number
+  cause?: Error
+  /** Number of attempts made, on errors raised by a request. */
+  attempts?: number
+}
+
+export class BittrexApiError extends BittrexError {}
+export class BittrexAuthError extends BittrexApiError {}
+export class BittrexRateLimitError extends BittrexApiError {
+  constructor(message: string, details?: BittrexErrorDetails & { retryAfter?: number })
+  /** Milliseconds to wait, if the exchange said. */
+  retryAfter?: number
+}
+export class BittrexNetworkError extends BittrexError {}
+export class BittrexValidationError extends BittrexError {
+  constructor(message: string, details?: BittrexErrorDetails & { field?: string })
+  field?: string
+}
+export class BittrexGuardError extends BittrexError {}
@@ -1,3 +1,55 @@
 const BittrexClient = require('./bittrex-client')
+const BittrexSocketClient = require('./socket-client')
+const OrderBookManager = require('./order-book-manager')
+const MarketRules = require('./market-rules')
+const TradingGuard = require('./trading-guard')
+const { Execution } = require('./execution')
+const SimulatedBittrexClient = require('./simulated-client')
+const MockBittrexServer = require('./mock-server')
+const Cassette = require('./cassette')
+const { Metrics } = require('./metrics')
+const {
+  BittrexError,
+  BittrexApiError,
+  BittrexAuthError,
+  BittrexRateLimitError,
+  BittrexNetworkError,
+  BittrexValidationError,
+  BittrexGuardError
+} = require('./errors')
+const { collect } = require('./paginate')
+const { Big } = require('./decimal')
+const { exportCandles, resampleCandles, candlesFromTrades } = require('./candles')
+const indicators = require('./indicators')
+const { fromEnv, fromProfile, chain } = require('./credentials')
+const { buildLedger, computePnL, exportReport } = require('./reporting')
 
-module.exports = { BittrexClient }
+module.exports = {
+  BittrexClient,
+  BittrexSocketClient,
+  OrderBookManager,
+  MarketRules,
+  TradingGuard,
+  Execution,
+  SimulatedBittrexClient,
+  MockBittrexServer,
+  Cassette,
+  Metrics,
+  collect,
+  exportCandles,
+  resampleCandles,
+  candlesFromTrades,
+  indicators,
+  credentials: { fromEnv, fromProfile, chain },
+  buildLedger,
+  computePnL,
+  exportReport,
+  Big,
+  BittrexError,
+  BittrexApiError,
+  BittrexAuthError,
+  BittrexRateLimitError,
+  BittrexNetworkError,
+  BittrexValidationError,
+  BittrexGuardError
+}
@@ -0,0 +1,173 @@
+/*-------------------------------------------------------------------------*
+ * Technical indicators over candle arrays
+ *
+ * Every function returns an array aligned with its input: element i is the value after input i,
+ * or null while the indicator is still warming up. Inputs may be candles (their close is used where
+ * a single series is needed) or plain values, as Numbers, decimal strings or Big. Outputs are Numbers.
+ *-------------------------------------------------------------------------*/
+
+const { BittrexValidationError } = require('./errors')
+
+/**
+ * @method sma - Simple moving average.
+ * @param {Array} values - Candles or values.
+ * @param {Number} period - Required.
+ * @returns {Array}
+ */
+function sma(values,period){
+  checkPeriod(period)
+  const series = closes(values)
+  let sum = 0
+  return series.map((value,index) => {
+    sum += value
+    if (index >= period) sum -= series[index-period]
+    return index >= period-1 ? sum/period : null
+  })
+}
+
+/**
+ * @method ema - Exponential moving average, seeded with the SMA of the first `period` values.
+ * @param {Array} values - Candles or values.
+ * @param {Number} period - Required.
+ * @returns {Array}
+ */
+function ema(values,period){
+  checkPeriod(period)
+  return smooth(closes(values),period,2/(period+1))
+}
+
+/**
+ * @method rsi - Relative strength index with Wilder's smoothing.
+ * @param {Array} values - Candles or values.
+ * @param {Number} [period=14]
+ * @returns {Array} - 0 to 100.
+ */
+function rsi(values,period=14){
+  checkPeriod(period)
+  const series = closes(values)
+  const result = series.map(() => null)
+  let gain = 0
+  let loss = 0
+  for (let i = 1; i < series.length; i++){
+    const change = series[i]-series[i-1]
+    const up = Math.max(change,0)
+    const down = Math.max(-change,0)
+    if (i <= period){
+      gain += up/period
+      loss += down/period
+      if (i < period) continue
+    }
+    else {
+      gain = (gain*(period-1)+up)/period
+      loss = (loss*(period-1)+down)/period
+    }
+    result[i] = loss === 0 ? 100 : 100-100/(1+gain/loss)
+  }
+  return result
+}
+
+/**
+ * @method macd - Moving average convergence/divergence.
+ * @param {Array} values - Candles or values.
+ * @param {Number} [fast=12]
+ * @param {Number} [slow=26]
+ * @param {Number} [signal=9]
+ * @returns {Array} - [{ macd, signal, histogram }]; signal and histogram stay null until the signal line has warmed up.
+ */
+function macd(values,fast=12,slow=26,signal=9){
+  checkPeriod(fast)
+  checkPeriod(slow)
+  checkPeriod(signal)
+  if (fast >= slow) throw new BittrexValidationError('fast period must be shorter than slow period',{field:'fast'})
+  const series = closes(values)
+  const fastLine = ema(series,fast)
+  const slowLine = ema(series,slow)
+  const line = series.map((value,index) => slowLine[index] === null ? null : fastLine[index]-slowLine[index])
+  const defined = line.filter(value => value !== null)
+  const signalLine = smooth(defined,signal,2/(signal+1))
+  const offset = line.length-defined.length
+  return line.map((value,index) => {
+    if (value === null) return null
+    const signalValue = signalLine[index-offset]
+    return {macd:value,signal:signalValue,histogram:signalValue === null ? null : value-signalValue}
+  })
+}
+
+/**
+ * @method bollinger - Bollinger bands: SMA plus/minus a multiple of the population standard deviation.
+ * @param {Array} values - Candles or values.
+ * @param {Number} [period=20]
+ * @param {Number} [multiplier=2]
+ * @returns {Array} - [{ middle, upper, lower }]
+ */
+function bollinger(values,period=20,multiplier=2){
+  const series = closes(values)
+  return sma(series,period).map((middle,index) => {
+    if (middle === null) return null
+    const window = series.slice(index-period+1,index+1)
+    const deviation = Math.sqrt(window.reduce((total,value) => total+(value-middle)**2,0)/period)
+    return {middle,upper:middle+multiplier*deviation,lower:middle-multiplier*deviation}
+  })
+}
+
+/**
+ * @method atr - Average true range with Wilder's smoothing.
+ * @param {Array} candles - Candles with high, low and close.
+ * @param {Number} [period=14]
+ * @returns {Array}
+ */
+function atr(candles,period=14){
+  checkPeriod(period)
+  const ranges = candles.map((candle,index) => {
+    const high = Number(candle.high)
+    const low = Number(candle.low)
+    if (index === 0) return high-low
+    const previous = Number(candles[index-1].close)
+    return Math.max(high-low,Math.abs(high-previous),Math.abs(low-previous))
+  })
+  return smooth(ranges,period,1/period)
+}
+
+/**
+ * @method vwap - Volume-weighted average price, cumulative from the first candle. Uses quoteVolume/volume when quoteVolume is present, else the typical price (high+low+close)/3.
+ * @param {Array} candles - Candles with volume and either quoteVolume or high, low and close.
+ * @returns {Array} - null until some volume has traded.
+ */
+function vwap(candles){
+  let quote = 0
+  let base = 0
+  return candles.map(candle => {
+    const volume = Number(candle.volume)
+    base += volume
+    if (candle.quoteVolume !== undefined && candle.quoteVolume !== null) quote += Number(candle.quoteVolume)
+    else quote += volume*(Number(candle.high)+Number(candle.low)+Number(candle.close))/3
+    return base > 0 ? quote/base : null
+  })
+}
+
+/*-------------------------------------------------------------------------*
+ * Private
+ *-------------------------------------------------------------------------*/
+
+// Exponential smoothing seeded with the mean of the first `period` values.
+function smooth(series,period,alpha){
+  const result = series.map(() => null)
+  if (series.length < period) return result
+  let value = series.slice(0,period).reduce((total,item) => total+item,0)/period
+  result[period-1] = value
+  for (let i = period; i < series.length; i++){
+    value = alpha*series[i]+(1-alpha)*value
+    result[i] = value
+  }
+  return result
+}
+
+function closes(values){
+  return values.map(value => Number(value !== null && typeof value === 'object' && 'close' in value ? value.close : value))
+}
+
+function checkPeriod(period){
+  if (!Number.isInteger(period) || period < 1) throw new BittrexValidationError('period must be a positive integer',{field:'period'})
+}
+
+module.exports = { sma, ema, rsi, macd, bollinger, atr, vwap }
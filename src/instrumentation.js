@@ -0,0 +1,147 @@
+const REDACTED = '[REDACTED]'
+
+// Request headers that would let a reader of the logs sign requests of their own.
+const SECRET_HEADERS = ['api-key','api-signature','authorization','cookie']
+
+const EVENTS = ['request','response','error']
+
+/**
+ * Observes every attempt a BittrexClient sends: runs the onRequest/onResponse/onError hooks, writes structured log records
+ * and feeds a Metrics registry. Records carry the request's method, endpoint, attempt number and a requestId shared by
+ * the attempts of one call; Api-Key and Api-Signature are redacted before any hook or logger sees the headers.
+ */
+class Instrumentation {
+
+  /**
+   * @constructor
+   * @param {Object} [options.logger] - Any object with debug/info/warn/error methods that take a record object (console, pino, winston, ...).
+   * Requests and responses are logged at debug, retried failures at warn, final failures at error.
+   * @param {Metrics} [options.metrics] - Registry to count requests in.
+   * @param {Object} [options.hooks] - { onRequest, onResponse, onError }, each a function or an array of them.
+   */
+  constructor({ logger, metrics, hooks = {} } = {}) {
+    this._logger = logger || null
+    this._metrics = metrics || null
+    this._hooks = {request:[],response:[],error:[]}
+    EVENTS.forEach(event => {
+      const hook = hooks[`on${event[0].toUpperCase()}${event.slice(1)}`]
+      ;[].concat(hook || []).forEach(fn => this.on(event,fn))
+    })
+  }
+
+  /**
+   * @method on - Register a hook.
+   * @param {String} event - ['request'|'response'|'error']
+   * @param {Function} hook - Called with the event's record; may return a promise, which is awaited.
+   * @returns {Function} - Removes the hook.
+   */
+  on(event,hook){
+    if (typeof hook !== 'function') throw new TypeError(`${event} hook must be a function`)
+    this._hooks[event].push(hook)
+    return () => {
+      const index = this._hooks[event].indexOf(hook)
+      if (index >= 0) this._hooks[event].splice(index,1)
+    }
+  }
+
+  /**
+   * @method metrics
+   * @returns {Metrics} - null when metrics are disabled.
+   */
+  metrics(){
+    return this._metrics
+  }
+
+  /**
+   * @method request - An attempt is about to be sent. A hook that throws aborts the request with its error.
+   * @param {Object} attempt - { requestId, method, endpoint, attempt, headers, body }
+   * @returns {Promise}
+   */
+  async request({requestId,method,endpoint,attempt,headers,body}){
+    const record = {event:'request',requestId,method,endpoint,attempt,headers:redactHeaders(headers),body}
+    this.log('debug',record)
+    for (const hook of this._hooks.request.slice()) await hook(record)
+  }
+
+  /**
+   * @method response - An attempt was answered with a 2xx status.
+   * @param {Object} attempt - { requestId, method, endpoint, attempt }
+   * @param {Object} response - axios response.
+   * @param {Number} durationMs
+   * @returns {Promise}
+   */
+  async response({requestId,method,endpoint,attempt},response,durationMs){
+    const record = {event:'response',requestId,method,endpoint,attempt,status:response.status,durationMs}
+    if (this._metrics) this._metrics.observe({method,endpoint,status:response.status,durationMs})
+    this.log('debug',record)
+    await this.notify('response',Object.assign({headers:response.headers,data:response.data},record))
+  }
+
+  /**
+   * @method error - An attempt failed.
+   * @param {Object} attempt - { requestId, method, endpoint, attempt }
+   * @param {BittrexError} error
+   * @param {Number} durationMs
+   * @param {Boolean} retry - Whether the request will be repeated.
+   * @returns {Promise}
+   */
+  async error({requestId,method,endpoint,attempt},error,durationMs,retry){
+    const record = {event:'error',requestId,method,endpoint,attempt,status:error.status,code:error.code,message:error.message,durationMs,retry}
+    if (this._metrics) this._metrics.observe({method,endpoint,status:error.status,code:error.code || 'UNKNOWN',durationMs,retry})
+    this.log(retry ? 'warn' : 'error',record)
+    await this.notify('error',Object.assign({error},record))
+  }
+
+  /**
+   * @method rateLimited - The client-side rate limiter held a request back.
+   * @param {Object} attempt - { requestId, method, endpoint, attempt }
+   * @param {Number} delayMs
+   */
+  rateLimited({requestId,method,endpoint,attempt},delayMs){
+    if (this._metrics) this._metrics.rateLimited('client')
+    this.log('info',{event:'rate_limited',requestId,method,endpoint,attempt,delayMs})
+  }
+
+  /*-------------------------------------------------------------------------*
+   * Private
+   *-------------------------------------------------------------------------*/
+
+  /**
+   * @private
+   * @method notify - Run response or error hooks. Their failures are logged and otherwise ignored, so that a broken monitor
+   * cannot turn an order the exchange accepted into an error.
+   * @param {String} event
+   * @param {Object} record
+   * @returns {Promise}
+   */
+  async notify(event,record){
+    for (const hook of this._hooks[event].slice()){
+      try{
+        await hook(record)
+      }
+      catch(error){
+        this.log('error',{event:'hook_failed',hook:event,requestId:record.requestId,message:error.message})
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @method log
+   * @param {String} level
+   * @param {Object} record
+   */
+  log(level,record){
+    if (this._logger && typeof this._logger[level] === 'function') this._logger[level](record)
+  }
+}
+
+function redactHeaders(headers={}){
+  const result = {}
+  for (const name of Object.keys(headers)){
+    result[name] = SECRET_HEADERS.indexOf(name.toLowerCase()) >= 0 ? REDACTED : headers[name]
+  }
+  return result
+}
+
+module.exports = { Instrumentation, redactHeaders }
@@ -0,0 +1,122 @@
+const { Big } = require('./decimal')
+const { BittrexValidationError } = require('./errors')
+
+const QUANTITY_DECIMALS = 8
+const ROUNDING = ['reject','round','truncate']
+
+/**
+ * Pre-flight order checks against the market metadata returned by markets(): rejects orders on markets that are
+ * not ONLINE or below minTradeSize, and fits limit to the market's precision and quantity/ceiling to 8 decimals.
+ * Market metadata is cached for `ttl` milliseconds.
+ */
+class MarketRules {
+
+  /**
+   * @constructor
+   * @param {BittrexClient} client - Required. Used to fetch markets().
+   * @param {Number} [options.ttl=300000] - How long market metadata is cached, in milliseconds.
+   * @param {String} [options.rounding='reject'] - ['reject'|'round'|'truncate']. What to do with values that have too many decimals.
+   */
+  constructor(client,{ ttl = 300000, rounding = 'reject' } = {}) {
+    if (ROUNDING.indexOf(rounding) === -1) throw new BittrexValidationError('rounding must be either: [\'reject\'|\'round\'|\'truncate\']',{field:'rounding'})
+    this._client = client
+    this._ttl = ttl
+    this._rounding = rounding
+    this._markets = null
+    this._fetchedAt = 0
+    this._loading = null
+  }
+
+  /**
+   * @method market - Cached Market object for a symbol.
+   * @param {String} marketSymbol - Required. Example: 'BTC-USD'
+   * @returns {Promise} - Market object.
+   */
+  async market(marketSymbol){
+    const markets = await this.load()
+    const market = markets.get(marketSymbol)
+    if (!market) throw new BittrexValidationError(`market ${marketSymbol} does not exist`,{code:'MARKET_DOES_NOT_EXIST',field:'marketSymbol'})
+    return market
+  }
+
+  /**
+   * @method prepareOrder - Check an order against its market's rules and return the amounts to send.
+   * @param {String} order.marketSymbol - Required.
+   * @param {Number|String|Big} [order.quantity]
+   * @param {Number|String|Big} [order.ceiling]
+   * @param {Number|String|Big} [order.limit]
+   * @returns {Promise} - { quantity, ceiling, limit } as plain decimal strings (undefined where not given).
+   */
+  async prepareOrder({marketSymbol,quantity,ceiling,limit}){
+    const market = await this.market(marketSymbol)
+    if (market.status !== 'ONLINE') throw new BittrexValidationError(`market ${marketSymbol} is ${market.status}`,{code:'MARKET_OFFLINE',field:'marketSymbol'})
+    const prepared = {
+      quantity: this.fit(quantity,QUANTITY_DECIMALS,'quantity'),
+      ceiling: this.fit(ceiling,QUANTITY_DECIMALS,'ceiling'),
+      limit: this.fit(limit,Number(market.precision),'limit')
+    }
+    if (prepared.quantity !== undefined && new Big(prepared.quantity).lt(market.minTradeSize)){
+      throw new BittrexValidationError(`quantity ${prepared.quantity} is below the minimum trade size of ${market.minTradeSize} for ${marketSymbol}`,{code:'MIN_TRADE_REQUIREMENT_NOT_MET',field:'quantity'})
+    }
+    return prepared
+  }
+
+  /**
+   * @method invalidate - Drop cached market metadata so the next check fetches it again.
+   */
+  invalidate(){
+    this._markets = null
+  }
+
+  /*-------------------------------------------------------------------------*
+   * Private
+   *-------------------------------------------------------------------------*/
+
+  /**
+   * @private
+   * @method load - Fetch markets() once per ttl; concurrent callers share the request.
+   * @returns {Promise} - Map of marketSymbol to Market.
+   */
+  async load(){
+    if (this._markets && Date.now()-this._fetchedAt < this._ttl) return this._markets
+    if (!this._loading){
+      this._loading = this._client.markets().then(markets => {
+        this._markets = new Map(markets.map(market => [market.symbol,market]))
+        this._fetchedAt = Date.now()
+        this._loading = null
+        return this._markets
+      },error => {
+        this._loading = null
+        throw error
+      })
+    }
+    return this._loading
+  }
+
+  /**
+   * @private
+   * @method fit - Round or truncate a value to the given number of decimals, or reject it, per the rounding option.
+   * @param {Number|String|Big} value
+   * @param {Number} decimals
+   * @param {String} field
+   * @returns {String}
+   */
+  fit(value,decimals,field){
+    if (value === undefined || value === null) return undefined
+    let amount
+    try{
+      amount = new Big(value)
+    }
+    catch(error){
+      throw new BittrexValidationError(`${field} is not a valid decimal: ${value}`,{field})
+    }
+    if (amount.lte(0)) throw new BittrexValidationError(`${field} must be greater than 0`,{field})
+    const fitted = amount.round(decimals,this._rounding === 'truncate' ? Big.roundDown : Big.roundHalfUp)
+    if (fitted.eq(amount)) return amount.toFixed()
+    if (this._rounding === 'reject') throw new BittrexValidationError(`${field} ${amount.toFixed()} has more than ${decimals} decimal places`,{code:'PRECISION_EXCEEDED',field})
+    if (fitted.eq(0)) throw new BittrexValidationError(`${field} ${amount.toFixed()} rounds to 0 at ${decimals} decimal places`,{code:'PRECISION_EXCEEDED',field})
+    return fitted.toFixed()
+  }
+}
+
+module.exports = MarketRules
@@ -0,0 +1,75 @@
+const { Big } = require('./decimal')
+
+const QUANTITY_DECIMALS = 8
+
+/**
+ * @method takeLiquidity - Fills an incoming order against the opposite side of a book, best price first.
+ * Buys walk the asks and sells walk the bids; LIMIT prices stop the walk, `quantity` caps the base amount and
+ * `ceiling` caps the quote amount spent (before commission).
+ * @param {Object} order - { direction, quantity, limit, ceiling } with Big or numeric-string amounts.
+ * @param {Object} book - { bid: [{ quantity, rate }], ask: [{ quantity, rate }] }
+ * @returns {Object} - { fills: [{ rate: Big, quantity: Big }], complete: Boolean }
+ */
+function takeLiquidity(order,book){
+  const buying = order.direction === 'BUY'
+  const levels = ((buying ? book.ask : book.bid) || [])
+    .map(level => ({rate:new Big(level.rate),quantity:new Big(level.quantity)}))
+    .filter(level => level.quantity.gt(0))
+    .sort((a,b) => buying ? a.rate.cmp(b.rate) : b.rate.cmp(a.rate))
+  const limit = isSet(order.limit) ? new Big(order.limit) : null
+  let quantity = isSet(order.quantity) ? new Big(order.quantity) : null
+  let ceiling = isSet(order.ceiling) ? new Big(order.ceiling) : null
+  const fills = []
+  for (const level of levels){
+    if (limit && (buying ? level.rate.gt(limit) : level.rate.lt(limit))) break
+    let fill = level.quantity
+    if (quantity && fill.gt(quantity)) fill = quantity
+    if (ceiling){
+      const affordable = ceiling.div(level.rate).round(QUANTITY_DECIMALS,Big.roundDown)
+      if (fill.gt(affordable)) fill = affordable
+    }
+    if (fill.lte(0)) return {fills,complete:true}
+    fills.push({rate:level.rate,quantity:fill})
+    if (quantity){
+      quantity = quantity.minus(fill)
+      if (quantity.eq(0)) return {fills,complete:true}
+    }
+    if (ceiling) ceiling = ceiling.minus(fill.times(level.rate))
+  }
+  const last = fills[fills.length-1]
+  const spent = ceiling && last && ceiling.div(last.rate).round(QUANTITY_DECIMALS,Big.roundDown).eq(0)
+  return {fills,complete:Boolean(spent)}
+}
+
+/**
+ * @method crossesLimit - Whether a trade or book price would fill a resting order at its limit.
+ * @param {String} direction - ['BUY'|'SELL']
+ * @param {Big} limit
+ * @param {Big|String} rate
+ * @returns {Boolean}
+ */
+function crossesLimit(direction,limit,rate){
+  return direction === 'BUY' ? limit.gte(rate) : limit.lte(rate)
+}
+
+/**
+ * @method removeLiquidity - Take filled quantity out of a stored book so it cannot be filled twice.
+ * @param {Object} book - { bid, ask }, modified in place.
+ * @param {String} side - ['bid'|'ask']
+ * @param {Array} fills - [{ rate, quantity }]
+ */
+function removeLiquidity(book,side,fills){
+  for (const fill of fills){
+    const level = (book[side] || []).find(level => new Big(level.rate).eq(fill.rate))
+    if (!level) continue
+    const left = new Big(level.quantity).minus(fill.quantity)
+    level.quantity = left.gt(0) ? left.toFixed() : '0'
+  }
+  book[side] = (book[side] || []).filter(level => new Big(level.quantity).gt(0))
+}
+
+function isSet(value){
+  return value !== undefined && value !== null
+}
+
+module.exports = { takeLiquidity, crossesLimit, removeLiquidity, QUANTITY_DECIMALS }
@@ -0,0 +1,132 @@
+const DEFAULT_BUCKETS = [0.05,0.1,0.25,0.5,1,2.5,5,10]
+
+// Path segments that identify one object rather than a resource: UUIDs, transaction hashes, numbers.
+const ID_SEGMENT = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|(0x)?[0-9a-fA-F]{16,}|\d+)$/
+
+/**
+ * Request counters and latency histograms for one or more BittrexClients, exported in the Prometheus text format.
+ * Every attempt is counted, retries included. Endpoints are labelled by path without the query string, with ids replaced
+ * by {id}, so that the number of series stays bounded.
+ *
+ * Series: bittrex_requests_total{method,endpoint,status}, bittrex_request_errors_total{method,endpoint,code},
+ * bittrex_request_duration_seconds{method,endpoint} (histogram), bittrex_retries_total{method,endpoint}
+ * and bittrex_rate_limit_hits_total{source} (source 'exchange' for 429 answers, 'client' when the client-side limiter made a request wait).
+ */
+class Metrics {
+
+  /**
+   * @constructor
+   * @param {Array} [options.buckets=[0.05,0.1,0.25,0.5,1,2.5,5,10]] - Upper bounds of the latency histogram, in seconds.
+   * @param {String} [options.prefix='bittrex'] - Prefix of every series name.
+   */
+  constructor({ buckets = DEFAULT_BUCKETS, prefix = 'bittrex' } = {}) {
+    this._buckets = buckets.slice().sort((a,b) => a-b)
+    this._prefix = prefix
+    this.reset()
+  }
+
+  /**
+   * @method observe - Count one attempt.
+   * @param {String} options.method - HTTP method.
+   * @param {String} options.endpoint - Path relative to the API base URL.
+   * @param {Number} [options.status] - HTTP status of the response. Omitted when none was received.
+   * @param {String} [options.code] - Error code, for failed attempts.
+   * @param {Number} options.durationMs - Time until the response or error.
+   * @param {Boolean} [options.retry=false] - Whether the attempt is about to be repeated.
+   */
+  observe({method,endpoint,status,code,durationMs,retry=false}){
+    const labels = {method,endpoint:endpointLabel(endpoint)}
+    this.increment(this._requests,Object.assign({},labels,{status:status ? String(status) : 'none'}))
+    if (code) this.increment(this._errors,Object.assign({},labels,{code}))
+    if (retry) this.increment(this._retries,labels)
+    if (status === 429) this.rateLimited('exchange')
+    const key = labelKey(labels)
+    const histogram = this._durations.get(key) || {labels,buckets:this._buckets.map(() => 0),sum:0,count:0}
+    const seconds = durationMs / 1000
+    this._buckets.forEach((bound,index) => {
+      if (seconds <= bound) histogram.buckets[index]++
+    })
+    histogram.sum += seconds
+    histogram.count++
+    this._durations.set(key,histogram)
+  }
+
+  /**
+   * @method rateLimited - Count a rate-limit hit.
+   * @param {String} source - 'exchange' or 'client'.
+   */
+  rateLimited(source){
+    this.increment(this._rateLimits,{source})
+  }
+
+  /**
+   * @method toPrometheus - Every series in the Prometheus text exposition format (version 0.0.4).
+   * @returns {String}
+   */
+  toPrometheus(){
+    const name = suffix => `${this._prefix}_${suffix}`
+    const lines = []
+    const counter = (series,suffix,help) => {
+      lines.push(`# HELP ${name(suffix)} ${help}`,`# TYPE ${name(suffix)} counter`)
+      series.forEach(({labels,value}) => lines.push(`${name(suffix)}${formatLabels(labels)} ${value}`))
+    }
+    counter(this._requests,'requests_total','Requests sent to the exchange, by HTTP status ("none" when no response was received).')
+    counter(this._errors,'request_errors_total','Failed requests, by error code.')
+    counter(this._retries,'retries_total','Failed requests that were retried.')
+    counter(this._rateLimits,'rate_limit_hits_total','Requests throttled by the exchange (429) or delayed by the client-side rate limiter.')
+    lines.push(`# HELP ${name('request_duration_seconds')} Time from sending a request to its response or error.`,`# TYPE ${name('request_duration_seconds')} histogram`)
+    this._durations.forEach(({labels,buckets,sum,count}) => {
+      buckets.forEach((value,index) => lines.push(`${name('request_duration_seconds_bucket')}${formatLabels(Object.assign({},labels,{le:String(this._buckets[index])}))} ${value}`))
+      lines.push(`${name('request_duration_seconds_bucket')}${formatLabels(Object.assign({},labels,{le:'+Inf'}))} ${count}`)
+      lines.push(`${name('request_duration_seconds_sum')}${formatLabels(labels)} ${sum}`)
+      lines.push(`${name('request_duration_seconds_count')}${formatLabels(labels)} ${count}`)
+    })
+    return `${lines.join('\n')}\n`
+  }
+
+  /**
+   * @method reset - Drop every series.
+   */
+  reset(){
+    this._requests = new Map()
+    this._errors = new Map()
+    this._retries = new Map()
+    this._rateLimits = new Map()
+    this._durations = new Map()
+  }
+
+  /*-------------------------------------------------------------------------*
+   * Private
+   *-------------------------------------------------------------------------*/
+
+  /**
+   * @private
+   * @method increment
+   * @param {Map} series
+   * @param {Object} labels
+   */
+  increment(series,labels){
+    const key = labelKey(labels)
+    const entry = series.get(key) || {labels,value:0}
+    entry.value++
+    series.set(key,entry)
+  }
+}
+
+/**
+ * Label for an endpoint: the path without its query string, ids replaced by {id}.
+ */
+function endpointLabel(endpoint=''){
+  return endpoint.split('?')[0].split('/').map(segment => ID_SEGMENT.test(segment) ? '{id}' : segment).join('/')
+}
+
+function labelKey(labels){
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name,labels[name]]))
+}
+
+function formatLabels(labels){
+  const pairs = Object.keys(labels).map(name => `${name}="${String(labels[name]).replace(/\\/g,'\\\\').replace(/\n/g,'\\n').replace(/"/g,'\\"')}"`)
+  return pairs.length ? `{${pairs.join(',')}}` : ''
+}
+
+module.exports = { Metrics, endpointLabel }
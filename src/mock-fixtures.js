@@ -0,0 +1,144 @@
+const { Big } = require('./decimal')
+
+/*-------------------------------------------------------------------------*
+ * Deterministic market data served by MockBittrexServer
+ *-------------------------------------------------------------------------*/
+
+const CANDLE_INTERVALS = {
+  MINUTE_1: 60*1000,
+  MINUTE_5: 5*60*1000,
+  HOUR_1: 60*60*1000,
+  DAY_1: 24*60*60*1000
+}
+
+// number of candles returned by the /recent endpoint, per interval
+const RECENT_CANDLES = {MINUTE_1:1440,MINUTE_5:288,HOUR_1:744,DAY_1:366}
+
+const MARKETS = [
+  {symbol:'BTC-USD',baseCurrencySymbol:'BTC',quoteCurrencySymbol:'USD',minTradeSize:'0.0001',precision:3,price:'50000'},
+  {symbol:'ETH-USD',baseCurrencySymbol:'ETH',quoteCurrencySymbol:'USD',minTradeSize:'0.001',precision:2,price:'4000'},
+  {symbol:'ETH-BTC',baseCurrencySymbol:'ETH',quoteCurrencySymbol:'BTC',minTradeSize:'0.01',precision:8,price:'0.08'}
+]
+
+const CURRENCIES = [
+  {symbol:'BTC',name:'Bitcoin',coinType:'BITCOIN',status:'ONLINE',minConfirmations:2,notice:'',txFee:'0.0003',prohibitedIn:[],associatedTermsOfService:[],tags:[]},
+  {symbol:'ETH',name:'Ethereum',coinType:'ETH',status:'ONLINE',minConfirmations:36,notice:'',txFee:'0.005',prohibitedIn:[],associatedTermsOfService:[],tags:[]},
+  {symbol:'USD',name:'US Dollar',coinType:'FIAT',status:'ONLINE',minConfirmations:0,notice:'',txFee:'0',prohibitedIn:[],associatedTermsOfService:[],tags:[]}
+]
+
+/**
+ * @method defaultFixtures - Market data for three markets (BTC-USD, ETH-USD, ETH-BTC), anchored at the given time.
+ * @param {Date} now
+ * @returns {Object} - { markets, currencies, orderBooks, trades, addresses, allowedAddresses, deposits }
+ */
+function defaultFixtures(now){
+  const createdAt = '2019-01-01T00:00:00.000Z'
+  const markets = MARKETS.map(fixture => {
+    const market = Object.assign({},fixture,{status:'ONLINE',createdAt,notice:'',prohibitedIn:[],associatedTermsOfService:[],tags:[]})
+    delete market.price
+    return market
+  })
+  const orderBooks = {}
+  const trades = {}
+  for (const {symbol,precision,price} of MARKETS){
+    orderBooks[symbol] = orderBook(new Big(price),precision)
+    trades[symbol] = recentTrades(symbol,new Big(price),precision,now)
+  }
+  return {
+    markets,
+    currencies:CURRENCIES.map(currency => Object.assign({},currency)),
+    orderBooks,
+    trades,
+    addresses:[{status:'PROVISIONED',currencySymbol:'BTC',cryptoAddress:'3MockBittrexDepositAddress000000000',cryptoAddressTag:''}],
+    allowedAddresses:[{currencySymbol:'BTC',cryptoAddress:'3MockBittrexAllowedAddress000000000',cryptoAddressTag:'',status:'ACTIVE',createdAt,activeAt:createdAt}],
+    deposits:[
+      {id:'8f7e6f5e-0000-4000-8000-000000000003',currencySymbol:'BTC',quantity:'0.5',cryptoAddress:'3MockBittrexDepositAddress000000000',txId:'mock-tx-3',confirmations:6,updatedAt:daysAgo(now,3),completedAt:daysAgo(now,3),status:'COMPLETED',source:'BLOCKCHAIN'},
+      {id:'8f7e6f5e-0000-4000-8000-000000000002',currencySymbol:'USD',quantity:'10000',txId:'mock-tx-2',confirmations:0,updatedAt:daysAgo(now,10),completedAt:daysAgo(now,10),status:'COMPLETED',source:'WIRE_TRANSFER'},
+      {id:'8f7e6f5e-0000-4000-8000-000000000001',currencySymbol:'BTC',quantity:'0.5',cryptoAddress:'3MockBittrexDepositAddress000000000',txId:'mock-tx-1',confirmations:6,updatedAt:daysAgo(now,30),completedAt:daysAgo(now,30),status:'COMPLETED',source:'BLOCKCHAIN'}
+    ]
+  }
+}
+
+/**
+ * @method candleAt - The candle starting at the given time. The same arguments always give the same candle.
+ * @param {Object} market - { symbol, precision }
+ * @param {String} price - Reference price the candles oscillate around.
+ * @param {String} interval - ['MINUTE_1'|'MINUTE_5'|'HOUR_1'|'DAY_1']
+ * @param {Number} startsAt - Epoch milliseconds, aligned to the interval.
+ * @returns {Object} - { startsAt, open, high, low, close, volume, quoteVolume }
+ */
+function candleAt(market,price,interval,startsAt){
+  const step = startsAt/CANDLE_INTERVALS[interval]
+  const at = offset => new Big(price).times(1+0.02*Math.sin((step+offset)/24))
+  const open = at(0)
+  const close = at(1)
+  const high = (open.gt(close) ? open : close).times(1.001)
+  const low = (open.lt(close) ? open : close).times(0.999)
+  const volume = new Big(1+Math.abs(Math.cos(step))).round(8)
+  return {
+    startsAt:new Date(startsAt).toISOString(),
+    open:open.round(market.precision).toFixed(),
+    high:high.round(market.precision).toFixed(),
+    low:low.round(market.precision).toFixed(),
+    close:close.round(market.precision).toFixed(),
+    volume:volume.toFixed(),
+    quoteVolume:volume.times(open.plus(close).div(2)).round(8).toFixed()
+  }
+}
+
+/**
+ * @method candleRange - Candles with startsAt in [from, to), at interval boundaries.
+ * @param {Object} market
+ * @param {String} price
+ * @param {String} interval
+ * @param {Number} from - Epoch milliseconds.
+ * @param {Number} to - Epoch milliseconds.
+ * @returns {Array}
+ */
+function candleRange(market,price,interval,from,to){
+  const size = CANDLE_INTERVALS[interval]
+  const candles = []
+  for (let startsAt = Math.ceil(from/size)*size; startsAt < to; startsAt += size) candles.push(candleAt(market,price,interval,startsAt))
+  return candles
+}
+
+/**
+ * @method referencePrice - Price the fixtures for a market were generated around.
+ * @param {String} marketSymbol
+ * @returns {String}
+ */
+function referencePrice(marketSymbol){
+  const market = MARKETS.find(market => market.symbol === marketSymbol)
+  return market ? market.price : '1'
+}
+
+function orderBook(price,precision){
+  const book = {bid:[],ask:[]}
+  for (let i = 0; i < 500; i++){
+    const offset = price.times(0.0001*(i+1))
+    const quantity = new Big(0.1+(i%5)*0.05).div(price.gt(1000) ? 1 : price.lt(1) ? 0.01 : 0.1).round(8).toFixed()
+    book.bid.push({quantity,rate:price.minus(offset).round(precision,Big.roundDown).toFixed()})
+    book.ask.push({quantity,rate:price.plus(offset).round(precision,Big.roundUp).toFixed()})
+  }
+  return book
+}
+
+function recentTrades(symbol,price,precision,now){
+  const trades = []
+  for (let i = 0; i < 100; i++){
+    trades.push({
+      id:`${symbol}-trade-${100-i}`,
+      executedAt:new Date(now.getTime()-i*10000).toISOString(),
+      quantity:new Big(0.01*(1+i%7)).round(8).toFixed(),
+      rate:price.times(1+(i%2 ? -1 : 1)*0.0002*(i%5)).round(precision).toFixed(),
+      takerSide:i%2 ? 'SELL' : 'BUY'
+    })
+  }
+  return trades
+}
+
+function daysAgo(now,days){
+  return new Date(now.getTime()-days*CANDLE_INTERVALS.DAY_1).toISOString()
+}
+
+module.exports = { defaultFixtures, candleAt, candleRange, referencePrice, CANDLE_INTERVALS, RECENT_CANDLES }
@@ -0,0 +1,560 @@
+const http = require('http')
+const CryptoJS = require('crypto-js')
+const uuid = require('uuid-random')
+const { URL } = require('url')
+const SimulatedBittrexClient = require('./simulated-client')
+const { Big } = require('./decimal')
+const { BittrexApiError, BittrexValidationError } = require('./errors')
+const { defaultFixtures, candleRange, referencePrice, CANDLE_INTERVALS, RECENT_CANDLES } = require('./mock-fixtures')
+
+/**
+ * Local stand-in for the Bittrex v3 REST API. Serves deterministic market data, verifies
+ * Api-Key/Api-Timestamp/Api-Content-Hash/Api-Signature the way the exchange does, and runs orders,
+ * balances, addresses, withdrawals and deposits against an in-memory account.
+ * Orders are matched by a SimulatedBittrexClient (exposed as `server.exchange`) against the fixture order books.
+ * Sub-accounts and transfers are recorded, but all accounts share the master account's balances and orders.
+ *
+ * const server = await new MockBittrexServer().listen()
+ * const client = new BittrexClient({ apiKey: 'key', apiSecret: 'secret', baseURL: server.url })
+ */
+class MockBittrexServer {
+
+  /**
+   * @constructor
+   * @param {String} [options.apiKey='key'] - The only API key accepted.
+   * @param {String} [options.apiSecret='secret'] - Secret the signatures are checked against.
+   * @param {Object} [options.balances] - Starting balances. Default: { BTC: 1, ETH: 5, USD: 10000 }
+   * @param {Object} [options.fees] - { maker, taker } commission rates.
+   * @param {Object} [options.fixtures] - Replaces parts of the default market data: { markets, currencies, orderBooks, trades, addresses, allowedAddresses, deposits }.
+   * @param {Number} [options.timestampTolerance=60000] - Maximum distance, in milliseconds, between Api-Timestamp and the server clock.
+   * @param {Function} [options.clock] - Returns the current Date.
+   */
+  constructor({ apiKey = 'key', apiSecret = 'secret', balances = {BTC:1,ETH:5,USD:10000}, fees, fixtures = {}, timestampTolerance = 60000, clock = () => new Date() } = {}) {
+    this.apiKey = apiKey
+    this.apiSecret = apiSecret
+    this.timestampTolerance = timestampTolerance
+    this.fixtures = Object.assign(defaultFixtures(clock()),fixtures)
+    this.requests = []
+    this.exchange = new SimulatedBittrexClient({balances,fees,clock,marketData:'recorded',numeric:'string',rateLimit:false,retry:false})
+    Object.keys(this.fixtures.orderBooks).forEach(marketSymbol => this.exchange.feedOrderBook(marketSymbol,this.fixtures.orderBooks[marketSymbol]))
+    Object.keys(this.fixtures.trades).forEach(marketSymbol => this.exchange.feedTrades(marketSymbol,this.fixtures.trades[marketSymbol]))
+    this._clock = clock
+    this._sequence = 1
+    this._withdrawals = []
+    this.accountId = uuid()
+    this._fees = Object.assign({maker:'0.0035',taker:'0.0075'},fees)
+    this._subaccounts = []
+    this._transfers = []
+    this._server = http.createServer((req,res) => this.handle(req,res))
+    this._sockets = new Set()
+    this._server.on('connection',socket => {
+      this._sockets.add(socket)
+      socket.once('close',() => this._sockets.delete(socket))
+    })
+    this._routes = this.routes()
+  }
+
+  /**
+   * @method listen - Start listening on 127.0.0.1. Sets `url` to the base URL to pass to BittrexClient.
+   * @param {Number} [port=0] - 0 picks a free port.
+   * @returns {Promise} - this
+   */
+  listen(port=0){
+    return new Promise((resolve,reject) => {
+      this._server.once('error',reject)
+      this._server.listen(port,'127.0.0.1',() => {
+        this.url = `http://127.0.0.1:${this._server.address().port}/v3`
+        resolve(this)
+      })
+    })
+  }
+
+  /**
+   * @method close - Stop the server and destroy its open connections, so that clients' keep-alive sockets do not hold it open.
+   * @returns {Promise}
+   */
+  close(){
+    return new Promise(resolve => {
+      this._server.close(() => resolve())
+      if (this._server.closeIdleConnections) this._server.closeIdleConnections()
+      this._sockets.forEach(socket => socket.destroy())
+      this._sockets.clear()
+    })
+  }
+
+  /*-------------------------------------------------------------------------*
+   * Private
+   *-------------------------------------------------------------------------*/
+
+  /**
+   * @private
+   * @method routes - [method, path pattern, authenticated, handler]. Named groups of the pattern are passed to the handler as params.
+   * @returns {Array}
+   */
+  routes(){
+    const exchange = this.exchange
+    return [
+      ['GET',/^\/markets$/,false,() => this.fixtures.markets],
+      ['GET',/^\/currencies$/,false,() => this.fixtures.currencies],
+      ['GET',/^\/markets\/tickers$/,false,() => this.fixtures.markets.map(market => this.ticker(market.symbol))],
+      ['GET',/^\/markets\/summaries$/,false,() => this.fixtures.markets.map(market => this.summary(market.symbol))],
+      ['GET',/^\/markets\/(?<m>[^/]+)\/ticker$/,false,({m}) => this.ticker(this.market(m).symbol)],
+      ['GET',/^\/markets\/(?<m>[^/]+)\/summary$/,false,({m}) => this.summary(this.market(m).symbol)],
+      ['GET',/^\/markets\/(?<m>[^/]+)\/trades$/,false,({m}) => exchange.marketTrades(this.market(m).symbol)],
+      ['GET',/^\/markets\/(?<m>[^/]+)\/orderbook$/,false,({m},{depth='25'},res) => {
+        if (['1','25','500'].indexOf(depth) === -1) throw reject('INVALID_DEPTH',400)
+        res.setHeader('Sequence',String(this._sequence))
+        return exchange.orderBook(this.market(m).symbol,Number(depth))
+      }],
+      ['GET',/^\/markets\/(?<m>[^/]+)\/candles\/(?<type>TRADE|MIDPOINT)\/(?<interval>[A-Z_0-9]+)\/recent$/,false,({m,interval}) => {
+        const size = this.interval(interval)
+        const now = this._clock().getTime()
+        return this.candles(m,interval,now-(RECENT_CANDLES[interval]-1)*size-now%size,now)
+      }],
+      ['GET',/^\/markets\/(?<m>[^/]+)\/candles\/(?<type>TRADE|MIDPOINT)\/(?<interval>[A-Z_0-9]+)\/historical\/(?<year>\d+)(?:\/(?<month>\d+))?(?:\/(?<day>\d+))?$/,false,params => {
+        const {year,month=1,day=1} = params
+        this.interval(params.interval)
+        const from = Date.UTC(Number(year),Number(month)-1,Number(day))
+        let to
+        if (params.interval === 'DAY_1') to = Date.UTC(Number(year)+1,0,1)
+        else if (params.interval === 'HOUR_1') to = Date.UTC(Number(year),Number(month),1)
+        else to = from+CANDLE_INTERVALS.DAY_1
+        // only completed candles
+        const size = CANDLE_INTERVALS[params.interval]
+        return this.candles(params.m,params.interval,from,Math.min(to,this._clock().getTime()-size+1))
+      }],
+
+      ['POST',/^\/orders$/,true,(params,query,res,body) => this.sendOrder(body)],
+      ['GET',/^\/orders\/open$/,true,(params,{marketSymbol}) => exchange.getOpenOrders(marketSymbol)],
+      ['DELETE',/^\/orders\/open$/,true,(params,{marketSymbol}) => exchange.cancelOrder('open',marketSymbol)],
+      ['GET',/^\/orders\/closed$/,true,(params,{marketSymbol,nextPageToken,previousPageToken,pageSize,startDate,endDate}) => {
+        return exchange.getOrderHistory(marketSymbol,nextPageToken,previousPageToken,pageSize ? Number(pageSize) : 100,startDate,endDate)
+      }],
+      ['GET',/^\/orders\/(?<id>[^/]+)\/executions$/,true,({id}) => exchange.getOrderExecutions(id)],
+      ['GET',/^\/orders\/(?<id>[^/]+)$/,true,({id}) => exchange.getOrder(id)],
+      ['DELETE',/^\/orders\/(?<id>[^/]+)$/,true,({id}) => exchange.cancelOrder(id)],
+      ['GET',/^\/executions$/,true,(params,{marketSymbol,nextPageToken,previousPageToken,pageSize,startDate,endDate}) => {
+        return exchange.getExecutions(marketSymbol,{nextPageToken,previousPageToken,pageSize:pageSize ? Number(pageSize) : 100,startDate,endDate})
+      }],
+      ['GET',/^\/executions\/last-id$/,true,async () => {
+        const [last] = await exchange.getExecutions(undefined,{pageSize:1})
+        return {lastId:last ? last.id : null}
+      }],
+      ['GET',/^\/executions\/(?<id>[^/]+)$/,true,async ({id}) => {
+        const executions = await exchange.getExecutions(undefined,{pageSize:Infinity})
+        const execution = executions.find(execution => execution.id === id)
+        if (!execution) throw reject('NOT_FOUND',404)
+        return execution
+      }],
+
+      ['GET',/^\/balances\/?$/,true,() => exchange.balance()],
+      ['GET',/^\/balances\/(?<c>[^/]+)$/,true,({c}) => exchange.balance(this.currency(c).symbol)],
+
+      ['GET',/^\/addresses\/?$/,true,() => this.fixtures.addresses],
+      ['GET',/^\/addresses\/(?<c>[^/]+)$/,true,({c}) => {
+        const address = this.fixtures.addresses.find(address => address.currencySymbol === this.currency(c).symbol)
+        if (!address) throw reject('CRYPTO_ADDRESS_NOT_FOUND',404)
+        return address
+      }],
+      ['POST',/^\/addresses$/,true,(params,query,res,body) => {
+        const {symbol} = this.currency(body.currencySymbol)
+        if (this.fixtures.addresses.some(address => address.currencySymbol === symbol)) throw reject('CRYPTO_ADDRESS_ALREADY_EXISTS')
+        const address = {status:'REQUESTED',currencySymbol:symbol}
+        this.fixtures.addresses.push(address)
+        return address
+      }],
+
+      ['GET',/^\/withdrawals\/allowed-addresses$/,true,() => this.fixtures.allowedAddresses],
+      ['POST',/^\/withdrawals$/,true,(params,query,res,body) => this.withdraw(body)],
+      ['GET',/^\/withdrawals\/open$/,true,(params,query) => this.filter(this._withdrawals.filter(withdrawal => !withdrawal.completedAt),query)],
+      ['GET',/^\/withdrawals\/closed$/,true,(params,query) => {
+        return this.page(this.filter(this._withdrawals.filter(withdrawal => withdrawal.completedAt),query),withdrawal => withdrawal.completedAt,query)
+      }],
+      ['DELETE',/^\/withdrawals\/(?<id>[^/]+)$/,true,({id}) => {
+        const withdrawal = this._withdrawals.find(withdrawal => withdrawal.id === id || withdrawal.clientWithdrawalId === id)
+        if (!withdrawal) throw reject('NOT_FOUND',404)
+        if (['REQUESTED','AUTHORIZED','ERROR_INVALID_ADDRESS'].indexOf(withdrawal.status) === -1) throw reject('WITHDRAWAL_NOT_CANCELLABLE')
+        withdrawal.status = 'CANCELLED'
+        withdrawal.completedAt = this._clock().toISOString()
+        exchange.deposit(withdrawal.currencySymbol,withdrawal.quantity)
+        return withdrawal
+      }],
+
+      ['GET',/^\/account$/,true,(params,query,res,body,subaccountId) => ({accountId:this.accountId,subaccountId:subaccountId || undefined,actionsNeeded:[]})],
+      ['GET',/^\/account\/fees\/trading$/,true,() => this.fixtures.markets.map(market => this.tradingFees(market.symbol))],
+      ['GET',/^\/account\/fees\/trading\/(?<m>[^/]+)$/,true,({m}) => this.tradingFees(this.market(m).symbol)],
+      ['GET',/^\/account\/volume$/,true,() => this.volume()],
+      ['GET',/^\/account\/permissions\/markets$/,true,() => this.fixtures.markets.map(market => this.marketPolicy(market.symbol))],
+      ['GET',/^\/account\/permissions\/markets\/(?<m>[^/]+)$/,true,({m}) => [this.marketPolicy(this.market(m).symbol)]],
+      ['GET',/^\/account\/permissions\/currencies$/,true,() => this.fixtures.currencies.map(currency => this.currencyPolicy(currency))],
+      ['GET',/^\/account\/permissions\/currencies\/(?<c>[^/]+)$/,true,({c}) => [this.currencyPolicy(this.currency(c))]],
+
+      ['POST',/^\/transfers$/,true,(params,query,res,body,subaccountId) => this.transfer(body,subaccountId)],
+      ['GET',/^\/transfers\/sent$/,true,(params,query,res,body,subaccountId) => {
+        const sent = this._transfers.filter(transfer => transfer.fromSubaccountId === (subaccountId || undefined))
+          .filter(transfer => (!query.toSubaccountId || transfer.toSubaccountId === query.toSubaccountId) && (query.toMasterAccount !== 'true' || transfer.toMasterAccount))
+        return this.page(this.filter(sent,query),transfer => transfer.executedAt,query).map(({id,requestId,currencySymbol,amount,executedAt,toSubaccountId,toMasterAccount}) => {
+          return {id,requestId,currencySymbol,amount,executedAt,toSubaccountId,toMasterAccount}
+        })
+      }],
+      ['GET',/^\/transfers\/received$/,true,(params,query,res,body,subaccountId) => {
+        const received = this._transfers.filter(transfer => subaccountId ? transfer.toSubaccountId === subaccountId : transfer.toMasterAccount)
+          .filter(transfer => (!query.fromSubaccountId || transfer.fromSubaccountId === query.fromSubaccountId) && (query.fromMasterAccount !== 'true' || !transfer.fromSubaccountId))
+        return this.page(this.filter(received,query),transfer => transfer.executedAt,query).map(({id,requestId,currencySymbol,amount,executedAt,fromSubaccountId}) => {
+          return {id,requestId,currencySymbol,amount,executedAt,fromSubaccountId,fromMasterAccount:!fromSubaccountId}
+        })
+      }],
+      ['GET',/^\/transfers\/(?<id>[^/]+)$/,true,({id}) => {
+        const transfer = this._transfers.find(transfer => transfer.id === id)
+        if (!transfer) throw reject('NOT_FOUND',404)
+        return transfer
+      }],
+
+      ['GET',/^\/subaccounts$/,true,(params,query,res,body,subaccountId) => this.page(this.masterOnly(subaccountId,this._subaccounts),subaccount => subaccount.createdAt,query)],
+      ['POST',/^\/subaccounts$/,true,(params,query,res,body,subaccountId) => {
+        const subaccount = {id:uuid(),createdAt:this._clock().toISOString()}
+        this.masterOnly(subaccountId,this._subaccounts).push(subaccount)
+        return subaccount
+      }],
+      ['GET',/^\/subaccounts\/(?<id>[^/]+)$/,true,({id},query,res,body,subaccountId) => {
+        const subaccount = this.masterOnly(subaccountId,this._subaccounts).find(subaccount => subaccount.id === id)
+        if (!subaccount) throw reject('SUBACCOUNT_NOT_FOUND',404)
+        return subaccount
+      }],
+
+      ['GET',/^\/deposits\/open$/,true,(params,query) => this.filter(this.fixtures.deposits.filter(deposit => !deposit.completedAt),query)],
+      ['GET',/^\/deposits\/closed$/,true,(params,query) => {
+        return this.page(this.filter(this.fixtures.deposits.filter(deposit => deposit.completedAt),query),deposit => deposit.completedAt,query)
+      }]
+    ]
+  }
+
+  /**
+   * @private
+   * @method handle - Parse, authenticate and route one HTTP request. Failures are answered the way Bittrex answers them: a status code and { code, detail }.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async handle(req,res){
+    const chunks = []
+    for await (const chunk of req) chunks.push(chunk)
+    const rawBody = Buffer.concat(chunks).toString('utf8')
+    const {pathname,searchParams} = new URL(req.url,'http://localhost')
+    const path = pathname.replace(/^\/v3/,'')
+    const query = {}
+    searchParams.forEach((value,key) => { query[key] = value })
+    res.setHeader('Content-Type','application/json')
+    let status = 200
+    let data
+    try{
+      const body = rawBody ? parseBody(rawBody) : {}
+      this.requests.push({method:req.method,path,query,body,headers:req.headers})
+      if (pathname.indexOf('/v3/') !== 0) throw reject('NOT_FOUND',404)
+      const route = this.route(req.method,path)
+      const subaccountId = route.authenticated ? this.authenticate(req,rawBody) : null
+      data = await route.handler(route.params,query,res,body,subaccountId)
+    }
+    catch(error){
+      status = error instanceof BittrexApiError ? error.status : error instanceof BittrexValidationError ? 400 : 500
+      data = {code:error instanceof BittrexApiError ? error.code : status === 400 ? 'BAD_REQUEST' : 'INTERNAL_ERROR',detail:error.message}
+    }
+    res.statusCode = status
+    res.end(JSON.stringify(data))
+  }
+
+  /**
+   * @private
+   * @method route - Find the handler for a request. Unknown paths are 404 NOT_FOUND; known paths with another method are 405.
+   * @param {String} method
+   * @param {String} path - Relative to /v3.
+   * @returns {Object} - { handler, params, authenticated }
+   */
+  route(method,path){
+    let known = false
+    for (const [routeMethod,pattern,authenticated,handler] of this._routes){
+      const match = pattern.exec(path)
+      if (!match) continue
+      known = true
+      if (routeMethod === method) return {handler,authenticated,params:Object.assign({},match.groups)}
+    }
+    throw known ? reject('METHOD_NOT_ALLOWED',405) : reject('NOT_FOUND',404)
+  }
+
+  /**
+   * @private
+   * @method authenticate - Check the Api-* headers against the raw request, as the exchange does.
+   * Api-Signature must be HMAC-SHA512(secret, Api-Timestamp + full request URI + method + Api-Content-Hash + Api-Subaccount-Id).
+   * @param {http.IncomingMessage} req
+   * @param {String} rawBody
+   * @returns {String} - The Api-Subaccount-Id the request acts for, or null for the master account.
+   */
+  authenticate(req,rawBody){
+    const apiKey = req.headers['api-key']
+    const timestamp = req.headers['api-timestamp']
+    const contentHash = req.headers['api-content-hash']
+    const signature = req.headers['api-signature']
+    if (!apiKey || apiKey !== this.apiKey) throw reject('APIKEY_INVALID',401)
+    if (!timestamp || !/^\d+$/.test(timestamp) || Math.abs(this._clock().getTime()-Number(timestamp)) > this.timestampTolerance) throw reject('INVALID_TIMESTAMP',401)
+    if (contentHash !== CryptoJS.SHA512(rawBody).toString(CryptoJS.enc.Hex)) throw reject('INVALID_CONTENT_HASH',401)
+    const uri = `http://${req.headers.host}${req.url}`
+    const subaccountId = req.headers['api-subaccount-id'] || null
+    const expected = CryptoJS.HmacSHA512([timestamp,uri,req.method,contentHash,subaccountId || ''].join(''),this.apiSecret).toString(CryptoJS.enc.Hex)
+    if (signature !== expected) throw reject('INVALID_SIGNATURE',401)
+    if (subaccountId && !this._subaccounts.some(subaccount => subaccount.id === subaccountId)) throw reject('SUBACCOUNT_NOT_FOUND',403)
+    return subaccountId
+  }
+
+  /**
+   * @private
+   * @method sendOrder - Apply the exchange's market checks, then match the order.
+   * @param {Object} body - NewOrder
+   * @returns {Promise} - Order
+   */
+  async sendOrder(body){
+    const market = this.market(body.marketSymbol,400)
+    if (market.status !== 'ONLINE') throw reject('MARKET_OFFLINE')
+    if (body.quantity !== undefined && new Big(body.quantity).lt(market.minTradeSize)) throw reject('MIN_TRADE_REQUIREMENT_NOT_MET')
+    const {marketSymbol,direction,type,quantity,ceiling,limit,timeInForce,clientOrderId,useAwards} = body
+    return this.exchange.sendOrder(marketSymbol,direction,type,{quantity,ceiling,limit},timeInForce,clientOrderId || uuid(),useAwards)
+  }
+
+  /**
+   * @private
+   * @method withdraw - Debit the account and record an open withdrawal.
+   * @param {Object} body - NewWithdrawal
+   * @returns {Promise} - Withdrawal
+   */
+  async withdraw(body){
+    const currency = this.currency(body.currencySymbol,400)
+    if (!body.quantity || !body.cryptoAddress) throw reject('BAD_REQUEST',400)
+    if (body.clientWithdrawalId && this._withdrawals.some(withdrawal => withdrawal.clientWithdrawalId === body.clientWithdrawalId)) throw reject('DUPLICATE_CLIENT_WITHDRAWAL_ID')
+    const balance = await this.exchange.balance(currency.symbol)
+    if (new Big(balance.available).lt(body.quantity)) throw reject('INSUFFICIENT_FUNDS')
+    this.exchange.deposit(currency.symbol,new Big(body.quantity).neg())
+    const withdrawal = {
+      id:uuid(),currencySymbol:currency.symbol,quantity:new Big(body.quantity).toFixed(),cryptoAddress:body.cryptoAddress,
+      cryptoAddressTag:body.cryptoAddressTag,txCost:currency.txFee,status:'REQUESTED',
+      createdAt:this._clock().toISOString(),clientWithdrawalId:body.clientWithdrawalId
+    }
+    this._withdrawals.unshift(withdrawal)
+    return withdrawal
+  }
+
+  /**
+   * @private
+   * @method transfer - Record a transfer between accounts. Only transfers from or to the master account move (master) balances.
+   * @param {Object} body - NewTransfer
+   * @param {String} fromSubaccountId - null for the master account.
+   * @returns {Promise} - Transfer
+   */
+  async transfer(body,fromSubaccountId){
+    const currency = this.currency(body.currencySymbol,400)
+    if (!body.amount || new Big(body.amount).lte(0)) throw reject('BAD_REQUEST',400)
+    if (!body.toSubaccountId === !body.toMasterAccount) throw reject('BAD_REQUEST',400)
+    if (body.toMasterAccount && !fromSubaccountId) throw reject('BAD_REQUEST',400)
+    if (body.toSubaccountId && !this._subaccounts.some(subaccount => subaccount.id === body.toSubaccountId)) throw reject('SUBACCOUNT_NOT_FOUND',404)
+    if (body.requestId && this._transfers.some(transfer => transfer.requestId === body.requestId)) throw reject('DUPLICATE_REQUEST_ID')
+    if (!fromSubaccountId){
+      const balance = await this.exchange.balance(currency.symbol)
+      if (new Big(balance.available).lt(body.amount)) throw reject('INSUFFICIENT_FUNDS')
+      this.exchange.deposit(currency.symbol,new Big(body.amount).neg())
+    }
+    if (body.toMasterAccount) this.exchange.deposit(currency.symbol,body.amount)
+    const transfer = {
+      id:uuid(),requestId:body.requestId,currencySymbol:currency.symbol,amount:new Big(body.amount).toFixed(),executedAt:this._clock().toISOString(),
+      fromSubaccountId:fromSubaccountId || undefined,toSubaccountId:body.toSubaccountId,toMasterAccount:Boolean(body.toMasterAccount)
+    }
+    this._transfers.unshift(transfer)
+    return transfer
+  }
+
+  /**
+   * @private
+   * @method masterOnly - Sub-account management is for the master account.
+   * @param {String} subaccountId
+   * @param {*} value - Returned when allowed.
+   * @returns {*}
+   */
+  masterOnly(subaccountId,value){
+    if (subaccountId) throw reject('SUBACCOUNT_OF_SUBACCOUNT_NOT_ALLOWED',403)
+    return value
+  }
+
+  /**
+   * @private
+   * @method tradingFees - The server's commission rates, the same on every market.
+   * @param {String} marketSymbol
+   * @returns {Object}
+   */
+  tradingFees(marketSymbol){
+    return {marketSymbol,makerRate:new Big(this._fees.maker).toFixed(),takerRate:new Big(this._fees.taker).toFixed()}
+  }
+
+  /**
+   * @private
+   * @method volume - Quote volume of the account's fills on USD markets over the last 30 days.
+   * @returns {Promise} - { updated, volume30days }
+   */
+  async volume(){
+    const since = this._clock().getTime()-30*CANDLE_INTERVALS.DAY_1
+    const executions = await this.exchange.getExecutions(undefined,{pageSize:Infinity})
+    const volume30days = executions
+      .filter(execution => /-USD$/.test(execution.marketSymbol) && Date.parse(execution.executedAt) >= since)
+      .reduce((total,execution) => total.plus(new Big(execution.quantity).times(execution.rate)),new Big(0))
+    return {updated:this._clock().toISOString(),volume30days:volume30days.toFixed()}
+  }
+
+  /**
+   * @private
+   * @method marketPolicy
+   * @param {String} marketSymbol
+   * @returns {Object}
+   */
+  marketPolicy(marketSymbol){
+    return {symbol:marketSymbol,view:true,buy:true,sell:true}
+  }
+
+  /**
+   * @private
+   * @method currencyPolicy - Fiat moves by wire, everything else on its blockchain.
+   * @param {Object} currency
+   * @returns {Object}
+   */
+  currencyPolicy(currency){
+    const fiat = currency.coinType === 'FIAT'
+    return {
+      symbol:currency.symbol,view:true,
+      deposit:{blockchain:!fiat,creditCard:false,wireTransfer:fiat,ach:false},
+      withdraw:{blockchain:!fiat,wireTransfer:fiat,ach:false}
+    }
+  }
+
+  /**
+   * @private
+   * @method market
+   * @param {String} marketSymbol
+   * @param {Number} [status=404] - Status to answer with when the market is unknown.
+   * @returns {Object} - Market
+   */
+  market(marketSymbol,status=404){
+    const market = this.fixtures.markets.find(market => market.symbol === String(marketSymbol).toUpperCase())
+    if (!market) throw reject('MARKET_DOES_NOT_EXIST',status)
+    return market
+  }
+
+  /**
+   * @private
+   * @method currency
+   * @param {String} currencySymbol
+   * @param {Number} [status=404]
+   * @returns {Object} - Currency
+   */
+  currency(currencySymbol,status=404){
+    const currency = this.fixtures.currencies.find(currency => currency.symbol === String(currencySymbol).toUpperCase())
+    if (!currency) throw reject('CURRENCY_DOES_NOT_EXIST',status)
+    return currency
+  }
+
+  /**
+   * @private
+   * @method interval - Milliseconds per candle, or 400 INVALID_CANDLE_INTERVAL.
+   * @param {String} interval
+   * @returns {Number}
+   */
+  interval(interval){
+    if (!CANDLE_INTERVALS[interval]) throw reject('INVALID_CANDLE_INTERVAL',400)
+    return CANDLE_INTERVALS[interval]
+  }
+
+  /**
+   * @private
+   * @method candles
+   * @param {String} marketSymbol
+   * @param {String} interval
+   * @param {Number} from - Epoch milliseconds, inclusive.
+   * @param {Number} to - Epoch milliseconds, exclusive.
+   * @returns {Array}
+   */
+  candles(marketSymbol,interval,from,to){
+    const market = this.market(marketSymbol)
+    return candleRange(market,referencePrice(market.symbol),interval,from,to)
+  }
+
+  /**
+   * @private
+   * @method ticker - Best bid/ask of the fixture book and the latest fixture trade.
+   * @param {String} marketSymbol
+   * @returns {Object}
+   */
+  ticker(marketSymbol){
+    const book = this.fixtures.orderBooks[marketSymbol] || {bid:[],ask:[]}
+    const [last] = this.fixtures.trades[marketSymbol] || []
+    const best = side => book[side][0] ? book[side][0].rate : '0'
+    return {symbol:marketSymbol,lastTradeRate:last ? last.rate : best('bid'),bidRate:best('bid'),askRate:best('ask')}
+  }
+
+  /**
+   * @private
+   * @method summary - 24-hour summary computed from the fixture trades.
+   * @param {String} marketSymbol
+   * @returns {Object}
+   */
+  summary(marketSymbol){
+    const trades = this.fixtures.trades[marketSymbol] || []
+    const rates = trades.map(trade => new Big(trade.rate))
+    const volume = trades.reduce((total,trade) => total.plus(trade.quantity),new Big(0))
+    const quoteVolume = trades.reduce((total,trade) => total.plus(new Big(trade.quantity).times(trade.rate)),new Big(0))
+    const high = rates.reduce((max,rate) => rate.gt(max) ? rate : max,rates[0] || new Big(0))
+    const low = rates.reduce((min,rate) => rate.lt(min) ? rate : min,rates[0] || new Big(0))
+    const first = rates[rates.length-1]
+    const percentChange = first && rates[0] ? rates[0].minus(first).div(first).times(100).round(2).toFixed() : '0'
+    return {symbol:marketSymbol,high:high.toFixed(),low:low.toFixed(),volume:volume.toFixed(),quoteVolume:quoteVolume.toFixed(),percentChange,updatedAt:this._clock().toISOString()}
+  }
+
+  /**
+   * @private
+   * @method filter - Apply the currencySymbol and status query filters.
+   * @param {Array} items
+   * @param {Object} query
+   * @returns {Array}
+   */
+  filter(items,{currencySymbol,status}){
+    return items.filter(item => (!currencySymbol || item.currencySymbol === currencySymbol) && (!status || item.status === status))
+  }
+
+  /**
+   * @private
+   * @method page - Newest-first paging: nextPageToken/previousPageToken are item ids, pageSize defaults to 100.
+   * @param {Array} items
+   * @param {Function} dateOf
+   * @param {Object} query
+   * @returns {Array}
+   */
+  page(items,dateOf,{nextPageToken,previousPageToken,pageSize='100',startDate,endDate}){
+    const from = startDate ? Date.parse(startDate) : -Infinity
+    const to = endDate ? Date.parse(endDate) : Infinity
+    const size = Number(pageSize)
+    if (!(size >= 1 && size <= 200)) throw reject('INVALID_PAGE_SIZE',400)
+    let sorted = items
+      .filter(item => Date.parse(dateOf(item)) >= from && Date.parse(dateOf(item)) <= to)
+      .sort((a,b) => Date.parse(dateOf(b))-Date.parse(dateOf(a)))
+    if (nextPageToken) return sorted.slice(sorted.findIndex(item => item.id === nextPageToken)+1).slice(0,size)
+    if (previousPageToken) sorted = sorted.slice(0,Math.max(0,sorted.findIndex(item => item.id === previousPageToken)))
+    return previousPageToken ? sorted.slice(-size) : sorted.slice(0,size)
+  }
+}
+
+function reject(code,status=409){
+  return new BittrexApiError(code,{code,status})
+}
+
+function parseBody(rawBody){
+  try{
+    return JSON.parse(rawBody)
+  }
+  catch(error){
+    throw reject('INVALID_JSON',400)
+  }
+}
+
+module.exports = MockBittrexServer
@@ -0,0 +1,268 @@
+const EventEmitter = require('events')
+const { BittrexError, BittrexValidationError } = require('./errors')
+const { sleep } = require('./utils')
+
+const MAX_SYNC_ATTEMPTS = 5
+
+const SIDES = ['bid','ask']
+
+/**
+ * Keeps a local copy of one market's order book current. The book is seeded from the REST snapshot and its
+ * Sequence header, then patched with websocket deltas applied strictly in sequence order. Deltas that arrive
+ * while a snapshot is in flight are buffered; a missing sequence number triggers a fresh snapshot.
+ *
+ * Events: 'synced' (sequence), 'update' (delta), 'gap' ({expected, received}), 'error' (error).
+ */
+class OrderBookManager extends EventEmitter {
+
+  /**
+   * @constructor
+   * @param {BittrexClient} options.client - Required. Used to fetch snapshots.
+   * @param {String} options.marketSymbol - Required. Example: 'BTC-USD'
+   * @param {Number} [options.depth=25] - Must be: [1|25|500]
+   * @param {BittrexSocketClient} [options.socket] - If given, start() subscribes to the market's orderbook channel and applies its deltas.
+   */
+  constructor({ client, marketSymbol, depth = 25, socket } = {}) {
+    super()
+    if (!client) throw new BittrexValidationError('client is required',{field:'client'})
+    if (!marketSymbol) throw new BittrexValidationError('marketSymbol is required',{field:'marketSymbol'})
+    if ([1,25,500].indexOf(depth) === -1) throw new BittrexValidationError('depth must be either: [1|25|500]',{field:'depth'})
+    this._client = client
+    this._socket = socket
+    this._marketSymbol = marketSymbol
+    this._depth = depth
+    this._channel = `orderbook_${marketSymbol}_${depth}`
+    this._levels = {bid:new Map(),ask:new Map()}
+    this._sequence = null
+    this._buffer = []
+    this._syncing = null
+    this._onSocketUpdate = update => {
+      if (update && update.marketSymbol === this._marketSymbol && update.depth === this._depth) this.applyUpdate(update)
+    }
+  }
+
+  /**
+   * @method start - Subscribe to deltas (when a socket was given) and seed the book from a snapshot.
+   * @returns {Promise}
+   */
+  async start(){
+    if (this._socket){
+      this._socket.on('orderBook',this._onSocketUpdate)
+      await this._socket.subscribe(this._channel)
+    }
+    await this.resync()
+  }
+
+  /**
+   * @method stop - Stop applying socket deltas.
+   * @returns {Promise}
+   */
+  async stop(){
+    if (!this._socket) return
+    this._socket.removeListener('orderBook',this._onSocketUpdate)
+    await this._socket.unsubscribe(this._channel)
+  }
+
+  /**
+   * @method applyUpdate - Apply one orderbook delta message. A quantity of 0 removes the level.
+   * @param {Object} update - { "sequence": "integer", "bidDeltas": [{ "quantity", "rate" }], "askDeltas": [{ "quantity", "rate" }] }
+   */
+  applyUpdate(update){
+    if (this._syncing || this._sequence === null){
+      this._buffer.push(update)
+      return
+    }
+    if (update.sequence <= this._sequence) return
+    if (update.sequence !== this._sequence+1){
+      this.emit('gap',{expected:this._sequence+1,received:update.sequence})
+      this._buffer.push(update)
+      this.resync().catch(error => this.fail(error))
+      return
+    }
+    this.patch(update)
+    this.emit('update',update)
+  }
+
+  /**
+   * @method resync - Discard the book and rebuild it from a fresh snapshot plus any buffered deltas.
+   * @returns {Promise}
+   */
+  resync(){
+    if (!this._syncing){
+      this._syncing = this.sync().then(() => {
+        this._syncing = null
+      },error => {
+        this._syncing = null
+        throw error
+      })
+    }
+    return this._syncing
+  }
+
+  /**
+   * @method sequence - Sequence number of the last applied snapshot or delta, or null before the first sync.
+   * @returns {Number}
+   */
+  get sequence(){
+    return this._sequence
+  }
+
+  /**
+   * @method levels - Price levels of one side, best first.
+   * @param {String} side - Required. Must be: ['bid'|'ask']
+   * @param {Number} [limit] - Maximum number of levels.
+   * @returns {Array} - [{ "rate": "number", "quantity": "number" }]
+   */
+  levels(side,limit){
+    this.checkSide(side)
+    const rates = Array.from(this._levels[side].keys()).sort((a,b) => side === 'bid' ? b-a : a-b)
+    return rates.slice(0,limit === undefined ? rates.length : limit).map(rate => ({rate,quantity:this._levels[side].get(rate)}))
+  }
+
+  /**
+   * @method bestBid - Highest bid, or null if there are no bids.
+   * @returns {Object} - { "rate": "number", "quantity": "number" }
+   */
+  bestBid(){
+    return this.levels('bid',1)[0] || null
+  }
+
+  /**
+   * @method bestAsk - Lowest ask, or null if there are no asks.
+   * @returns {Object} - { "rate": "number", "quantity": "number" }
+   */
+  bestAsk(){
+    return this.levels('ask',1)[0] || null
+  }
+
+  /**
+   * @method spread - Best ask minus best bid, or null if either side is empty.
+   * @returns {Number}
+   */
+  spread(){
+    const bid = this.bestBid()
+    const ask = this.bestAsk()
+    return bid && ask ? ask.rate - bid.rate : null
+  }
+
+  /**
+   * @method depthAt - Quantity resting at exactly the given price.
+   * @param {String} side - Required. Must be: ['bid'|'ask']
+   * @param {Number} rate - Required.
+   * @returns {Number}
+   */
+  depthAt(side,rate){
+    this.checkSide(side)
+    return this._levels[side].get(Number(rate)) || 0
+  }
+
+  /**
+   * @method cumulativeVolume - Total quantity on one side from the best price up to and including the given price.
+   * @param {String} side - Required. Must be: ['bid'|'ask']
+   * @param {Number} rate - Required.
+   * @returns {Number}
+   */
+  cumulativeVolume(side,rate){
+    return this.levels(side)
+      .filter(level => side === 'bid' ? level.rate >= rate : level.rate <= rate)
+      .reduce((total,level) => total+level.quantity,0)
+  }
+
+  /**
+   * @method vwap - Average price paid to fill the given quantity against one side of the book. Use 'ask' to price a buy and 'bid' to price a sell.
+   * @param {String} side - Required. Must be: ['bid'|'ask']
+   * @param {Number} quantity - Required.
+   * @returns {Number} - null if the book is not deep enough.
+   */
+  vwap(side,quantity){
+    let remaining = quantity
+    let cost = 0
+    for (const level of this.levels(side)){
+      const fill = Math.min(remaining,level.quantity)
+      cost += fill*level.rate
+      remaining -= fill
+      if (remaining <= 0) return cost/quantity
+    }
+    return null
+  }
+
+  /*-------------------------------------------------------------------------*
+   * Private
+   *-------------------------------------------------------------------------*/
+
+  /**
+   * @private
+   * @method sync - Load a snapshot, then replay buffered deltas newer than it. Retries with a fresh snapshot while the buffered deltas do not
+   * continue the snapshot without a hole; deltas before a hole are dropped, since only a snapshot past it can be used.
+   * @returns {Promise}
+   */
+  async sync(){
+    for (let attempt = 1; ; attempt++){
+      const snapshot = await this._client.orderBookSnapshot(this._marketSymbol,this._depth)
+      if (isNaN(snapshot.sequence)) throw new BittrexError(`orderbook snapshot for ${this._marketSymbol} has no sequence`,{code:'MISSING_SEQUENCE'})
+      const pending = this._buffer
+        .filter(update => update.sequence > snapshot.sequence)
+        .sort((a,b) => a.sequence-b.sequence)
+        .filter((update,index,sorted) => index === 0 || update.sequence !== sorted[index-1].sequence)
+      const hole = pending.findIndex((update,index) => update.sequence !== snapshot.sequence+1+index)
+      if (hole !== -1){
+        if (hole > 0) this.emit('gap',{expected:snapshot.sequence+1+hole,received:pending[hole].sequence})
+        this._buffer = pending.slice(hole)
+        if (attempt >= MAX_SYNC_ATTEMPTS) throw new BittrexError(`orderbook snapshot for ${this._marketSymbol} stayed behind the delta stream after ${attempt} attempts`,{code:'RESYNC_FAILED'})
+        await sleep(100*attempt)
+        continue
+      }
+      this._buffer = []
+      this._levels = {bid:new Map(),ask:new Map()}
+      snapshot.bid.forEach(level => this.setLevel('bid',level))
+      snapshot.ask.forEach(level => this.setLevel('ask',level))
+      this._sequence = snapshot.sequence
+      pending.forEach(update => this.patch(update))
+      this.emit('synced',this._sequence)
+      return
+    }
+  }
+
+  /**
+   * @private
+   * @method patch
+   * @param {Object} update
+   */
+  patch(update){
+    (update.bidDeltas || []).forEach(level => this.setLevel('bid',level))
+    ;(update.askDeltas || []).forEach(level => this.setLevel('ask',level))
+    this._sequence = update.sequence
+  }
+
+  /**
+   * @private
+   * @method setLevel
+   * @param {String} side
+   * @param {Object} level - { "quantity", "rate" }
+   */
+  setLevel(side,{quantity,rate}){
+    const price = Number(rate)
+    if (Number(quantity) === 0) this._levels[side].delete(price)
+    else this._levels[side].set(price,Number(quantity))
+  }
+
+  /**
+   * @private
+   * @method checkSide
+   * @param {String} side
+   */
+  checkSide(side){
+    if (SIDES.indexOf(side) === -1) throw new BittrexValidationError('side must be either \'bid\' or \'ask\'',{field:'side'})
+  }
+
+  /**
+   * @private
+   * @method fail
+   * @param {Error} error
+   */
+  fail(error){
+    if (this.listenerCount('error')) this.emit('error',error)
+  }
+}
+
+module.exports = OrderBookManager
@@ -0,0 +1,47 @@
+const { BittrexError } = require('./errors')
+
+const MAX_PAGE_SIZE = 200
+
+/**
+ * @method paginate - Walk a paginated v3 collection from newest to oldest, following nextPageToken with the id of the last item of each page.
+ * Stops on a short page, or once items are older than startDate.
+ * @param {Function} fetchPage - (query) => Promise of an array of items.
+ * @param {Object} query - Filters passed to every page.
+ * @param {Function} dateOf - (item) => date string used to enforce startDate/endDate.
+ * @returns {AsyncIterator}
+ */
+async function* paginate(fetchPage,query={},dateOf){
+  const pageSize = Math.max(1,Math.min(MAX_PAGE_SIZE,query.pageSize || MAX_PAGE_SIZE))
+  const startDate = query.startDate ? new Date(query.startDate).getTime() : -Infinity
+  const endDate = query.endDate ? new Date(query.endDate).getTime() : Infinity
+  let nextPageToken
+  for (;;){
+    const page = await fetchPage(Object.assign({},query,{pageSize,nextPageToken}))
+    if (!page || page.length === 0) return
+    for (const item of page){
+      const date = new Date(dateOf(item)).getTime()
+      if (date < startDate) return
+      if (date > endDate) continue
+      yield item
+    }
+    if (page.length < pageSize) return
+    nextPageToken = page[page.length-1].id
+  }
+}
+
+/**
+ * @method collect - Drain an async iterator into an array.
+ * @param {AsyncIterable} iterable
+ * @param {Number} [options.maxItems=10000] - Throw instead of collecting more than this many items.
+ * @returns {Promise} - Array of items.
+ */
+async function collect(iterable,{maxItems=10000}={}){
+  const items = []
+  for await (const item of iterable){
+    if (items.length >= maxItems) throw new BittrexError(`more than ${maxItems} items; narrow the date range or raise maxItems`,{code:'MAX_ITEMS_EXCEEDED'})
+    items.push(item)
+  }
+  return items
+}
+
+module.exports = { paginate, collect, MAX_PAGE_SIZE }
@@ -0,0 +1,156 @@
+const { Big } = require('./decimal')
+const { BittrexValidationError } = require('./errors')
+
+const PRICES = ['last','bid','ask','mid']
+
+/**
+ * @method findRoute - Shortest chain of markets that converts one currency into another.
+ * @param {String} from - Currency symbol. Example: 'XYZ'
+ * @param {String} to - Currency symbol. Example: 'USD'
+ * @param {Array} markets - [{ symbol, baseCurrencySymbol, quoteCurrencySymbol }], only markets that can be priced.
+ * @param {Number} [maxHops=3]
+ * @returns {Array} - [{ marketSymbol, invert }], empty when from === to, null when no route exists. invert is true when the market is crossed from quote to base.
+ */
+function findRoute(from,to,markets,maxHops=3){
+  if (from === to) return []
+  const visited = new Set([from])
+  let frontier = [{currency:from,route:[]}]
+  for (let hop = 0; hop < maxHops && frontier.length; hop++){
+    const next = []
+    for (const {currency,route} of frontier){
+      for (const market of markets){
+        let target
+        let invert
+        if (market.baseCurrencySymbol === currency) [target,invert] = [market.quoteCurrencySymbol,false]
+        else if (market.quoteCurrencySymbol === currency) [target,invert] = [market.baseCurrencySymbol,true]
+        else continue
+        if (visited.has(target)) continue
+        const extended = route.concat({marketSymbol:market.symbol,invert})
+        if (target === to) return extended
+        visited.add(target)
+        next.push({currency:target,route:extended})
+      }
+    }
+    frontier = next
+  }
+  return null
+}
+
+/**
+ * @method valuePortfolio - Price every holding in one quote currency. All amounts are returned as Big.
+ * @param {String} options.quote - Required. Example: 'USD'
+ * @param {Array} options.balances - balance() result.
+ * @param {Array} options.markets - markets() result. Only ONLINE markets are used for pricing.
+ * @param {Array} options.tickers - ticker() result for all markets.
+ * @param {Array} [options.deposits=[]] - Pending deposits.
+ * @param {Array} [options.withdrawals=[]] - Open withdrawals.
+ * @param {String} [options.price='last'] - ['last'|'bid'|'ask'|'mid'] ticker rate used to price holdings.
+ * @param {Number} [options.maxHops=3] - Longest chain of markets used to reach the quote currency.
+ * @returns {Object} - { quote, total, available, reserved, pendingDeposits, pendingWithdrawals, assets, unpriced }
+ */
+function valuePortfolio({quote,balances,markets,tickers,deposits=[],withdrawals=[],price='last',maxHops=3}){
+  if (!quote) throw new BittrexValidationError('quote is required',{field:'quote'})
+  if (PRICES.indexOf(price) === -1) throw new BittrexValidationError('price must be either: [\'last\'|\'bid\'|\'ask\'|\'mid\']',{field:'price'})
+  const rates = tickerRates(tickers,price)
+  const priced = markets.filter(market => market.status === 'ONLINE' && rates.has(market.symbol))
+  const holdings = new Map()
+  const holding = currencySymbol => {
+    if (!holdings.has(currencySymbol)){
+      holdings.set(currencySymbol,{currencySymbol,total:new Big(0),available:new Big(0),pendingDeposit:new Big(0),pendingWithdrawal:new Big(0)})
+    }
+    return holdings.get(currencySymbol)
+  }
+  for (const balance of balances){
+    const entry = holding(balance.currencySymbol)
+    entry.total = new Big(balance.total)
+    entry.available = new Big(balance.available)
+  }
+  deposits.forEach(deposit => {
+    const entry = holding(deposit.currencySymbol)
+    entry.pendingDeposit = entry.pendingDeposit.plus(deposit.quantity)
+  })
+  withdrawals.forEach(withdrawal => {
+    const entry = holding(withdrawal.currencySymbol)
+    entry.pendingWithdrawal = entry.pendingWithdrawal.plus(withdrawal.quantity)
+  })
+
+  const totals = {total:new Big(0),available:new Big(0),reserved:new Big(0),pendingDeposits:new Big(0),pendingWithdrawals:new Big(0)}
+  const assets = []
+  const unpriced = []
+  for (const entry of holdings.values()){
+    if (entry.total.eq(0) && entry.pendingDeposit.eq(0) && entry.pendingWithdrawal.eq(0)) continue
+    const route = findRoute(entry.currencySymbol,quote,priced,maxHops)
+    if (!route){
+      unpriced.push(entry.currencySymbol)
+      continue
+    }
+    const rate = routeRate(route,marketSymbol => rates.get(marketSymbol))
+    const value = amount => amount.times(rate).round(8)
+    const asset = {
+      currencySymbol:entry.currencySymbol,
+      total:entry.total,
+      available:entry.available,
+      reserved:entry.total.minus(entry.available),
+      pendingDeposit:entry.pendingDeposit,
+      pendingWithdrawal:entry.pendingWithdrawal,
+      price:rate.round(8),
+      value:value(entry.total),
+      reservedValue:value(entry.total.minus(entry.available)),
+      route:route.map(step => step.marketSymbol)
+    }
+    totals.total = totals.total.plus(asset.value)
+    totals.available = totals.available.plus(value(entry.available))
+    totals.reserved = totals.reserved.plus(asset.reservedValue)
+    totals.pendingDeposits = totals.pendingDeposits.plus(value(entry.pendingDeposit))
+    totals.pendingWithdrawals = totals.pendingWithdrawals.plus(value(entry.pendingWithdrawal))
+    assets.push(asset)
+  }
+  assets.forEach(asset => {
+    asset.allocation = totals.total.gt(0) ? asset.value.div(totals.total).times(100).round(4) : new Big(0)
+  })
+  assets.sort((a,b) => b.value.cmp(a.value))
+  return Object.assign({quote},totals,{assets,unpriced})
+}
+
+/**
+ * @method routeRate - Price of one unit of a route's first currency in its last currency.
+ * @param {Array} route - findRoute() result.
+ * @param {Function} rateOf - (marketSymbol) => rate of the market, or null/undefined when it has none.
+ * @returns {Big|null} - null when a market on the route has no rate.
+ */
+function routeRate(route,rateOf){
+  let total = new Big(1)
+  for (const {marketSymbol,invert} of route){
+    const rate = rateOf(marketSymbol)
+    if (rate === undefined || rate === null) return null
+    total = invert ? total.div(rate) : total.times(rate)
+  }
+  return total
+}
+
+/**
+ * @method tickerRates - Usable rate of every ticker.
+ * @param {Array} tickers - ticker() result for all markets.
+ * @param {String} price - ['last'|'bid'|'ask'|'mid']
+ * @returns {Map} - marketSymbol => Big, only for rates above 0.
+ */
+function tickerRates(tickers,price){
+  const rates = new Map()
+  for (const ticker of tickers){
+    const rate = tickerRate(ticker,price)
+    if (rate && rate.gt(0)) rates.set(ticker.symbol,rate)
+  }
+  return rates
+}
+
+function tickerRate(ticker,price){
+  const rate = field => ticker[field] === undefined || ticker[field] === null ? null : new Big(ticker[field])
+  if (price === 'last') return rate('lastTradeRate')
+  if (price === 'bid') return rate('bidRate')
+  if (price === 'ask') return rate('askRate')
+  const bid = rate('bidRate')
+  const ask = rate('askRate')
+  return bid && ask ? bid.plus(ask).div(2) : null
+}
+
+module.exports = { valuePortfolio, findRoute, routeRate, tickerRates }
@@ -0,0 +1,55 @@
+const { sleep } = require('./utils')
+
+/**
+ * Client-side token bucket. Each request takes one token; tokens refill continuously at requestsPerMinute.
+ * Callers that find the bucket empty reserve a token anyway and wait until it has refilled, so concurrent
+ * callers are released in the order they arrived.
+ */
+class RateLimiter {
+
+  /**
+   * @constructor
+   * @param {Number} [options.requestsPerMinute=60] - Sustained request budget.
+   * @param {Number} [options.burst=requestsPerMinute] - Maximum number of requests allowed back-to-back.
+   */
+  constructor({ requestsPerMinute = 60, burst = requestsPerMinute } = {}) {
+    this._rate = requestsPerMinute / 60000
+    this._capacity = burst
+    this._tokens = burst
+    this._updatedAt = Date.now()
+  }
+
+  /**
+   * @method acquire - Take one token, waiting for it to refill if necessary.
+   * @returns {Promise} - Milliseconds waited.
+   */
+  async acquire(){
+    this.refill()
+    this._tokens -= 1
+    if (this._tokens >= 0) return 0
+    const delay = Math.ceil(-this._tokens / this._rate)
+    await sleep(delay)
+    return delay
+  }
+
+  /**
+   * @method pause - Empty the bucket so that no request is released for the given time. Used when the exchange asks us to back off.
+   * @param {Number} ms
+   */
+  pause(ms){
+    this.refill()
+    this._tokens = Math.min(this._tokens, 1 - ms * this._rate)
+  }
+
+  /**
+   * @private
+   * @method refill
+   */
+  refill(){
+    const now = Date.now()
+    this._tokens = Math.min(this._capacity, this._tokens + (now - this._updatedAt) * this._rate)
+    this._updatedAt = now
+  }
+}
+
+module.exports = RateLimiter
@@ -0,0 +1,309 @@
+/*-------------------------------------------------------------------------*
+ * Trade history and P&L reporting
+ *
+ * Account history (executions, completed deposits and withdrawals) is turned into a time-ordered ledger,
+ * then replayed against per-currency tax lots in one reporting currency. Every trade disposes of one
+ * currency and acquires another: buying BTC on BTC-USD disposes of nothing, buying ETH on ETH-BTC disposes
+ * of the BTC spent. Commissions (charged in the market's quote currency) are added to the cost of a buy
+ * and deducted from the proceeds of a sell. A withdrawal's txCost is disposed of for nothing; the rest of
+ * the withdrawal leaves the account with its cost basis, without realizing a gain.
+ *-------------------------------------------------------------------------*/
+
+const { Readable } = require('stream')
+const { Big } = require('./decimal')
+const { BittrexError, BittrexValidationError } = require('./errors')
+const { csvValue } = require('./utils')
+const { routeRate } = require('./portfolio')
+
+const METHODS = ['FIFO','LIFO','AVERAGE']
+const DEPOSIT_BASES = ['market','zero']
+const FORMATS = ['disposals','summary','form8949','koinly']
+
+// Deposits land before, and withdrawals leave after, trades with the same timestamp.
+const EVENT_ORDER = {DEPOSIT:0,TRADE:1,WITHDRAWAL:2}
+
+/**
+ * @method buildLedger - Merge executions, deposits and withdrawals into one list sorted by time, oldest first. Only COMPLETED deposits and withdrawals are kept.
+ * Executions do not carry a direction, so it is taken from their order.
+ * @param {Array} [history.orders=[]] - Orders the executions belong to, e.g. from iterateOrderHistory.
+ * @param {Array} [history.executions=[]]
+ * @param {Array} [history.deposits=[]]
+ * @param {Array} [history.withdrawals=[]]
+ * @returns {Array} - [{ type: ['TRADE'|'DEPOSIT'|'WITHDRAWAL'], id, time, ... }], amounts as Big and time in epoch milliseconds. Trades add
+ * marketSymbol, baseCurrencySymbol, quoteCurrencySymbol, direction, quantity, rate, commission and orderId; transfers add currencySymbol, quantity, txId,
+ * and withdrawals txCost.
+ */
+function buildLedger({orders=[],executions=[],deposits=[],withdrawals=[]}={}){
+  const directions = new Map(orders.map(order => [order.id,order.direction]))
+  const events = []
+  for (const execution of executions){
+    const direction = execution.direction || directions.get(execution.orderId)
+    if (!direction) throw new BittrexValidationError(`no order found for execution ${execution.id} (order ${execution.orderId})`,{field:'orders'})
+    const [baseCurrencySymbol,quoteCurrencySymbol] = execution.marketSymbol.split('-')
+    events.push({
+      type:'TRADE',id:execution.id,time:Date.parse(execution.executedAt),marketSymbol:execution.marketSymbol,baseCurrencySymbol,quoteCurrencySymbol,direction,
+      quantity:new Big(execution.quantity),rate:new Big(execution.rate),commission:new Big(execution.commission || 0),orderId:execution.orderId
+    })
+  }
+  for (const deposit of deposits){
+    if (deposit.status && deposit.status !== 'COMPLETED') continue
+    events.push({type:'DEPOSIT',id:deposit.id,time:Date.parse(deposit.completedAt || deposit.updatedAt),currencySymbol:deposit.currencySymbol,quantity:new Big(deposit.quantity),txId:deposit.txId})
+  }
+  for (const withdrawal of withdrawals){
+    if (withdrawal.status && withdrawal.status !== 'COMPLETED') continue
+    events.push({
+      type:'WITHDRAWAL',id:withdrawal.id,time:Date.parse(withdrawal.completedAt || withdrawal.createdAt),currencySymbol:withdrawal.currencySymbol,
+      quantity:new Big(withdrawal.quantity),txCost:new Big(withdrawal.txCost || 0),txId:withdrawal.txId
+    })
+  }
+  return events.sort((a,b) => a.time-b.time || EVENT_ORDER[a.type]-EVENT_ORDER[b.type])
+}
+
+/**
+ * @method computePnL - Replay a ledger against tax lots and report realized and unrealized P&L per currency, in one reporting currency. All amounts are returned as Big.
+ * The whole history is always replayed so cost bases are right; startDate/endDate only select which disposals and transactions are reported.
+ * Disposals of more than the ledger ever acquired (history that starts mid-way) get a zero cost basis and `unmatched: true`.
+ * @param {Array} ledger - buildLedger() result.
+ * @param {String} [options.method='FIFO'] - ['FIFO'|'LIFO'|'AVERAGE'] cost-basis method.
+ * @param {String} [options.quote='USD'] - Reporting currency. It is treated as cash: holding it has no cost basis and no P&L.
+ * @param {Function} [options.convert] - (currencySymbol, time) => rate of one unit in the reporting currency at that time (epoch milliseconds), as Number, String or Big.
+ * Needed for trades on markets not quoted in the reporting currency, and for deposits when depositBasis is 'market'.
+ * @param {String} [options.depositBasis='market'] - ['market'|'zero'] cost basis of deposited coins: their value when the deposit completed, or nothing.
+ * @param {Object} [options.prices={}] - Current price per currency in the reporting currency, for unrealized P&L: { BTC: '50000' }.
+ * @param {Date} [options.startDate] - Report disposals at or after this date-time.
+ * @param {Date} [options.endDate] - Report disposals before this date-time.
+ * @returns {Object} - { method, quote, startDate, endDate, totals: { proceeds, costBasis, realized, unrealized, commissions, fees }, assets, disposals, transactions }
+ */
+function computePnL(ledger,{method='FIFO',quote='USD',convert,depositBasis='market',prices={},startDate,endDate}={}){
+  if (METHODS.indexOf(method) === -1) throw new BittrexValidationError('method must be either: [\'FIFO\'|\'LIFO\'|\'AVERAGE\']',{field:'method'})
+  if (DEPOSIT_BASES.indexOf(depositBasis) === -1) throw new BittrexValidationError('depositBasis must be either \'market\' or \'zero\'',{field:'depositBasis'})
+  const from = startDate ? new Date(startDate).getTime() : -Infinity
+  const to = endDate ? new Date(endDate).getTime() : Infinity
+  const inPeriod = time => time >= from && time < to
+  const positions = new Map()
+  const disposals = []
+  const transactions = []
+  const totals = {proceeds:new Big(0),costBasis:new Big(0),realized:new Big(0),commissions:new Big(0),fees:new Big(0)}
+
+  const position = currencySymbol => {
+    if (!positions.has(currencySymbol)){
+      positions.set(currencySymbol,{currencySymbol,lots:[],realized:new Big(0),commissions:new Big(0),fees:new Big(0)})
+    }
+    return positions.get(currencySymbol)
+  }
+  const rateOf = (currencySymbol,time) => {
+    if (currencySymbol === quote) return new Big(1)
+    const rate = convert ? convert(currencySymbol,time) : undefined
+    if (rate === undefined || rate === null) throw new BittrexError(`no ${currencySymbol} rate in ${quote} at ${new Date(time).toISOString()}`,{code:'NO_PRICE'})
+    return new Big(rate)
+  }
+  const acquire = (currencySymbol,quantity,cost,time) => {
+    if (currencySymbol === quote || quantity.eq(0)) return
+    const {lots} = position(currencySymbol)
+    if (method === 'AVERAGE' && lots.length){
+      lots[0].quantity = lots[0].quantity.plus(quantity)
+      lots[0].cost = lots[0].cost.plus(cost)
+    }
+    else lots.push({quantity,cost,acquiredAt:method === 'AVERAGE' ? null : time})
+  }
+  // Take `quantity` out of the lots; returns the slices consumed, the last one unmatched when the lots run out.
+  const consume = (currencySymbol,quantity) => {
+    if (currencySymbol === quote) return [{quantity,cost:quantity,acquiredAt:null}]
+    const {lots} = position(currencySymbol)
+    const slices = []
+    let remaining = quantity
+    while (remaining.gt(0) && lots.length){
+      const lot = method === 'LIFO' ? lots[lots.length-1] : lots[0]
+      const taken = lot.quantity.lt(remaining) ? lot.quantity : remaining
+      const cost = lot.quantity.eq(0) ? new Big(0) : lot.cost.times(taken).div(lot.quantity)
+      slices.push({quantity:taken,cost,acquiredAt:lot.acquiredAt})
+      lot.quantity = lot.quantity.minus(taken)
+      lot.cost = lot.cost.minus(cost)
+      remaining = remaining.minus(taken)
+      if (lot.quantity.eq(0)) lots.splice(lots.indexOf(lot),1)
+    }
+    if (remaining.gt(0)) slices.push({quantity:remaining,cost:new Big(0),acquiredAt:null,unmatched:true})
+    return slices
+  }
+  // Realize the gain on `quantity` sold for `proceeds`; returns the cost basis given up.
+  const dispose = (type,currencySymbol,quantity,proceeds,time,reference) => {
+    if (currencySymbol === quote || quantity.eq(0)) return new Big(0)
+    const entry = position(currencySymbol)
+    const slices = consume(currencySymbol,quantity)
+    for (const slice of slices){
+      const share = proceeds.times(slice.quantity).div(quantity)
+      const gain = share.minus(slice.cost)
+      entry.realized = entry.realized.plus(gain)
+      if (!inPeriod(time)) continue
+      totals.proceeds = totals.proceeds.plus(share)
+      totals.costBasis = totals.costBasis.plus(slice.cost)
+      totals.realized = totals.realized.plus(gain)
+      disposals.push({
+        type,currencySymbol,quantity:slice.quantity,acquiredAt:slice.acquiredAt === null ? null : new Date(slice.acquiredAt).toISOString(),
+        disposedAt:new Date(time).toISOString(),proceeds:round(share),costBasis:round(slice.cost),gain:round(gain),reference,unmatched:Boolean(slice.unmatched)
+      })
+    }
+    return costOf(slices)
+  }
+
+  for (const event of ledger){
+    let value
+    if (event.type === 'TRADE'){
+      const {baseCurrencySymbol:base,quoteCurrencySymbol:counter,quantity,rate,commission,time,id} = event
+      const quoteRate = rateOf(counter,time)
+      const gross = quantity.times(rate)
+      const fee = commission.times(quoteRate)
+      if (event.direction === 'BUY'){
+        const spent = gross.plus(commission)
+        value = spent.times(quoteRate)
+        dispose('TRADE',counter,spent,value,time,id)
+        acquire(base,quantity,value,time)
+      }
+      else {
+        const received = gross.minus(commission)
+        value = received.times(quoteRate)
+        dispose('TRADE',base,quantity,value,time,id)
+        acquire(counter,received,value,time)
+      }
+      position(base).commissions = position(base).commissions.plus(fee)
+      if (inPeriod(time)) totals.commissions = totals.commissions.plus(fee)
+      event.commissionValue = round(fee)
+    }
+    else if (event.type === 'DEPOSIT'){
+      value = depositBasis === 'zero' ? new Big(0) : event.quantity.times(rateOf(event.currencySymbol,event.time))
+      acquire(event.currencySymbol,event.quantity,value,event.time)
+    }
+    else {
+      const {currencySymbol,quantity,txCost,time,id} = event
+      const fee = currencySymbol === quote ? txCost : dispose('FEE',currencySymbol,txCost,new Big(0),time,id)
+      value = costOf(consume(currencySymbol,quantity.minus(txCost))).plus(fee)
+      position(currencySymbol).fees = position(currencySymbol).fees.plus(fee)
+      if (inPeriod(time)) totals.fees = totals.fees.plus(fee)
+      event.feeValue = round(fee)
+    }
+    if (inPeriod(event.time)) transactions.push(Object.assign({},event,{time:new Date(event.time).toISOString(),value:round(value)}))
+  }
+
+  totals.unrealized = new Big(0)
+  const assets = []
+  for (const entry of positions.values()){
+    const quantity = entry.lots.reduce((total,lot) => total.plus(lot.quantity),new Big(0))
+    const costBasis = costOf(entry.lots)
+    const price = prices[entry.currencySymbol] === undefined || prices[entry.currencySymbol] === null ? null : new Big(prices[entry.currencySymbol])
+    const marketValue = price === null ? null : round(quantity.times(price))
+    const unrealized = marketValue === null ? null : marketValue.minus(round(costBasis))
+    if (unrealized !== null) totals.unrealized = totals.unrealized.plus(unrealized)
+    assets.push({
+      currencySymbol:entry.currencySymbol,quantity,costBasis:round(costBasis),averageCost:quantity.gt(0) ? round(costBasis.div(quantity)) : null,
+      price,marketValue,realized:round(entry.realized),unrealized,commissions:round(entry.commissions),fees:round(entry.fees)
+    })
+  }
+  Object.keys(totals).forEach(key => { totals[key] = round(totals[key]) })
+  return {
+    method,quote,startDate:startDate ? new Date(startDate).toISOString() : null,endDate:endDate ? new Date(endDate).toISOString() : null,
+    totals,assets:assets.sort((a,b) => a.currencySymbol < b.currencySymbol ? -1 : 1),disposals,transactions
+  }
+}
+
+/**
+ * @method candleConverter - A computePnL convert function backed by daily candles: a currency's rate at a given time is the close of that day's candle
+ * (or of the latest earlier one) on every market of its route.
+ * @param {Object} routes - { currencySymbol: findRoute() result into the reporting currency }
+ * @param {Object} candles - { marketSymbol: DAY_1 candles sorted by startsAt }
+ * @returns {Function} - (currencySymbol, time) => Big, or null when there is no route or no candle early enough.
+ */
+function candleConverter(routes,candles){
+  const series = {}
+  for (const marketSymbol of Object.keys(candles)){
+    series[marketSymbol] = candles[marketSymbol].map(candle => ({startsAt:Date.parse(candle.startsAt),close:candle.close}))
+  }
+  return (currencySymbol,time) => {
+    if (!routes[currencySymbol]) return null
+    return routeRate(routes[currencySymbol],marketSymbol => closeAt(series[marketSymbol] || [],time))
+  }
+}
+
+/**
+ * @method exportReport - Stream a computePnL report as CSV.
+ * 'disposals': one row per disposed lot. 'summary': one row per currency. 'form8949': disposals shaped like IRS Form 8949 (dates MM/DD/YYYY, amounts to the cent).
+ * 'koinly': the transactions in Koinly's universal import format.
+ * @param {Object} report - computePnL() or client.pnlReport() result. Amounts may be Big, decimal strings or Numbers.
+ * @param {String} [format='disposals'] - ['disposals'|'summary'|'form8949'|'koinly']
+ * @returns {Readable}
+ */
+function exportReport(report,format='disposals'){
+  if (FORMATS.indexOf(format) === -1) throw new BittrexValidationError('format must be either: [\'disposals\'|\'summary\'|\'form8949\'|\'koinly\']',{field:'format'})
+  let header
+  let rows
+  if (format === 'disposals'){
+    header = ['type','currencySymbol','quantity','acquiredAt','disposedAt','proceeds','costBasis','gain','reference','unmatched']
+    rows = report.disposals.map(row => header.map(column => row[column]))
+  }
+  else if (format === 'summary'){
+    header = ['currencySymbol','quantity','costBasis','averageCost','price','marketValue','realized','unrealized','commissions','fees']
+    rows = report.assets.map(row => header.map(column => row[column]))
+  }
+  else if (format === 'form8949'){
+    header = ['Description','Date Acquired','Date Sold','Proceeds','Cost Basis','Gain or Loss']
+    rows = report.disposals.map(row => [
+      `${new Big(row.quantity).toFixed()} ${row.currencySymbol}`,row.acquiredAt ? usDate(row.acquiredAt) : 'VARIOUS',usDate(row.disposedAt),
+      cents(row.proceeds),cents(row.costBasis),cents(row.gain)
+    ])
+  }
+  else {
+    header = ['Date','Sent Amount','Sent Currency','Received Amount','Received Currency','Fee Amount','Fee Currency','Net Worth Amount','Net Worth Currency','Label','Description','TxHash']
+    rows = report.transactions.map(event => koinlyRow(event,report.quote))
+  }
+  const lines = [header].concat(rows).map(row => `${row.map(csvValue).join(',')}\n`)
+  return new Readable({
+    read(){
+      this.push(lines.length ? lines.shift() : null)
+    }
+  })
+}
+
+function koinlyRow(event,quote){
+  const date = event.time.replace('T',' ').replace(/\.\d+Z$|Z$/,' UTC')
+  const amount = value => new Big(value).toFixed()
+  if (event.type === 'DEPOSIT') return [date,'','',amount(event.quantity),event.currencySymbol,'','',amount(event.value),quote,'','Deposit',event.txId]
+  if (event.type === 'WITHDRAWAL'){
+    const sent = new Big(event.quantity).minus(event.txCost)
+    return [date,sent.toFixed(),event.currencySymbol,'','',amount(event.txCost),event.currencySymbol,amount(event.value),quote,'','Withdrawal',event.txId]
+  }
+  const gross = new Big(event.quantity).times(event.rate)
+  const sent = event.direction === 'BUY' ? [gross.toFixed(),event.quoteCurrencySymbol] : [amount(event.quantity),event.baseCurrencySymbol]
+  const received = event.direction === 'BUY' ? [amount(event.quantity),event.baseCurrencySymbol] : [gross.toFixed(),event.quoteCurrencySymbol]
+  return [date].concat(sent,received,[amount(event.commission),event.quoteCurrencySymbol,amount(event.value),quote,'',`${event.direction} ${event.marketSymbol}`,event.id])
+}
+
+// Close of the last candle starting at or before `time`.
+function closeAt(candles,time){
+  let low = 0
+  let high = candles.length
+  while (low < high){
+    const middle = (low+high) >> 1
+    if (candles[middle].startsAt <= time) low = middle+1
+    else high = middle
+  }
+  return low === 0 ? null : candles[low-1].close
+}
+
+function costOf(lots){
+  return lots.reduce((total,lot) => total.plus(lot.cost),new Big(0))
+}
+
+function round(value){
+  return value.round(8)
+}
+
+function cents(value){
+  return new Big(value).toFixed(2)
+}
+
+function usDate(iso){
+  const date = new Date(iso)
+  const pad = value => String(value).padStart(2,'0')
+  return `${pad(date.getUTCMonth()+1)}/${pad(date.getUTCDate())}/${date.getUTCFullYear()}`
+}
+
+module.exports = { buildLedger, computePnL, candleConverter, exportReport, METHODS }
@@ -0,0 +1,54 @@
+const { BittrexApiError, BittrexNetworkError, BittrexRateLimitError } = require('./errors')
+
+const RETRYABLE_STATUS = [500,502,503,504]
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET','ECONNREFUSED','ECONNABORTED','ETIMEDOUT','EPIPE','EAI_AGAIN','NETWORK_ERROR']
+
+const DEFAULT_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 250,
+  maxDelay: 10000,
+  factor: 2,
+  jitter: true
+}
+
+/**
+ * @method retryPolicy - Normalize the `retry` constructor option. `false` disables retries.
+ * @param {Object|Boolean} options
+ * @returns {Object}
+ */
+function retryPolicy(options){
+  if (options === false) return Object.assign({},DEFAULT_POLICY,{maxAttempts:1})
+  return Object.assign({},DEFAULT_POLICY,options)
+}
+
+/**
+ * @method isRetryable - Whether a failed request may be sent again.
+ * Throttled requests were never processed and are always safe to repeat. Network failures and 5xx responses
+ * may have reached the exchange, so they are only repeated when the request is idempotent.
+ * @param {BittrexError} error
+ * @param {Boolean} idempotent
+ * @returns {Boolean}
+ */
+function isRetryable(error,idempotent){
+  if (error instanceof BittrexRateLimitError) return true
+  if (!idempotent) return false
+  if (error instanceof BittrexNetworkError) return RETRYABLE_NETWORK_CODES.indexOf(error.code) >= 0
+  if (error instanceof BittrexApiError) return RETRYABLE_STATUS.indexOf(error.status) >= 0
+  return false
+}
+
+/**
+ * @method retryDelay - Milliseconds to wait before the next attempt: exponential backoff with full jitter, or the exchange's Retry-After if longer.
+ * @param {Object} policy
+ * @param {Number} attempt - Number of the attempt that just failed, starting at 1.
+ * @param {BittrexError} error
+ * @returns {Number}
+ */
+function retryDelay(policy,attempt,error){
+  const backoff = Math.min(policy.maxDelay,policy.baseDelay*Math.pow(policy.factor,attempt-1))
+  const delay = policy.jitter ? Math.random()*backoff : backoff
+  if (error && error.retryAfter !== undefined) return Math.max(error.retryAfter,delay)
+  return delay
+}
+
+module.exports = { retryPolicy, isRetryable, retryDelay }
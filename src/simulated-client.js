@@ -0,0 +1,502 @@
+const uuid = require('uuid-random')
+const BittrexClient = require('./bittrex-client')
+const { Big, convertNumbers } = require('./decimal')
+const { BittrexApiError, BittrexError, BittrexValidationError } = require('./errors')
+const { takeLiquidity, crossesLimit, removeLiquidity } = require('./matching-engine')
+
+const IMMEDIATE = ['IMMEDIATE_OR_CANCEL','FILL_OR_KILL','BUY_NOW','INSTANT']
+
+/**
+ * Paper-trading client. Has the same method signatures as BittrexClient, but orders are matched locally against
+ * order books and trades, and balances are virtual. Market data comes from the public endpoints ('live') or only
+ * from what is passed to feedOrderBook()/feedTrades() ('recorded'). Authenticated endpoints that are not simulated
+ * throw NOT_SIMULATED instead of reaching the exchange.
+ */
+class SimulatedBittrexClient extends BittrexClient {
+
+  /**
+   * @constructor
+   * @param {Object} [options.balances={}] - Starting balances, e.g. { USD: 10000, BTC: '0.5' }.
+   * @param {Number} [options.fees.maker=0.0035] - Commission rate for fills of resting orders.
+   * @param {Number} [options.fees.taker=0.0075] - Commission rate for fills on placement.
+   * @param {String} [options.marketData='live'] - ['live'|'recorded']. 'live' fetches books from the public endpoints when none was fed.
+   * @param {Function} [options.clock] - Returns the current Date. Override to replay recorded data on its own timeline.
+   * Other options (timeout, retry, rateLimit, numeric, validateOrders, guard, deadMansSwitch, ...) are passed to BittrexClient; guard and deadMansSwitch
+   * apply to the simulated sendOrder and cancelOrder.
+   */
+  constructor({ balances = {}, fees = {}, marketData = 'live', clock = () => new Date(), ...options } = {}) {
+    super(Object.assign({},options,{apiKey:undefined,apiSecret:undefined,credentials:undefined}))
+    if (['live','recorded'].indexOf(marketData) === -1) throw new BittrexValidationError('marketData must be either \'live\' or \'recorded\'',{field:'marketData'})
+    this._fees = {maker:new Big(fees.maker === undefined ? 0.0035 : fees.maker),taker:new Big(fees.taker === undefined ? 0.0075 : fees.taker)}
+    this._marketData = marketData
+    this._clock = clock
+    this._balances = new Map()
+    this._orders = new Map()
+    this._executions = []
+    this._books = new Map()
+    this._trades = new Map()
+    Object.keys(balances).forEach(currencySymbol => this.deposit(currencySymbol,balances[currencySymbol]))
+  }
+
+  /*-------------------------------------------------------------------------*
+   * Simulation controls
+   *-------------------------------------------------------------------------*/
+
+  /**
+   * @method deposit - Credit (or, with a negative amount, debit) a virtual balance.
+   * @param {String} currencySymbol - Required. Example: 'USD'
+   * @param {Number|String|Big} amount - Required.
+   */
+  deposit(currencySymbol,amount){
+    const balance = this.account(currencySymbol)
+    balance.total = balance.total.plus(amount)
+    balance.updatedAt = this._clock()
+  }
+
+  /**
+   * @method feedOrderBook - Replace the order book used for matching, then fill resting orders it crosses as maker.
+   * @param {String} marketSymbol - Required. Example: 'BTC-USD'
+   * @param {Object} book - Required. { bid: [{ quantity, rate }], ask: [{ quantity, rate }] }, as returned by orderBook().
+   */
+  feedOrderBook(marketSymbol,book){
+    const copy = {bid:(book.bid || []).map(level => Object.assign({},level)),ask:(book.ask || []).map(level => Object.assign({},level))}
+    this._books.set(marketSymbol,copy)
+    for (const order of this.restingOrders(marketSymbol)){
+      const side = order.direction === 'BUY' ? 'ask' : 'bid'
+      const crossing = copy[side].filter(level => crossesLimit(order.direction,order.limit,level.rate))
+      const {fills} = takeLiquidity(this.remainder(order),{[side]:crossing})
+      // resting orders fill at their own limit
+      fills.forEach(fill => this.fill(order,{rate:order.limit,quantity:fill.quantity},this._fees.maker))
+      removeLiquidity(copy,side,fills)
+      if (this.isDone(order)) this.close(order)
+    }
+  }
+
+  /**
+   * @method feedTrades - Record market trades and fill resting orders whose limit they reach, as maker.
+   * @param {String} marketSymbol - Required. Example: 'BTC-USD'
+   * @param {Array} trades - Required. [{ quantity, rate, executedAt, takerSide }], as returned by marketTrades().
+   */
+  feedTrades(marketSymbol,trades){
+    const recorded = this._trades.get(marketSymbol) || []
+    this._trades.set(marketSymbol,trades.concat(recorded).slice(0,1000))
+    for (const trade of trades){
+      let available = new Big(trade.quantity)
+      for (const order of this.restingOrders(marketSymbol)){
+        if (available.lte(0)) break
+        if (!crossesLimit(order.direction,order.limit,trade.rate)) continue
+        const {fills} = takeLiquidity(this.remainder(order),{[order.direction === 'BUY' ? 'ask' : 'bid']:[{rate:order.limit,quantity:available}]})
+        fills.forEach(fill => {
+          this.fill(order,fill,this._fees.maker)
+          available = available.minus(fill.quantity)
+        })
+        if (this.isDone(order)) this.close(order)
+      }
+    }
+  }
+
+  /*-------------------------------------------------------------------------*
+   * Market data
+   *-------------------------------------------------------------------------*/
+
+  async orderBook(marketSymbol,depth=25){
+    if (this._marketData === 'live' && !this._books.has(marketSymbol)) return super.orderBook(marketSymbol,depth)
+    const book = this.recordedBook(marketSymbol)
+    return convertNumbers({bid:book.bid.slice(0,depth),ask:book.ask.slice(0,depth)},this._numeric)
+  }
+
+  async ticker(marketSymbol){
+    if (!marketSymbol || (this._marketData === 'live' && !this._books.has(marketSymbol))) return super.ticker(marketSymbol)
+    const {bid,ask} = this.recordedBook(marketSymbol)
+    const [trade] = this._trades.get(marketSymbol) || []
+    const ticker = {symbol:marketSymbol,lastTradeRate:trade && trade.rate,bidRate:bid[0] && bid[0].rate,askRate:ask[0] && ask[0].rate}
+    return convertNumbers(plain(ticker),this._numeric)
+  }
+
+  async marketTrades(marketSymbol){
+    if (this._marketData === 'live' && !this._trades.has(marketSymbol)) return super.marketTrades(marketSymbol)
+    return convertNumbers(this._trades.get(marketSymbol) || [],this._numeric)
+  }
+
+  async request(method,url,query){
+    if (this._marketData === 'recorded') throw new BittrexError(`${method} ${url} is not available with recorded market data`,{code:'NOT_SIMULATED',method,endpoint:url})
+    return super.request(method,url,query)
+  }
+
+  /*-------------------------------------------------------------------------*
+   * Trading
+   *-------------------------------------------------------------------------*/
+
+  async sendOrder(marketSymbol,direction,type,{quantity,ceiling,limit}={},timeInForce='IMMEDIATE_OR_CANCEL',clientOrderId=uuid(),useAwards=false){
+    const body = await this.buildOrder({marketSymbol,direction,type,quantity,ceiling,limit,timeInForce,clientOrderId,useAwards})
+    if (this._switch) this._switch.track(clientOrderId,this._subaccountId)
+    let result
+    try{
+      result = await this.guarded('POST','/orders',body,() => this.placeOrder(body))
+    }
+    catch(error){
+      if (this._switch) this._switch.forget(clientOrderId)
+      throw error
+    }
+    if (this._switch) this._switch.update(result)
+    return result
+  }
+
+  async getOrder(orderId){
+    if (!orderId) throw new BittrexValidationError('orderId is required',{field:'orderId'})
+    const order = this._orders.get(orderId)
+    if (!order) throw this.rejection('NOT_FOUND',`/orders/${orderId}`,404)
+    return this.view(order)
+  }
+
+  async getOpenOrders(marketSymbol,clientOrderId='open'){
+    if (clientOrderId !== 'open') return this.getOrder(clientOrderId)
+    return this.restingOrders(marketSymbol).map(order => this.view(order))
+  }
+
+  async cancelOrder(clientOrderId='open',marketSymbol){
+    const result = await this.guarded('DELETE',`/orders/${clientOrderId}`,undefined,() => this.cancelLocally(clientOrderId,marketSymbol))
+    if (this._switch && !Array.isArray(result)) this._switch.update(result)
+    return result
+  }
+
+  async getOrderHistory(marketSymbol,nextPageToken,previousPageToken,pageSize=100,startDate,endDate){
+    const closed = Array.from(this._orders.values())
+      .filter(order => order.status === 'CLOSED' && (!marketSymbol || order.marketSymbol === marketSymbol))
+    return this.page(closed,order => order.closedAt,{nextPageToken,previousPageToken,pageSize,startDate,endDate})
+  }
+
+  async getOrderExecutions(orderId){
+    if (!orderId) throw new BittrexValidationError('orderId is required',{field:'orderId'})
+    return convertNumbers(this._executions.filter(execution => execution.orderId === orderId).map(plain),this._numeric)
+  }
+
+  async getExecutions(marketSymbol,{nextPageToken,previousPageToken,pageSize=100,startDate,endDate}={}){
+    const executions = this._executions.filter(execution => !marketSymbol || execution.marketSymbol === marketSymbol)
+    return this.page(executions,execution => execution.executedAt,{nextPageToken,previousPageToken,pageSize,startDate,endDate})
+  }
+
+  /*-------------------------------------------------------------------------*
+   * Account
+   *-------------------------------------------------------------------------*/
+
+  async balance(currencySymbol=''){
+    if (currencySymbol) return convertNumbers(this.balanceView(currencySymbol,this.account(currencySymbol)),this._numeric)
+    return convertNumbers(Array.from(this._balances.keys()).sort().map(symbol => this.balanceView(symbol,this._balances.get(symbol))),this._numeric)
+  }
+
+  async requestAuth(method,url){
+    throw new BittrexError(`${method} ${url} is not simulated`,{code:'NOT_SIMULATED',method,endpoint:url})
+  }
+
+  /*-------------------------------------------------------------------------*
+   * Private
+   *-------------------------------------------------------------------------*/
+
+  /**
+   * @private
+   * @method guarded - Apply the guard option to a simulated request, as requestAuth does for requests to the exchange.
+   * @param {String} method
+   * @param {String} url
+   * @param {Object} requestBody
+   * @param {Function} perform - Carries out the request locally.
+   * @returns {Promise} - Whatever perform resolves to.
+   */
+  async guarded(method,url,requestBody,perform){
+    return this._guard ? this._guard.run(method,url,requestBody,perform,this) : perform()
+  }
+
+  /**
+   * @private
+   * @method placeOrder - Match a new order against the book and reserve what it can still consume.
+   * @param {Object} body - NewOrder request body.
+   * @returns {Promise} - Order object.
+   */
+  async placeOrder(body){
+    const {marketSymbol,direction,type,clientOrderId} = body
+    if (type.indexOf('CEILING') === 0 && direction !== 'BUY') throw new BittrexValidationError('ceiling orders must be BUY orders',{field:'direction'})
+    if (Array.from(this._orders.values()).some(order => order.clientOrderId === clientOrderId)) throw this.rejection('DUPLICATE_CLIENT_ORDER_ID','/orders')
+    const book = await this.bookFor(marketSymbol)
+    const order = {
+      id:uuid(),marketSymbol,direction,type,
+      quantity:optionalBig(body.quantity),limit:optionalBig(body.limit),ceiling:optionalBig(body.ceiling),
+      timeInForce:body.timeInForce,clientOrderId,
+      fillQuantity:new Big(0),commission:new Big(0),proceeds:new Big(0),
+      status:'OPEN',createdAt:this._clock(),updatedAt:this._clock(),closedAt:undefined,reserved:new Big(0)
+    }
+    let {fills,complete} = takeLiquidity(order,book)
+    if (order.timeInForce === 'POST_ONLY_GOOD_TIL_CANCELLED' && fills.length) throw this.rejection('POST_ONLY_WOULD_FILL','/orders')
+    if (order.timeInForce === 'FILL_OR_KILL' && !complete) fills = []
+    this.reserve(order,fills)
+    this._orders.set(order.id,order)
+    fills.forEach(fill => this.fill(order,fill,this._fees.taker))
+    removeLiquidity(book,direction === 'BUY' ? 'ask' : 'bid',fills)
+    const rests = ['LIMIT','CEILING_LIMIT'].indexOf(type) >= 0 && IMMEDIATE.indexOf(order.timeInForce) === -1
+    if (!rests || this.isDone(order)) this.close(order)
+    return this.view(order)
+  }
+
+  /**
+   * @private
+   * @method cancelLocally - Close one open order, or every open order (of a market) for 'open'.
+   * @param {String} clientOrderId
+   * @param {String} [marketSymbol]
+   * @returns {Object|Array}
+   */
+  cancelLocally(clientOrderId,marketSymbol){
+    if (clientOrderId !== 'open'){
+      const order = this._orders.get(clientOrderId)
+      if (!order) throw this.rejection('NOT_FOUND',`/orders/${clientOrderId}`,404)
+      if (order.status !== 'OPEN') throw this.rejection('ORDER_NOT_OPEN',`/orders/${clientOrderId}`)
+      this.close(order)
+      return this.view(order)
+    }
+    return this.restingOrders(marketSymbol).map(order => {
+      this.close(order)
+      return {id:order.id,statusCode:'SUCCESS',result:this.view(order)}
+    })
+  }
+
+  /**
+   * @private
+   * @method bookFor - Book used to match a new order: the fed book, or in 'live' mode a fresh 500-level snapshot.
+   * @param {String} marketSymbol
+   * @returns {Promise} - { bid, ask }
+   */
+  async bookFor(marketSymbol){
+    if (this._marketData === 'recorded' || this._books.has(marketSymbol)) return this.recordedBook(marketSymbol)
+    const book = await super.orderBook(marketSymbol,500)
+    return {bid:book.bid.map(plain),ask:book.ask.map(plain)}
+  }
+
+  /**
+   * @private
+   * @method recordedBook
+   * @param {String} marketSymbol
+   * @returns {Object}
+   */
+  recordedBook(marketSymbol){
+    const book = this._books.get(marketSymbol)
+    if (!book) throw new BittrexError(`no order book has been fed for ${marketSymbol}`,{code:'NO_MARKET_DATA'})
+    return book
+  }
+
+  /**
+   * @private
+   * @method reserve - Hold the funds an order can consume: base currency for sells, quote currency plus taker commission for buys.
+   * @param {Object} order
+   * @param {Array} fills - Immediate fills, used to price market buys.
+   */
+  reserve(order,fills){
+    const [base,quote] = order.marketSymbol.split('-')
+    let currency = base
+    let amount = order.quantity
+    if (order.direction === 'BUY'){
+      currency = quote
+      if (order.ceiling) amount = order.ceiling
+      else if (order.limit) amount = order.quantity.times(order.limit)
+      else amount = fills.reduce((total,fill) => total.plus(fill.quantity.times(fill.rate)),new Big(0))
+      amount = amount.times(this._fees.taker.plus(1)).round(8,Big.roundUp)
+    }
+    const balance = this.account(currency)
+    if (this.available(balance).lt(amount)) throw this.rejection('INSUFFICIENT_FUNDS','/orders')
+    balance.held = balance.held.plus(amount)
+    order.reserved = amount
+    order.reservedCurrency = currency
+  }
+
+  /**
+   * @private
+   * @method fill - Apply one fill to an order and move the funds.
+   * @param {Object} order
+   * @param {Object} fill - { rate, quantity }
+   * @param {Big} feeRate
+   */
+  fill(order,{rate,quantity},feeRate){
+    rate = new Big(rate)
+    quantity = new Big(quantity)
+    const [base,quote] = order.marketSymbol.split('-')
+    const proceeds = quantity.times(rate)
+    const commission = proceeds.times(feeRate).round(8,Big.roundUp)
+    const now = this._clock()
+    order.fillQuantity = order.fillQuantity.plus(quantity)
+    order.proceeds = order.proceeds.plus(proceeds)
+    order.commission = order.commission.plus(commission)
+    order.updatedAt = now
+    const baseBalance = this.account(base)
+    const quoteBalance = this.account(quote)
+    if (order.direction === 'BUY'){
+      const cost = proceeds.plus(commission)
+      this.release(order,cost)
+      quoteBalance.total = quoteBalance.total.minus(cost)
+      baseBalance.total = baseBalance.total.plus(quantity)
+    }
+    else {
+      this.release(order,quantity)
+      baseBalance.total = baseBalance.total.minus(quantity)
+      quoteBalance.total = quoteBalance.total.plus(proceeds).minus(commission)
+    }
+    baseBalance.updatedAt = quoteBalance.updatedAt = now
+    this._executions.unshift({
+      id:uuid(),marketSymbol:order.marketSymbol,executedAt:now,quantity,rate,orderId:order.id,
+      commission,isTaker:feeRate === this._fees.taker
+    })
+  }
+
+  /**
+   * @private
+   * @method close - Close an order and release whatever it still holds.
+   * @param {Object} order
+   */
+  close(order){
+    this.release(order,order.reserved)
+    order.status = 'CLOSED'
+    order.closedAt = order.updatedAt = this._clock()
+  }
+
+  /**
+   * @private
+   * @method release
+   * @param {Object} order
+   * @param {Big} amount
+   */
+  release(order,amount){
+    const released = amount.gt(order.reserved) ? order.reserved : amount
+    const balance = this.account(order.reservedCurrency)
+    balance.held = balance.held.minus(released)
+    order.reserved = order.reserved.minus(released)
+  }
+
+  /**
+   * @private
+   * @method remainder - What is left of an order to fill, in the shape takeLiquidity expects.
+   * @param {Object} order
+   * @returns {Object}
+   */
+  remainder(order){
+    return {
+      direction:order.direction,
+      limit:order.limit,
+      quantity:order.quantity ? order.quantity.minus(order.fillQuantity) : undefined,
+      ceiling:order.ceiling ? order.ceiling.minus(order.proceeds) : undefined
+    }
+  }
+
+  /**
+   * @private
+   * @method isDone
+   * @param {Object} order
+   * @returns {Boolean}
+   */
+  isDone(order){
+    if (order.quantity) return order.fillQuantity.gte(order.quantity)
+    return order.ceiling.minus(order.proceeds).div(order.limit || 1).round(8,Big.roundDown).eq(0)
+  }
+
+  /**
+   * @private
+   * @method restingOrders - Open orders, oldest first.
+   * @param {String} [marketSymbol]
+   * @returns {Array}
+   */
+  restingOrders(marketSymbol){
+    return Array.from(this._orders.values()).filter(order => order.status === 'OPEN' && (!marketSymbol || order.marketSymbol === marketSymbol))
+  }
+
+  /**
+   * @private
+   * @method page - Newest-first paging with the same token semantics as the v3 history endpoints.
+   * @param {Array} items - Internal records.
+   * @param {Function} dateOf
+   * @param {Object} query - { nextPageToken, previousPageToken, pageSize, startDate, endDate }
+   * @returns {Array}
+   */
+  page(items,dateOf,{nextPageToken,previousPageToken,pageSize,startDate,endDate}){
+    const from = startDate ? new Date(startDate).getTime() : -Infinity
+    const to = endDate ? new Date(endDate).getTime() : Infinity
+    let sorted = items
+      .filter(item => dateOf(item).getTime() >= from && dateOf(item).getTime() <= to)
+      .sort((a,b) => dateOf(b)-dateOf(a))
+    if (nextPageToken) sorted = sorted.slice(sorted.findIndex(item => item.id === nextPageToken)+1)
+    else if (previousPageToken) sorted = sorted.slice(0,Math.max(0,sorted.findIndex(item => item.id === previousPageToken))).slice(-pageSize)
+    return sorted.slice(0,pageSize).map(item => item.status ? this.view(item) : convertNumbers(plain(item),this._numeric))
+  }
+
+  /**
+   * @private
+   * @method account - Internal balance record, created on first use.
+   * @param {String} currencySymbol
+   * @returns {Object} - { total: Big, held: Big, updatedAt: Date }
+   */
+  account(currencySymbol){
+    if (!this._balances.has(currencySymbol)) this._balances.set(currencySymbol,{total:new Big(0),held:new Big(0),updatedAt:this._clock()})
+    return this._balances.get(currencySymbol)
+  }
+
+  /**
+   * @private
+   * @method available
+   * @param {Object} balance
+   * @returns {Big}
+   */
+  available(balance){
+    return balance.total.minus(balance.held)
+  }
+
+  /**
+   * @private
+   * @method balanceView - Balance object as the exchange would return it.
+   * @param {String} currencySymbol
+   * @param {Object} balance
+   * @returns {Object}
+   */
+  balanceView(currencySymbol,balance){
+    return {currencySymbol,total:balance.total.toFixed(),available:this.available(balance).toFixed(),updatedAt:balance.updatedAt.toISOString()}
+  }
+
+  /**
+   * @private
+   * @method view - Order object as the exchange would return it.
+   * @param {Object} order
+   * @returns {Object}
+   */
+  view(order){
+    const fields = Object.assign({},order)
+    delete fields.reserved
+    delete fields.reservedCurrency
+    return convertNumbers(plain(fields),this._numeric)
+  }
+
+  /**
+   * @private
+   * @method rejection - Error shaped like the exchange's response for the same failure.
+   * @param {String} code
+   * @param {String} endpoint
+   * @param {Number} [status=409]
+   * @returns {BittrexApiError}
+   */
+  rejection(code,endpoint,status=409){
+    return new BittrexApiError(`${code}: simulated request to ${endpoint} failed with status ${status}`,{code,status,endpoint,data:{code}})
+  }
+}
+
+/**
+ * Copy of a record with Big amounts as plain strings and Dates as ISO-8601.
+ */
+function plain(record){
+  const result = {}
+  for (const key of Object.keys(record)){
+    const value = record[key]
+    if (value === undefined) continue
+    if (value instanceof Big) result[key] = value.toFixed()
+    else if (value instanceof Date) result[key] = value.toISOString()
+    else result[key] = value
+  }
+  return result
+}
+
+function optionalBig(value){
+  return value === undefined || value === null ? undefined : new Big(value)
+}
+
+module.exports = SimulatedBittrexClient
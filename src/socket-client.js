@@ -0,0 +1,345 @@
+const axios = require('axios')
+const CryptoJS = require('crypto-js')
+const EventEmitter = require('events')
+const WebSocket = require('ws')
+const zlib = require('zlib')
+const uuid = require('uuid-random')
+const { BittrexApiError, BittrexAuthError, BittrexNetworkError } = require('./errors')
+const { sleep } = require('./utils')
+const { CredentialStore } = require('./credentials')
+
+const CLIENT_PROTOCOL = '1.5'
+
+/**
+ * Channel name builders for subscribe()/unsubscribe().
+ */
+const channels = {
+  heartbeat: () => 'heartbeat',
+  ticker: marketSymbol => `ticker_${marketSymbol}`,
+  tickers: () => 'tickers',
+  trade: marketSymbol => `trade_${marketSymbol}`,
+  orderBook: (marketSymbol,depth=25) => `orderbook_${marketSymbol}_${depth}`,
+  candle: (marketSymbol,candleInterval) => `candle_${marketSymbol}_${candleInterval}`,
+  marketSummary: marketSymbol => `market_summary_${marketSymbol}`,
+  marketSummaries: () => 'market_summaries',
+  order: () => 'order',
+  conditionalOrder: () => 'conditional_order',
+  balance: () => 'balance',
+  execution: () => 'execution',
+  deposit: () => 'deposit'
+}
+
+class BittrexSocketClient extends EventEmitter {
+
+  /**
+   * @constructor
+   * @param {String} [options.apiKey=null] - Required for the authenticated order, balance, execution and deposit channels.
+   * @param {String} [options.apiSecret=null]
+   * @param {Object|Function} [options.credentials] - Instead of apiKey/apiSecret: { apiKey, apiSecret } or a provider, as for BittrexClient.
+   * @param {String} [options.url='https://socket-v3.bittrex.com/signalr']
+   * @param {String} [options.hub='c3']
+   * @param {Boolean} [options.reconnect=true] - Reconnect, re-authenticate and resubscribe after the connection drops.
+   * @param {Number} [options.reconnectDelay=1000] - Initial delay between reconnection attempts, doubled up to maxReconnectDelay.
+   * @param {Number} [options.maxReconnectDelay=30000]
+   * @param {Number} [options.timeout=10000] - Timeout for the handshake and each hub invocation, in milliseconds.
+   */
+  constructor({ apiKey, apiSecret, credentials, url = 'https://socket-v3.bittrex.com/signalr', hub = 'c3', reconnect = true, reconnectDelay = 1000, maxReconnectDelay = 30000, timeout = 10000 } = {}) {
+    super()
+    this._credentials = new CredentialStore(credentials !== undefined ? credentials : {apiKey,apiSecret})
+    this._url = url.replace(/\/$/,'')
+    this._hub = hub
+    this._reconnect = reconnect
+    this._reconnectDelay = reconnectDelay
+    this._maxReconnectDelay = maxReconnectDelay
+    this._timeout = timeout
+    this._channels = new Set()
+    this._pending = new Map()
+    this._invocationId = 0
+    this._socket = null
+    this._closing = false
+  }
+
+  /**
+   * @method connect - Open the connection, authenticate if credentials were given, and resubscribe to any channels already requested.
+   * @returns {Promise}
+   */
+  async connect(){
+    this._closing = false
+    await this.establish()
+  }
+
+  /**
+   * @method disconnect - Close the connection without reconnecting.
+   * @returns {Promise}
+   */
+  async disconnect(){
+    this._closing = true
+    clearTimeout(this._watchdog)
+    if (!this._socket) return
+    const socket = this._socket
+    await new Promise(resolve => {
+      if (socket.readyState === WebSocket.CLOSED) return resolve()
+      socket.once('close',resolve)
+      socket.close()
+    })
+  }
+
+  /**
+   * @method authenticate - Sign in to the hub with the apiKey/apiSecret HMAC scheme. Called by connect(), and again when the exchange reports the session is expiring.
+   * @returns {Promise}
+   */
+  async authenticate(){
+    const {apiKey,apiSecret} = await this._credentials.get()
+    const timestamp = new Date().getTime()
+    const randomContent = uuid()
+    const signedContent = CryptoJS.HmacSHA512(`${timestamp}${randomContent}`,apiSecret).toString(CryptoJS.enc.Hex)
+    const result = await this.invoke('Authenticate',[apiKey,timestamp,randomContent,signedContent])
+    if (!result || !result.Success) throw new BittrexAuthError(`socket authentication failed: ${result && result.ErrorCode}`,{code:(result && result.ErrorCode) || 'AUTHENTICATION_FAILED',method:'Authenticate'})
+  }
+
+  /**
+   * @method subscribe - Subscribe to one or more channels, e.g. subscribe('ticker_BTC-USD', BittrexSocketClient.channels.orderBook('BTC-USD',25)).
+   * Channels are remembered and resubscribed after a reconnect.
+   * @param {...String} names
+   * @returns {Promise} - [{ "Success": "boolean", "ErrorCode": "string" }]
+   */
+  async subscribe(...names){
+    names.forEach(name => this._channels.add(name))
+    return this.invokeSubscribe('Subscribe',names)
+  }
+
+  /**
+   * @method unsubscribe - Unsubscribe from one or more channels.
+   * @param {...String} names
+   * @returns {Promise} - [{ "Success": "boolean", "ErrorCode": "string" }]
+   */
+  async unsubscribe(...names){
+    names.forEach(name => this._channels.delete(name))
+    return this.invokeSubscribe('Unsubscribe',names)
+  }
+
+  /*-------------------------------------------------------------------------*
+   * Private
+   *-------------------------------------------------------------------------*/
+
+  /**
+   * @private
+   * @method establish - Negotiate, open the websocket, authenticate and resubscribe. Gives up as soon as disconnect() has been called.
+   * @returns {Promise}
+   */
+  async establish(){
+    const connectionData = JSON.stringify([{name:this._hub}])
+    let negotiation
+    try{
+      const response = await axios.get(`${this._url}/negotiate`,{params:{clientProtocol:CLIENT_PROTOCOL,connectionData},timeout:this._timeout})
+      negotiation = response.data
+    }
+    catch(error){
+      throw new BittrexNetworkError(`socket negotiation failed: ${error.message}`,{code:error.code || 'NEGOTIATION_FAILED',endpoint:`${this._url}/negotiate`,cause:error})
+    }
+    this.abortIfClosing()
+    const query = {transport:'webSockets',clientProtocol:CLIENT_PROTOCOL,connectionToken:negotiation.ConnectionToken,connectionData}
+    const params = Object.keys(query).map(key => `${key}=${encodeURIComponent(query[key])}`).join('&')
+    this._keepAlive = negotiation.KeepAliveTimeout ? negotiation.KeepAliveTimeout*1000 : null
+    await this.open(`${this._url.replace(/^http/,'ws')}/connect?${params}`)
+    try{
+      this.abortIfClosing()
+      await axios.get(`${this._url}/start`,{params:query,timeout:this._timeout}).catch(error => {
+        throw new BittrexNetworkError(`socket start failed: ${error.message}`,{code:error.code || 'START_FAILED',endpoint:`${this._url}/start`,cause:error})
+      })
+      this.abortIfClosing()
+      if (this._credentials.configured) await this.authenticate()
+      this.abortIfClosing()
+      if (this._channels.size) await this.invokeSubscribe('Subscribe',Array.from(this._channels))
+      this.abortIfClosing()
+    }
+    catch(error){
+      // detach first so closed() does not treat this as a dropped connection
+      const socket = this._socket
+      this._socket = null
+      clearTimeout(this._watchdog)
+      if (socket) socket.terminate()
+      throw error
+    }
+    this.emit('connected')
+  }
+
+  /**
+   * @private
+   * @method abortIfClosing - Stop a connection attempt that disconnect() was called during.
+   */
+  abortIfClosing(){
+    if (this._closing) throw new BittrexNetworkError('disconnect() was called while connecting',{code:'CONNECTION_CLOSED'})
+  }
+
+  /**
+   * @private
+   * @method invokeSubscribe - Call Subscribe/Unsubscribe and raise if any channel was refused.
+   * @param {String} method
+   * @param {Array} names
+   * @returns {Promise}
+   */
+  async invokeSubscribe(method,names){
+    const results = await this.invoke(method,[names])
+    const failed = (results || []).map((result,i) => Object.assign({channel:names[i]},result)).filter(result => !result.Success)
+    if (failed.length) throw new BittrexApiError(`${method} refused for ${failed.map(result => `${result.channel} (${result.ErrorCode})`).join(', ')}`,{code:failed[0].ErrorCode,method,data:failed})
+    return results
+  }
+
+  /**
+   * @private
+   * @method invoke - Call a hub method and resolve with its result.
+   * @param {String} method
+   * @param {Array} args
+   * @returns {Promise}
+   */
+  invoke(method,args=[]){
+    if (!this._socket || this._socket.readyState !== WebSocket.OPEN) return Promise.reject(new BittrexNetworkError(`cannot invoke ${method}: socket is not connected`,{code:'NOT_CONNECTED',method}))
+    const id = String(this._invocationId++)
+    return new Promise((resolve,reject) => {
+      const timer = setTimeout(() => {
+        this._pending.delete(id)
+        reject(new BittrexNetworkError(`${method} timed out after ${this._timeout}ms`,{code:'ETIMEDOUT',method}))
+      },this._timeout)
+      this._pending.set(id,{method,resolve,reject,timer})
+      this._socket.send(JSON.stringify({H:this._hub,M:method,A:args,I:id}))
+    })
+  }
+
+  /**
+   * @private
+   * @method open - Open the websocket and wire up its handlers.
+   * @param {String} url
+   * @returns {Promise}
+   */
+  open(url){
+    return new Promise((resolve,reject) => {
+      const socket = new WebSocket(url,{handshakeTimeout:this._timeout})
+      socket.once('open',() => {
+        this._socket = socket
+        this.resetWatchdog()
+        resolve()
+      })
+      socket.once('error',error => reject(new BittrexNetworkError(`socket connection failed: ${error.message}`,{code:error.code || 'CONNECTION_FAILED',cause:error})))
+      socket.on('message',message => this.receive(message))
+      socket.on('close',() => this.closed(socket))
+      socket.on('error',error => {
+        if (this._socket === socket) this.fail(new BittrexNetworkError(error.message,{code:error.code,cause:error}))
+      })
+    })
+  }
+
+  /**
+   * @private
+   * @method receive - Route a raw SignalR frame to pending invocations or to event listeners.
+   * @param {String} message
+   */
+  receive(message){
+    this.resetWatchdog()
+    let frame
+    try{
+      frame = JSON.parse(message)
+    }
+    catch(error){
+      return this.fail(new BittrexApiError(`unparseable socket frame: ${error.message}`,{code:'INVALID_FRAME',cause:error}))
+    }
+    if (frame.I !== undefined && this._pending.has(String(frame.I))){
+      const {method,resolve,reject,timer} = this._pending.get(String(frame.I))
+      this._pending.delete(String(frame.I))
+      clearTimeout(timer)
+      if (frame.E) reject(new BittrexApiError(`${method} failed: ${frame.E}`,{code:'INVOCATION_FAILED',method,data:frame}))
+      else resolve(frame.R)
+      return
+    }
+    for (const invocation of frame.M || []){
+      const type = invocation.M
+      const args = invocation.A || []
+      let data
+      try{
+        data = args.length ? this.decode(args[0]) : undefined
+      }
+      catch(error){
+        this.fail(new BittrexApiError(`unable to decode ${type} message: ${error.message}`,{code:'INVALID_PAYLOAD',method:type,cause:error}))
+        continue
+      }
+      if (type === 'authenticationExpiring') this.authenticate().catch(error => this.fail(error))
+      this.emit(type,data)
+      this.emit('message',{type,data})
+    }
+  }
+
+  /**
+   * @private
+   * @method fail - Report an asynchronous error. Unlike a bare emit('error'), this does not throw when nobody is listening.
+   * @param {Error} error
+   */
+  fail(error){
+    if (this.listenerCount('error')) this.emit('error',error)
+  }
+
+  /**
+   * @private
+   * @method decode - Payloads are JSON, raw-deflated, then base64-encoded.
+   * @param {String} payload
+   * @returns {Object}
+   */
+  decode(payload){
+    if (typeof payload !== 'string') return payload
+    return JSON.parse(zlib.inflateRawSync(Buffer.from(payload,'base64')).toString('utf8'))
+  }
+
+  /**
+   * @private
+   * @method resetWatchdog - Drop the connection if the server goes quiet for longer than its advertised keep-alive timeout.
+   */
+  resetWatchdog(){
+    clearTimeout(this._watchdog)
+    if (!this._keepAlive) return
+    this._watchdog = setTimeout(() => {
+      if (this._socket) this._socket.terminate()
+    },this._keepAlive)
+  }
+
+  /**
+   * @private
+   * @method closed - Fail pending invocations and reconnect unless disconnect() was called.
+   * @param {WebSocket} socket
+   */
+  closed(socket){
+    if (this._socket !== socket) return
+    this._socket = null
+    clearTimeout(this._watchdog)
+    for (const {method,reject,timer} of this._pending.values()){
+      clearTimeout(timer)
+      reject(new BittrexNetworkError(`connection closed before ${method} completed`,{code:'ECONNRESET',method}))
+    }
+    this._pending.clear()
+    this.emit('disconnected')
+    if (!this._closing && this._reconnect) this.reconnect()
+  }
+
+  /**
+   * @private
+   * @method reconnect - Retry establish() with exponential backoff until it succeeds or disconnect() is called.
+   * @returns {Promise}
+   */
+  async reconnect(){
+    for (let attempt = 1; !this._closing; attempt++){
+      const delay = Math.min(this._maxReconnectDelay,this._reconnectDelay*Math.pow(2,attempt-1))
+      this.emit('reconnecting',{attempt,delay})
+      await sleep(delay)
+      if (this._closing) return
+      try{
+        await this.establish()
+        return
+      }
+      catch(error){
+        if (!this._closing) this.fail(error)
+      }
+    }
+  }
+}
+
+BittrexSocketClient.channels = channels
+
+module.exports = BittrexSocketClient
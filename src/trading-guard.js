@@ -0,0 +1,178 @@
+const { Big } = require('./decimal')
+const { BittrexGuardError, BittrexValidationError } = require('./errors')
+const { collect } = require('./paginate')
+
+const DAY = 24*60*60*1000
+
+/**
+ * Safety limits applied to every authenticated request of a BittrexClient before it is signed: read-only mode, an opt-in for
+ * cancelling every open order, a withdrawal address allowlist, notional caps on orders and a rolling 24h withdrawal cap.
+ * Requests that break a rule are refused with a BittrexGuardError and never reach the exchange. Transfers between sub-accounts are only
+ * refused in read-only mode.
+ */
+class TradingGuard {
+
+  /**
+   * @constructor
+   * @param {BittrexClient} client - Required. Used for the lookups some limits need (ticker, open orders, withdrawal history) unless run() is given the requesting view.
+   * @param {Boolean} [options.readOnly=false] - Refuse every request that is not a GET.
+   * @param {Boolean} [options.allowCancelAll=false] - Allow cancelOrder() without an order id (DELETE /orders/open), which cancels every open order on the account.
+   * @param {Array} [options.withdrawalAllowlist] - Destinations requestWithdrawal may use: 'address', or { currencySymbol, cryptoAddress, cryptoAddressTag }. Any when omitted.
+   * @param {Object} [options.maxOrderNotional] - Cap on one order's value, per quote currency: { USD: 10000, BTC: 0.25 }.
+   * @param {Object} [options.markets] - Per-market limits: { 'BTC-USD': { maxOrderNotional, maxOpenNotional } }. maxOrderNotional overrides the quote currency's cap;
+   * maxOpenNotional caps the value of the market's open orders plus the new one.
+   * @param {Object} [options.maxDailyWithdrawal] - Cap on withdrawals per currency over the last 24 hours, open and completed: { BTC: 1, USD: 5000 }.
+   */
+  constructor(client,{ readOnly = false, allowCancelAll = false, withdrawalAllowlist, maxOrderNotional = {}, markets = {}, maxDailyWithdrawal = {} } = {}) {
+    if (withdrawalAllowlist !== undefined && !Array.isArray(withdrawalAllowlist)) throw new BittrexValidationError('withdrawalAllowlist must be an array',{field:'withdrawalAllowlist'})
+    this._client = client
+    this._readOnly = readOnly
+    this._allowCancelAll = allowCancelAll
+    this._allowlist = withdrawalAllowlist
+    this._maxOrderNotional = amounts(maxOrderNotional,'maxOrderNotional')
+    this._markets = {}
+    for (const marketSymbol of Object.keys(markets)){
+      const {maxOrderNotional:orderLimit,maxOpenNotional} = markets[marketSymbol]
+      this._markets[marketSymbol] = amounts({maxOrderNotional:orderLimit,maxOpenNotional},`markets.${marketSymbol}`)
+    }
+    this._maxDailyWithdrawal = amounts(maxDailyWithdrawal,'maxDailyWithdrawal')
+    this._withdrawing = Promise.resolve()
+  }
+
+  /**
+   * @method run - Check a request against the rules, then send it. Withdrawals are checked and sent one at a time so concurrent requests cannot overrun the daily cap together.
+   * @param {String} method
+   * @param {String} url - Path relative to the API root.
+   * @param {Object} requestBody
+   * @param {Function} perform - Sends the request.
+   * @param {BittrexClient} [client] - The client or sub-account view sending the request; open orders and withdrawals are looked up on its account.
+   * @returns {Promise} - Whatever perform resolves to.
+   */
+  async run(method,url,requestBody,perform,client=this._client){
+    if (method === 'GET') return perform()
+    if (this._readOnly) throw refuse('READ_ONLY',`${method} ${url} refused: the client is read-only`,method,url)
+    if (method === 'DELETE' && url === '/orders/open' && !this._allowCancelAll){
+      throw refuse('CANCEL_ALL_DISABLED','cancelling every open order requires the allowCancelAll guard option; pass an order id to cancel one order',method,url)
+    }
+    if (method === 'POST' && url === '/orders') await this.checkOrder(client,requestBody)
+    if (method === 'POST' && url === '/conditional-orders' && requestBody.orderToCreate) await this.checkOrder(client,requestBody.orderToCreate)
+    if (method === 'POST' && url === '/batch'){
+      const pending = new Map()
+      for (const {operation,payload} of requestBody) if (operation === 'POST') await this.checkOrder(client,payload,pending)
+    }
+    if (method === 'POST' && url === '/withdrawals'){
+      const turn = this._withdrawing.then(async () => {
+        await this.checkWithdrawal(client,requestBody)
+        return perform()
+      })
+      this._withdrawing = turn.catch(() => {})
+      return turn
+    }
+    return perform()
+  }
+
+  /**
+   * @private
+   * @method checkOrder - Enforce the notional caps that apply to an order's market.
+   * @param {BittrexClient} client - Account the order is placed on.
+   * @param {Object} order - NewOrder request body.
+   * @param {Map} [pending] - Notional of orders earlier in the same batch, by market; updated with this order.
+   */
+  async checkOrder(client,order,pending=new Map()){
+    const {marketSymbol} = order
+    const limits = this._markets[marketSymbol] || {}
+    const quote = marketSymbol.split('-')[1]
+    const orderLimit = limits.maxOrderNotional || this._maxOrderNotional[quote]
+    const openLimit = limits.maxOpenNotional
+    if (!orderLimit && !openLimit) return
+    const notional = await this.notional(client,order)
+    if (orderLimit && notional.gt(orderLimit)){
+      throw refuse('ORDER_NOTIONAL_LIMIT',`order of ${notional.toFixed()} ${quote} on ${marketSymbol} exceeds the limit of ${orderLimit.toFixed()} ${quote}`,'POST','/orders')
+    }
+    if (!openLimit) return
+    const open = await client.getOpenOrders(marketSymbol)
+    const resting = open.reduce((total,item) => total.plus(restingNotional(item)),new Big(0))
+    const total = resting.plus(pending.get(marketSymbol) || 0).plus(notional)
+    if (total.gt(openLimit)){
+      throw refuse('OPEN_NOTIONAL_LIMIT',`open orders on ${marketSymbol} would total ${total.toFixed()} ${quote}, above the limit of ${openLimit.toFixed()} ${quote}`,'POST','/orders')
+    }
+    pending.set(marketSymbol,new Big(pending.get(marketSymbol) || 0).plus(notional))
+  }
+
+  /**
+   * @private
+   * @method notional - Value of an order in its quote currency. MARKET orders are valued at the current ask (BUY) or bid (SELL).
+   * @param {BittrexClient} client
+   * @param {Object} order - NewOrder request body.
+   * @returns {Promise} - Big
+   */
+  async notional(client,{marketSymbol,direction,type,quantity,ceiling,limit}){
+    if (type === 'CEILING_LIMIT' || type === 'CEILING_MARKET') return new Big(ceiling)
+    if (type === 'LIMIT') return new Big(quantity).times(limit)
+    const ticker = await client.ticker(marketSymbol)
+    const rate = (direction === 'BUY' ? ticker.askRate : ticker.bidRate) || ticker.lastTradeRate
+    return new Big(quantity).times(rate)
+  }
+
+  /**
+   * @private
+   * @method checkWithdrawal - Enforce the address allowlist and the daily cap.
+   * @param {BittrexClient} client - Account the funds are withdrawn from.
+   * @param {Object} withdrawal - NewWithdrawal request body.
+   */
+  async checkWithdrawal(client,{currencySymbol,quantity,cryptoAddress,cryptoAddressTag}){
+    if (this._allowlist && !this._allowlist.some(entry => allows(entry,currencySymbol,cryptoAddress,cryptoAddressTag))){
+      throw refuse('WITHDRAWAL_ADDRESS_NOT_ALLOWED',`withdrawals of ${currencySymbol} to ${cryptoAddress}${cryptoAddressTag ? ` (tag ${cryptoAddressTag})` : ''} are not in the allowlist`,'POST','/withdrawals')
+    }
+    const limit = this._maxDailyWithdrawal[currencySymbol]
+    if (!limit) return
+    const since = new Date(Date.now()-DAY)
+    const [open,completed] = await Promise.all([
+      client.withdrawalHistory(true,{currencySymbol}),
+      collect(client.iterateClosedWithdrawals({currencySymbol,status:'COMPLETED',startDate:since}))
+    ])
+    const withdrawn = open.concat(completed)
+      .filter(withdrawal => withdrawal.currencySymbol === currencySymbol && Date.parse(withdrawal.createdAt) >= since.getTime())
+      .reduce((total,withdrawal) => total.plus(withdrawal.quantity),new Big(0))
+    if (withdrawn.plus(quantity).gt(limit)){
+      throw refuse('DAILY_WITHDRAWAL_LIMIT',`withdrawing ${new Big(quantity).toFixed()} ${currencySymbol} would bring the last 24 hours to ${withdrawn.plus(quantity).toFixed()}, above the limit of ${limit.toFixed()}`,'POST','/withdrawals')
+    }
+  }
+}
+
+// Value still resting on the book: the unfilled quantity at the limit, or what is left of a ceiling.
+function restingNotional(order){
+  if (order.type === 'CEILING_LIMIT' || order.type === 'CEILING_MARKET') return new Big(order.ceiling).minus(order.proceeds || 0)
+  if (!order.limit) return new Big(0)
+  return new Big(order.quantity).minus(order.fillQuantity || 0).times(order.limit)
+}
+
+function allows(entry,currencySymbol,cryptoAddress,tag){
+  if (typeof entry === 'string') return entry === cryptoAddress
+  if (entry.currencySymbol && entry.currencySymbol !== currencySymbol) return false
+  if (entry.cryptoAddressTag && entry.cryptoAddressTag !== tag) return false
+  return entry.cryptoAddress === cryptoAddress
+}
+
+function amounts(values,field){
+  const result = {}
+  for (const key of Object.keys(values)){
+    if (values[key] === undefined) continue
+    let amount
+    try{
+      amount = new Big(values[key])
+    }
+    catch(error){
+      amount = null
+    }
+    if (!amount || amount.lte(0)) throw new BittrexValidationError(`${field}.${key} must be a positive amount`,{field})
+    result[key] = amount
+  }
+  return result
+}
+
+function refuse(code,message,method,endpoint){
+  return new BittrexGuardError(message,{code,method,endpoint})
+}
+
+module.exports = TradingGuard
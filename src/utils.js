@@ -0,0 +1,55 @@
+const { Big } = require('./decimal')
+
+/**
+ * @method sleep - Resolve after the given number of milliseconds, or as soon as the signal is aborted.
+ * @param {Number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise}
+ */
+function sleep(ms,signal){
+  return new Promise(resolve => {
+    if (signal && signal.aborted) return resolve()
+    const done = () => {
+      clearTimeout(timer)
+      if (signal) signal.removeEventListener('abort',done)
+      resolve()
+    }
+    const timer = setTimeout(done,ms)
+    if (signal) signal.addEventListener('abort',done)
+  })
+}
+
+/**
+ * @method mapConcurrent - Map items through an async function with at most `limit` calls in flight, keeping the order of the results.
+ * @param {Array} items
+ * @param {Number} limit
+ * @param {Function} fn - (item, index) => Promise
+ * @returns {Promise} - Array of results.
+ */
+async function mapConcurrent(items,limit,fn){
+  const results = new Array(items.length)
+  let next = 0
+  const worker = async () => {
+    while (next < items.length){
+      const index = next++
+      results[index] = await fn(items[index],index)
+    }
+  }
+  const workers = []
+  for (let i = 0; i < Math.max(1,Math.min(limit,items.length)); i++) workers.push(worker())
+  await Promise.all(workers)
+  return results
+}
+
+/**
+ * @method csvValue - One CSV cell: empty for null/undefined, plain decimal notation for Big, quoted when it contains a comma, quote or newline.
+ * @param {*} value
+ * @returns {String}
+ */
+function csvValue(value){
+  if (value === undefined || value === null) return ''
+  const text = value instanceof Big ? value.toFixed() : String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g,'""')}"` : text
+}
+
+module.exports = { sleep, mapConcurrent, csvValue }
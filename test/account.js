@@ -0,0 +1,63 @@
+require('should')
+const { BittrexClient, BittrexApiError, BittrexAuthError, BittrexValidationError, MockBittrexServer } = require('../')
+
+describe('account and sub-accounts', () => {
+  let server
+  let client
+
+  beforeEach(async () => {
+    server = await new MockBittrexServer().listen()
+    client = new BittrexClient({baseURL:server.url,apiKey:'key',apiSecret:'secret',rateLimit:false,retry:false})
+  })
+
+  afterEach(() => server.close())
+
+  it('should read the account, its fees and its 30-day volume', async () => {
+    (await client.getAccount()).accountId.should.equal(server.accountId)
+    ;(await client.getTradingFees('BTC-USD')).should.eql({marketSymbol:'BTC-USD',makerRate:'0.0035',takerRate:'0.0075'})
+    ;(await client.getTradingFees()).length.should.equal(server.fixtures.markets.length)
+    await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:0.01,limit:60000},'IMMEDIATE_OR_CANCEL')
+    ;(await client.getVolume()).volume30days.should.equal('500.05')
+    server.requests.map(request => request.path).should.containDeep(['/account','/account/fees/trading/BTC-USD','/account/fees/trading','/account/volume'])
+  })
+
+  it('should list permissions and allowed withdrawal addresses', async () => {
+    (await client.getMarketPermissions('ETH-BTC')).should.eql([{symbol:'ETH-BTC',view:true,buy:true,sell:true}])
+    const currencies = await client.getCurrencyPermissions()
+    currencies.find(policy => policy.symbol === 'USD').withdraw.should.eql({blockchain:false,wireTransfer:true,ach:false})
+    ;(await client.getCurrencyPermissions('BTC'))[0].deposit.blockchain.should.be.true()
+    ;(await client.getAllowedAddresses()).map(address => address.cryptoAddress).should.eql(['3MockBittrexAllowedAddress000000000'])
+  })
+
+  it('should sign requests made on behalf of a sub-account', async () => {
+    const subaccount = await client.createSubaccount()
+    ;(await client.getSubaccounts()).should.eql([subaccount])
+    ;(await client.getSubaccount(subaccount.id)).should.eql(subaccount)
+    const sub = client.withSubaccount(subaccount.id)
+    ;(await sub.getAccount()).subaccountId.should.equal(subaccount.id)
+    server.requests[server.requests.length-1].headers['api-subaccount-id'].should.equal(subaccount.id)
+    ;(await client.getAccount()).should.not.have.property('subaccountId')
+    await sub.createSubaccount().should.be.rejectedWith(BittrexAuthError,{code:'SUBACCOUNT_OF_SUBACCOUNT_NOT_ALLOWED'})
+    await client.withSubaccount('00000000-0000-0000-0000-000000000000').balance().should.be.rejectedWith(BittrexAuthError,{code:'SUBACCOUNT_NOT_FOUND'})
+  })
+
+  it('should transfer to a sub-account and back to the master account', async () => {
+    const subaccount = await client.createSubaccount()
+    const sent = await client.sendTransfer('BTC',0.25,{toSubaccountId:subaccount.id})
+    sent.should.containDeep({currencySymbol:'BTC',amount:'0.25',toSubaccountId:subaccount.id,toMasterAccount:false})
+    ;(await client.balance('BTC')).total.should.equal('0.75')
+    await client.withSubaccount(subaccount.id).sendTransfer('BTC',0.1,{toMasterAccount:true})
+    ;(await client.balance('BTC')).total.should.equal('0.85')
+    ;(await client.transferHistory()).map(transfer => transfer.id).should.eql([sent.id])
+    ;(await client.transferHistory(false,{masterAccount:false})).map(transfer => [transfer.amount,transfer.fromSubaccountId]).should.eql([['0.1',subaccount.id]])
+    ;(await client.getTransfer(sent.id)).requestId.should.equal(sent.requestId)
+    await client.sendTransfer('BTC',0.1,{toSubaccountId:subaccount.id,requestId:sent.requestId}).should.be.rejectedWith(BittrexApiError,{code:'DUPLICATE_REQUEST_ID'})
+    await client.sendTransfer('BTC',5,{toSubaccountId:subaccount.id}).should.be.rejectedWith(BittrexApiError,{code:'INSUFFICIENT_FUNDS'})
+  })
+
+  it('should require exactly one transfer destination', async () => {
+    await client.sendTransfer('BTC',1).should.be.rejectedWith(BittrexValidationError,{field:'toSubaccountId'})
+    await client.sendTransfer('BTC',1,{toSubaccountId:'id',toMasterAccount:true}).should.be.rejectedWith(BittrexValidationError,{field:'toSubaccountId'})
+    server.requests.should.be.empty()
+  })
+})
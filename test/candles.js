@@ -0,0 +1,138 @@
+const should = require('should')
+const { BittrexClient, BittrexValidationError, MockBittrexServer, exportCandles } = require('../')
+const { candleWindows, stitchCandles } = require('../src/candles')
+const stubTransport = require('./helpers/stub-transport')
+
+const BASE = 'https://api.bittrex.com/v3'
+
+function candle(startsAt,close='1'){
+  return {startsAt,open:'1',high:'1',low:'1',close,volume:'2',quoteVolume:'2'}
+}
+
+function read(stream){
+  return new Promise((resolve,reject) => {
+    let text = ''
+    stream.on('data',chunk => { text += chunk })
+    stream.on('end',() => resolve(text))
+    stream.on('error',reject)
+  })
+}
+
+describe('candle history', () => {
+  describe('candleWindows', () => {
+    it('should request one day per window for minute candles', () => {
+      candleWindows('MINUTE_5',Date.UTC(2020,1,28,12),Date.UTC(2020,2,1,1)).map(({year,month,day}) => `${year}/${month}/${day}`)
+        .should.eql(['2020/2/28','2020/2/29','2020/3/1'])
+    })
+
+    it('should request months for HOUR_1 and years for DAY_1', () => {
+      candleWindows('HOUR_1',Date.UTC(2020,10,15),Date.UTC(2021,1,1)).map(({year,month}) => `${year}/${month}`).should.eql(['2020/11','2020/12','2021/1'])
+      candleWindows('DAY_1',Date.UTC(2018,5,1),Date.UTC(2020,0,2)).map(({year}) => year).should.eql([2018,2019,2020])
+    })
+  })
+
+  describe('stitchCandles', () => {
+    const candles = [
+      candle('2021-01-01T00:10:00Z','3'),
+      candle('2021-01-01T00:00:00Z','1'),
+      candle('2021-01-01T00:05:00Z','2'),
+      candle('2021-01-01T00:05:00Z','2'),
+      candle('2021-01-01T00:25:00Z','4')
+    ]
+
+    it('should de-duplicate, sort and clip to the range', () => {
+      stitchCandles(candles,'MINUTE_5',{from:Date.parse('2021-01-01T00:05:00Z'),to:Date.parse('2021-01-01T00:25:00Z'),gaps:'none'})
+        .map(item => item.close).should.eql(['2','3'])
+    })
+
+    it('should flag gaps on the candle after them', () => {
+      const stitched = stitchCandles(candles,'MINUTE_5')
+      stitched.map(item => item.gapBefore).should.eql([undefined,undefined,undefined,2])
+    })
+
+    it('should fill gaps with flat synthetic candles', () => {
+      const stitched = stitchCandles(candles,'MINUTE_5',{gaps:'fill'})
+      stitched.length.should.equal(6)
+      stitched[3].should.eql({startsAt:'2021-01-01T00:15:00.000Z',open:'3',high:'3',low:'3',close:'3',volume:'0',quoteVolume:'0',synthetic:true})
+      should.not.exist(stitched[5].synthetic)
+    })
+  })
+
+  describe('getCandles', () => {
+    it('should fetch every historical window with bounded concurrency', async () => {
+      const client = new BittrexClient({rateLimit:false})
+      let inFlight = 0
+      let peak = 0
+      const calls = stubTransport(client,async config => {
+        inFlight++
+        peak = Math.max(peak,inFlight)
+        await new Promise(resolve => setTimeout(resolve,5))
+        inFlight--
+        const [year,month,day] = config.url.split('/historical/')[1].split('/').map(Number)
+        const start = Date.UTC(year,month-1,day)
+        // each window also repeats the last candle of the previous day
+        return {data:[candle(new Date(start-300000).toISOString()),candle(new Date(start).toISOString()),candle(new Date(start+300000).toISOString())]}
+      })
+      const candles = await client.getCandles('BTC-USD','MINUTE_5',{from:'2020-01-01T00:00:00Z',to:'2020-01-06T00:00:00Z',concurrency:2})
+      calls.map(call => call.url.replace(BASE,'')).should.eql([1,2,3,4,5].map(day => `/markets/BTC-USD/candles/TRADE/MINUTE_5/historical/2020/1/${day}`))
+      peak.should.equal(2)
+      candles.length.should.equal(14)
+      candles[0].startsAt.should.equal('2020-01-01T00:00:00.000Z')
+      candles.filter(item => item.gapBefore).length.should.equal(4)
+    })
+
+    it('should serve the unfinished window from the recent endpoint', async () => {
+      const client = new BittrexClient({rateLimit:false})
+      const calls = stubTransport(client,() => ({data:[]}))
+      await client.getCandles('BTC-USD','HOUR_1',{from:new Date(Date.now()-40*24*3600000),type:'MIDPOINT'})
+      calls[calls.length-1].url.should.equal(`${BASE}/markets/BTC-USD/candles/MIDPOINT/HOUR_1/recent`)
+      calls.slice(0,-1).every(call => call.url.indexOf('/historical/') > 0).should.be.true()
+    })
+
+    it('should validate its arguments before sending anything', async () => {
+      const client = new BittrexClient({rateLimit:false})
+      const calls = stubTransport(client,() => ({data:[]}))
+      await client.getCandles('BTC-USD','MINUTE_15',{from:'2020-01-01'}).should.be.rejectedWith(BittrexValidationError,{field:'candleInterval'})
+      await client.getCandles('BTC-USD','DAY_1').should.be.rejectedWith(BittrexValidationError,{field:'from'})
+      await client.getCandles('BTC-USD','DAY_1',{from:'2020-01-02',to:'2020-01-01'}).should.be.rejectedWith(BittrexValidationError,{field:'to'})
+      calls.length.should.equal(0)
+    })
+
+    it('should stitch a multi-year daily series from the mock server', async () => {
+      const server = await new MockBittrexServer().listen()
+      try{
+        const client = new BittrexClient({baseURL:server.url,rateLimit:false,numeric:'decimal'})
+        const candles = await client.getCandles('ETH-USD','DAY_1',{from:'2018-03-01',to:'2021-03-01'})
+        candles.length.should.equal(1096)
+        candles.some(item => item.gapBefore).should.be.false()
+        candles[0].close.constructor.name.should.equal('Big')
+      }
+      finally{
+        await server.close()
+      }
+    })
+  })
+
+  describe('exportCandles', () => {
+    const candles = stitchCandles([candle('2021-01-01T00:00:00Z'),candle('2021-01-01T00:10:00Z')],'MINUTE_5',{gaps:'fill'})
+
+    it('should write CSV with a header row', async () => {
+      const text = await read(exportCandles(candles,'csv'))
+      text.split('\n').should.eql([
+        'startsAt,open,high,low,close,volume,quoteVolume,synthetic',
+        '2021-01-01T00:00:00Z,1,1,1,1,2,2,',
+        '2021-01-01T00:05:00.000Z,1,1,1,1,0,0,true',
+        '2021-01-01T00:10:00Z,1,1,1,1,2,2,',
+        ''
+      ])
+    })
+
+    it('should write NDJSON from an async iterable', async () => {
+      async function* source(){
+        yield* candles
+      }
+      const lines = (await read(exportCandles(source(),'ndjson'))).trim().split('\n')
+      lines.map(line => JSON.parse(line).startsAt).should.eql(candles.map(item => item.startsAt))
+    })
+  })
+})
@@ -0,0 +1,104 @@
+const should = require('should')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { BittrexClient, BittrexApiError, BittrexError, BittrexNetworkError, Cassette, MockBittrexServer } = require('../')
+const stubTransport = require('./helpers/stub-transport')
+
+describe('cassettes', () => {
+  let server
+  let file
+  beforeEach(async () => {
+    server = await new MockBittrexServer({apiKey:'live-key',apiSecret:'live-secret'}).listen()
+    file = path.join(fs.mkdtempSync(path.join(os.tmpdir(),'bittrex-cassette-')),'session.json')
+  })
+
+  afterEach(async () => {
+    await server.close()
+    for (const name of fs.readdirSync(path.dirname(file))) fs.unlinkSync(path.join(path.dirname(file),name))
+    fs.rmdirSync(path.dirname(file))
+  })
+
+  async function record(){
+    const client = new BittrexClient({apiKey:'live-key',apiSecret:'live-secret',baseURL:server.url,rateLimit:false,retry:false,cassette:{path:file,mode:'record'}})
+    await client.ticker('BTC-USD')
+    await client.sendOrder('BTC-USD','BUY','MARKET',{quantity:0.01})
+    await client.balance('BTC')
+    await client.balance('BTC')
+    await client.requestWithdrawal('BTC',50,'3Address').should.be.rejectedWith(BittrexApiError,{code:'INSUFFICIENT_FUNDS'})
+    return client
+  }
+
+  function replayer(options={}){
+    return new BittrexClient(Object.assign({baseURL:'http://127.0.0.1:1/v3',rateLimit:false,retry:false,cassette:{path:file,mode:'replay'}},options))
+  }
+
+  it('should record requests and responses with credentials redacted', async () => {
+    await record()
+    const text = fs.readFileSync(file,'utf8')
+    text.should.not.containEql('live-key')
+    const {interactions} = JSON.parse(text)
+    interactions.map(interaction => `${interaction.request.method} ${interaction.request.path}`).should.eql([
+      'GET /markets/BTC-USD/ticker','POST /orders','GET /balances/BTC','GET /balances/BTC','POST /withdrawals'
+    ])
+    interactions[1].request.headers.should.containDeep({'Api-Key':'[REDACTED]','Api-Signature':'[REDACTED]'})
+    interactions[1].request.headers['Api-Content-Hash'].should.match(/^[0-9a-f]{128}$/)
+    should.not.exist(interactions[0].request.headers['Api-Key'])
+    interactions[4].response.status.should.equal(409)
+  })
+
+  it('should replay in order without credentials or network', async () => {
+    await record()
+    const client = replayer()
+    const calls = stubTransport(client,() => { throw new Error('replay must not send requests') })
+    ;(await client.ticker('BTC-USD')).symbol.should.equal('BTC-USD')
+    ;(await client.sendOrder('BTC-USD','BUY','MARKET',{quantity:0.01})).fillQuantity.should.equal('0.01')
+    ;(await client.balance('BTC')).total.should.equal('1.01')
+    ;(await client.balance('BTC')).total.should.equal('1.01')
+    await client.requestWithdrawal('BTC',50,'3Address').should.be.rejectedWith(BittrexApiError,{code:'INSUFFICIENT_FUNDS',status:409})
+    calls.length.should.equal(0)
+    client._cassette.pending().should.be.empty()
+  })
+
+  it('should fail loudly on requests that were not recorded', async () => {
+    await record()
+    const client = replayer()
+    await client.ticker('ETH-USD').should.be.rejectedWith(BittrexError,{code:'CASSETTE_MISMATCH',endpoint:'/markets/ETH-USD/ticker'})
+    await client.sendOrder('BTC-USD','BUY','MARKET',{quantity:0.02}).should.be.rejectedWith(BittrexError,{code:'CASSETTE_MISMATCH'})
+    await client.ticker('BTC-USD')
+    await client.ticker('BTC-USD').should.be.rejectedWith(BittrexError,{code:'CASSETTE_MISMATCH'})
+  })
+
+  it('should replay transfers, whose requestId is generated per call', async () => {
+    const recorder = new BittrexClient({apiKey:'live-key',apiSecret:'live-secret',baseURL:server.url,rateLimit:false,retry:false,cassette:{path:file,mode:'record'}})
+    const subaccount = await recorder.createSubaccount()
+    const transfer = await recorder.sendTransfer('BTC',0.1,{toSubaccountId:subaccount.id})
+    const client = replayer()
+    ;(await client.createSubaccount()).id.should.equal(subaccount.id)
+    ;(await client.sendTransfer('BTC',0.1,{toSubaccountId:subaccount.id})).id.should.equal(transfer.id)
+    client._cassette.pending().should.be.empty()
+  })
+
+  it('should replay responses through the numeric mode of the replaying client', async () => {
+    await record()
+    const {total} = await replayer({numeric:'decimal'}).balance('BTC')
+    total.toFixed().should.equal('1.01')
+  })
+
+  it('should record and replay network failures', async () => {
+    const recorder = new BittrexClient({rateLimit:false,retry:false,cassette:new Cassette({path:file,mode:'record'})})
+    stubTransport(recorder,() => { throw Object.assign(new Error('socket hang up'),{code:'ECONNRESET'}) })
+    await recorder.markets().should.be.rejectedWith(BittrexNetworkError,{code:'ECONNRESET'})
+    await replayer().markets().should.be.rejectedWith(BittrexNetworkError,{code:'ECONNRESET'})
+  })
+
+  it('should apply custom redaction and reject a missing cassette', async () => {
+    const recorder = new BittrexClient({apiKey:'live-key',apiSecret:'live-secret',baseURL:server.url,rateLimit:false,cassette:{path:file,mode:'record',redact:interaction => {
+      if (interaction.response && Array.isArray(interaction.response.data)) interaction.response.data.forEach(address => { address.cryptoAddress = 'redacted' })
+      return interaction
+    }}})
+    await recorder.getAddresses()
+    fs.readFileSync(file,'utf8').should.not.containEql('3MockBittrexDepositAddress')
+    should(() => new Cassette({path:`${file}.missing`,mode:'replay'})).throw(BittrexError,{code:'CASSETTE_NOT_FOUND'})
+  })
+})
@@ -0,0 +1,96 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { PassThrough } = require('stream')
+require('should')
+const { MockBittrexServer } = require('../')
+const { run, parseArgs } = require('../src/cli')
+
+function output(){
+  const stream = new PassThrough()
+  stream.text = ''
+  stream.on('data',chunk => { stream.text += chunk })
+  return stream
+}
+
+describe('bittrex CLI', () => {
+  let server
+  let home
+  let env
+  const bittrex = async (argv,answers='') => {
+    const stdin = new PassThrough()
+    stdin.end(answers)
+    const stdout = output()
+    const stderr = output()
+    const code = await run(argv,{env,stdin,stdout,stderr,home})
+    return {code,stdout:stdout.text,stderr:stderr.text}
+  }
+
+  beforeEach(async () => {
+    server = await new MockBittrexServer().listen()
+    home = fs.mkdtempSync(path.join(os.tmpdir(),'bittrex-cli-'))
+    env = {BITTREX_BASE_URL:server.url,BITTREX_API_KEY:'key',BITTREX_API_SECRET:'secret'}
+  })
+
+  afterEach(async () => {
+    await server.close()
+    const dir = path.join(home,'.bittrex')
+    if (fs.existsSync(dir)){
+      for (const name of fs.readdirSync(dir)) fs.unlinkSync(path.join(dir,name))
+      fs.rmdirSync(dir)
+    }
+    fs.rmdirSync(home)
+  })
+
+  it('should parse options and flags', () => {
+    parseArgs(['book','BTC-USD','--depth','1','--format=csv','-y']).should.eql({args:['book','BTC-USD'],options:{depth:'1',format:'csv',yes:true}})
+  })
+
+  it('should print tables, JSON and CSV', async () => {
+    const markets = await bittrex(['markets'])
+    markets.code.should.equal(0)
+    markets.stdout.split('\n')[0].should.match(/^symbol +baseCurrencySymbol +quoteCurrencySymbol +status/)
+    JSON.parse((await bittrex(['ticker','ETH-USD','--json'])).stdout).symbol.should.equal('ETH-USD')
+    ;(await bittrex(['book','BTC-USD','--depth','1','--format','csv'])).stdout.should.equal('bidQuantity,bidRate,askRate,askQuantity\n0.1,49995,50005,0.1\n')
+  })
+
+  it('should place an order only once confirmed', async () => {
+    const declined = await bittrex(['order','buy','BTC-USD','0.01','--limit','40000'],'n\n')
+    declined.code.should.equal(1)
+    declined.stderr.should.containEql('BUY 0.01 on BTC-USD at 40000 (GOOD_TIL_CANCELLED)? [y/N]')
+    declined.stderr.should.containEql('aborted (ABORTED)')
+    ;(await bittrex(['orders','open','--json'])).stdout.trim().should.equal('[]')
+    ;(await bittrex(['order','buy','BTC-USD','0.01','--limit','40000'],'y\n')).code.should.equal(0)
+    const [order] = JSON.parse((await bittrex(['orders','open','--json'])).stdout)
+    order.limit.should.equal('40000')
+    ;(await bittrex(['cancel',order.id,'--yes'])).stdout.should.containEql('CLOSED')
+  })
+
+  it('should ask twice before a withdrawal', async () => {
+    const mistyped = await bittrex(['withdraw','BTC','0.1','3Address'],'y\n0.01\n')
+    mistyped.code.should.equal(1)
+    server.requests.some(request => request.method === 'POST').should.be.false()
+    const confirmed = await bittrex(['withdraw','BTC','0.1','3Address','--format','csv'],'yes\n0.1\n')
+    confirmed.code.should.equal(0)
+    confirmed.stdout.should.containEql('REQUESTED')
+    ;(await bittrex(['withdrawals','--open','--json'])).stdout.should.containEql('3Address')
+  })
+
+  it('should read credentials from a profile', async () => {
+    const file = path.join(home,'.bittrex','credentials')
+    fs.mkdirSync(path.dirname(file))
+    fs.writeFileSync(file,'[default]\napiKey = wrong\napiSecret = wrong\n\n[ops]\napiKey = key\napiSecret = secret\n',{mode:0o600})
+    env = {BITTREX_BASE_URL:server.url}
+    ;(await bittrex(['balance'])).code.should.equal(1)
+    const balance = await bittrex(['balance','BTC','--profile','ops'])
+    balance.code.should.equal(0)
+    balance.stdout.should.match(/BTC +1 +1/)
+    ;(await bittrex(['balance','--profile','missing'])).stderr.should.containEql('profile \'missing\' not found')
+  })
+
+  it('should exit with 2 on usage errors', async () => {
+    (await bittrex(['book'])).code.should.equal(2)
+    ;(await bittrex(['markets','--depth','5'])).stderr.should.containEql('unknown option \'--depth\'')
+    ;(await bittrex(['--help'])).stdout.should.startWith('Usage: bittrex')
+  })
+})
@@ -0,0 +1,101 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const should = require('should')
+const { BittrexClient, BittrexAuthError, MockBittrexServer, credentials } = require('../')
+const { CredentialStore } = require('../src/credentials')
+
+const { fromEnv, fromProfile, chain } = credentials
+
+describe('credentials', () => {
+  describe('providers', () => {
+    let dir
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(),'bittrex-credentials-'))
+    })
+
+    afterEach(() => {
+      for (const name of fs.readdirSync(dir)) fs.unlinkSync(path.join(dir,name))
+      fs.rmdirSync(dir)
+    })
+
+    it('should read prefixed environment variables when called', async () => {
+      const env = {}
+      const provider = fromEnv({prefix:'TRADING',env})
+      should(await provider()).be.null()
+      Object.assign(env,{TRADING_API_KEY:'k',TRADING_API_SECRET:'s'})
+      ;(await provider()).should.eql({apiKey:'k',apiSecret:'s'})
+    })
+
+    it('should read named profiles and fall through a chain', async () => {
+      const file = path.join(dir,'credentials')
+      fs.writeFileSync(file,'# sub-accounts\n[default]\napiKey = main\napiSecret = s1\n\n[hedging]\napiKey = hedge\napiSecret = s2\n')
+      ;(await fromProfile('hedging',{file})()).should.eql({apiKey:'hedge',apiSecret:'s2'})
+      await fromProfile('missing',{file})().should.be.rejectedWith(BittrexAuthError,{code:'MISSING_CREDENTIALS'})
+      await fromProfile('default',{file:path.join(dir,'none')})().should.be.rejectedWith(/credentials file not found/)
+      ;(await chain(fromEnv({env:{}}),fromProfile('default',{file}))()).apiKey.should.equal('main')
+    })
+  })
+
+  describe('CredentialStore', () => {
+    it('should cache until expiresAt and share concurrent lookups', async () => {
+      let calls = 0
+      let expiresAt = Date.now()+60000
+      const store = new CredentialStore(async () => {
+        calls++
+        return {apiKey:`k${calls}`,apiSecret:'s',expiresAt}
+      })
+      const [a,b] = await Promise.all([store.get(),store.get()])
+      a.should.equal(b)
+      calls.should.equal(1)
+      ;(await store.get()).apiKey.should.equal('k1')
+      expiresAt = Date.now()-1
+      store.invalidate()
+      ;(await store.get()).apiKey.should.equal('k2')
+      ;(await store.get()).apiKey.should.equal('k3')
+    })
+
+    it('should reject incomplete credentials', async () => {
+      await new CredentialStore({apiKey:'k'}).get().should.be.rejectedWith(BittrexAuthError,{code:'MISSING_CREDENTIALS'})
+      await new CredentialStore(() => null).get().should.be.rejectedWith(BittrexAuthError,{code:'MISSING_CREDENTIALS'})
+      new CredentialStore().configured.should.be.false()
+    })
+  })
+
+  describe('client', () => {
+    let server
+    beforeEach(async () => {
+      server = await new MockBittrexServer({apiKey:'old',apiSecret:'old-secret'}).listen()
+    })
+
+    afterEach(() => server.close())
+
+    it('should sign with credentials from a provider', async () => {
+      const client = new BittrexClient({baseURL:server.url,rateLimit:false,credentials:async () => ({apiKey:'old',apiSecret:'old-secret'})})
+      ;(await client.balance('BTC')).currencySymbol.should.equal('BTC')
+    })
+
+    it('should pick up a rotated key when the exchange rejects the old one', async () => {
+      const vault = {apiKey:'old',apiSecret:'old-secret'}
+      let lookups = 0
+      const client = new BittrexClient({baseURL:server.url,rateLimit:false,retry:false,credentials:() => {
+        lookups++
+        return Object.assign({},vault)
+      }})
+      await client.balance('BTC')
+      Object.assign(server,{apiKey:'new',apiSecret:'new-secret'})
+      Object.assign(vault,{apiKey:'new',apiSecret:'new-secret'})
+      ;(await client.balance('BTC')).currencySymbol.should.equal('BTC')
+      lookups.should.equal(2)
+      server.requests.slice(-2).map(request => request.headers['api-key']).should.eql(['old','new'])
+    })
+
+    it('should fail with the exchange error when the provider has nothing new', async () => {
+      const client = new BittrexClient({baseURL:server.url,rateLimit:false,retry:false,apiKey:'old',apiSecret:'wrong'})
+      await client.balance().should.be.rejectedWith(BittrexAuthError,{code:'INVALID_SIGNATURE'})
+      client.setCredentials({apiKey:'old',apiSecret:'old-secret'})
+      ;(await client.balance('BTC')).currencySymbol.should.equal('BTC')
+      ;(await client.refreshCredentials()).should.eql({apiKey:'old'})
+    })
+  })
+})
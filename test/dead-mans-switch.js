@@ -0,0 +1,114 @@
+require('should')
+const { BittrexClient, BittrexApiError, BittrexValidationError, MockBittrexServer } = require('../')
+const { sleep } = require('../src/utils')
+
+describe('dead man\'s switch', () => {
+  let server
+  let logger
+  let clients
+  const connect = deadMansSwitch => {
+    const client = new BittrexClient({baseURL:server.url,apiKey:'key',apiSecret:'secret',rateLimit:false,deadMansSwitch})
+    clients.push(client)
+    return client
+  }
+  const rest = (client,limit) => client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:0.01,limit},'GOOD_TIL_CANCELLED')
+  const until = async condition => {
+    while (!condition()) await sleep(5)
+  }
+
+  beforeEach(async () => {
+    server = await new MockBittrexServer().listen()
+    logger = {warnings:[],errors:[],warn:message => logger.warnings.push(message),error:message => logger.errors.push(message)}
+    clients = []
+  })
+
+  afterEach(async () => {
+    clients.forEach(client => client._switch && client.stopHeartbeat())
+    await server.close()
+  })
+
+  it('should cancel only its own orders when heartbeats stop', async () => {
+    const other = connect()
+    const client = connect({timeout:30,signals:false,logger})
+    const foreign = await rest(other,30000)
+    await rest(client,40000)
+    await rest(client,41000)
+    await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:0.01,limit:60000},'IMMEDIATE_OR_CANCEL')
+    client._switch.tracked().length.should.equal(2)
+    client.heartbeat()
+    await until(() => logger.warnings.length)
+    logger.warnings.should.eql(['dead man\'s switch (no heartbeat for 30ms): cancelled 2 of 2 open orders placed by this client'])
+    ;(await other.getOpenOrders()).map(order => order.id).should.eql([foreign.id])
+    client._switch.tracked().should.be.empty()
+  })
+
+  it('should stay quiet while heartbeats keep coming', async () => {
+    const client = connect({timeout:40,signals:false,logger})
+    await rest(client,40000)
+    for (let beat = 0; beat < 6; beat++){
+      client.heartbeat()
+      await sleep(15)
+    }
+    client.stopHeartbeat()
+    await sleep(60)
+    logger.warnings.should.be.empty()
+    ;(await client.getOpenOrders()).length.should.equal(1)
+  })
+
+  it('should cancel tracked orders on a signal and then step aside', async () => {
+    const keepAlive = () => {}
+    process.on('SIGTERM',keepAlive)
+    try{
+      const client = connect({timeout:60000,signals:['SIGTERM'],logger})
+      await rest(client,40000)
+      process.listenerCount('SIGTERM').should.equal(2)
+      process.emit('SIGTERM','SIGTERM')
+      await until(() => process.listenerCount('SIGTERM') === 1)
+      logger.warnings.should.eql(['dead man\'s switch (SIGTERM): cancelled 1 of 1 open orders placed by this client'])
+      ;(await client.getOpenOrders()).should.be.empty()
+    }
+    finally{
+      process.removeListener('SIGTERM',keepAlive)
+    }
+  })
+
+  it('should log orders it could not cancel and forget rejected ones', async () => {
+    const client = connect({timeout:60000,signals:false,logger})
+    const order = await rest(client,40000)
+    await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:100,limit:40000},'GOOD_TIL_CANCELLED').should.be.rejectedWith(BittrexApiError,{code:'INSUFFICIENT_FUNDS'})
+    client._switch.tracked().should.eql([order.clientOrderId])
+    client.cancelOrder = async id => {
+      throw new BittrexApiError('ORDER_NOT_OPEN',{code:'ORDER_NOT_OPEN',status:409,method:'DELETE',endpoint:`/orders/${id}`})
+    }
+    const {cancelled,failed} = await client.cancelTrackedOrders()
+    cancelled.should.be.empty()
+    failed.map(({order,error}) => [order.id,error.code]).should.eql([[order.id,'ORDER_NOT_OPEN']])
+    logger.errors.should.eql([`dead man's switch (requested): failed to cancel order ${order.id} (clientOrderId ${order.clientOrderId}): ORDER_NOT_OPEN`])
+    client._switch.tracked().should.eql([order.clientOrderId])
+  })
+
+  it('should cancel through the sub-account an order was placed for and forget orders closed elsewhere', async () => {
+    const client = connect({timeout:60000,signals:false,logger})
+    const {id:subaccountId} = await client.createSubaccount()
+    const master = await rest(client,40000)
+    const sub = await rest(client.withSubaccount(subaccountId),41000)
+    const closed = await rest(client,42000)
+    await connect().cancelOrder(closed.id)
+    client._switch.tracked().length.should.equal(3)
+    server.requests.length = 0
+    const {cancelled} = await client.cancelTrackedOrders()
+    cancelled.map(order => order.id).should.eql([master.id,sub.id])
+    server.requests.map(({method,path,headers}) => [method,path,headers['api-subaccount-id']]).should.eql([
+      ['GET','/orders/open',undefined],
+      ['GET','/orders/open',subaccountId],
+      ['DELETE',`/orders/${master.id}`,undefined],
+      ['DELETE',`/orders/${sub.id}`,subaccountId]
+    ])
+    client._switch.tracked().should.be.empty()
+  })
+
+  it('should require the option for heartbeats', () => {
+    (() => connect().heartbeat()).should.throw(BittrexValidationError,{field:'deadMansSwitch'})
+    ;(() => connect({timeout:0})).should.throw(BittrexValidationError,{field:'timeout'})
+  })
+})
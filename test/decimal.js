@@ -0,0 +1,51 @@
+const should = require('should')
+const { BittrexClient, BittrexError, BittrexValidationError, Big } = require('../')
+const stubTransport = require('./helpers/stub-transport')
+
+const balance = {currencySymbol:'BTC',total:'0.30000000',available:'0.10000000',updatedAt:'2021-01-01T00:00:00Z'}
+
+describe('numeric modes', () => {
+  it('should leave responses and amounts untouched by default', async () => {
+    const client = new BittrexClient({apiKey:'key',apiSecret:'secret',rateLimit:false})
+    const calls = stubTransport(client,() => ({data:balance}))
+    should(await client.balance('BTC')).eql(balance)
+    await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:0.5,limit:100})
+    JSON.parse(calls[1].data).quantity.should.equal(0.5)
+  })
+
+  it('should parse amounts into Big in decimal mode', async () => {
+    const client = new BittrexClient({apiKey:'key',apiSecret:'secret',rateLimit:false,numeric:'decimal'})
+    stubTransport(client,() => ({data:[balance]}))
+    const [result] = await client.balance()
+    result.total.should.be.instanceOf(Big)
+    result.total.minus(result.available).toFixed().should.equal('0.2')
+    result.updatedAt.should.equal(balance.updatedAt)
+  })
+
+  it('should normalize amounts to plain strings in string mode', async () => {
+    const client = new BittrexClient({rateLimit:false,numeric:'string'})
+    stubTransport(client,() => ({data:{symbol:'BTC-USD',lastTradeRate:1e-7,bidRate:'0.1',askRate:'0.2'}}))
+    should(await client.ticker('BTC-USD')).eql({symbol:'BTC-USD',lastTradeRate:'0.0000001',bidRate:'0.1',askRate:'0.2'})
+  })
+
+  it('should reject malformed amounts in string mode', async () => {
+    const client = new BittrexClient({rateLimit:false,numeric:'string'})
+    stubTransport(client,() => ({data:{symbol:'BTC-USD',lastTradeRate:'abc'}}))
+    await client.ticker('BTC-USD').should.be.rejectedWith(BittrexError,{code:'INVALID_DECIMAL'})
+  })
+
+  it('should send order and withdrawal amounts as plain decimal strings', async () => {
+    const client = new BittrexClient({apiKey:'key',apiSecret:'secret',rateLimit:false,numeric:'decimal'})
+    const calls = stubTransport(client,() => ({data:{}}))
+    await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:1e-7,limit:new Big('0.1').plus('0.2')})
+    JSON.parse(calls[0].data).should.containDeep({quantity:'0.0000001',limit:'0.3'})
+    await client.requestWithdrawal('BTC','1.50000000','address')
+    JSON.parse(calls[1].data).quantity.should.equal('1.5')
+  })
+
+  it('should reject amounts that are not decimals', async () => {
+    const client = new BittrexClient({apiKey:'key',apiSecret:'secret',numeric:'string'})
+    await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:'lots',limit:1}).should.be.rejectedWith(BittrexValidationError,{field:'quantity'})
+    ;(() => new BittrexClient({numeric:'float'})).should.throw(BittrexValidationError,{field:'numeric'})
+  })
+})
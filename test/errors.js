@@ -0,0 +1,60 @@
+const should = require('should')
+const {
+  BittrexClient,
+  BittrexError,
+  BittrexApiError,
+  BittrexAuthError,
+  BittrexRateLimitError,
+  BittrexNetworkError,
+  BittrexValidationError
+} = require('../')
+const stubTransport = require('./helpers/stub-transport')
+
+const client = new BittrexClient({apiKey:'key',apiSecret:'secret',retry:false,rateLimit:false})
+
+describe('errors', () => {
+  it('should raise a BittrexApiError carrying the exchange error code', async () => {
+    stubTransport(client,() => ({status:400,data:{code:'MIN_TRADE_REQUIREMENT_NOT_MET'},headers:{'cf-ray':'abc123'}}))
+    try {
+      await client.sendOrder('BTC-USD','SELL','MARKET',{quantity:0.0000001})
+      should.fail()
+    } catch(err){
+      err.should.be.instanceOf(BittrexApiError)
+      err.should.be.instanceOf(BittrexError)
+      err.code.should.equal('MIN_TRADE_REQUIREMENT_NOT_MET')
+      err.status.should.equal(400)
+      err.method.should.equal('POST')
+      err.endpoint.should.equal('/orders')
+      err.correlationId.should.equal('abc123')
+      err.timestamp.should.be.a.Number()
+    }
+  })
+
+  it('should raise a BittrexAuthError for rejected credentials', async () => {
+    stubTransport(client,() => ({status:401,data:{code:'APIKEY_INVALID'}}))
+    await client.balance().should.be.rejectedWith(BittrexAuthError,{code:'APIKEY_INVALID',status:401})
+  })
+
+  it('should raise a BittrexRateLimitError with retryAfter', async () => {
+    stubTransport(client,() => ({status:429,data:{code:'THROTTLED'},headers:{'retry-after':'2'}}))
+    await client.markets().should.be.rejectedWith(BittrexRateLimitError,{code:'THROTTLED',retryAfter:2000})
+  })
+
+  it('should raise a BittrexNetworkError when no response is received', async () => {
+    stubTransport(client,() => {
+      const error = new Error('socket hang up')
+      error.code = 'ECONNRESET'
+      throw error
+    })
+    await client.ticker('BTC-USD').should.be.rejectedWith(BittrexNetworkError,{code:'ECONNRESET',method:'GET'})
+  })
+
+  it('should raise a BittrexValidationError for bad order arguments', async () => {
+    await client.sendOrder('BTC-USD','HOLD','LIMIT').should.be.rejectedWith(BittrexValidationError,{code:'VALIDATION_ERROR',field:'direction'})
+    await client.requestWithdrawal('BTC',1).should.be.rejectedWith(BittrexValidationError,{field:'cryptoAddress'})
+  })
+
+  it('should raise a BittrexAuthError when credentials are missing', async () => {
+    await new BittrexClient().balance().should.be.rejectedWith(BittrexAuthError,{code:'MISSING_CREDENTIALS'})
+  })
+})
@@ -0,0 +1,88 @@
+require('should')
+const { BittrexClient, BittrexApiError, BittrexValidationError, MockBittrexServer } = require('../')
+
+describe('algorithmic execution', () => {
+  let server
+  let client
+  const trade = (rate,takerSide) => server.exchange.feedTrades('BTC-USD',[{quantity:'1',rate,takerSide,executedAt:new Date().toISOString()}])
+
+  beforeEach(async () => {
+    server = await new MockBittrexServer().listen()
+    client = new BittrexClient({baseURL:server.url,apiKey:'key',apiSecret:'secret',rateLimit:false})
+  })
+
+  afterEach(() => server.close())
+
+  it('should slice a TWAP into immediate-or-cancel orders at the touch', async () => {
+    const execution = client.twap('BTC-USD','BUY',0.03,{duration:40,slices:3})
+    const progress = []
+    execution.on('progress',summary => progress.push(summary.filledQuantity))
+    const summary = await execution.done
+    summary.should.containDeep({strategy:'TWAP',status:'COMPLETED',filledQuantity:'0.03',remainingQuantity:'0',averagePrice:'50005',orders:3,openOrders:0})
+    summary.commission.should.equal('11.251125')
+    progress.should.eql(['0.01','0.02','0.03'])
+    server.requests.filter(request => request.method === 'POST').map(request => request.body.timeInForce).should.eql(['IMMEDIATE_OR_CANCEL','IMMEDIATE_OR_CANCEL','IMMEDIATE_OR_CANCEL'])
+  })
+
+  it('should never send a TWAP slice beyond its limit', async () => {
+    const summary = await client.twap('BTC-USD','BUY','0.02',{duration:0,slices:2,limit:49000}).done
+    summary.should.containDeep({filledQuantity:'0',remainingQuantity:'0.02',averagePrice:null,orders:2})
+    server.requests.filter(request => request.method === 'POST').map(request => request.body.limit).should.eql(['49000','49000'])
+  })
+
+  it('should replenish an iceberg until the whole quantity fills', async () => {
+    const execution = client.iceberg('BTC-USD','SELL',0.05,{limit:60000,visibleQuantity:0.02,pollInterval:5})
+    const placed = []
+    execution.on('order',order => {
+      placed.push(order.quantity)
+      setImmediate(() => trade('60000','BUY'))
+    })
+    const summary = await execution.done
+    placed.should.eql(['0.02','0.02','0.01'])
+    summary.should.containDeep({strategy:'ICEBERG',status:'COMPLETED',filledQuantity:'0.05',averagePrice:'60000',proceeds:'3000',commission:'10.5'})
+  })
+
+  it('should spread a ladder between two prices and cancel what is left', async () => {
+    const execution = client.ladder('BTC-USD','BUY',0.03,{from:40000,to:42000,orders:3,pollInterval:5})
+    const fills = []
+    execution.on('fill',({order,quantity}) => fills.push([order.limit,quantity]))
+    await new Promise(resolve => execution.on('order',() => execution.summary().orders === 3 && resolve()))
+    ;(await client.getOpenOrders('BTC-USD')).map(order => order.limit).sort().should.eql(['40000','41000','42000'])
+    trade('41000','SELL')
+    await new Promise(resolve => execution.on('progress',summary => summary.filledQuantity === '0.02' && resolve()))
+    const summary = await execution.cancel()
+    summary.should.containDeep({strategy:'LADDER',status:'CANCELLED',filledQuantity:'0.02',averagePrice:'41500',orders:3,openOrders:0})
+    fills.length.should.equal(2)
+    ;(await client.getOpenOrders('BTC-USD')).should.be.empty()
+  })
+
+  it('should cancel open children and reject when a child order fails', async () => {
+    const execution = client.ladder('BTC-USD','SELL',2,{from:60000,to:61000,orders:2})
+    await execution.done.should.be.rejectedWith(BittrexApiError,{code:'INSUFFICIENT_FUNDS'})
+    execution.summary().should.containDeep({status:'FAILED',orders:1,openOrders:0})
+    ;(await client.getOpenOrders('BTC-USD')).should.be.empty()
+  })
+
+  it('should emit the error that stopped an execution without leaving done unhandled', async () => {
+    const unhandled = []
+    const record = reason => unhandled.push(reason)
+    process.on('unhandledRejection',record)
+    try{
+      const execution = client.ladder('BTC-USD','SELL',2,{from:60000,to:61000,orders:2})
+      const error = await new Promise(resolve => execution.on('error',resolve))
+      error.should.be.instanceOf(BittrexApiError).and.have.property('code','INSUFFICIENT_FUNDS')
+      await new Promise(resolve => setTimeout(resolve,10))
+      unhandled.should.be.empty()
+    }
+    finally{
+      process.removeListener('unhandledRejection',record)
+    }
+  })
+
+  it('should validate parameters before placing anything', () => {
+    (() => client.twap('BTC-USD','BUY',1,{slices:3})).should.throw(BittrexValidationError,{field:'duration'})
+    ;(() => client.iceberg('BTC-USD','SELL',1,{limit:60000})).should.throw(BittrexValidationError,{field:'visibleQuantity'})
+    ;(() => client.ladder('BTC-USD','HOLD',1,{from:1,to:2})).should.throw(BittrexValidationError,{field:'direction'})
+    server.requests.should.be.empty()
+  })
+})
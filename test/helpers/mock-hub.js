@@ -0,0 +1,73 @@
+const http = require('http')
+const CryptoJS = require('crypto-js')
+const WebSocket = require('ws')
+const zlib = require('zlib')
+const { URL } = require('url')
+
+/**
+ * Minimal SignalR 1.5 hub speaking the Bittrex v3 socket protocol, for tests.
+ * Records Subscribe/Unsubscribe/Authenticate invocations, verifies Authenticate signatures against `apiSecret`,
+ * and lets tests publish deflated messages or drop every connection.
+ */
+class MockHub {
+  constructor({ apiKey = 'key', apiSecret = 'secret' } = {}) {
+    this.apiKey = apiKey
+    this.apiSecret = apiSecret
+    this.invocations = []
+    this.connections = 0
+    this._server = http.createServer((req,res) => this.handle(req,res))
+    this._wss = new WebSocket.Server({server:this._server,path:'/signalr/connect'})
+    this._wss.on('connection',socket => {
+      this.connections++
+      socket.send(JSON.stringify({C:'init',S:1,M:[]}))
+      socket.on('message',message => this.invoke(socket,JSON.parse(message)))
+    })
+  }
+
+  listen(){
+    return new Promise(resolve => this._server.listen(0,'127.0.0.1',() => {
+      this.url = `http://127.0.0.1:${this._server.address().port}/signalr`
+      resolve(this)
+    }))
+  }
+
+  close(){
+    this._wss.clients.forEach(socket => socket.terminate())
+    return new Promise(resolve => this._wss.close(() => this._server.close(resolve)))
+  }
+
+  publish(method,payload){
+    const data = zlib.deflateRawSync(Buffer.from(JSON.stringify(payload))).toString('base64')
+    const frame = JSON.stringify({C:'message',M:[{H:'C3',M:method,A:[data]}]})
+    this._wss.clients.forEach(socket => socket.send(frame))
+  }
+
+  dropConnections(){
+    this._wss.clients.forEach(socket => socket.terminate())
+  }
+
+  handle(req,res){
+    const {pathname} = new URL(req.url,'http://localhost')
+    res.setHeader('Content-Type','application/json')
+    if (pathname === '/signalr/negotiate') return res.end(JSON.stringify({ConnectionToken:'token',ConnectionId:'id',KeepAliveTimeout:20,ProtocolVersion:'1.5'}))
+    if (pathname === '/signalr/start') return res.end(JSON.stringify({Response:'started'}))
+    res.statusCode = 404
+    res.end('{}')
+  }
+
+  invoke(socket,{M:method,A:args,I:id}){
+    this.invocations.push({method,args})
+    let result
+    if (method === 'Authenticate'){
+      const [apiKey,timestamp,randomContent,signature] = args
+      const expected = CryptoJS.HmacSHA512(`${timestamp}${randomContent}`,this.apiSecret).toString(CryptoJS.enc.Hex)
+      result = apiKey === this.apiKey && signature === expected ? {Success:true,ErrorCode:null} : {Success:false,ErrorCode:'INVALID_SIGNATURE'}
+    }
+    else if (method === 'Subscribe' || method === 'Unsubscribe'){
+      result = args[0].map(channel => channel.indexOf('invalid') === 0 ? {Success:false,ErrorCode:'INVALID_CHANNEL'} : {Success:true,ErrorCode:null})
+    }
+    socket.send(JSON.stringify({R:result,I:id}))
+  }
+}
+
+module.exports = MockHub
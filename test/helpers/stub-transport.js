@@ -0,0 +1,22 @@
+/**
+ * Replace the axios adapter of a BittrexClient so requests never leave the process.
+ * handler(config) returns {status,data,headers} (status defaults to 200) or throws to simulate a network failure.
+ * Every config passed to the adapter is recorded on the returned array.
+ */
+function stubTransport(client,handler){
+  const calls = []
+  client._client.defaults.adapter = async config => {
+    calls.push(config)
+    const {status=200,data={},headers={}} = await handler(config)
+    const response = {status,statusText:String(status),data,headers,config,request:{}}
+    if (status >= 200 && status < 300) return response
+    const error = new Error(`Request failed with status code ${status}`)
+    error.config = config
+    error.response = response
+    error.isAxiosError = true
+    throw error
+  }
+  return calls
+}
+
+module.exports = stubTransport
@@ -1,13 +1,21 @@
 const should = require('should')
-const { BittrexClient } = require('../')
-require('dotenv').config()
+const { BittrexClient, BittrexApiError, MockBittrexServer } = require('../')
 
-const client = new BittrexClient({
-  apiKey: process.env.KEY,
-  apiSecret: process.env.SECRET,
-  timeout: 3000})
+const server = new MockBittrexServer({apiKey:'key',apiSecret:'secret'})
+let client
 
 describe('bittrex-node', () => {
+  before(async () => {
+    await server.listen()
+    client = new BittrexClient({
+      apiKey: 'key',
+      apiSecret: 'secret',
+      baseURL: server.url,
+      timeout: 3000})
+  })
+
+  after(() => server.close())
+
   describe('non-authenticated API calls', () => {
     it('should get markets', async () => {
       let results = await client.markets()
@@ -73,7 +81,10 @@ describe('bittrex-node', () => {
   })
 
   describe('authenticated trading API calls', () => {
-
+    before(async () => {
+      // the mock account starts without history
+      await client.sendOrder('BTC-USD', 'BUY', 'MARKET', { quantity:0.001 })
+    })
 
     it('should get order history', async () => {
       let results = await client.getOrderHistory()
@@ -102,7 +113,8 @@ describe('bittrex-node', () => {
       try {let result = await client.sendOrder('BTC-USD', 'SELL', 'MARKET', { quantity:0.0000001 })
       should.not.exist(result)
     }catch(err){
-      err.response.data.code.should.equal('MIN_TRADE_REQUIREMENT_NOT_MET')
+      err.should.be.instanceOf(BittrexApiError)
+      err.code.should.equal('MIN_TRADE_REQUIREMENT_NOT_MET')
     }
     })
   })
@@ -151,7 +163,8 @@ describe('bittrex-node', () => {
         should.not.exist(withdrawal)
       }
       catch(err){
-        err.message.should.be.equal('Request failed with status code 409')
+        err.should.be.instanceOf(BittrexApiError)
+        err.status.should.be.equal(409)
       }
     })
   })
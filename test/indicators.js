@@ -0,0 +1,97 @@
+const should = require('should')
+const { Big, BittrexValidationError, resampleCandles, candlesFromTrades, indicators } = require('../')
+const { sma, ema, rsi, macd, bollinger, atr, vwap } = indicators
+
+function minutes(count,start=Date.UTC(2021,0,4)){
+  const candles = []
+  for (let i = 0; i < count; i++){
+    candles.push({startsAt:new Date(start+i*300000).toISOString(),open:String(10+i),high:String(11+i),low:String(9+i),close:String(10.5+i),volume:'1',quoteVolume:String(10.5+i)})
+  }
+  return candles
+}
+
+function near(actual,expected){
+  actual.should.be.approximately(expected,1e-9)
+}
+
+describe('candle helpers', () => {
+  describe('resampleCandles', () => {
+    it('should aggregate 5-minute candles into 15-minute buckets', () => {
+      const candles = resampleCandles(minutes(7).reverse(),'MINUTE_15')
+      candles.should.eql([
+        {startsAt:'2021-01-04T00:00:00.000Z',open:'10',high:'13',low:'9',close:'12.5',volume:'3',quoteVolume:'34.5'},
+        {startsAt:'2021-01-04T00:15:00.000Z',open:'13',high:'16',low:'12',close:'15.5',volume:'3',quoteVolume:'43.5'},
+        {startsAt:'2021-01-04T00:30:00.000Z',open:'16',high:'17',low:'15',close:'16.5',volume:'1',quoteVolume:'16.5'}
+      ])
+    })
+
+    it('should start weeks on Monday and keep Big amounts as Big', () => {
+      const days = [3,4,10,11].map(day => ({startsAt:new Date(Date.UTC(2021,0,day)).toISOString(),open:new Big(1),high:new Big(day),low:new Big(1),close:new Big(day),volume:new Big(1),quoteVolume:new Big(day)}))
+      const weeks = resampleCandles(days,'1w')
+      weeks.map(week => week.startsAt).should.eql(['2020-12-28T00:00:00.000Z','2021-01-04T00:00:00.000Z','2021-01-11T00:00:00.000Z'])
+      weeks[1].high.should.be.instanceOf(Big)
+      weeks[1].high.toFixed().should.equal('10')
+    })
+
+    it('should reject unknown intervals', () => {
+      should(() => resampleCandles([],'FORTNIGHT')).throw(BittrexValidationError,{field:'interval'})
+    })
+  })
+
+  describe('candlesFromTrades', () => {
+    it('should rebuild candles from trades', () => {
+      const trades = [
+        {executedAt:'2021-01-01T00:01:30Z',quantity:'2',rate:'101'},
+        {executedAt:'2021-01-01T00:00:10Z',quantity:'1',rate:'100'},
+        {executedAt:'2021-01-01T00:00:50Z',quantity:'1',rate:'99'},
+        {executedAt:'2021-01-01T00:03:00Z',quantity:'0.5',rate:'102'}
+      ]
+      candlesFromTrades(trades,'1m').should.eql([
+        {startsAt:'2021-01-01T00:00:00.000Z',open:'100',high:'100',low:'99',close:'99',volume:'2',quoteVolume:'199'},
+        {startsAt:'2021-01-01T00:01:00.000Z',open:'101',high:'101',low:'101',close:'101',volume:'2',quoteVolume:'202'},
+        {startsAt:'2021-01-01T00:03:00.000Z',open:'102',high:'102',low:'102',close:'102',volume:'0.5',quoteVolume:'51'}
+      ])
+    })
+  })
+
+  describe('indicators', () => {
+    const values = [44.34,44.09,44.15,43.61,44.33,44.83,45.10,45.42,45.84,46.08,45.89,46.03,45.61,46.28,46.28,46.00,46.03,46.41,46.22,45.64]
+
+    it('should compute SMA and EMA aligned with the input', () => {
+      sma([1,2,3,4,5],3).should.eql([null,null,2,3,4])
+      const averages = ema(['1','2','3','4','5'],3)
+      should(averages[1]).be.null()
+      averages.slice(2).should.eql([2,3,4])
+    })
+
+    it('should compute RSI with Wilder smoothing', () => {
+      const result = rsi(values,14)
+      should(result[13]).be.null()
+      near(result[14],70.46413502109705)
+      rsi([1,2,3,4],3)[3].should.equal(100)
+    })
+
+    it('should compute MACD with its signal line', () => {
+      const series = values.concat(values).concat(values)
+      const result = macd(series,3,6,4)
+      should(result[4]).be.null()
+      result[5].should.containDeep({signal:null,histogram:null})
+      near(result[8].histogram,result[8].macd-result[8].signal)
+      should(() => macd(series,6,3)).throw(BittrexValidationError)
+    })
+
+    it('should compute Bollinger bands from candles', () => {
+      const [,,band] = bollinger(minutes(3),3,2)
+      near(band.middle,11.5)
+      near(band.upper,11.5+2*Math.sqrt(2/3))
+      near(band.lower,11.5-2*Math.sqrt(2/3))
+    })
+
+    it('should compute ATR and VWAP', () => {
+      const candles = minutes(4)
+      atr(candles,2).should.eql([null,2,2,2])
+      vwap(candles).should.eql([10.5,11,11.5,12])
+      vwap([{high:'3',low:'1',close:'2',volume:'0'},{high:'3',low:'1',close:'2',volume:'2'}]).should.eql([null,2])
+    })
+  })
+})
@@ -0,0 +1,118 @@
+const should = require('should')
+const util = require('util')
+const { BittrexClient, BittrexApiError, Metrics, MockBittrexServer } = require('../')
+const stubTransport = require('./helpers/stub-transport')
+
+const retry = {maxAttempts:3,baseDelay:5,jitter:false}
+
+describe('instrumentation', () => {
+  let server
+  let records
+  const logger = {}
+  ;['debug','info','warn','error'].forEach(level => {
+    logger[level] = record => records.push(Object.assign({level},record))
+  })
+
+  beforeEach(async () => {
+    server = await new MockBittrexServer().listen()
+    records = []
+  })
+
+  afterEach(() => server.close())
+
+  it('should call hooks around every request with credentials redacted', async () => {
+    const client = new BittrexClient({baseURL:server.url,apiKey:'key',apiSecret:'secret',rateLimit:false})
+    const seen = []
+    client.onRequest(record => seen.push(record))
+    const remove = client.onResponse(record => seen.push(record))
+    await client.balance('BTC')
+    seen.map(record => record.event).should.eql(['request','response'])
+    seen[0].should.containDeep({method:'GET',endpoint:'/balances/BTC',attempt:1,headers:{'Api-Key':'[REDACTED]','Api-Signature':'[REDACTED]'}})
+    seen[0].headers['Api-Content-Hash'].should.match(/^[0-9a-f]{128}$/)
+    seen[1].should.containDeep({requestId:seen[0].requestId,status:200,data:{currencySymbol:'BTC'}})
+    seen[1].durationMs.should.be.aboveOrEqual(0)
+    remove()
+    await client.balance('ETH')
+    seen.length.should.equal(3)
+    server.requests[0].headers['api-key'].should.equal('key')
+  })
+
+  it('should let an onRequest hook veto a request, and ignore failing response hooks', async () => {
+    const client = new BittrexClient({baseURL:server.url,apiKey:'key',apiSecret:'secret',rateLimit:false,logger,hooks:{
+      onRequest:({method}) => {
+        if (method === 'DELETE') throw new Error('cancels are disabled during maintenance')
+      },
+      onResponse:() => {
+        throw new Error('monitor down')
+      }
+    }})
+    await client.cancelOrder('some-id').should.be.rejectedWith(Error,{message:'cancels are disabled during maintenance'})
+    ;(await client.getOpenOrders()).should.be.empty()
+    server.requests.map(request => request.method).should.eql(['GET'])
+    records.filter(record => record.event === 'hook_failed').should.containDeep([{level:'error',hook:'response',message:'monitor down'}])
+  })
+
+  it('should log each attempt and report retries to onError', async () => {
+    const client = new BittrexClient({apiKey:'key',apiSecret:'secret',retry,rateLimit:false,logger})
+    const errors = []
+    client.onError(record => errors.push(record))
+    let count = 0
+    stubTransport(client,() => count++ < 1 ? {status:503,data:{code:'SERVICE_UNAVAILABLE'}} : {status:400,data:{code:'INVALID_CURRENCY_SYMBOL'}})
+    await client.balance('XXX').should.be.rejectedWith(BittrexApiError,{code:'INVALID_CURRENCY_SYMBOL'})
+    errors.map(({attempt,status,code,retry}) => [attempt,status,code,retry]).should.eql([[1,503,'SERVICE_UNAVAILABLE',true],[2,400,'INVALID_CURRENCY_SYMBOL',false]])
+    errors[1].error.should.be.instanceOf(BittrexApiError)
+    records.map(record => [record.level,record.event]).should.eql([['debug','request'],['warn','error'],['debug','request'],['error','error']])
+    JSON.stringify(records).should.not.containEql('"key"')
+  })
+
+  it('should not expose credentials through the error passed to onError', async () => {
+    await server.close()
+    server = await new MockBittrexServer({apiKey:'live-key-8f3a',apiSecret:'live-secret-c71e'}).listen()
+    const errors = []
+    const hooks = {onError:record => errors.push(record)}
+    const client = new BittrexClient({baseURL:server.url,apiKey:'live-key-8f3a',apiSecret:'live-secret-c71e',rateLimit:false,retry:false,hooks})
+    await client.getOrder('00000000-0000-0000-0000-000000000000').should.be.rejectedWith(BittrexApiError,{status:404})
+    const offline = new BittrexClient({baseURL:'http://127.0.0.1:1/v3',apiKey:'live-key-8f3a',apiSecret:'live-secret-c71e',rateLimit:false,retry:false,hooks})
+    await offline.balance('BTC').should.be.rejected()
+    errors.length.should.equal(2)
+    errors.forEach(record => {
+      const text = util.inspect(record,{depth:Infinity,showHidden:true})
+      text.should.not.containEql('live-key-8f3a')
+      text.should.containEql('[REDACTED]')
+    })
+    const signature = server.requests[0].headers['api-signature']
+    util.inspect(errors[0],{depth:Infinity,showHidden:true}).should.not.containEql(signature)
+  })
+
+  it('should export per-endpoint counters and latency in Prometheus format', async () => {
+    const client = new BittrexClient({baseURL:server.url,apiKey:'key',apiSecret:'secret',rateLimit:{requestsPerMinute:1200,burst:1}})
+    const order = await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:0.01,limit:40000},'GOOD_TIL_CANCELLED')
+    await client.getOrder(order.id)
+    await client.getOrder('00000000-0000-0000-0000-000000000000').should.be.rejectedWith(BittrexApiError,{status:404})
+    const text = client.getMetrics().toPrometheus()
+    text.should.containEql('# TYPE bittrex_requests_total counter')
+    text.should.containEql('bittrex_requests_total{method="POST",endpoint="/orders",status="200"} 1')
+    text.should.containEql('bittrex_requests_total{method="GET",endpoint="/orders/{id}",status="200"} 1')
+    text.should.containEql('bittrex_request_errors_total{method="GET",endpoint="/orders/{id}",code="NOT_FOUND"} 1')
+    text.should.containEql('bittrex_request_duration_seconds_count{method="GET",endpoint="/orders/{id}"} 2')
+    text.should.containEql('bittrex_request_duration_seconds_bucket{method="POST",endpoint="/orders",le="+Inf"} 1')
+    text.should.containEql('bittrex_rate_limit_hits_total{source="client"} 2')
+  })
+
+  it('should share one registry between clients and count throttling by the exchange', async () => {
+    const metrics = new Metrics()
+    const first = new BittrexClient({retry,rateLimit:false,metrics})
+    const second = new BittrexClient({retry,rateLimit:false,metrics})
+    let count = 0
+    stubTransport(first,() => count++ < 1 ? {status:429,headers:{'retry-after':'0'}} : {data:[]})
+    stubTransport(second,() => ({data:[]}))
+    await first.markets()
+    await second.markets()
+    first.getMetrics().should.equal(metrics)
+    const text = metrics.toPrometheus()
+    text.should.containEql('bittrex_requests_total{method="GET",endpoint="/markets",status="200"} 2')
+    text.should.containEql('bittrex_retries_total{method="GET",endpoint="/markets"} 1')
+    text.should.containEql('bittrex_rate_limit_hits_total{source="exchange"} 1')
+    should(new BittrexClient({metrics:false}).getMetrics()).be.null()
+  })
+})
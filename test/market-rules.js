@@ -0,0 +1,54 @@
+const should = require('should')
+const { BittrexClient, BittrexValidationError, MarketRules } = require('../')
+const stubTransport = require('./helpers/stub-transport')
+
+const markets = [
+  {symbol:'BTC-USD',minTradeSize:'0.00010000',precision:3,status:'ONLINE'},
+  {symbol:'XYZ-BTC',minTradeSize:'1.00000000',precision:8,status:'OFFLINE'}
+]
+
+function serve(client){
+  return stubTransport(client,config => ({data:config.url.endsWith('/markets') ? markets : {id:'order-id'}}))
+}
+
+describe('market rules', () => {
+  it('should reject orders locally without sending them', async () => {
+    const client = new BittrexClient({apiKey:'key',apiSecret:'secret',rateLimit:false,validateOrders:true})
+    const calls = serve(client)
+    await client.sendOrder('XYZ-BTC','BUY','LIMIT',{quantity:5,limit:0.001}).should.be.rejectedWith(BittrexValidationError,{code:'MARKET_OFFLINE'})
+    await client.sendOrder('ABC-USD','BUY','MARKET',{quantity:5}).should.be.rejectedWith(BittrexValidationError,{code:'MARKET_DOES_NOT_EXIST'})
+    await client.sendOrder('BTC-USD','SELL','MARKET',{quantity:0.00001}).should.be.rejectedWith(BittrexValidationError,{code:'MIN_TRADE_REQUIREMENT_NOT_MET',field:'quantity'})
+    await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:1,limit:100.0005}).should.be.rejectedWith(BittrexValidationError,{code:'PRECISION_EXCEEDED',field:'limit'})
+    calls.length.should.equal(1)
+  })
+
+  it('should send orders that satisfy the rules', async () => {
+    const client = new BittrexClient({apiKey:'key',apiSecret:'secret',rateLimit:false,validateOrders:true})
+    const calls = serve(client)
+    await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:0.5,limit:100.25})
+    JSON.parse(calls[1].data).should.containDeep({quantity:'0.5',limit:'100.25'})
+    await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:0.5,limit:100.5})
+    calls.length.should.equal(3)
+  })
+
+  it('should round or truncate to the market precision', async () => {
+    const client = new BittrexClient({rateLimit:false})
+    serve(client)
+    const rounding = new MarketRules(client,{rounding:'round'})
+    should(await rounding.prepareOrder({marketSymbol:'BTC-USD',quantity:'0.123456789',limit:'100.0005'})).eql({quantity:'0.12345679',ceiling:undefined,limit:'100.001'})
+    const truncating = new MarketRules(client,{rounding:'truncate'})
+    should(await truncating.prepareOrder({marketSymbol:'BTC-USD',quantity:'0.123456789',limit:'100.0009'})).eql({quantity:'0.12345678',ceiling:undefined,limit:'100'})
+  })
+
+  it('should refresh market metadata after the ttl', async () => {
+    const client = new BittrexClient({rateLimit:false})
+    const calls = serve(client)
+    const rules = new MarketRules(client,{ttl:0})
+    await rules.market('BTC-USD')
+    await rules.market('BTC-USD')
+    calls.length.should.equal(2)
+    const cached = new MarketRules(client)
+    await Promise.all([cached.market('BTC-USD'),cached.market('XYZ-BTC')])
+    calls.length.should.equal(3)
+  })
+})
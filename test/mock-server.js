@@ -0,0 +1,131 @@
+const should = require('should')
+const axios = require('axios')
+const { BittrexClient, BittrexApiError, BittrexAuthError, MockBittrexServer } = require('../')
+
+describe('MockBittrexServer', () => {
+  let server
+  let client
+  beforeEach(async () => {
+    server = await new MockBittrexServer().listen()
+    client = new BittrexClient({apiKey:'key',apiSecret:'secret',baseURL:server.url,rateLimit:false,retry:false})
+  })
+
+  afterEach(() => server.close())
+
+  describe('authentication', () => {
+    it('should accept correctly signed requests', async () => {
+      const balances = await client.balance()
+      balances.map(balance => balance.currencySymbol).should.eql(['BTC','ETH','USD'])
+      server.requests[0].should.containDeep({method:'GET',path:'/balances/'})
+    })
+
+    it('should reject an unknown key', async () => {
+      const other = new BittrexClient({apiKey:'other',apiSecret:'secret',baseURL:server.url,rateLimit:false,retry:false})
+      await other.balance().should.be.rejectedWith(BittrexAuthError,{code:'APIKEY_INVALID',status:401})
+    })
+
+    it('should reject a signature made with another secret', async () => {
+      const other = new BittrexClient({apiKey:'key',apiSecret:'wrong',baseURL:server.url,rateLimit:false,retry:false})
+      await other.balance().should.be.rejectedWith(BittrexAuthError,{code:'INVALID_SIGNATURE'})
+    })
+
+    it('should reject a body that does not match Api-Content-Hash', async () => {
+      const uri = `${server.url}/orders`
+      const headers = client.sign('POST',uri,JSON.stringify({marketSymbol:'BTC-USD'}),{apiKey:'key',apiSecret:'secret'})
+      const response = await axios.post(uri,{marketSymbol:'ETH-USD'},{headers,validateStatus:() => true})
+      response.status.should.equal(401)
+      response.data.code.should.equal('INVALID_CONTENT_HASH')
+    })
+
+    it('should reject a signature for another URL', async () => {
+      const headers = client.sign('GET',`${server.url}/balances/BTC`,'',{apiKey:'key',apiSecret:'secret'})
+      const response = await axios.get(`${server.url}/balances/ETH`,{headers,validateStatus:() => true})
+      response.data.code.should.equal('INVALID_SIGNATURE')
+    })
+
+    it('should reject stale timestamps', async () => {
+      await server.close()
+      server = await new MockBittrexServer({clock:() => new Date(Date.now()+120000)}).listen()
+      client = new BittrexClient({apiKey:'key',apiSecret:'secret',baseURL:server.url,rateLimit:false,retry:false})
+      await client.balance().should.be.rejectedWith(BittrexAuthError,{code:'INVALID_TIMESTAMP'})
+    })
+
+    it('should not require credentials for public endpoints', async () => {
+      const anonymous = new BittrexClient({baseURL:server.url,rateLimit:false})
+      ;(await anonymous.ticker('BTC-USD')).symbol.should.equal('BTC-USD')
+    })
+  })
+
+  describe('market data', () => {
+    it('should serve the orderbook with its sequence number', async () => {
+      const snapshot = await client.orderBookSnapshot('BTC-USD',500)
+      snapshot.sequence.should.equal(1)
+      snapshot.bid.length.should.equal(500)
+      Number(snapshot.bid[0].rate).should.be.below(Number(snapshot.ask[0].rate))
+      await client.orderBook('BTC-USD',10).should.be.rejectedWith(BittrexApiError,{code:'INVALID_DEPTH',status:400})
+    })
+
+    it('should serve historical candles for the window of each interval', async () => {
+      (await client.getCandlesHistorical('BTC-USD','MINUTE_5',2020,6,1)).length.should.equal(288)
+      ;(await client.getCandlesHistorical('BTC-USD','HOUR_1',2020,2)).length.should.equal(29*24)
+      const days = await client.getCandlesHistorical('BTC-USD','DAY_1',2020)
+      days.length.should.equal(366)
+      days[0].startsAt.should.equal('2020-01-01T00:00:00.000Z')
+      ;(await client.getCandlesHistorical('BTC-USD','DAY_1',2020)).should.eql(days)
+    })
+
+    it('should answer unknown markets and paths like the exchange', async () => {
+      await client.ticker('XYZ-USD').should.be.rejectedWith(BittrexApiError,{code:'MARKET_DOES_NOT_EXIST',status:404})
+      const response = await axios.get(`${server.url}/nowhere`,{validateStatus:() => true})
+      response.status.should.equal(404)
+    })
+  })
+
+  describe('account', () => {
+    it('should fill orders against the fixture book and update balances', async () => {
+      const order = await client.sendOrder('BTC-USD','BUY','MARKET',{quantity:0.1})
+      order.status.should.equal('CLOSED')
+      order.fillQuantity.should.equal('0.1')
+      ;(await client.balance('BTC')).total.should.equal('1.1')
+      ;(await client.getOrder(order.id)).id.should.equal(order.id)
+      ;(await client.getOrderExecutions(order.id)).length.should.be.above(0)
+      ;(await client.getLastExecutionId()).lastId.should.be.a.String()
+    })
+
+    it('should enforce the minimum trade size', async () => {
+      await client.sendOrder('BTC-USD','SELL','MARKET',{quantity:0.00001}).should.be.rejectedWith(BittrexApiError,{code:'MIN_TRADE_REQUIREMENT_NOT_MET',status:409})
+    })
+
+    it('should hold withdrawn funds until the withdrawal is cancelled', async () => {
+      const withdrawal = await client.requestWithdrawal('BTC',0.4,'3Address',{clientWithdrawalId:'w-1'})
+      withdrawal.should.containDeep({status:'REQUESTED',quantity:'0.4',txCost:'0.0003'})
+      ;(await client.balance('BTC')).available.should.equal('0.6')
+      ;(await client.withdrawalHistory()).map(open => open.id).should.eql([withdrawal.id])
+      ;(await client.cancelWithdrawal('w-1')).status.should.equal('CANCELLED')
+      ;(await client.balance('BTC')).available.should.equal('1')
+      ;(await client.withdrawalHistory(false,{status:'CANCELLED'})).length.should.equal(1)
+      await client.requestWithdrawal('BTC',5,'3Address').should.be.rejectedWith(BittrexApiError,{code:'INSUFFICIENT_FUNDS'})
+    })
+
+    it('should send the destination tag as cryptoAddressTag, also when given under its old misspelt name', async () => {
+      const withdrawal = await client.requestWithdrawal('BTC',0.1,'3Address',{cryptoAddressTag:'1001'})
+      withdrawal.cryptoAddressTag.should.equal('1001')
+      ;(await client.requestWithdrawal('BTC',0.1,'3Address',{cryptoAdressTag:'1002'})).cryptoAddressTag.should.equal('1002')
+      server.requests.filter(request => request.path === '/withdrawals').map(request => request.body.cryptoAddressTag).should.eql(['1001','1002'])
+      server.requests.forEach(request => (request.body || {}).should.not.have.property('cryptoAdressTag'))
+    })
+
+    it('should page closed deposits', async () => {
+      const [first] = await client.depositHistory(undefined,false,{pageSize:1})
+      const rest = await client.depositHistory(undefined,false,{nextPageToken:first.id})
+      rest.length.should.equal(2)
+      ;(await client.depositHistory('USD')).length.should.equal(1)
+      should(await client.depositHistory('BTC',true)).be.empty()
+    })
+
+    it('should create deposit addresses once', async () => {
+      (await client.getNewDepositAddress('ETH')).should.containDeep({status:'REQUESTED',currencySymbol:'ETH'})
+      await client.getNewDepositAddress('ETH').should.be.rejectedWith(BittrexApiError,{code:'CRYPTO_ADDRESS_ALREADY_EXISTS'})
+    })
+  })
+})
@@ -0,0 +1,110 @@
+const should = require('should')
+const { BittrexClient, BittrexSocketClient, OrderBookManager } = require('../')
+const stubTransport = require('./helpers/stub-transport')
+const MockHub = require('./helpers/mock-hub')
+
+function snapshot(sequence){
+  return {
+    headers:{sequence:String(sequence)},
+    data:{
+      bid:[{quantity:'1.0',rate:'100.0'},{quantity:'2.0',rate:'99.0'},{quantity:'3.0',rate:'98.0'}],
+      ask:[{quantity:'1.5',rate:'101.0'},{quantity:'2.5',rate:'102.0'}]
+    }
+  }
+}
+
+describe('order book manager', () => {
+  let client, calls, sequence
+  beforeEach(() => {
+    client = new BittrexClient({rateLimit:false})
+    sequence = 10
+    calls = stubTransport(client,() => snapshot(sequence))
+  })
+
+  it('should seed from the snapshot and answer queries', async () => {
+    const book = new OrderBookManager({client,marketSymbol:'BTC-USD'})
+    await book.start()
+    calls[0].url.should.endWith('/markets/BTC-USD/orderbook?depth=25')
+    book.sequence.should.equal(10)
+    book.bestBid().should.eql({rate:100,quantity:1})
+    book.bestAsk().should.eql({rate:101,quantity:1.5})
+    book.spread().should.equal(1)
+    book.depthAt('bid',99).should.equal(2)
+    book.cumulativeVolume('bid',99).should.equal(3)
+    book.cumulativeVolume('ask',102).should.equal(4)
+    book.vwap('ask',2.5).should.equal((1.5*101+1*102)/2.5)
+    should(book.vwap('ask',10)).be.null()
+  })
+
+  it('should apply deltas in sequence and ignore stale ones', async () => {
+    const book = new OrderBookManager({client,marketSymbol:'BTC-USD'})
+    await book.start()
+    book.applyUpdate({sequence:9,bidDeltas:[{quantity:'9',rate:'100.0'}]})
+    book.applyUpdate({sequence:11,bidDeltas:[{quantity:'0',rate:'100.0'}],askDeltas:[{quantity:'4',rate:'100.5'}]})
+    book.sequence.should.equal(11)
+    book.bestBid().should.eql({rate:99,quantity:2})
+    book.bestAsk().should.eql({rate:100.5,quantity:4})
+  })
+
+  it('should replay deltas buffered while the snapshot was loading', async () => {
+    const book = new OrderBookManager({client,marketSymbol:'BTC-USD'})
+    const started = book.start()
+    book.applyUpdate({sequence:10,bidDeltas:[{quantity:'5',rate:'100.0'}]})
+    book.applyUpdate({sequence:11,bidDeltas:[{quantity:'6',rate:'100.0'}]})
+    await started
+    book.sequence.should.equal(11)
+    book.depthAt('bid',100).should.equal(6)
+  })
+
+  it('should resync after a gap', async () => {
+    const book = new OrderBookManager({client,marketSymbol:'BTC-USD'})
+    await book.start()
+    const gaps = []
+    book.on('gap',gap => gaps.push(gap))
+    sequence = 12
+    book.applyUpdate({sequence:13,askDeltas:[{quantity:'7',rate:'101.0'}]})
+    await book.resync()
+    gaps.should.eql([{expected:11,received:13}])
+    calls.length.should.equal(2)
+    book.sequence.should.equal(13)
+    book.depthAt('ask',101).should.equal(7)
+  })
+
+  it('should refetch the snapshot when the buffered deltas have a hole', async () => {
+    const book = new OrderBookManager({client,marketSymbol:'BTC-USD'})
+    const gaps = []
+    book.on('gap',gap => {
+      gaps.push(gap)
+      sequence = 12
+    })
+    const started = book.start()
+    book.applyUpdate({sequence:11,bidDeltas:[{quantity:'5',rate:'100.0'}]})
+    book.applyUpdate({sequence:13,bidDeltas:[{quantity:'6',rate:'100.0'}]})
+    book.applyUpdate({sequence:14,askDeltas:[{quantity:'7',rate:'101.0'}]})
+    await started
+    gaps.should.eql([{expected:12,received:13}])
+    calls.length.should.equal(2)
+    book.sequence.should.equal(14)
+    book.depthAt('bid',100).should.equal(6)
+    book.depthAt('ask',101).should.equal(7)
+  })
+
+  it('should follow the websocket orderbook channel', async () => {
+    const hub = await new MockHub().listen()
+    const socket = new BittrexSocketClient({url:hub.url})
+    try {
+      await socket.connect()
+      const book = new OrderBookManager({client,socket,marketSymbol:'BTC-USD',depth:25})
+      await book.start()
+      hub.invocations[0].args.should.eql([['orderbook_BTC-USD_25']])
+      const updated = new Promise(resolve => book.once('update',resolve))
+      hub.publish('orderBook',{marketSymbol:'BTC-USD',depth:25,sequence:11,bidDeltas:[{quantity:'4',rate:'100.5'}],askDeltas:[]})
+      await updated
+      book.bestBid().should.eql({rate:100.5,quantity:4})
+      await book.stop()
+    } finally {
+      await socket.disconnect()
+      await hub.close()
+    }
+  })
+})
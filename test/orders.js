@@ -0,0 +1,89 @@
+const should = require('should')
+const { BittrexClient, BittrexValidationError } = require('../')
+const stubTransport = require('./helpers/stub-transport')
+
+const BASE = 'https://api.bittrex.com/v3'
+const client = new BittrexClient({apiKey:'key',apiSecret:'secret',rateLimit:false})
+
+describe('order surface', () => {
+  let calls
+  beforeEach(() => {
+    calls = stubTransport(client,() => ({data:{}}))
+  })
+
+  it('should create a stop-loss conditional order', async () => {
+    await client.sendConditionalOrder('BTC-USD','LTE',{triggerPrice:40000},{
+      orderToCreate:{direction:'SELL',type:'LIMIT',quantity:0.1,limit:39900,timeInForce:'GOOD_TIL_CANCELLED'},
+      orderToCancel:{type:'CONDITIONAL_ORDER',id:'take-profit-id'},
+      clientConditionalOrderId:'stop-id'
+    })
+    calls[0].url.should.equal(`${BASE}/conditional-orders`)
+    const body = JSON.parse(calls[0].data)
+    body.should.containDeep({
+      marketSymbol:'BTC-USD',operand:'LTE',triggerPrice:40000,clientConditionalOrderId:'stop-id',
+      orderToCreate:{marketSymbol:'BTC-USD',direction:'SELL',type:'LIMIT',quantity:0.1,limit:39900,timeInForce:'GOOD_TIL_CANCELLED'},
+      orderToCancel:{type:'CONDITIONAL_ORDER',id:'take-profit-id'}
+    })
+    should.exist(body.orderToCreate.clientOrderId)
+  })
+
+  it('should create a trailing stop', async () => {
+    await client.sendConditionalOrder('BTC-USD','LTE',{trailingStopPercent:2.5},{orderToCreate:{direction:'SELL',type:'MARKET',quantity:0.1}})
+    JSON.parse(calls[0].data).should.containDeep({trailingStopPercent:2.5})
+  })
+
+  it('should validate conditional orders like sendOrder', async () => {
+    await client.sendConditionalOrder('BTC-USD','BELOW',{triggerPrice:1},{orderToCancel:{type:'ORDER',id:'x'}}).should.be.rejectedWith(BittrexValidationError,{field:'operand'})
+    await client.sendConditionalOrder('BTC-USD','LTE',{triggerPrice:1,trailingStopPercent:1},{orderToCancel:{type:'ORDER',id:'x'}}).should.be.rejectedWith(BittrexValidationError,{field:'trailingStopPercent'})
+    await client.sendConditionalOrder('BTC-USD','LTE',{triggerPrice:1}).should.be.rejectedWith(BittrexValidationError,{field:'orderToCreate'})
+    await client.sendConditionalOrder('BTC-USD','LTE',{triggerPrice:1},{orderToCreate:{direction:'SELL',type:'LIMIT',quantity:1}}).should.be.rejectedWith(BittrexValidationError,{field:'limit'})
+    calls.length.should.equal(0)
+  })
+
+  it('should query and cancel conditional orders', async () => {
+    await client.getConditionalOrder('c-id')
+    await client.getOpenConditionalOrders('BTC-USD')
+    await client.getClosedConditionalOrders('BTC-USD',{pageSize:10})
+    await client.cancelConditionalOrder('c-id')
+    calls.map(call => `${call.method.toUpperCase()} ${call.url.replace(BASE,'')}`).should.eql([
+      'GET /conditional-orders/c-id',
+      'GET /conditional-orders/open?marketSymbol=BTC-USD',
+      'GET /conditional-orders/closed?marketSymbol=BTC-USD&pageSize=10',
+      'DELETE /conditional-orders/c-id'
+    ])
+  })
+
+  it('should place and cancel orders in one batch', async () => {
+    await client.batch([
+      {operation:'POST',payload:{marketSymbol:'BTC-USD',direction:'BUY',type:'LIMIT',quantity:0.1,limit:30000,timeInForce:'GOOD_TIL_CANCELLED'}},
+      {operation:'DELETE',payload:{id:'old-order'}}
+    ])
+    calls[0].url.should.equal(`${BASE}/batch`)
+    const body = JSON.parse(calls[0].data)
+    body.length.should.equal(2)
+    body[0].should.containDeep({resource:'ORDER',operation:'POST',payload:{marketSymbol:'BTC-USD',direction:'BUY',quantity:0.1}})
+    body[1].should.eql({resource:'ORDER',operation:'DELETE',payload:{id:'old-order'}})
+  })
+
+  it('should reject an invalid batch before sending anything', async () => {
+    await client.batch([
+      {operation:'DELETE',payload:{id:'old-order'}},
+      {operation:'POST',payload:{marketSymbol:'BTC-USD',direction:'BUY',type:'MARKET'}}
+    ]).should.be.rejectedWith(BittrexValidationError,{field:'quantity'})
+    await client.batch([]).should.be.rejectedWith(BittrexValidationError,{field:'operations'})
+    calls.length.should.equal(0)
+  })
+
+  it('should fetch executions', async () => {
+    await client.getOrderExecutions('order-id')
+    await client.getExecutions('BTC-USD',{startDate:new Date(Date.UTC(2021,0,1))})
+    await client.getExecution('execution-id')
+    await client.getLastExecutionId()
+    calls.map(call => call.url.replace(BASE,'')).should.eql([
+      '/orders/order-id/executions',
+      '/executions?marketSymbol=BTC-USD&startDate=2021-01-01T00%3A00%3A00.000Z',
+      '/executions/execution-id',
+      '/executions/last-id'
+    ])
+  })
+})
@@ -0,0 +1,66 @@
+const should = require('should')
+const { URL } = require('url')
+const { BittrexClient, BittrexError, collect } = require('../')
+const stubTransport = require('./helpers/stub-transport')
+
+const client = new BittrexClient({apiKey:'key',apiSecret:'secret',rateLimit:false})
+
+// 450 items, one per hour, newest first
+const start = Date.UTC(2021,0,1)
+const items = Array.from({length:450},(_,i) => {
+  const date = new Date(start+(449-i)*3600000).toISOString()
+  return {id:`id-${i}`,closedAt:date,completedAt:date,executedAt:date}
+})
+
+function servePages(){
+  return stubTransport(client,config => {
+    const {searchParams} = new URL(config.url)
+    const pageSize = Number(searchParams.get('pageSize') || 100)
+    const token = searchParams.get('nextPageToken')
+    const from = token ? items.findIndex(item => item.id === token)+1 : 0
+    return {data:items.slice(from,from+pageSize)}
+  })
+}
+
+describe('pagination', () => {
+  it('should follow page tokens through the whole order history', async () => {
+    const calls = servePages()
+    const orders = await collect(client.iterateOrderHistory({marketSymbol:'BTC-USD'}))
+    orders.length.should.equal(450)
+    orders[449].id.should.equal('id-449')
+    calls.length.should.equal(3)
+    calls[0].url.should.containEql('pageSize=200')
+    calls[1].url.should.containEql('nextPageToken=id-199')
+    calls[2].url.should.containEql('nextPageToken=id-399')
+  })
+
+  it('should cap the page size at 200', async () => {
+    const calls = servePages()
+    await collect(client.iterateClosedDeposits({pageSize:1000}))
+    calls[0].url.should.containEql('pageSize=200')
+    calls[0].url.should.containEql('/deposits/closed')
+  })
+
+  it('should stop at the start date', async () => {
+    const calls = servePages()
+    const withdrawals = await collect(client.iterateClosedWithdrawals({pageSize:50,startDate:new Date(start+400*3600000)}))
+    withdrawals.length.should.equal(50)
+    calls.length.should.equal(2)
+  })
+
+  it('should stop early when the consumer breaks out', async () => {
+    const calls = servePages()
+    let count = 0
+    for await (const execution of client.iterateExecutions()){
+      should.exist(execution)
+      if (++count === 10) break
+    }
+    calls.length.should.equal(1)
+    calls[0].url.should.containEql('/executions')
+  })
+
+  it('should refuse to collect more than maxItems', async () => {
+    servePages()
+    await collect(client.iterateOrderHistory(),{maxItems:100}).should.be.rejectedWith(BittrexError,{code:'MAX_ITEMS_EXCEEDED'})
+  })
+})
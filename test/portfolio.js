@@ -0,0 +1,96 @@
+const should = require('should')
+const { BittrexClient, Big, BittrexValidationError, MockBittrexServer } = require('../')
+const { valuePortfolio, findRoute } = require('../src/portfolio')
+
+const MARKETS = [
+  {symbol:'BTC-USD',baseCurrencySymbol:'BTC',quoteCurrencySymbol:'USD',status:'ONLINE'},
+  {symbol:'ETH-BTC',baseCurrencySymbol:'ETH',quoteCurrencySymbol:'BTC',status:'ONLINE'},
+  {symbol:'XYZ-ETH',baseCurrencySymbol:'XYZ',quoteCurrencySymbol:'ETH',status:'ONLINE'},
+  {symbol:'OLD-USD',baseCurrencySymbol:'OLD',quoteCurrencySymbol:'USD',status:'OFFLINE'}
+]
+
+const TICKERS = [
+  {symbol:'BTC-USD',lastTradeRate:'50000',bidRate:'49990',askRate:'50010'},
+  {symbol:'ETH-BTC',lastTradeRate:'0.05',bidRate:'0.049',askRate:'0.051'},
+  {symbol:'XYZ-ETH',lastTradeRate:'0.01',bidRate:'0.01',askRate:'0.01'},
+  {symbol:'OLD-USD',lastTradeRate:'3',bidRate:'3',askRate:'3'}
+]
+
+describe('portfolio', () => {
+  describe('findRoute', () => {
+    it('should find direct, inverted and multi-hop routes', () => {
+      findRoute('BTC','USD',MARKETS).should.eql([{marketSymbol:'BTC-USD',invert:false}])
+      findRoute('USD','BTC',MARKETS).should.eql([{marketSymbol:'BTC-USD',invert:true}])
+      findRoute('XYZ','USD',MARKETS).map(step => step.marketSymbol).should.eql(['XYZ-ETH','ETH-BTC','BTC-USD'])
+      findRoute('USD','USD',MARKETS).should.eql([])
+      should(findRoute('XYZ','USD',MARKETS,2)).be.null()
+      should(findRoute('ABC','USD',MARKETS)).be.null()
+    })
+  })
+
+  describe('valuePortfolio', () => {
+    const balances = [
+      {currencySymbol:'USD',total:'1000',available:'400'},
+      {currencySymbol:'BTC',total:'0.1',available:'0.1'},
+      {currencySymbol:'XYZ',total:'1000',available:'1000'},
+      {currencySymbol:'OLD',total:'5',available:'5'},
+      {currencySymbol:'ETH',total:'0',available:'0'}
+    ]
+
+    it('should value holdings through intermediate markets', () => {
+      const result = valuePortfolio({quote:'USD',balances,markets:MARKETS,tickers:TICKERS})
+      result.total.toFixed().should.equal('31000')
+      result.reserved.toFixed().should.equal('600')
+      result.assets.map(asset => [asset.currencySymbol,asset.value.toFixed(),asset.allocation.toFixed()]).should.eql([
+        ['XYZ','25000','80.6452'],['BTC','5000','16.129'],['USD','1000','3.2258']
+      ])
+      result.assets[0].route.should.eql(['XYZ-ETH','ETH-BTC','BTC-USD'])
+      result.assets[0].price.toFixed().should.equal('25')
+      result.unpriced.should.eql(['OLD'])
+    })
+
+    it('should value pending transfers separately', () => {
+      const result = valuePortfolio({quote:'BTC',balances:[],markets:MARKETS,tickers:TICKERS,
+        deposits:[{currencySymbol:'ETH',quantity:'2'}],withdrawals:[{currencySymbol:'USD',quantity:'5000'}]})
+      result.total.toFixed().should.equal('0')
+      result.pendingDeposits.toFixed().should.equal('0.1')
+      result.pendingWithdrawals.toFixed().should.equal('0.1')
+    })
+
+    it('should price with the requested ticker rate', () => {
+      const bid = valuePortfolio({quote:'USD',price:'bid',balances:[{currencySymbol:'BTC',total:'1',available:'1'}],markets:MARKETS,tickers:TICKERS})
+      bid.total.toFixed().should.equal('49990')
+      const mid = valuePortfolio({quote:'USD',price:'mid',balances:[{currencySymbol:'BTC',total:'1',available:'1'}],markets:MARKETS,tickers:TICKERS})
+      mid.total.toFixed().should.equal('50000')
+      should(() => valuePortfolio({quote:'USD',price:'close',balances:[],markets:[],tickers:[]})).throw(BittrexValidationError,{field:'price'})
+    })
+  })
+
+  describe('client.portfolio', () => {
+    let server
+    before(async () => {
+      server = await new MockBittrexServer({balances:{BTC:'1',ETH:'5',USD:'10000'}}).listen()
+    })
+
+    after(() => server.close())
+
+    it('should join balances, markets, tickers and transfers from the API', async () => {
+      const client = new BittrexClient({apiKey:'key',apiSecret:'secret',baseURL:server.url,rateLimit:false})
+      await client.sendOrder('ETH-USD','SELL','LIMIT',{quantity:1,limit:5000},'GOOD_TIL_CANCELLED')
+      const result = await client.portfolio({quote:'USD'})
+      result.quote.should.equal('USD')
+      result.assets.map(asset => asset.currencySymbol).should.eql(['BTC','ETH','USD'])
+      result.assets[1].reserved.should.equal('1')
+      Number(result.total).should.be.above(10000)
+      should.exist(result.updatedAt)
+      server.requests.map(request => request.path).should.containDeep(['/balances/','/markets','/markets/tickers','/deposits/open','/withdrawals/open'])
+    })
+
+    it('should return Big amounts in decimal mode', async () => {
+      const client = new BittrexClient({apiKey:'key',apiSecret:'secret',baseURL:server.url,rateLimit:false,numeric:'decimal'})
+      const result = await client.portfolio({quote:'BTC'})
+      result.total.should.be.instanceOf(Big)
+      result.assets.find(asset => asset.currencySymbol === 'BTC').route.should.eql([])
+    })
+  })
+})
@@ -0,0 +1,66 @@
+const should = require('should')
+const CryptoJS = require('crypto-js')
+const { BittrexClient } = require('../')
+const stubTransport = require('./helpers/stub-transport')
+
+const BASE = 'https://api.bittrex.com/v3'
+const client = new BittrexClient({apiKey:'key',apiSecret:'secret',rateLimit:false})
+
+function verifySignature(config){
+  const {headers} = config
+  const body = config.data === undefined ? '' : config.data
+  const contentHash = CryptoJS.SHA512(body).toString(CryptoJS.enc.Hex)
+  headers['Api-Content-Hash'].should.equal(contentHash)
+  const preSign = [headers['Api-Timestamp'],config.url,config.method.toUpperCase(),contentHash].join('')
+  headers['Api-Signature'].should.equal(CryptoJS.HmacSHA512(preSign,'secret').toString(CryptoJS.enc.Hex))
+}
+
+describe('query strings', () => {
+  let calls
+  beforeEach(() => {
+    calls = stubTransport(client,() => ({data:[]}))
+  })
+
+  it('should send and sign every getOrderHistory filter', async () => {
+    await client.getOrderHistory('BTC-USD','next-id',undefined,50,new Date(Date.UTC(2021,0,2)),'2021-02-01T00:00:00Z')
+    calls[0].url.should.equal(`${BASE}/orders/closed?endDate=2021-02-01T00%3A00%3A00Z&marketSymbol=BTC-USD&nextPageToken=next-id&pageSize=50&startDate=2021-01-02T00%3A00%3A00.000Z`)
+    verifySignature(calls[0])
+  })
+
+  it('should send withdrawal filters', async () => {
+    await client.withdrawalHistory(false,{currencySymbol:'BTC',status:'COMPLETED'})
+    calls[0].url.should.equal(`${BASE}/withdrawals/closed?currencySymbol=BTC&status=COMPLETED`)
+    verifySignature(calls[0])
+  })
+
+  it('should send deposit filters', async () => {
+    await client.depositHistory('ETH',true)
+    calls[0].url.should.equal(`${BASE}/deposits/open?currencySymbol=ETH`)
+    verifySignature(calls[0])
+  })
+
+  it('should send open order filters', async () => {
+    await client.getOpenOrders('BTC-USD')
+    calls[0].url.should.equal(`${BASE}/orders/open?marketSymbol=BTC-USD`)
+    verifySignature(calls[0])
+  })
+
+  it('should omit the query string when no filter is set', async () => {
+    await client.getOrderHistory()
+    calls[0].url.should.equal(`${BASE}/orders/closed`)
+    verifySignature(calls[0])
+  })
+
+  it('should send public query parameters', async () => {
+    await client.orderBook('BTC-USD',500)
+    calls[0].url.should.equal(`${BASE}/markets/BTC-USD/orderbook?depth=500`)
+    should.not.exist(calls[0].headers['Api-Signature'])
+  })
+
+  it('should sign the body of POST requests', async () => {
+    await client.getNewDepositAddress('BTC')
+    calls[0].url.should.equal(`${BASE}/addresses`)
+    JSON.parse(calls[0].data).should.eql({currencySymbol:'BTC'})
+    verifySignature(calls[0])
+  })
+})
@@ -0,0 +1,164 @@
+const should = require('should')
+const { BittrexClient, BittrexError, BittrexValidationError, MockBittrexServer, buildLedger, computePnL, exportReport } = require('../')
+const { candleConverter } = require('../src/reporting')
+
+function day(n){
+  return new Date(Date.UTC(2021,0,n)).toISOString()
+}
+
+function execution(id,marketSymbol,orderId,n,quantity,rate,commission){
+  return {id,marketSymbol,orderId,executedAt:day(n),quantity,rate,commission,isTaker:true}
+}
+
+function read(stream){
+  return new Promise((resolve,reject) => {
+    let text = ''
+    stream.on('data',chunk => { text += chunk })
+    stream.on('end',() => resolve(text))
+    stream.on('error',reject)
+  })
+}
+
+const ORDERS = [{id:'o1',direction:'BUY'},{id:'o2',direction:'BUY'},{id:'o3',direction:'SELL'}]
+// newest first, like the API
+const EXECUTIONS = [
+  execution('e3','BTC-USD','o3',3,'1.5','300','4.5'),
+  execution('e2','BTC-USD','o2',2,'1','200','2'),
+  execution('e1','BTC-USD','o1',1,'1','100','1')
+]
+
+describe('reporting', () => {
+  describe('buildLedger', () => {
+    it('should sort events oldest first and take directions from orders', () => {
+      const ledger = buildLedger({orders:ORDERS,executions:EXECUTIONS,
+        deposits:[{id:'d1',currencySymbol:'USD',quantity:'500',completedAt:day(1),status:'COMPLETED'}],
+        withdrawals:[{id:'w1',currencySymbol:'BTC',quantity:'1',txCost:'0.1',createdAt:day(2),status:'CANCELLED'}]})
+      ledger.map(event => event.id).should.eql(['d1','e1','e2','e3'])
+      ledger[3].direction.should.equal('SELL')
+      ledger[3].baseCurrencySymbol.should.equal('BTC')
+    })
+
+    it('should reject executions of unknown orders', () => {
+      should(() => buildLedger({executions:EXECUTIONS})).throw(BittrexValidationError,{field:'orders'})
+    })
+  })
+
+  describe('computePnL', () => {
+    const ledger = buildLedger({orders:ORDERS,executions:EXECUTIONS})
+    const summary = report => [report.totals.realized.toFixed(),report.assets[0].quantity.toFixed(),report.assets[0].costBasis.toFixed()]
+
+    it('should match lots first in, first out', () => {
+      const report = computePnL(ledger,{prices:{BTC:'400'}})
+      summary(report).should.eql(['243.5','0.5','101'])
+      report.disposals.map(row => [row.quantity.toFixed(),row.acquiredAt,row.proceeds.toFixed(),row.costBasis.toFixed(),row.gain.toFixed()]).should.eql([
+        ['1',day(1),'297','101','196'],
+        ['0.5',day(2),'148.5','101','47.5']
+      ])
+      report.totals.commissions.toFixed().should.equal('7.5')
+      report.totals.unrealized.toFixed().should.equal('99')
+      report.assets[0].averageCost.toFixed().should.equal('202')
+    })
+
+    it('should match lots last in, first out', () => {
+      summary(computePnL(ledger,{method:'LIFO'})).should.eql(['193','0.5','50.5'])
+    })
+
+    it('should pool lots at average cost', () => {
+      const report = computePnL(ledger,{method:'AVERAGE'})
+      summary(report).should.eql(['218.25','0.5','75.75'])
+      should(report.disposals[0].acquiredAt).be.null()
+    })
+
+    it('should only report disposals inside the period', () => {
+      const report = computePnL(ledger,{startDate:day(3),endDate:day(4)})
+      report.totals.realized.toFixed().should.equal('243.5')
+      report.totals.commissions.toFixed().should.equal('4.5')
+      report.transactions.map(event => event.id).should.eql(['e3'])
+      computePnL(ledger,{endDate:day(3)}).disposals.length.should.equal(0)
+    })
+
+    it('should value cross trades, deposits and withdrawal fees in the reporting currency', () => {
+      const rates = {ETH:'10',BTC:'300'}
+      const report = computePnL(buildLedger({
+        orders:[{id:'o1',direction:'SELL'},{id:'o2',direction:'SELL'}],
+        executions:[execution('e1','ETH-BTC','o1',2,'2','0.05','0.001'),execution('e2','BTC-USD','o2',4,'0.01','400','0')],
+        deposits:[{id:'d1',currencySymbol:'ETH',quantity:'10',completedAt:day(1),status:'COMPLETED'}],
+        withdrawals:[{id:'w1',currencySymbol:'BTC',quantity:'0.099',txCost:'0.009',completedAt:day(3),status:'COMPLETED'}]
+      }),{convert:currencySymbol => rates[currencySymbol]})
+      report.disposals.map(row => [row.type,row.currencySymbol,row.gain.toFixed(),row.unmatched]).should.eql([
+        ['TRADE','ETH','9.7',false],['FEE','BTC','-2.7',false],['TRADE','BTC','4',true]
+      ])
+      report.totals.realized.toFixed().should.equal('11')
+      report.totals.fees.toFixed().should.equal('2.7')
+      report.totals.commissions.toFixed().should.equal('0.3')
+      report.assets.map(asset => [asset.currencySymbol,asset.quantity.toFixed(),asset.costBasis.toFixed()]).should.eql([['BTC','0','0'],['ETH','8','80']])
+    })
+
+    it('should fail when a rate is needed but missing', () => {
+      const deposits = [{id:'d1',currencySymbol:'ETH',quantity:'1',completedAt:day(1)}]
+      should(() => computePnL(buildLedger({deposits}))).throw(BittrexError,{code:'NO_PRICE'})
+      computePnL(buildLedger({deposits}),{depositBasis:'zero'}).assets[0].costBasis.toFixed().should.equal('0')
+      should(() => computePnL([],{method:'HIFO'})).throw(BittrexValidationError,{field:'method'})
+    })
+  })
+
+  describe('candleConverter', () => {
+    it('should use the close of the day along the route', () => {
+      const candles = {
+        'ETH-BTC':[{startsAt:day(1),close:'0.05'},{startsAt:day(2),close:'0.06'}],
+        'BTC-USD':[{startsAt:day(1),close:'100'},{startsAt:day(2),close:'200'}]
+      }
+      const convert = candleConverter({ETH:[{marketSymbol:'ETH-BTC',invert:false},{marketSymbol:'BTC-USD',invert:false}],XYZ:null},candles)
+      convert('ETH',Date.parse(day(1))+3600000).toFixed().should.equal('5')
+      convert('ETH',Date.parse(day(9))).toFixed().should.equal('12')
+      should(convert('ETH',Date.parse(day(0)))).be.null()
+      should(convert('XYZ',Date.parse(day(1)))).be.null()
+    })
+  })
+
+  describe('exportReport', () => {
+    const report = computePnL(buildLedger({orders:ORDERS,executions:EXECUTIONS}),{prices:{BTC:'400'}})
+
+    it('should write disposals, summary and Form 8949 CSV', async () => {
+      (await read(exportReport(report))).split('\n')[1].should.equal(`TRADE,BTC,1,${day(1)},${day(3)},297,101,196,e3,false`)
+      ;(await read(exportReport(report,'summary'))).split('\n')[1].should.equal('BTC,0.5,101,202,400,200,243.5,99,7.5,0')
+      ;(await read(exportReport(report,'form8949'))).split('\n').slice(0,3).should.eql([
+        'Description,Date Acquired,Date Sold,Proceeds,Cost Basis,Gain or Loss',
+        '1 BTC,01/01/2021,01/03/2021,297.00,101.00,196.00',
+        '0.5 BTC,01/02/2021,01/03/2021,148.50,101.00,47.50'
+      ])
+    })
+
+    it('should write transactions in Koinly\'s universal format', async () => {
+      const lines = (await read(exportReport(report,'koinly'))).trim().split('\n')
+      lines.length.should.equal(4)
+      lines[1].should.equal('2021-01-01 00:00:00 UTC,100,USD,1,BTC,1,USD,101,USD,,BUY BTC-USD,e1')
+      lines[3].should.equal('2021-01-03 00:00:00 UTC,1.5,BTC,450,USD,4.5,USD,445.5,USD,,SELL BTC-USD,e3')
+      should(() => exportReport(report,'xlsx')).throw(BittrexValidationError,{field:'format'})
+    })
+  })
+
+  describe('client.pnlReport', () => {
+    it('should report on the full account history from the API', async () => {
+      const server = await new MockBittrexServer().listen()
+      try{
+        const client = new BittrexClient({apiKey:'key',apiSecret:'secret',baseURL:server.url,rateLimit:false})
+        await client.sendOrder('BTC-USD','SELL','MARKET',{quantity:0.5})
+        await client.sendOrder('ETH-BTC','SELL','MARKET',{quantity:1})
+        const report = await client.pnlReport({method:'FIFO'})
+        report.transactions.slice(0,3).map(event => event.type).should.eql(['DEPOSIT','DEPOSIT','DEPOSIT'])
+        report.transactions.slice(3).every(event => event.type === 'TRADE').should.be.true()
+        report.disposals.filter(row => row.currencySymbol === 'BTC').every(row => !row.unmatched).should.be.true()
+        report.disposals.filter(row => row.currencySymbol === 'ETH').every(row => row.unmatched).should.be.true()
+        Number(report.totals.commissions).should.be.above(0)
+        should.exist(report.assets.find(asset => asset.currencySymbol === 'BTC').unrealized)
+        server.requests.some(request => /\/markets\/BTC-USD\/candles\/TRADE\/DAY_1\//.test(request.path)).should.be.true()
+        await client.pnlReport({depositBasis:'cost'}).should.be.rejectedWith(BittrexValidationError,{field:'depositBasis'})
+        await client.pnlReport({maxItems:2}).should.be.rejectedWith(BittrexError,{code:'MAX_ITEMS_EXCEEDED'})
+      }
+      finally{
+        await server.close()
+      }
+    })
+  })
+})
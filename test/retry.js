@@ -0,0 +1,90 @@
+const should = require('should')
+const { BittrexClient, BittrexApiError, BittrexNetworkError } = require('../')
+const RateLimiter = require('../src/rate-limiter')
+const stubTransport = require('./helpers/stub-transport')
+
+const retry = {maxAttempts:3,baseDelay:5,jitter:false}
+
+function failing(times,failure){
+  let count = 0
+  return () => {
+    if (count++ < times) return failure()
+    return {data:{ok:true}}
+  }
+}
+
+const unavailable = () => ({status:503,data:{code:'SERVICE_UNAVAILABLE'}})
+const reset = () => {
+  const error = new Error('socket hang up')
+  error.code = 'ECONNRESET'
+  throw error
+}
+
+describe('retry', () => {
+  it('should retry GET requests on 503 and socket resets', async () => {
+    const client = new BittrexClient({retry})
+    let calls = stubTransport(client,failing(2,unavailable))
+    should(await client.markets()).eql({ok:true})
+    calls.length.should.equal(3)
+    calls = stubTransport(client,failing(1,reset))
+    should(await client.markets()).eql({ok:true})
+    calls.length.should.equal(2)
+  })
+
+  it('should give up after maxAttempts', async () => {
+    const client = new BittrexClient({retry})
+    const calls = stubTransport(client,unavailable)
+    await client.markets().should.be.rejectedWith(BittrexApiError,{status:503,attempts:3})
+    calls.length.should.equal(3)
+  })
+
+  it('should honor Retry-After on 429', async () => {
+    const client = new BittrexClient({retry,rateLimit:false})
+    stubTransport(client,failing(1,() => ({status:429,headers:{'retry-after':'0.1'}})))
+    const start = Date.now()
+    await client.markets()
+    ;(Date.now()-start).should.be.aboveOrEqual(95)
+  })
+
+  it('should retry deduplicable POSTs with a fresh signature', async () => {
+    const client = new BittrexClient({apiKey:'key',apiSecret:'secret',retry})
+    const calls = stubTransport(client,failing(1,reset))
+    await client.requestWithdrawal('BTC',1,'address',{clientWithdrawalId:'id'})
+    calls.length.should.equal(2)
+    calls[0].headers['Api-Timestamp'].should.not.equal(calls[1].headers['Api-Timestamp'])
+    calls[0].headers['Api-Signature'].should.not.equal(calls[1].headers['Api-Signature'])
+  })
+
+  it('should not retry requests the exchange cannot deduplicate', async () => {
+    const client = new BittrexClient({apiKey:'key',apiSecret:'secret',retry})
+    const calls = stubTransport(client,reset)
+    await client.cancelOrder('some-id').should.be.rejectedWith(BittrexNetworkError,{attempts:1})
+    calls.length.should.equal(1)
+  })
+
+  it('should not retry when disabled', async () => {
+    const client = new BittrexClient({retry:false})
+    const calls = stubTransport(client,unavailable)
+    await client.markets().should.be.rejectedWith(BittrexApiError)
+    calls.length.should.equal(1)
+  })
+})
+
+describe('rate limiter', () => {
+  it('should release a burst immediately and throttle the rest', async () => {
+    const limiter = new RateLimiter({requestsPerMinute:600,burst:2})
+    const start = Date.now()
+    await Promise.all([limiter.acquire(),limiter.acquire()])
+    ;(Date.now()-start).should.be.below(50)
+    await Promise.all([limiter.acquire(),limiter.acquire()])
+    ;(Date.now()-start).should.be.aboveOrEqual(190)
+  })
+
+  it('should hold every request while paused', async () => {
+    const limiter = new RateLimiter({requestsPerMinute:6000})
+    limiter.pause(100)
+    const start = Date.now()
+    await limiter.acquire()
+    ;(Date.now()-start).should.be.aboveOrEqual(95)
+  })
+})
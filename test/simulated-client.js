@@ -0,0 +1,144 @@
+require('should')
+const { SimulatedBittrexClient, BittrexApiError, BittrexError, BittrexGuardError, BittrexValidationError } = require('../')
+
+const BOOK = {
+  bid:[{quantity:'1',rate:'99'},{quantity:'2',rate:'98'}],
+  ask:[{quantity:'1',rate:'101'},{quantity:'2',rate:'102'}]
+}
+
+function simulator(options={}){
+  const client = new SimulatedBittrexClient(Object.assign({
+    marketData:'recorded',numeric:'string',rateLimit:false,
+    balances:{USD:1000,BTC:1},fees:{maker:0.001,taker:0.002}
+  },options))
+  client.feedOrderBook('BTC-USD',BOOK)
+  return client
+}
+
+async function balances(client){
+  const result = {}
+  for (const balance of await client.balance()) result[balance.currencySymbol] = {total:balance.total,available:balance.available}
+  return result
+}
+
+describe('SimulatedBittrexClient', () => {
+
+  it('should fill a market buy across levels and charge taker commission in the quote currency', async () => {
+    const client = simulator()
+    const order = await client.sendOrder('BTC-USD','BUY','MARKET',{quantity:1.5},'IMMEDIATE_OR_CANCEL','client-1')
+    order.should.containDeep({marketSymbol:'BTC-USD',status:'CLOSED',fillQuantity:'1.5',proceeds:'152',commission:'0.304',clientOrderId:'client-1'})
+    ;(await balances(client)).should.eql({USD:{total:'847.696',available:'847.696'},BTC:{total:'2.5',available:'2.5'}})
+    ;(await client.orderBook('BTC-USD')).ask.should.eql([{quantity:'1.5',rate:'102'}])
+    ;(await client.getOrderExecutions(order.id)).map(execution => execution.rate).should.eql(['102','101'])
+  })
+
+  it('should stop a limit IOC at its limit and close it partially filled', async () => {
+    const client = simulator()
+    client.deposit('BTC',1)
+    const order = await client.sendOrder('BTC-USD','SELL','LIMIT',{quantity:1.5,limit:98.5})
+    order.should.containDeep({status:'CLOSED',fillQuantity:'1',proceeds:'99',commission:'0.198'})
+    ;(await balances(client)).should.eql({USD:{total:'1098.802',available:'1098.802'},BTC:{total:'1',available:'1'}})
+  })
+
+  it('should fill a fill-or-kill order completely or not at all', async () => {
+    const client = simulator()
+    const killed = await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:2,limit:101},'FILL_OR_KILL')
+    killed.should.containDeep({status:'CLOSED',fillQuantity:'0'})
+    const filled = await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:2,limit:102},'FILL_OR_KILL')
+    filled.should.containDeep({status:'CLOSED',fillQuantity:'2'})
+  })
+
+  it('should spend at most the ceiling on ceiling orders', async () => {
+    const client = simulator()
+    const order = await client.sendOrder('BTC-USD','BUY','CEILING_MARKET',{ceiling:152})
+    order.should.containDeep({status:'CLOSED',fillQuantity:'1.5',proceeds:'152'})
+    await client.sendOrder('BTC-USD','SELL','CEILING_MARKET',{ceiling:10}).should.be.rejectedWith(BittrexValidationError,{field:'direction'})
+  })
+
+  it('should rest GTC limit orders with reserved funds and fill them as maker from later books and trades', async () => {
+    const client = simulator()
+    const order = await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:2,limit:100},'GOOD_TIL_CANCELLED')
+    order.should.containDeep({status:'OPEN',fillQuantity:'0'})
+    ;(await balances(client)).USD.should.eql({total:'1000',available:'799.6'})
+    ;(await client.getOpenOrders('BTC-USD')).map(open => open.id).should.eql([order.id])
+
+    client.feedTrades('BTC-USD',[{quantity:'0.5',rate:'100.5',takerSide:'BUY'},{quantity:'0.5',rate:'100',takerSide:'SELL'}])
+    ;(await client.getOrder(order.id)).should.containDeep({status:'OPEN',fillQuantity:'0.5'})
+
+    client.feedOrderBook('BTC-USD',{bid:[],ask:[{quantity:'5',rate:'99.5'}]})
+    const closed = await client.getOrder(order.id)
+    closed.should.containDeep({status:'CLOSED',fillQuantity:'2',proceeds:'200',commission:'0.2'})
+    ;(await balances(client)).should.eql({USD:{total:'799.8',available:'799.8'},BTC:{total:'3',available:'3'}})
+    ;(await client.orderBook('BTC-USD')).ask.should.eql([{quantity:'3.5',rate:'99.5'}])
+    ;(await client.getExecutions('BTC-USD')).every(execution => execution.isTaker === false).should.be.true()
+  })
+
+  it('should release reservations when orders are cancelled', async () => {
+    const client = simulator()
+    const order = await client.sendOrder('BTC-USD','SELL','LIMIT',{quantity:0.5,limit:110},'GOOD_TIL_CANCELLED')
+    ;(await balances(client)).BTC.should.eql({total:'1',available:'0.5'})
+    ;(await client.cancelOrder(order.id)).status.should.equal('CLOSED')
+    ;(await balances(client)).BTC.should.eql({total:'1',available:'1'})
+    await client.cancelOrder(order.id).should.be.rejectedWith(BittrexApiError,{code:'ORDER_NOT_OPEN'})
+  })
+
+  it('should cancel all open orders of a market', async () => {
+    const client = simulator()
+    await client.sendOrder('BTC-USD','SELL','LIMIT',{quantity:0.1,limit:110},'GOOD_TIL_CANCELLED')
+    await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:0.1,limit:90},'GOOD_TIL_CANCELLED')
+    const results = await client.cancelOrder('open','BTC-USD')
+    results.map(result => result.statusCode).should.eql(['SUCCESS','SUCCESS'])
+    ;(await client.getOpenOrders()).should.be.empty()
+  })
+
+  it('should reject what the exchange would reject', async () => {
+    const client = simulator()
+    await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:20,limit:100},'GOOD_TIL_CANCELLED').should.be.rejectedWith(BittrexApiError,{code:'INSUFFICIENT_FUNDS',status:409})
+    await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:1,limit:101},'POST_ONLY_GOOD_TIL_CANCELLED').should.be.rejectedWith(BittrexApiError,{code:'POST_ONLY_WOULD_FILL'})
+    await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:1,limit:90},'GOOD_TIL_CANCELLED','same')
+    await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:1,limit:90},'GOOD_TIL_CANCELLED','same').should.be.rejectedWith(BittrexApiError,{code:'DUPLICATE_CLIENT_ORDER_ID'})
+    await client.getOrder('missing').should.be.rejectedWith(BittrexApiError,{code:'NOT_FOUND',status:404})
+    await client.sendOrder('ETH-USD','BUY','MARKET',{quantity:1}).should.be.rejectedWith(BittrexError,{code:'NO_MARKET_DATA'})
+  })
+
+  it('should page closed orders newest first', async () => {
+    let now = Date.parse('2021-01-01T00:00:00Z')
+    const client = simulator({clock:() => new Date(now)})
+    const ids = []
+    for (let i = 0; i < 3; i++){
+      now += 1000
+      ids.push((await client.sendOrder('BTC-USD','SELL','LIMIT',{quantity:0.01,limit:200})).id)
+    }
+    const first = await client.getOrderHistory('BTC-USD',undefined,undefined,2)
+    first.map(order => order.id).should.eql([ids[2],ids[1]])
+    const second = await client.getOrderHistory('BTC-USD',first[1].id,undefined,2)
+    second.map(order => order.id).should.eql([ids[0]])
+  })
+
+  it('should apply the guard option to simulated orders', async () => {
+    const client = simulator({guard:{maxOrderNotional:{USD:150},markets:{'BTC-USD':{maxOpenNotional:200}}}})
+    await client.sendOrder('BTC-USD','BUY','MARKET',{quantity:1.5}).should.be.rejectedWith(BittrexGuardError,{code:'ORDER_NOTIONAL_LIMIT'})
+    await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:1,limit:95},'GOOD_TIL_CANCELLED')
+    await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:1.2,limit:95},'GOOD_TIL_CANCELLED').should.be.rejectedWith(BittrexGuardError,{code:'OPEN_NOTIONAL_LIMIT'})
+    await client.cancelOrder().should.be.rejectedWith(BittrexGuardError,{code:'CANCEL_ALL_DISABLED'})
+    ;(await client.getOpenOrders()).length.should.equal(1)
+    ;(await balances(client)).USD.available.should.equal('904.81')
+  })
+
+  it('should cancel the orders it placed with the deadMansSwitch option', async () => {
+    const client = simulator({deadMansSwitch:{timeout:60000,signals:false,logger:{warn(){},error(){}}}})
+    const order = await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:1,limit:95},'GOOD_TIL_CANCELLED')
+    await client.sendOrder('BTC-USD','BUY','MARKET',{quantity:0.5})
+    const {cancelled} = await client.cancelTrackedOrders()
+    client.stopHeartbeat()
+    cancelled.map(result => result.id).should.eql([order.id])
+    ;(await client.getOpenOrders()).should.be.empty()
+  })
+
+  it('should never reach authenticated endpoints', async () => {
+    const client = simulator()
+    await client.getAddresses().should.be.rejectedWith(BittrexError,{code:'NOT_SIMULATED'})
+    await client.markets().should.be.rejectedWith(BittrexError,{code:'NOT_SIMULATED'})
+    client._credentials.configured.should.be.false()
+  })
+})
@@ -0,0 +1,85 @@
+const should = require('should')
+const { BittrexSocketClient, BittrexApiError, BittrexAuthError } = require('../')
+const MockHub = require('./helpers/mock-hub')
+const { sleep } = require('../src/utils')
+
+function next(emitter,event){
+  return new Promise(resolve => emitter.once(event,resolve))
+}
+
+describe('socket client', () => {
+  let hub, socket
+  beforeEach(async () => {
+    hub = await new MockHub().listen()
+  })
+  afterEach(async () => {
+    if (socket) await socket.disconnect()
+    await hub.close()
+  })
+
+  it('should subscribe and emit decompressed messages', async () => {
+    socket = new BittrexSocketClient({url:hub.url})
+    await socket.connect()
+    await socket.subscribe(BittrexSocketClient.channels.ticker('BTC-USD'))
+    hub.invocations.should.eql([{method:'Subscribe',args:[['ticker_BTC-USD']]}])
+    const received = next(socket,'ticker')
+    hub.publish('ticker',{symbol:'BTC-USD',lastTradeRate:'50000.0'})
+    should(await received).eql({symbol:'BTC-USD',lastTradeRate:'50000.0'})
+  })
+
+  it('should authenticate with the HMAC scheme', async () => {
+    socket = new BittrexSocketClient({url:hub.url,apiKey:'key',apiSecret:'secret'})
+    await socket.connect()
+    hub.invocations[0].method.should.equal('Authenticate')
+    await socket.subscribe('order','balance')
+    const received = next(socket,'balance')
+    hub.publish('balance',{sequence:1,delta:{currencySymbol:'BTC',total:'1.0'}})
+    ;(await received).delta.currencySymbol.should.equal('BTC')
+  })
+
+  it('should reject bad credentials', async () => {
+    socket = new BittrexSocketClient({url:hub.url,apiKey:'key',apiSecret:'wrong'})
+    await socket.connect().should.be.rejectedWith(BittrexAuthError,{code:'INVALID_SIGNATURE'})
+  })
+
+  it('should reject refused channels', async () => {
+    socket = new BittrexSocketClient({url:hub.url})
+    await socket.connect()
+    await socket.subscribe('invalid_channel').should.be.rejectedWith(BittrexApiError,{code:'INVALID_CHANNEL'})
+  })
+
+  it('should reconnect and resubscribe after the connection drops', async () => {
+    socket = new BittrexSocketClient({url:hub.url,apiKey:'key',apiSecret:'secret',reconnectDelay:10})
+    await socket.connect()
+    await socket.subscribe('trade_BTC-USD')
+    const reconnected = next(socket,'connected')
+    hub.dropConnections()
+    await reconnected
+    hub.connections.should.equal(2)
+    hub.invocations.map(invocation => invocation.method).should.eql(['Authenticate','Subscribe','Authenticate','Subscribe'])
+    hub.invocations[3].args.should.eql([['trade_BTC-USD']])
+    const received = next(socket,'trade')
+    hub.publish('trade',{marketSymbol:'BTC-USD',deltas:[]})
+    ;(await received).marketSymbol.should.equal('BTC-USD')
+  })
+
+  it('should stay closed when disconnect() is called during a reconnect attempt', async () => {
+    socket = new BittrexSocketClient({url:hub.url,reconnectDelay:10})
+    await socket.connect()
+    const errors = []
+    socket.on('error',error => errors.push(error))
+    socket.on('connected',() => errors.push(new Error('reconnected after disconnect()')))
+    const handle = hub.handle.bind(hub)
+    const negotiating = new Promise(resolve => {
+      hub.handle = (req,res) => {
+        if (req.url.indexOf('/negotiate') >= 0) socket.disconnect().then(resolve)
+        handle(req,res)
+      }
+    })
+    hub.dropConnections()
+    await negotiating
+    await sleep(100)
+    hub.connections.should.equal(1)
+    errors.should.be.empty()
+  })
+})
@@ -0,0 +1,100 @@
+require('should')
+const { BittrexClient, BittrexGuardError, BittrexValidationError, MockBittrexServer } = require('../')
+const stubTransport = require('./helpers/stub-transport')
+
+describe('trading guard', () => {
+  let server
+  const guarded = guard => new BittrexClient({baseURL:server.url,apiKey:'key',apiSecret:'secret',rateLimit:false,guard})
+  const mutations = () => server.requests.filter(request => request.method !== 'GET')
+
+  beforeEach(async () => {
+    server = await new MockBittrexServer().listen()
+  })
+
+  afterEach(() => server.close())
+
+  it('should refuse every mutating call in read-only mode', async () => {
+    const client = guarded({readOnly:true})
+    ;(await client.balance('BTC')).currencySymbol.should.equal('BTC')
+    await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:0.01,limit:40000},'GOOD_TIL_CANCELLED').should.be.rejectedWith(BittrexGuardError,{code:'READ_ONLY',method:'POST',endpoint:'/orders'})
+    await client.requestWithdrawal('BTC',0.1,'3Address').should.be.rejectedWith(BittrexGuardError,{code:'READ_ONLY'})
+    await client.cancelOrder('some-id').should.be.rejectedWith(BittrexGuardError,{code:'READ_ONLY'})
+    mutations().should.be.empty()
+  })
+
+  it('should require an opt-in before cancelling every open order', async () => {
+    await guarded(true).cancelOrder().should.be.rejectedWith(BittrexGuardError,{code:'CANCEL_ALL_DISABLED'})
+    await guarded(true).cancelOrder('open','BTC-USD').should.be.rejectedWith(BittrexGuardError,{code:'CANCEL_ALL_DISABLED'})
+    mutations().should.be.empty()
+    await guarded({allowCancelAll:true}).cancelOrder()
+    mutations().length.should.equal(1)
+  })
+
+  it('should only withdraw to allowlisted destinations', async () => {
+    const client = guarded({withdrawalAllowlist:['3Address',{currencySymbol:'ETH',cryptoAddress:'0xabc',cryptoAddressTag:'7'}]})
+    await client.requestWithdrawal('BTC',0.1,'3Other').should.be.rejectedWith(BittrexGuardError,{code:'WITHDRAWAL_ADDRESS_NOT_ALLOWED'})
+    await client.requestWithdrawal('ETH',1,'0xabc').should.be.rejectedWith(BittrexGuardError,{code:'WITHDRAWAL_ADDRESS_NOT_ALLOWED'})
+    await client.requestWithdrawal('ETH',1,'0xabc',{cryptoAdressTag:'7'})
+    await client.requestWithdrawal('BTC',0.1,'3Address')
+    mutations().map(request => request.body.currencySymbol).should.eql(['ETH','BTC'])
+  })
+
+  it('should cap order notional per quote currency and per market', async () => {
+    const client = guarded({maxOrderNotional:{USD:1000},markets:{'ETH-USD':{maxOrderNotional:5000}}})
+    await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:0.03,limit:40000},'GOOD_TIL_CANCELLED').should.be.rejectedWith(BittrexGuardError,{code:'ORDER_NOTIONAL_LIMIT'})
+    await client.sendOrder('BTC-USD','BUY','CEILING_LIMIT',{ceiling:1500,limit:50000},'IMMEDIATE_OR_CANCEL').should.be.rejectedWith(BittrexGuardError,{code:'ORDER_NOTIONAL_LIMIT'})
+    await client.sendOrder('BTC-USD','SELL','MARKET',{quantity:0.03}).should.be.rejectedWith(BittrexGuardError,{code:'ORDER_NOTIONAL_LIMIT'})
+    await client.sendOrder('ETH-USD','BUY','LIMIT',{quantity:1,limit:3000},'GOOD_TIL_CANCELLED')
+    await client.sendOrder('ETH-BTC','BUY','LIMIT',{quantity:50,limit:0.01},'GOOD_TIL_CANCELLED')
+    await client.batch([{operation:'POST',payload:{marketSymbol:'BTC-USD',direction:'BUY',type:'LIMIT',quantity:0.1,limit:40000,timeInForce:'GOOD_TIL_CANCELLED'}}])
+      .should.be.rejectedWith(BittrexGuardError,{code:'ORDER_NOTIONAL_LIMIT'})
+    mutations().map(request => request.body.marketSymbol).should.eql(['ETH-USD','ETH-BTC'])
+  })
+
+  it('should cap the open notional of a market, counting earlier orders in a batch', async () => {
+    const client = guarded({markets:{'BTC-USD':{maxOpenNotional:1000}}})
+    const order = {marketSymbol:'BTC-USD',direction:'BUY',type:'LIMIT',quantity:0.015,limit:40000,timeInForce:'GOOD_TIL_CANCELLED'}
+    await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:0.015,limit:40000},'GOOD_TIL_CANCELLED')
+    await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:0.015,limit:40000},'GOOD_TIL_CANCELLED').should.be.rejectedWith(BittrexGuardError,{code:'OPEN_NOTIONAL_LIMIT'})
+    await client.cancelOrder((await client.getOpenOrders('BTC-USD'))[0].id)
+    await client.batch([{operation:'POST',payload:order},{operation:'POST',payload:order}]).should.be.rejectedWith(BittrexGuardError,{code:'OPEN_NOTIONAL_LIMIT'})
+    mutations().map(request => request.method).should.eql(['POST','DELETE'])
+  })
+
+  it('should cap withdrawals over a rolling day, one request at a time', async () => {
+    const client = guarded({maxDailyWithdrawal:{BTC:0.25}})
+    const results = await Promise.all([0.1,0.1,0.1].map(quantity => client.requestWithdrawal('BTC',quantity,'3Address').catch(error => error)))
+    results.filter(result => result instanceof BittrexGuardError).map(error => error.code).should.eql(['DAILY_WITHDRAWAL_LIMIT'])
+    results[2].should.be.instanceOf(BittrexGuardError)
+    await client.requestWithdrawal('ETH',3,'0xabc')
+    mutations().length.should.equal(3)
+  })
+
+  it('should check a sub-account view against the orders and withdrawals of the sub-account', async () => {
+    const client = new BittrexClient({apiKey:'key',apiSecret:'secret',rateLimit:false,retry:false,guard:{markets:{'BTC-USD':{maxOpenNotional:1000}},maxDailyWithdrawal:{BTC:0.25}}})
+    const sub = client.withSubaccount('sub-1')
+    // only the master account has open orders and withdrawals
+    const calls = stubTransport(client,config => {
+      const path = config.url.split('?')[0]
+      const master = !config.headers['Api-Subaccount-Id']
+      if (config.method === 'post') return {data:Object.assign({id:'new',status:'OPEN'},JSON.parse(config.data))}
+      if (path.endsWith('/orders/open')) return {data:master ? [{marketSymbol:'BTC-USD',type:'LIMIT',quantity:'0.02',limit:'40000',fillQuantity:'0'}] : []}
+      if (path.endsWith('/withdrawals/open')) return {data:master ? [{currencySymbol:'BTC',quantity:'0.2',status:'REQUESTED',createdAt:new Date().toISOString()}] : []}
+      return {data:[]}
+    })
+    await sub.sendOrder('BTC-USD','BUY','LIMIT',{quantity:0.02,limit:40000},'GOOD_TIL_CANCELLED')
+    await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:0.02,limit:40000},'GOOD_TIL_CANCELLED').should.be.rejectedWith(BittrexGuardError,{code:'OPEN_NOTIONAL_LIMIT'})
+    await sub.requestWithdrawal('BTC',0.1,'3Address')
+    await client.requestWithdrawal('BTC',0.1,'3Address').should.be.rejectedWith(BittrexGuardError,{code:'DAILY_WITHDRAWAL_LIMIT'})
+    calls.map(call => [call.method,call.url.split('?')[0].split('/').slice(-2).join('/'),call.headers['Api-Subaccount-Id']]).should.eql([
+      ['get','orders/open','sub-1'],['post','v3/orders','sub-1'],['get','orders/open',undefined],
+      ['get','withdrawals/open','sub-1'],['get','withdrawals/closed','sub-1'],['post','v3/withdrawals','sub-1'],
+      ['get','withdrawals/open',undefined],['get','withdrawals/closed',undefined]
+    ])
+  })
+
+  it('should reject malformed limits at construction', () => {
+    (() => guarded({maxOrderNotional:{USD:-5}})).should.throw(BittrexValidationError,{field:'maxOrderNotional'})
+    ;(() => guarded({withdrawalAllowlist:'3Address'})).should.throw(BittrexValidationError,{field:'withdrawalAllowlist'})
+  })
+})
@@ -0,0 +1,122 @@
+// Compiled by `npm run test:types`, never run. Lines marked @ts-expect-error must fail to type-check.
+import {
+  Big,
+  BittrexClient,
+  BittrexError,
+  BittrexRateLimitError,
+  BittrexSocketClient,
+  BittrexValidationError,
+  Candle,
+  Execution,
+  ExecutionSummary,
+  Metrics,
+  MockBittrexServer,
+  Order,
+  OrderBookManager,
+  SimulatedBittrexClient,
+  collect,
+  computePnL,
+  credentials,
+  indicators,
+  resampleCandles
+} from '../..'
+
+async function rawClient(){
+  const client = new BittrexClient({apiKey:'key',apiSecret:'secret',retry:{maxAttempts:5},rateLimit:false})
+  const order = await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:0.01,limit:'40000'},'GOOD_TIL_CANCELLED')
+  const id: string = order.id
+  const filled: string = order.fillQuantity
+  await client.waitForOrder(id,{until:'FILLED',timeout:30000})
+
+  const markets = await client.markets()
+  const precision: number = markets[0].precision
+  const ticker = await client.ticker('BTC-USD')
+  const lastTradeRate: string = ticker.lastTradeRate
+  const tickers = await client.ticker()
+  tickers.map(({symbol}) => symbol)
+
+  const book = await client.orderBook('BTC-USD',25)
+  const bestBid: string = book.bid[0].rate
+
+  const candles: Candle[] = await client.getCandles('BTC-USD','HOUR_1',{from:'2021-01-01',gaps:'fill'})
+  const daily = resampleCandles(candles,'DAY_1')
+  indicators.sma(daily,20)
+
+  const [balance] = await client.balance()
+  const available: string = balance.available
+  const btc = await client.balance('BTC')
+  btc.total.toUpperCase()
+
+  const withdrawal = await client.requestWithdrawal('BTC','0.1','1BoatSLRHtKNngkdXEeobR76b53LETtpyT',{cryptoAddressTag:'memo'})
+  const tag: string | undefined = withdrawal.cryptoAddressTag
+  const deposits = await client.depositHistory('BTC',false,{pageSize:50})
+  deposits.filter(deposit => deposit.status === 'COMPLETED')
+
+  const history: Order[] = await collect(client.iterateOrderHistory({marketSymbol:'BTC-USD'}))
+  history.forEach(order => order.closedAt)
+
+  const twap: Execution = client.twap('BTC-USD','SELL',1,{duration:60000,slices:6})
+  twap.on('progress',(summary: ExecutionSummary) => summary.filledQuantity)
+  await twap.cancel()
+
+  // @ts-expect-error direction must be BUY or SELL
+  await client.sendOrder('BTC-USD','HOLD','LIMIT',{quantity:1,limit:1})
+  // @ts-expect-error LIMIT_ORDER is not an order type
+  await client.sendOrder('BTC-USD','BUY','LIMIT_ORDER',{quantity:1,limit:1})
+  // @ts-expect-error timeInForce is a fixed set
+  await client.sendOrder('BTC-USD','BUY','LIMIT',{quantity:1,limit:1},'GOOD_TIL_TUESDAY')
+  // @ts-expect-error HOUR_4 is only available through resampleCandles
+  await client.getCandlesRecent('BTC-USD','HOUR_4')
+  // @ts-expect-error order books come in depths of 1, 25 or 500
+  await client.orderBook('BTC-USD',50)
+  // @ts-expect-error amounts are strings in raw mode
+  const wrong: number = order.quantity
+
+  return [id,filled,precision,lastTradeRate,bestBid,available,tag,wrong]
+}
+
+async function decimalClient(){
+  const client = new BittrexClient({numeric:'decimal',guard:{readOnly:true},metrics:new Metrics()})
+  const balance = await client.balance('USD')
+  const doubled: Big = balance.available.times(2)
+  const portfolio = await client.portfolio({quote:'USD',price:'mid'})
+  portfolio.total.gt(0)
+  const report = await client.pnlReport({method:'FIFO'})
+  report.totals.realized.plus(report.totals.unrealized)
+  // @ts-expect-error amounts are Big in decimal mode
+  const text: string = balance.total
+  return [doubled,text]
+}
+
+async function errors(client: BittrexClient){
+  try {
+    await client.getOrder('id')
+  }
+  catch (error){
+    if (error instanceof BittrexRateLimitError){
+      const retryAfter: number | undefined = error.retryAfter
+      return retryAfter
+    }
+    if (error instanceof BittrexValidationError) return error.field
+    if (error instanceof BittrexError) return error.code
+  }
+}
+
+async function tooling(){
+  const server = await new MockBittrexServer({balances:{USD:1000}}).listen()
+  const client = new SimulatedBittrexClient({numeric:'string',balances:{USD:1000},marketData:'recorded',credentials:credentials.chain(credentials.fromEnv(),credentials.fromProfile('ops'))})
+  client.feedOrderBook('BTC-USD',{bid:[{rate:'39990',quantity:'1'}],ask:[{rate:40010,quantity:1}]})
+  const socket = new BittrexSocketClient({reconnect:true})
+  await socket.subscribe(BittrexSocketClient.channels.orderBook('BTC-USD',25),BittrexSocketClient.channels.candle('BTC-USD','MINUTE_5'))
+  const manager = new OrderBookManager({client,marketSymbol:'BTC-USD',socket})
+  await manager.start()
+  const sequence: number | null = manager.sequence
+  const spread: number | null = manager.spread()
+  const report = computePnL([],{method:'AVERAGE'})
+  report.totals.fees.toFixed(2)
+  new Metrics({prefix:'exchange'}).toPrometheus()
+  await server.close()
+  return [sequence,spread]
+}
+
+export { rawClient, decimalClient, errors, tooling }
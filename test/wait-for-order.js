@@ -0,0 +1,62 @@
+require('should')
+const { BittrexClient, BittrexError } = require('../')
+const stubTransport = require('./helpers/stub-transport')
+
+const client = new BittrexClient({apiKey:'key',apiSecret:'secret',rateLimit:false})
+
+// minimal AbortController stand-in, so the test also runs on Node versions without one
+function abortController(){
+  const listeners = new Set()
+  const signal = {
+    aborted:false,
+    addEventListener:(type,listener) => listeners.add(listener),
+    removeEventListener:(type,listener) => listeners.delete(listener)
+  }
+  return {signal,abort:() => {
+    signal.aborted = true
+    listeners.forEach(listener => listener())
+  }}
+}
+
+function orderStates(...states){
+  let i = 0
+  return stubTransport(client,() => ({data:Object.assign({id:'order-id',quantity:'1.00000000'},states[Math.min(i++,states.length-1)])}))
+}
+
+describe('waiting for orders', () => {
+  it('should get an order by id', async () => {
+    const calls = orderStates({status:'OPEN'})
+    ;(await client.getOrder('order-id')).status.should.equal('OPEN')
+    calls[0].url.should.endWith('/orders/order-id')
+  })
+
+  it('should resolve once the order closes', async () => {
+    const calls = orderStates({status:'OPEN',fillQuantity:'0'},{status:'OPEN',fillQuantity:'0.5'},{status:'CLOSED',fillQuantity:'1.00000000',proceeds:'100',commission:'0.1'})
+    const order = await client.waitForOrder('order-id',{pollInterval:5})
+    order.should.containDeep({status:'CLOSED',fillQuantity:'1.00000000',proceeds:'100',commission:'0.1'})
+    calls.length.should.equal(3)
+  })
+
+  it('should reject orders that close unfilled when waiting for a fill', async () => {
+    orderStates({status:'CLOSED',fillQuantity:'0.4'})
+    await client.waitForOrder('order-id',{until:'FILLED'}).should.be.rejectedWith(BittrexError,{code:'ORDER_NOT_FILLED'})
+    orderStates({status:'CLOSED',fillQuantity:'0.4'})
+    ;(await client.waitForOrder('order-id',{until:'CLOSED'})).fillQuantity.should.equal('0.4')
+  })
+
+  it('should time out', async () => {
+    orderStates({status:'OPEN'})
+    const error = await client.waitForOrder('order-id',{timeout:30,pollInterval:10}).should.be.rejectedWith(BittrexError,{code:'WAIT_TIMEOUT'})
+    error.data.status.should.equal('OPEN')
+  })
+
+  it('should stop when aborted', async () => {
+    const calls = orderStates({status:'OPEN'})
+    const controller = abortController()
+    setTimeout(() => controller.abort(),20)
+    const start = Date.now()
+    await client.waitForOrder('order-id',{pollInterval:10000,signal:controller.signal}).should.be.rejectedWith(BittrexError,{code:'ABORTED'})
+    ;(Date.now()-start).should.be.below(1000)
+    calls.length.should.equal(1)
+  })
+})